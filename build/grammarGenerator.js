@@ -13,6 +13,9 @@ const grammarContents = fs.readFileSync(inputFile, "utf8");
 
 const parser = pegjs.generate(grammarContents, {
   allowedStartRules: [
+    "Alert_Info",
+    "Answer_Mode",
+    "Call_Info",
     "Contact",
     "Name_Addr_Header",
     "Record_Route",
@@ -29,17 +32,24 @@ const parser = pegjs.generate(grammarContents, {
     "Content_Type",
     "CSeq",
     "displayName",
+    "Diversion",
     "Event",
     "From",
+    "History_Info",
     "host",
     "Max_Forwards",
     "Min_SE",
+    "P_Asserted_Identity",
+    "Priv_Answer_Mode",
+    "Privacy",
     "Proxy_Authenticate",
     "quoted_string",
+    "Reason",
     "Refer_To",
     "Replaces",
     "Session_Expires",
     "stun_URI",
+    "tel_URI",
     "To",
     "turn_URI",
     "uuid",
@@ -56,6 +66,9 @@ const parser = pegjs.generate(grammarContents, {
     "customHeader": "import { NameAddrHeader } from \"../../NameAddrHeader\";\nimport { URI } from \"../../URI\";"
   },
   "returnTypes": {
+    Alert_Info: "Array<any>",
+    Answer_Mode: "any",
+    Call_Info: "Array<any>",
     Contact: "URI | NameAddrHeader",
     Name_Addr_Header: "NameAddrHeader",
     Record_Route: "NameAddrHeader",
@@ -72,17 +85,24 @@ const parser = pegjs.generate(grammarContents, {
     Content_Type: "string",
     CSeq: "number",
     displayName: "string",
+    Diversion: "Array<any>",
     Event: "string",
     From: "string",
+    History_Info: "Array<any>",
     host: "string",
     Max_Forwards: "number",
     Min_SE: "number",
+    P_Asserted_Identity: "Array<any>",
+    Priv_Answer_Mode: "any",
+    Privacy: "Array<string>",
     Proxy_Authenticate: "string",
     quoted_string: "string",
+    Reason: "Array<any>",
     Refer_To: "string",
     Replaces: "string",
     Session_Expires: "number",
     stun_URI: "string",
+    tel_URI: "URI",
     To: "string",
     turn_URI: "string",
     uuid: "string",
@@ -22,7 +22,11 @@ module.exports = function(config) {
     // available preprocessors: https://npmjs.org/browse/keyword/karma-preprocessor
     preprocessors: {
       'test/spec/Web/SessionDescriptionHandler.spec.js': 'webpack',
-      'test/spec/Web/Modifiers.spec.js': 'webpack'
+      'test/spec/Web/Modifiers.spec.js': 'webpack',
+      'test/spec/Node/StreamParser.spec.js': 'webpack',
+      'test/spec/Node/TCPTransport.spec.js': 'webpack',
+      'test/spec/Node/TLSTransport.spec.js': 'webpack',
+      'test/spec/Node/UDPTransport.spec.js': 'webpack'
     },
 
     // test results reporter to use
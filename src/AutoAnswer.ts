@@ -0,0 +1,121 @@
+import { AutoAnswer as AutoAnswerDefinition } from "../types/auto-answer";
+import { InviteServerContext } from "../types/session";
+import { IncomingRequest } from "../types/sip-message";
+
+import { SessionStatus } from "./Enums";
+import { Grammar } from "./Grammar";
+
+/**
+ * Auto-answer of intercom and paging calls: Answer-Mode and Priv-Answer-Mode (RFC 5373),
+ * and the Call-Info answer-after and Alert-Info parameters of the devices that predate it
+ */
+export namespace AutoAnswer {
+  // Alert-Info info values of the common devices, e.g. "alert-autoanswer", "intercom"
+  const ALERT_INFO: RegExp = /auto-?answer|intercom|ring-?answer/i;
+
+  /**
+   * Parse what the caller asks for, from Priv-Answer-Mode, Answer-Mode, Call-Info or Alert-Info in that order
+   * @param {SIP.IncomingRequest} request
+   * @returns {AutoAnswer.Decision} not answered
+   */
+  export function parse(request: IncomingRequest): AutoAnswerDefinition.Decision {
+    const decision: AutoAnswerDefinition.Decision = { require: false, privileged: false, answer: false };
+    const callInfo: Array<any> = parseValues(request, "Call_Info");
+    const alertInfo: Array<any> = parseValues(request, "Alert_Info");
+    const answerAfter: any = callInfo.filter((value: any) => value.params["answer-after"] !== undefined)[0];
+    const alert: any = alertInfo.filter((value: any) => ALERT_INFO.test(value.params.info || value.uri || ""))[0];
+
+    for (const source of ["priv-answer-mode", "answer-mode"]) {
+      const answerMode: any = request.hasHeader(source) ? request.parseHeader(source) : undefined;
+      if (answerMode && (answerMode.mode === "auto" || answerMode.mode === "manual")) {
+        decision.source = source as "priv-answer-mode" | "answer-mode";
+        decision.mode = answerMode.mode;
+        decision.require = answerMode.require;
+        decision.privileged = source === "priv-answer-mode";
+        break;
+      }
+    }
+    if (!decision.source && (answerAfter || alert)) {
+      decision.source = answerAfter ? "call-info" : "alert-info";
+      decision.mode = "auto";
+    }
+
+    const delay: string | null | undefined =
+      answerAfter ? answerAfter.params["answer-after"] : alert ? alert.params.delay : undefined;
+    if (delay && /^[0-9]+$/.test(delay)) {
+      decision.delay = Number(delay);
+    }
+    return decision;
+  }
+
+  /**
+   * Decide whether an incoming call is answered automatically
+   * @param {SIP.InviteServerContext} session
+   * @param {AutoAnswer.Policy} [policy] calls are never answered without one
+   * @returns {AutoAnswer.Decision}
+   */
+  export function decide(
+    session: InviteServerContext,
+    policy?: AutoAnswerDefinition.Policy
+  ): AutoAnswerDefinition.Decision {
+    const decision: AutoAnswerDefinition.Decision = parse(session.request);
+    if (!policy || decision.mode !== "auto") {
+      return decision;
+    }
+    if (decision.delay === undefined) {
+      decision.delay = policy.delay || 0;
+    }
+    decision.answer = (!policy.privilegedOnly || decision.privileged) &&
+      (!policy.filter || policy.filter(session, decision) !== false);
+    return decision;
+  }
+
+  /**
+   * Accept a call after the delay of its decision, unless it was set not to be answered in the meantime
+   * @param {SIP.InviteServerContext} session
+   * @param {AutoAnswer.Policy} [policy]
+   */
+  export function schedule(session: InviteServerContext, policy: AutoAnswerDefinition.Policy = {}): void {
+    const decision: AutoAnswerDefinition.Decision = session.autoAnswer;
+    const timer: any = setTimeout(() => {
+      const waiting: boolean = [
+        SessionStatus.STATUS_WAITING_FOR_ANSWER,
+        SessionStatus.STATUS_EARLY_MEDIA,
+        SessionStatus.STATUS_WAITING_FOR_PRACK
+      ].indexOf(session.status) !== -1;
+      if (!decision.answer || !waiting) {
+        return;
+      }
+      const options: any = policy.acceptOptions || {};
+      // RFC 5373 7.1: the answer tells how the call was answered
+      session.accept(Object.assign({}, options, {
+        extraHeaders: (options.extraHeaders || []).concat(
+          (decision.privileged ? "Priv-Answer-Mode" : "Answer-Mode") + ": Auto")
+      }));
+    }, (decision.delay || 0) * 1000);
+    session.once("terminated", () => clearTimeout(timer));
+  }
+
+  /**
+   * Build the headers of an outgoing call asking for an answer mode
+   * @param {AutoAnswer.AnswerMode} answerMode
+   * @returns {Array<String>}
+   */
+  export function buildHeaders(answerMode: AutoAnswerDefinition.AnswerMode): Array<string> {
+    return [
+      (answerMode.privileged ? "Priv-Answer-Mode" : "Answer-Mode") + ": " +
+      (answerMode.mode === "auto" ? "Auto" : "Manual") + (answerMode.require ? ";require" : "")
+    ];
+  }
+
+  function parseValues(request: IncomingRequest, rule: string): Array<any> {
+    const values: Array<any> = [];
+    for (const header of request.getHeaders(rule.replace("_", "-"))) {
+      const parsed: Array<any> | -1 = Grammar.parse(header, rule);
+      if (parsed !== -1) {
+        values.push(...parsed);
+      }
+    }
+    return values;
+  }
+}
@@ -0,0 +1,258 @@
+import { CallQuality as CallQualityDefinition } from "../types/call-quality";
+import { PublishContext } from "../types/publish-context";
+import { UA } from "../types/ua";
+import { URI } from "../types/uri";
+
+/**
+ * Call quality metrics from WebRTC statistics, and their report to a collector (RFC 6035)
+ */
+export namespace CallQuality {
+  export const EVENT: string = "vq-rtcpxr";
+  export const CONTENT_TYPE: string = "application/vq-rtcpxr";
+
+  /**
+   * Normalize the audio statistics of a getStats() report
+   * @param {RTCStatsReport|Array} report standard statistics, as a map or a list
+   * @param {CallQuality.Sample} [previous] previous sample, to compute the loss and the bitrates since then
+   * @returns {CallQuality.Sample}
+   */
+  export function fromStats(report: any, previous?: CallQualityDefinition.Sample): CallQualityDefinition.Sample {
+    const stats: {[id: string]: any} = {};
+    const list: Array<any> = [];
+    report.forEach((stat: any) => {
+      stats[stat.id] = stat;
+      list.push(stat);
+    });
+
+    const sample: CallQualityDefinition.Sample = {
+      timestamp: Date.now(),
+      packetsReceived: 0,
+      packetsLost: 0,
+      bytesReceived: 0,
+      bytesSent: 0
+    };
+    let codecId: string | undefined;
+
+    for (const stat of list) {
+      if ((stat.kind || stat.mediaType) !== "audio" && stat.type !== "candidate-pair") {
+        continue;
+      }
+      if (stat.type === "inbound-rtp" && !stat.isRemote) {
+        sample.timestamp = stat.timestamp || sample.timestamp;
+        sample.packetsReceived = stat.packetsReceived || 0;
+        sample.packetsLost = Math.max(stat.packetsLost || 0, 0);
+        sample.bytesReceived = stat.bytesReceived || 0;
+        sample.jitter = stat.jitter !== undefined ? stat.jitter * 1000 : undefined;
+        sample.ssrc = stat.ssrc;
+        codecId = stat.codecId || codecId;
+      } else if (stat.type === "outbound-rtp" && !stat.isRemote) {
+        sample.bytesSent = stat.bytesSent || 0;
+        codecId = codecId || stat.codecId;
+      } else if (stat.type === "remote-inbound-rtp" && stat.roundTripTime !== undefined) {
+        sample.roundTripTime = stat.roundTripTime * 1000;
+      } else if (stat.type === "candidate-pair" && (stat.selected || stat.nominated) && stat.state === "succeeded") {
+        if (sample.roundTripTime === undefined && stat.currentRoundTripTime !== undefined) {
+          sample.roundTripTime = stat.currentRoundTripTime * 1000;
+        }
+        sample.localAddress = address(stats[stat.localCandidateId]);
+        sample.remoteAddress = address(stats[stat.remoteCandidateId]);
+      }
+    }
+
+    const codec: any = codecId && stats[codecId];
+    if (codec) {
+      sample.codec = (codec.mimeType || "").replace(/^audio\//i, "");
+      sample.payloadType = codec.payloadType;
+      sample.clockRate = codec.clockRate;
+    }
+
+    if (previous) {
+      const received: number = sample.packetsReceived - previous.packetsReceived;
+      const lost: number = sample.packetsLost - previous.packetsLost;
+      const seconds: number = (sample.timestamp - previous.timestamp) / 1000;
+      sample.packetLoss = received + lost > 0 ? Math.max(lost, 0) / (received + lost) : 0;
+      if (seconds > 0) {
+        sample.inboundBitrate = Math.max(sample.bytesReceived - previous.bytesReceived, 0) * 8 / seconds;
+        sample.outboundBitrate = Math.max(sample.bytesSent - previous.bytesSent, 0) * 8 / seconds;
+      }
+    } else {
+      const total: number = sample.packetsReceived + sample.packetsLost;
+      sample.packetLoss = total > 0 ? sample.packetsLost / total : 0;
+    }
+    sample.mos = mos(sample);
+
+    return sample;
+  }
+
+  /**
+   * Estimate the listening quality from the simplified E-model (ITU-T G.107)
+   * @param {CallQuality.Sample} sample
+   * @returns {Number} MOS, from 1 to 4.5
+   */
+  export function mos(sample: CallQualityDefinition.Sample): number {
+    const latency: number = (sample.roundTripTime || 0) / 2 + (sample.jitter || 0) * 2 + 10;
+    let r: number = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+    r -= (sample.packetLoss || 0) * 100 * 2.5;
+    r = Math.min(Math.max(r, 0), 100);
+
+    return Math.round((1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r)) * 100) / 100;
+  }
+
+  /**
+   * Add a sample to the running totals of a call, so that the samples need not be kept
+   * @param {CallQuality.Totals|undefined} totals of the previous samples, undefined for the first one
+   * @param {CallQuality.Sample} sample
+   * @returns {CallQuality.Totals}
+   */
+  export function accumulate(
+    totals: CallQualityDefinition.Totals | undefined,
+    sample: CallQualityDefinition.Sample
+  ): CallQualityDefinition.Totals {
+    const next: CallQualityDefinition.Totals = totals ? {...totals, last: sample} : {
+      first: sample,
+      last: sample,
+      jitter: 0,
+      jitterCount: 0,
+      maxJitter: undefined,
+      roundTripTime: 0,
+      roundTripTimeCount: 0,
+      mos: 0,
+      mosCount: 0
+    };
+    if (sample.jitter !== undefined) {
+      next.jitter += sample.jitter;
+      next.jitterCount++;
+      next.maxJitter = next.maxJitter === undefined ? sample.jitter : Math.max(next.maxJitter, sample.jitter);
+    }
+    if (sample.roundTripTime !== undefined) {
+      next.roundTripTime += sample.roundTripTime;
+      next.roundTripTimeCount++;
+    }
+    if (sample.mos !== undefined) {
+      next.mos += sample.mos;
+      next.mosCount++;
+    }
+    return next;
+  }
+
+  /**
+   * Aggregate the samples of a call
+   * @param {Array<CallQuality.Sample>|CallQuality.Totals} samples in chronological order, at least one,
+   * or their running totals
+   * @returns {CallQuality.Summary}
+   */
+  export function summarize(
+    samples: Array<CallQualityDefinition.Sample> | CallQualityDefinition.Totals
+  ): CallQualityDefinition.Summary {
+    const totals: CallQualityDefinition.Totals = Array.isArray(samples) ?
+      samples.reduce(accumulate, undefined) as CallQualityDefinition.Totals : samples;
+    const last: CallQualityDefinition.Sample = totals.last;
+    const total: number = last.packetsReceived + last.packetsLost;
+
+    return {
+      start: totals.first.timestamp,
+      stop: last.timestamp,
+      codec: last.codec,
+      payloadType: last.payloadType,
+      clockRate: last.clockRate,
+      ssrc: last.ssrc,
+      localAddress: last.localAddress,
+      remoteAddress: last.remoteAddress,
+      packetLoss: total > 0 ? last.packetsLost / total : 0,
+      jitter: average(totals.jitter, totals.jitterCount),
+      maxJitter: totals.maxJitter,
+      roundTripTime: average(totals.roundTripTime, totals.roundTripTimeCount),
+      mos: average(totals.mos, totals.mosCount)
+    };
+  }
+
+  /**
+   * Build a VQSessionReport body (RFC 6035 4.7) with the local metrics of a call
+   * @param {CallQuality.Report} report
+   * @returns {String} application/vq-rtcpxr body
+   */
+  export function build(report: CallQualityDefinition.Report): string {
+    const summary: CallQualityDefinition.Summary = report.summary;
+    const lines: Array<string> = [
+      "VQSessionReport: CallTerm",
+      "CallID: " + report.callId,
+      "LocalID: " + report.localId,
+      "RemoteID: " + report.remoteId,
+      "OrigID: " + report.origId
+    ];
+    if (summary.localAddress) {
+      lines.push("LocalAddr: " + addressMetrics(summary.localAddress, summary.ssrc));
+    }
+    if (summary.remoteAddress) {
+      lines.push("RemoteAddr: " + addressMetrics(summary.remoteAddress));
+    }
+    lines.push("LocalMetrics:");
+    lines.push("Timestamps: START=" + timestamp(summary.start) + " STOP=" + timestamp(summary.stop));
+    lines.push("SessionDesc: " + metrics({
+      PT: summary.payloadType,
+      PD: summary.codec,
+      SR: summary.clockRate
+    }));
+    lines.push("PacketLoss: NLR=" + (summary.packetLoss * 100).toFixed(1));
+    lines.push("Delay: " + metrics({
+      RTD: round(summary.roundTripTime),
+      IAJ: round(summary.jitter),
+      MAJ: round(summary.maxJitter)
+    }));
+    if (summary.mos !== undefined) {
+      lines.push("QualityEst: MOSLQ=" + summary.mos.toFixed(1));
+    }
+
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Publish the report of a call to a collector (RFC 6035 3.2). The publication is not refreshed.
+   * @param {SIP.UA} ua
+   * @param {String|SIP.URI} collector
+   * @param {CallQuality.Report} report
+   * @param {Object} [options] PublishContext options
+   * @returns {SIP.PublishContext}
+   */
+  export function publish(
+    ua: UA,
+    collector: string | URI,
+    report: CallQualityDefinition.Report,
+    options: any = {}
+  ): PublishContext {
+    const context: PublishContext = ua.publish(collector, EVENT, build(report),
+      {...options, contentType: CONTENT_TYPE, unpublishOnClose: false});
+    context.on("published", () => context.close());
+    context.on("failed", () => ua.getLogger("sip.callquality").warn("the collector rejected the quality report"));
+
+    return context;
+  }
+
+  function address(candidate: any): string | undefined {
+    const ip: string | undefined = candidate && (candidate.address || candidate.ip || candidate.ipAddress);
+    return ip ? ip + ":" + (candidate.port || candidate.portNumber) : undefined;
+  }
+
+  function addressMetrics(hostport: string, ssrc?: number): string {
+    const separator: number = hostport.lastIndexOf(":");
+    return "IP=" + hostport.slice(0, separator) + " PORT=" + hostport.slice(separator + 1) +
+      (ssrc !== undefined ? " SSRC=0x" + ("0000000" + ssrc.toString(16).toUpperCase()).slice(-8) : "");
+  }
+
+  function metrics(params: {[name: string]: string | number | undefined}): string {
+    return Object.keys(params).filter((name: string) => params[name] !== undefined && params[name] !== "")
+      .map((name: string) => name + "=" + params[name]).join(" ");
+  }
+
+  function timestamp(time: number): string {
+    return new Date(time).toISOString().replace(/\.[0-9]+Z$/, "Z");
+  }
+
+  function average(sum: number, count: number): number | undefined {
+    return count ? sum / count : undefined;
+  }
+
+  function round(value: number | undefined): number | undefined {
+    return value !== undefined ? Math.round(value) : undefined;
+  }
+}
@@ -32,10 +32,13 @@ export namespace C {
     BAD_MEDIA_DESCRIPTION =    "Bad Media Description",
     CANCELED =                 "Canceled",
     EXPIRES =                  "Expires",
+    MEDIA_RECOVERY_FAILED =    "Media Recovery Failed",
     NO_ACK =                   "No ACK",
     NO_ANSWER =                "No Answer",
     NO_PRACK =                 "No PRACK",
     RTP_TIMEOUT =              "RTP Timeout",
+    SESSION_EXPIRED =          "Session Expired",
+    SESSION_REFRESH_FAILED =   "Session Refresh Failed",
     USER_DENIED_MEDIA_ACCESS = "User Denied Media Access",
     WEBRTC_ERROR =             "WebRTC Error",
     WEBRTC_NOT_SUPPORTED =     "WebRTC Not Supported"
@@ -74,6 +77,21 @@ export namespace C {
   export const REFER = "REFER";
   export const PRACK = "PRACK";
 
+  // Methods the UA and its sessions may handle, see UA.getAllowedMethods()
+  export const ALLOWED_METHODS: Array<string> = [
+    ACK,
+    CANCEL,
+    INVITE,
+    MESSAGE,
+    BYE,
+    OPTIONS,
+    INFO,
+    NOTIFY,
+    REFER,
+    SUBSCRIBE,
+    UPDATE
+  ];
+
   /* SIP Response Reasons
    * DOC: http://www.iana.org/assignments/sip-parameters
    * Copied from https://github.com/versatica/OverSIP/blob/master/lib/oversip/sip/constants.rb#L7
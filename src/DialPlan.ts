@@ -0,0 +1,104 @@
+import { DialPlan as DialPlanDefinition } from "../types/dial-plan";
+import { URI } from "../types/uri";
+
+import { Grammar } from "./Grammar";
+import { Utils } from "./Utils";
+
+/**
+ * Dial plans: rewriting of the dialed numbers into request URIs
+ */
+export namespace DialPlan {
+  /**
+   * Apply a dial plan to a dialed string
+   * @param {DialPlan.Options|Function} dialPlan
+   * @param {String} dialed e.g. "9 01 23 45 67 89"
+   * @param {String} domain default domain, e.g. the hostport params of the UA
+   * @param {String} [telMapping] how tel URIs are sent, see UA.Options.telURIMapping
+   * @returns {DialPlan.Result|undefined} undefined if the dial plan does not apply
+   */
+  export function apply(
+    dialPlan: DialPlanDefinition.Options | DialPlanDefinition.Function,
+    dialed: string,
+    domain: string,
+    telMapping: URI.TelMapping = "sip"
+  ): DialPlanDefinition.Result | undefined {
+    if (dialPlan instanceof Function) {
+      const custom: string | URI | undefined = dialPlan(dialed);
+      const customURI: URI | undefined = custom ? Utils.normalizeTarget(custom, domain, telMapping) : undefined;
+      return customURI ? {uri: customURI, emergency: false} : undefined;
+    }
+
+    const digits: string = dialed.replace(/[\s\-.()]/g, "");
+    const rule: DialPlanDefinition.Rule | undefined = match(dialPlan, digits);
+    if (!rule) {
+      return;
+    }
+    let target: string = (rule.prefix || "") + digits.slice(rule.strip || 0);
+    if (rule.e164) {
+      target = toE164(target, dialPlan);
+    }
+
+    let uri: URI | undefined;
+    if (rule.uri === "tel") {
+      // A local number needs its context (RFC 3966 5.1.5)
+      const context: string = target[0] === "+" ? "" : ";phone-context=" + (rule.domain || domain).split(/[:;]/)[0];
+      const telURI: URI | -1 = Grammar.parse("tel:" + target + context, "tel_URI");
+      uri = telURI !== -1 ? telURI : undefined;
+    } else {
+      uri = Utils.normalizeTarget(target, rule.domain || domain,
+        rule.uri === "sip" && telMapping === "tel" ? "sip" : telMapping);
+    }
+    return uri ? {uri, emergency: !!rule.emergency, rule} : undefined;
+  }
+
+  /**
+   * Whether a dialed string is an emergency number of a dial plan
+   * @param {DialPlan.Options|Function} [dialPlan] custom dial plans have no emergency numbers
+   * @param {String} dialed
+   * @returns {Boolean}
+   */
+  export function isEmergency(
+    dialPlan: DialPlanDefinition.Options | DialPlanDefinition.Function | undefined,
+    dialed: string
+  ): boolean {
+    if (!dialPlan || dialPlan instanceof Function) {
+      return false;
+    }
+    const rule: DialPlanDefinition.Rule | undefined = match(dialPlan, dialed.replace(/[\s\-.()]/g, ""));
+    return !!rule && !!rule.emergency;
+  }
+
+  /**
+   * Normalize a number to E.164 following the prefixes of a dial plan, e.g. "0123456789" to "+33123456789"
+   * @param {String} digits the number without visual separators
+   * @param {DialPlan.Options} dialPlan
+   * @returns {String} the number unchanged if it is not international and there is no country code
+   */
+  export function toE164(digits: string, dialPlan: DialPlanDefinition.Options): string {
+    const internationalPrefix: string = dialPlan.internationalPrefix || "00";
+    const nationalPrefix: string = dialPlan.nationalPrefix !== undefined ? dialPlan.nationalPrefix : "0";
+
+    if (digits[0] === "+") {
+      return digits;
+    }
+    if (digits.indexOf(internationalPrefix) === 0) {
+      return "+" + digits.slice(internationalPrefix.length);
+    }
+    if (!dialPlan.countryCode) {
+      return digits;
+    }
+    if (nationalPrefix && digits.indexOf(nationalPrefix) === 0) {
+      return "+" + dialPlan.countryCode + digits.slice(nationalPrefix.length);
+    }
+    return "+" + dialPlan.countryCode + digits;
+  }
+
+  function match(dialPlan: DialPlanDefinition.Options, digits: string): DialPlanDefinition.Rule | undefined {
+    for (const rule of dialPlan.rules) {
+      const pattern: RegExp = typeof rule.pattern === "string" ? new RegExp(rule.pattern) : rule.pattern;
+      if (pattern.test(digits)) {
+        return rule;
+      }
+    }
+  }
+}
@@ -0,0 +1,163 @@
+import { DialogInfo as DialogInfoDefinition } from "../types/dialog-info";
+import { Logger } from "../types/logger-factory";
+import { IncomingRequest } from "../types/sip-message";
+import { Notification, Subscription } from "../types/subscription";
+import { UA } from "../types/ua";
+import { URI } from "../types/uri";
+import { XML as XMLDefinition } from "../types/xml";
+
+import { XML } from "./XML";
+
+/**
+ * Dialog event package (RFC 4235), e.g. for busy lamp fields
+ */
+export namespace DialogInfo {
+  export const NAMESPACE: string = "urn:ietf:params:xml:ns:dialog-info";
+  export const CONTENT_TYPE: string = "application/dialog-info+xml";
+
+  /**
+   * Parse a dialog-info document
+   * @param {String} body application/dialog-info+xml body
+   * @returns {DialogInfo.Document}
+   * @throws {Error} if the body is not a dialog-info document
+   */
+  export function parse(body: string): DialogInfoDefinition.Document {
+    const dialogInfo: XMLDefinition.Element = XML.parse(body);
+    if (dialogInfo.localName !== "dialog-info" || dialogInfo.namespace !== NAMESPACE) {
+      throw new Error("not a dialog-info document");
+    }
+    if (!/^[0-9]+$/.test(dialogInfo.attributes.version)) {
+      throw new Error("invalid dialog-info version");
+    }
+
+    return {
+      version: Number(dialogInfo.attributes.version),
+      state: dialogInfo.attributes.state === "partial" ? "partial" : "full",
+      entity: dialogInfo.attributes.entity,
+      dialogs: XML.children(dialogInfo, "dialog", NAMESPACE).map(parseDialog)
+    };
+  }
+
+  /**
+   * Subscribe to the dialogs of an entity (RFC 4235 3.1). Partial notifications are applied
+   * to the full state following their version, a missing version triggers a refresh to get
+   * the full state again.
+   * @param {SIP.UA} ua
+   * @param {String|SIP.URI} target the monitored entity
+   * @param {Object} [options] Subscription options
+   * @returns {SIP.Subscription} emitting "dialogInfo" with the state of all the dialogs of the entity
+   * and "dialogStateChanged" for each dialog whose state changed
+   */
+  export function subscribe(ua: UA, target: string | URI, options: any = {}): Subscription {
+    const logger: Logger = ua.getLogger("sip.dialoginfo");
+    const extraHeaders: Array<string> = (options.extraHeaders || []).concat("Accept: " + CONTENT_TYPE);
+    const subscription: Subscription = ua.subscribe(target, "dialog", {...options, extraHeaders});
+
+    let version: number | undefined;
+    let dialogs: {[id: string]: DialogInfoDefinition.Dialog} = {};
+
+    subscription.on("notify", (notification: Notification) => {
+      const request: IncomingRequest = notification.request;
+      if (!request.body) {
+        return;
+      }
+
+      let document: DialogInfoDefinition.Document;
+      try {
+        document = parse(request.body);
+      } catch (e) {
+        logger.warn("unable to parse the dialog NOTIFY body: " + e.message);
+        return;
+      }
+
+      // RFC 4235 4.1: versions increase by one, an older one is a reordered NOTIFY
+      if (version !== undefined && document.version <= version) {
+        logger.log("discarding dialog-info version " + document.version);
+        return;
+      }
+      if (document.state === "partial" && (version === undefined || document.version !== version + 1)) {
+        logger.warn("missed dialog-info version " + (version === undefined ? 0 : version + 1) + ", refreshing");
+        version = undefined;
+        // The subscription applies the Subscription-State of the NOTIFY after emitting it, and only
+        // refreshes once active. A partial NOTIFY received while pending tries again.
+        Promise.resolve().then(() => subscription.refresh());
+        return;
+      }
+      version = document.version;
+
+      const previous: {[id: string]: DialogInfoDefinition.Dialog} = dialogs;
+      const changed: Array<DialogInfoDefinition.Dialog> = [];
+      if (document.state === "full") {
+        dialogs = {};
+        // Dialogs missing from the full state are over
+        const ids: Array<string> = document.dialogs.map((dialog: DialogInfoDefinition.Dialog) => dialog.id);
+        for (const id in previous) {
+          if (ids.indexOf(id) === -1) {
+            changed.push({...previous[id], state: "terminated"});
+          }
+        }
+      } else {
+        dialogs = {...previous};
+      }
+
+      for (const dialog of document.dialogs) {
+        if (!previous[dialog.id] || previous[dialog.id].state !== dialog.state) {
+          changed.push(dialog);
+        }
+        if (dialog.state === "terminated") {
+          delete dialogs[dialog.id];
+        } else {
+          dialogs[dialog.id] = dialog;
+        }
+      }
+
+      subscription.emit("dialogInfo", {
+        version: document.version,
+        state: "full",
+        entity: document.entity,
+        dialogs: Object.keys(dialogs).map((id: string) => dialogs[id])
+      }, notification);
+      for (const dialog of changed) {
+        subscription.emit("dialogStateChanged", dialog, document.entity);
+      }
+    });
+
+    return subscription;
+  }
+
+  function parseDialog(dialog: XMLDefinition.Element): DialogInfoDefinition.Dialog {
+    const state: XMLDefinition.Element | undefined = XML.child(dialog, "state", NAMESPACE);
+    const duration: XMLDefinition.Element | undefined = XML.child(dialog, "duration", NAMESPACE);
+    const code: string | undefined = state && state.attributes.code;
+
+    return {
+      id: dialog.attributes.id,
+      callId: dialog.attributes["call-id"],
+      localTag: dialog.attributes["local-tag"],
+      remoteTag: dialog.attributes["remote-tag"],
+      direction: dialog.attributes.direction as "initiator" | "recipient" | undefined,
+      state: (state ? state.text : "trying") as DialogInfoDefinition.DialogState,
+      event: state && state.attributes.event,
+      code: code !== undefined ? Number(code) : undefined,
+      duration: duration ? Number(duration.text) : undefined,
+      local: parseParticipant(XML.child(dialog, "local", NAMESPACE)),
+      remote: parseParticipant(XML.child(dialog, "remote", NAMESPACE))
+    };
+  }
+
+  function parseParticipant(
+    participant: XMLDefinition.Element | undefined
+  ): DialogInfoDefinition.Participant | undefined {
+    if (!participant) {
+      return;
+    }
+    const identity: XMLDefinition.Element | undefined = XML.child(participant, "identity", NAMESPACE);
+    const target: XMLDefinition.Element | undefined = XML.child(participant, "target", NAMESPACE);
+
+    return {
+      identity: identity && identity.text,
+      displayName: identity && identity.attributes.display,
+      target: target && target.attributes.uri
+    };
+  }
+}
@@ -1,5 +1,6 @@
 import { Dialog as DialogDefinition } from "../types/dialogs";
 import { Logger } from "../types/logger-factory";
+import { ServerContext } from "../types/server-context";
 import { InviteClientContext, InviteServerContext } from "../types/session";
 import { SessionDescriptionHandler } from "../types/session-description-handler";
 import { DTMF } from "../types/Session/dtmf";
@@ -8,7 +9,7 @@ import {
   IncomingResponse,
   OutgoingRequest as OutgoingRequestType
 } from "../types/sip-message";
-import { Subscription } from "../types/subscription";
+import { Subscription, SubscriptionServerContext } from "../types/subscription";
 import { NonInviteClientTransaction } from "../types/transactions";
 import { URI } from "../types/uri";
 
@@ -45,7 +46,7 @@ export class Dialog implements DialogDefinition {
   public routeSet: Array<string>;
   public pracked: Array<string> = [];
   public sessionDescriptionHandler: SessionDescriptionHandler | undefined;
-  public owner: InviteClientContext | InviteServerContext | Subscription;
+  public owner: InviteClientContext | InviteServerContext | Subscription | SubscriptionServerContext;
   public state: DialogStatus;
   public uacPendingReply: boolean = false;
 
@@ -60,7 +61,7 @@ export class Dialog implements DialogDefinition {
   private logger: Logger;
 
   constructor(
-    owner: InviteClientContext | InviteServerContext | Subscription,
+    owner: InviteClientContext | InviteServerContext | Subscription | SubscriptionServerContext,
     message: IncomingRequest | IncomingResponse,
     type: "UAC" | "UAS",
     state?: DialogStatus
@@ -235,7 +236,8 @@ export class Dialog implements DialogDefinition {
         }
         break;
       case C.NOTIFY:
-        // RFC6665 3.2 Replace the dialog`s remote target URI if the request is accepted
+      case C.UPDATE:
+        // RFC6665 3.2 and RFC3311 5.2 Replace the dialog`s remote target URI if the request is accepted
         if (request.hasHeader("contact") && request.serverTransaction) {
           request.serverTransaction.on("stateChanged", () => {
             if (request.serverTransaction && request.serverTransaction.state === TransactionStatus.STATUS_COMPLETED) {
@@ -254,7 +256,7 @@ export class Dialog implements DialogDefinition {
   }
 
   public sendRequest(
-    applicant: InviteClientContext | Subscription | DTMF,
+    applicant: InviteClientContext | Subscription | SubscriptionServerContext | DTMF,
     method: string,
     options: any = {}
   ): OutgoingRequestType {
@@ -343,13 +345,18 @@ export class Dialog implements DialogDefinition {
 
   /**
    * @param {SIP.IncomingRequest} request
+   * @param {SIP.ServerContext} [context] context the UA built for the request, passed on to sessions
    */
-  public receiveRequest(request: IncomingRequest): void {
+  public receiveRequest(request: IncomingRequest, context?: ServerContext): void {
     // Check in-dialog request
     if (!this.checkInDialogRequest(request)) {
       return;
     }
 
-    this.owner.receiveRequest(request);
+    if (this.owner.type === TypeStrings.InviteClientContext || this.owner.type === TypeStrings.InviteServerContext) {
+      (this.owner as InviteClientContext | InviteServerContext).receiveRequest(request, context);
+    } else {
+      this.owner.receiveRequest(request);
+    }
   }
 }
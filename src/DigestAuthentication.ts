@@ -1,4 +1,8 @@
+import * as CryptoJS from "crypto-js/core";
 import * as MD5 from "crypto-js/md5";
+import * as SHA256 from "crypto-js/sha256";
+// Registers CryptoJS.algo.SHA512 (and CryptoJS.x64) on the core object
+import "crypto-js/sha512";
 
 import { DigestAuthentication as DigestAuthenticationDefinition } from "../types/digest-authentication";
 import { Logger } from "../types/logger-factory";
@@ -9,6 +13,48 @@ import { URI } from "../types/uri";
 import { TypeStrings } from "./Enums";
 import { Utils } from "./Utils";
 
+/**
+ * SHA-512/256 (FIPS 180-4): SHA-512 with its own initial hash value, truncated to 256 bits.
+ * crypto-js only ships SHA-512, so it is derived the same way crypto-js derives SHA-384.
+ */
+const SHA512_256_ALGO: any = CryptoJS.algo.SHA512.extend({
+  _doReset(): void {
+    const Word: any = CryptoJS.x64.Word;
+    this._hash = new CryptoJS.x64.WordArray.init([
+      new Word.init(0x22312194, 0xfc2bf72c), new Word.init(0x9f555fa3, 0xc84c64c2),
+      new Word.init(0x2393b86b, 0x6f53b151), new Word.init(0x96387719, 0x5940eabd),
+      new Word.init(0x96283ee2, 0xa88effe3), new Word.init(0xbe5e1e25, 0x53863992),
+      new Word.init(0x2b0199fc, 0x2c85b8aa), new Word.init(0x0eb72ddc, 0x81c52ca2)
+    ]);
+  },
+
+  _doFinalize(): any {
+    const hash: any = CryptoJS.algo.SHA512._doFinalize.call(this);
+    hash.sigBytes -= 32;
+    return hash;
+  }
+});
+const SHA512_256: (message: string) => any = CryptoJS.algo.SHA512._createHelper(SHA512_256_ALGO);
+
+/**
+ * Supported Digest algorithms (RFC 8760), weakest first.
+ * The "-sess" variants use the same hash function.
+ */
+const ALGORITHMS: Array<{name: string, hash: (message: string) => any}> = [
+  { name: "MD5", hash: MD5 },
+  { name: "SHA-256", hash: SHA256 },
+  { name: "SHA-512-256", hash: SHA512_256 }
+];
+
+const getAlgorithm = (algorithm: string): {name: string, hash: (message: string) => any} | undefined => {
+  const name: string = algorithm.toUpperCase().replace(/-SESS$/, "");
+  for (const candidate of ALGORITHMS) {
+    if (candidate.name === name) {
+      return candidate;
+    }
+  }
+};
+
 /**
  * SIP Digest Authentication.
  * @function Digest Authentication
@@ -16,6 +62,29 @@ import { Utils } from "./Utils";
  */
 
 export class DigestAuthentication implements DigestAuthenticationDefinition {
+  /**
+   * Choose the challenge with the strongest supported algorithm among the ones offered
+   * in several WWW-Authenticate or Proxy-Authenticate headers.
+   * On equal strength the first one offered wins. Returns undefined if none is supported.
+   *
+   * @param {Array<Object>} challenges
+   */
+  public static selectChallenge(challenges: Array<any>): any | undefined {
+    let selected: any | undefined;
+    let selectedStrength: number = -1;
+
+    for (const challenge of challenges) {
+      const algorithm = getAlgorithm(challenge.algorithm || "MD5");
+      const strength: number = algorithm ? ALGORITHMS.indexOf(algorithm) : -1;
+      if (strength > selectedStrength) {
+        selected = challenge;
+        selectedStrength = strength;
+      }
+    }
+
+    return selected;
+  }
+
   public type: TypeStrings;
   public stale: boolean | undefined;
 
@@ -27,6 +96,7 @@ export class DigestAuthentication implements DigestAuthenticationDefinition {
   private ncHex: string;
   private response: any | undefined; // CryptoJS.WordArray
   private algorithm: string | undefined;
+  private hash: ((message: string) => any) | undefined;
   private realm: string | undefined;
   private nonce: string | undefined;
   private opaque: string | undefined;
@@ -60,15 +130,19 @@ export class DigestAuthentication implements DigestAuthenticationDefinition {
     this.opaque = challenge.opaque;
     this.stale = challenge.stale;
 
-    if (this.algorithm) {
-      if (this.algorithm !== "MD5") {
-        this.logger.warn("challenge with Digest algorithm different than 'MD5', authentication aborted");
-        return false;
-      }
-    } else {
+    if (!this.algorithm) {
       this.algorithm = "MD5";
     }
 
+    const algorithm = getAlgorithm(this.algorithm);
+    if (!algorithm) {
+      this.logger.warn("challenge with unsupported Digest algorithm '" + this.algorithm + "', authentication aborted");
+      return false;
+    }
+    // Canonical spelling, e.g. "SHA-256-sess"
+    this.algorithm = algorithm.name + (/-sess$/i.test(this.algorithm) ? "-sess" : "");
+    this.hash = algorithm.hash;
+
     if (!this.realm) {
       this.logger.warn("challenge without Digest realm, authentication aborted");
       return false;
@@ -137,6 +211,8 @@ export class DigestAuthentication implements DigestAuthenticationDefinition {
       authParams.push("qop=" + this.qop);
       authParams.push('cnonce="' + this.cnonce + '"');
       authParams.push("nc=" + this.ncHex);
+    } else if (this.isSession()) {
+      authParams.push('cnonce="' + this.cnonce + '"');
     }
 
     return "Digest " + authParams.join(", ");
@@ -150,33 +226,48 @@ export class DigestAuthentication implements DigestAuthenticationDefinition {
     this.ncHex = "00000000".substr(0, 8 - hex.length) + hex;
   }
 
+  /**
+   * Whether the algorithm is a "-sess" variant.
+   * @private
+   */
+  private isSession(): boolean {
+    return !!this.algorithm && /-sess$/i.test(this.algorithm);
+  }
+
   /**
    * Generate Digest 'response' value.
+   * H is the hash function of the algorithm (MD5, SHA-256 or SHA-512/256).
    * @private
    */
   private calculateResponse(body?: string): void {
+    const H: (message: string) => any = this.hash || MD5;
     let ha2;
 
-    // HA1 = MD5(A1) = MD5(username:realm:password)
-    const ha1 = MD5(this.username + ":" + this.realm + ":" + this.password);
+    // HA1 = H(A1) = H(username:realm:password)
+    let ha1 = H(this.username + ":" + this.realm + ":" + this.password);
+
+    if (this.isSession()) {
+      // HA1 = H(H(username:realm:password):nonce:cnonce)
+      ha1 = H(ha1 + ":" + this.nonce + ":" + this.cnonce);
+    }
 
     if (this.qop === "auth") {
-      // HA2 = MD5(A2) = MD5(method:digestURI)
-      ha2 = MD5(this.method + ":" + this.uri);
-      // response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
-      this.response = MD5(ha1 + ":" + this.nonce + ":" + this.ncHex + ":" + this.cnonce + ":auth:" + ha2);
+      // HA2 = H(A2) = H(method:digestURI)
+      ha2 = H(this.method + ":" + this.uri);
+      // response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
+      this.response = H(ha1 + ":" + this.nonce + ":" + this.ncHex + ":" + this.cnonce + ":auth:" + ha2);
 
     } else if (this.qop === "auth-int") {
-      // HA2 = MD5(A2) = MD5(method:digestURI:MD5(entityBody))
-      ha2 = MD5(this.method + ":" + this.uri + ":" + MD5(body ? body : ""));
-      // response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
-      this.response = MD5(ha1 + ":" + this.nonce + ":" + this.ncHex + ":" + this.cnonce + ":auth-int:" + ha2);
+      // HA2 = H(A2) = H(method:digestURI:H(entityBody))
+      ha2 = H(this.method + ":" + this.uri + ":" + H(body ? body : ""));
+      // response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2)
+      this.response = H(ha1 + ":" + this.nonce + ":" + this.ncHex + ":" + this.cnonce + ":auth-int:" + ha2);
 
     } else if (this.qop === undefined) {
-      // HA2 = MD5(A2) = MD5(method:digestURI)
-      ha2 = MD5(this.method + ":" + this.uri);
-      // response = MD5(HA1:nonce:HA2)
-      this.response = MD5(ha1 + ":" + this.nonce + ":" + ha2);
+      // HA2 = H(A2) = H(method:digestURI)
+      ha2 = H(this.method + ":" + this.uri);
+      // response = H(HA1:nonce:HA2)
+      this.response = H(ha1 + ":" + this.nonce + ":" + ha2);
     }
   }
 }
@@ -70,6 +70,7 @@ export enum TypeStrings {
   SessionDescriptionHandlerError,
   SessionDescriptionHandlerObserver,
   Subscription,
+  SubscriptionServerContext,
   Transport,
   TransportError,
   UA,
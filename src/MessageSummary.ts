@@ -0,0 +1,99 @@
+import { MessageSummary as MessageSummaryDefinition } from "../types/message-summary";
+import { IncomingRequest } from "../types/sip-message";
+import { Notification, Subscription } from "../types/subscription";
+import { UA } from "../types/ua";
+import { URI } from "../types/uri";
+
+/**
+ * Message waiting indication (RFC 3842)
+ */
+export namespace MessageSummary {
+  export const CONTENT_TYPE: string = "application/simple-message-summary";
+
+  /**
+   * Parse a simple-message-summary body
+   * @param {String} body application/simple-message-summary body
+   * @returns {MessageSummary.Summary}
+   * @throws {Error} if the Messages-Waiting line is missing
+   */
+  export function parse(body: string): MessageSummaryDefinition.Summary {
+    const summary: MessageSummaryDefinition.Summary = {
+      messagesWaiting: false,
+      messages: {}
+    };
+    let messagesWaiting: boolean | undefined;
+
+    // The optional message headers follow an empty line
+    for (const line of body.split(/\r?\n\r?\n/)[0].split(/\r?\n/)) {
+      const separator: number = line.indexOf(":");
+      if (separator === -1) {
+        continue;
+      }
+      const name: string = line.slice(0, separator).trim().toLowerCase();
+      const value: string = line.slice(separator + 1).trim();
+
+      if (name === "messages-waiting") {
+        messagesWaiting = value.toLowerCase() === "yes";
+      } else if (name === "message-account") {
+        summary.account = value;
+      } else {
+        const counts: RegExpMatchArray | null =
+          value.match(/^([0-9]+)\s*\/\s*([0-9]+)(?:\s*\(\s*([0-9]+)\s*\/\s*([0-9]+)\s*\))?$/);
+        if (counts) {
+          summary.messages[name] = {
+            newMessages: Number(counts[1]),
+            oldMessages: Number(counts[2]),
+            newUrgentMessages: counts[3] !== undefined ? Number(counts[3]) : undefined,
+            oldUrgentMessages: counts[4] !== undefined ? Number(counts[4]) : undefined
+          };
+        }
+      }
+    }
+
+    if (messagesWaiting === undefined) {
+      throw new Error("Messages-Waiting line missing");
+    }
+    summary.messagesWaiting = messagesWaiting;
+
+    return summary;
+  }
+
+  /**
+   * Subscribe to the message summary of an account (RFC 3842 4)
+   * @param {SIP.UA} ua
+   * @param {String|SIP.URI} [target] the message account, the UA URI by default
+   * @param {Object} [options] Subscription options
+   * @returns {SIP.Subscription} emitting "messageSummary" with the parsed body of each NOTIFY
+   */
+  export function subscribe(ua: UA, target?: string | URI, options: any = {}): Subscription {
+    const extraHeaders: Array<string> = (options.extraHeaders || []).concat("Accept: " + CONTENT_TYPE);
+    const subscription: Subscription = ua.subscribe(target || (ua.configuration.uri as URI), "message-summary",
+      {...options, extraHeaders});
+
+    subscription.on("notify", (notification: Notification) => {
+      const summary: MessageSummaryDefinition.Summary | undefined = parseNotify(ua, notification.request);
+      if (summary) {
+        subscription.emit("messageSummary", summary, notification);
+      }
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Parse the body of a message-summary NOTIFY, subscribed or not
+   * @param {SIP.UA} ua
+   * @param {SIP.IncomingRequest} request
+   * @returns {MessageSummary.Summary|undefined} undefined if there is no valid body
+   */
+  export function parseNotify(ua: UA, request: IncomingRequest): MessageSummaryDefinition.Summary | undefined {
+    if (!request.body) {
+      return;
+    }
+    try {
+      return parse(request.body);
+    } catch (e) {
+      ua.getLogger("sip.messagesummary").warn("unable to parse the message-summary NOTIFY body: " + e.message);
+    }
+  }
+}
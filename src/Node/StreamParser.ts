@@ -0,0 +1,107 @@
+import { StreamParser as StreamParserDefinition } from "../../types/Node/stream-parser";
+
+const HEADER_TERMINATOR: string = "\r\n\r\n";
+
+/**
+ * Returned in place of the CRLFs received between messages, so the transport sees the keep-alive response.
+ */
+const KEEP_ALIVE_RESPONSE: string = "\r\n";
+
+/**
+ * Messages without a header terminator after this many bytes are treated as garbage.
+ */
+const MAX_HEADER_SIZE: number = 65535;
+
+/**
+ * Get the value of the Content-Length (or compact "l") header field.
+ * @param {String} headers
+ * @returns {Number|undefined}
+ */
+const getContentLength = (headers: string): number | undefined => {
+  const match: RegExpMatchArray | null = headers.match(/\r\n(?:content-length|l)[ \t]*:[ \t]*(\d+)[ \t]*(?=\r\n|$)/i);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+};
+
+/**
+ * @class Frames SIP messages received over a stream oriented transport (TCP/TLS).
+ * RFC 3261 18.3: the Content-Length header field MUST be used with stream oriented
+ * transports to determine where the body of one message ends and the next begins.
+ */
+export class StreamParser implements StreamParserDefinition {
+  private buffer: Buffer;
+
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Append received data and return every message completed by it.
+   * CRLF keep-alive responses between messages are returned as a single CRLF (RFC 5626 4.4.1).
+   * @param {Buffer|String} data
+   * @returns {Array<String>}
+   * @throws {Error} if the stream cannot be framed
+   */
+  public push(data: Buffer | string): Array<string> {
+    const chunk: Buffer = typeof data === "string" ? Buffer.from(data, "utf8") : data;
+    const messages: Array<string> = [];
+
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length) {
+      if (this.skipKeepAlives()) {
+        messages.push(KEEP_ALIVE_RESPONSE);
+        continue;
+      }
+
+      const headerEnd: number = this.buffer.indexOf(HEADER_TERMINATOR);
+      if (headerEnd === -1) {
+        if (this.buffer.length > MAX_HEADER_SIZE) {
+          this.reset();
+          throw new Error("header terminator not found within " + MAX_HEADER_SIZE + " bytes");
+        }
+        break;
+      }
+
+      const headers: string = this.buffer.toString("utf8", 0, headerEnd);
+      const contentLength: number | undefined = getContentLength(headers);
+      if (contentLength === undefined) {
+        this.reset();
+        throw new Error("missing or invalid Content-Length header");
+      }
+
+      const messageLength: number = headerEnd + HEADER_TERMINATOR.length + contentLength;
+      if (this.buffer.length < messageLength) {
+        break;
+      }
+
+      messages.push(this.buffer.toString("utf8", 0, messageLength));
+      this.buffer = this.buffer.slice(messageLength);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Discard any partially received message.
+   */
+  public reset(): void {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Drop the CRLFs at the start of the buffer.
+   * @returns {Boolean} true if any were dropped
+   */
+  private skipKeepAlives(): boolean {
+    let offset: number = 0;
+    while (offset < this.buffer.length && (this.buffer[offset] === 0x0d || this.buffer[offset] === 0x0a)) {
+      offset++;
+    }
+    if (offset) {
+      this.buffer = this.buffer.slice(offset);
+    }
+    return offset > 0;
+  }
+}
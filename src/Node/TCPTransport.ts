@@ -0,0 +1,121 @@
+import * as net from "net";
+
+import { Logger } from "../../types/logger-factory";
+import { TCPTransport as TCPTransportDefinition } from "../../types/Node/tcp-transport";
+
+import { StreamParser } from "./StreamParser";
+import { Transport } from "./Transport";
+
+/**
+ * @class TCP transport for Node.js. Messages are framed by their Content-Length.
+ * @param {Logger} logger
+ * @param {Object} options
+ */
+export class TCPTransport extends Transport implements TCPTransportDefinition {
+  public static readonly protocol: string = "tcp";
+  public socket: net.Socket | undefined;
+
+  private parser: StreamParser;
+  // Socket still connecting, closed if the connection times out before it is established
+  private pendingSocket: net.Socket | undefined;
+
+  constructor(logger: Logger, options: any = {}, protocol: string = TCPTransport.protocol) {
+    super(logger, options, protocol);
+    this.parser = new StreamParser();
+  }
+
+  /**
+   * Create the socket and connect it to the server.
+   * @param {Function} onConnect called once the socket is ready to be written
+   * @returns {net.Socket}
+   */
+  protected createSocket(onConnect: () => void): net.Socket {
+    return net.connect({
+      host: this.server.host,
+      port: this.server.port,
+      localAddress: this.configuration.localAddress,
+      localPort: this.configuration.localPort || undefined
+    }, onConnect);
+  }
+
+  protected openSocket(): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      this.parser.reset();
+
+      const onConnectError: (e: Error) => void = (e: Error) => {
+        this.pendingSocket = undefined;
+        socket.removeAllListeners();
+        socket.destroy();
+        reject(e.message);
+      };
+
+      const socket: net.Socket = this.createSocket(() => {
+        this.pendingSocket = undefined;
+        socket.removeListener("error", onConnectError);
+        socket.on("error", (e: Error) => this.onError("socket error: " + e.message));
+        socket.on("data", (data: Buffer) => this.onData(data));
+        socket.on("close", () => {
+          this.socket = undefined;
+          this.onSocketClose();
+        });
+
+        this.localAddress = socket.localAddress;
+        this.localPort = socket.localPort;
+        this.socket = socket;
+        resolve();
+      });
+      socket.setNoDelay(true);
+      socket.once("error", onConnectError);
+      this.pendingSocket = socket;
+    });
+  }
+
+  protected closeSocket(): Promise<void> {
+    if (this.pendingSocket) {
+      this.pendingSocket.removeAllListeners();
+      this.pendingSocket.destroy();
+      this.pendingSocket = undefined;
+    }
+    const socket: net.Socket | undefined = this.socket;
+    if (!socket) {
+      return Promise.resolve();
+    }
+    return new Promise<void>((resolve) => {
+      socket.once("close", () => resolve());
+      socket.end();
+    });
+  }
+
+  protected write(message: string): Promise<void> {
+    const socket: net.Socket | undefined = this.socket;
+    if (!socket) {
+      return Promise.reject("socket does not exist");
+    }
+    return new Promise<void>((resolve, reject) => {
+      socket.write(message, "utf8", (e?: Error) => {
+        if (e) {
+          reject(e.message);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  private onData(data: Buffer): void {
+    let messages: Array<string>;
+    try {
+      messages = this.parser.push(data);
+    } catch (e) {
+      this.logger.warn("unable to frame received data, closing the connection: " + e.message);
+      if (this.socket) {
+        this.socket.destroy();
+      }
+      return;
+    }
+
+    for (const message of messages) {
+      this.onMessage(message);
+    }
+  }
+}
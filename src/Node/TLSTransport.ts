@@ -0,0 +1,32 @@
+import * as net from "net";
+import * as tls from "tls";
+
+import { Logger } from "../../types/logger-factory";
+import { TLSTransport as TLSTransportDefinition } from "../../types/Node/tls-transport";
+
+import { TCPTransport } from "./TCPTransport";
+
+/**
+ * @class TLS transport for Node.js. The tlsOptions configuration parameter is passed
+ * to tls.connect() so certificates and verification can be customized.
+ * @param {Logger} logger
+ * @param {Object} options
+ */
+export class TLSTransport extends TCPTransport implements TLSTransportDefinition {
+  public static readonly protocol: string = "tls";
+
+  constructor(logger: Logger, options: any = {}) {
+    super(logger, options, TLSTransport.protocol);
+  }
+
+  protected createSocket(onConnect: () => void): net.Socket {
+    const options: tls.ConnectionOptions = Object.assign({
+      host: this.server.host,
+      port: this.server.port,
+      localAddress: this.configuration.localAddress,
+      servername: net.isIP(this.server.host) ? undefined : this.server.host
+    }, this.configuration.tlsOptions);
+
+    return tls.connect(options, onConnect);
+  }
+}
@@ -0,0 +1,564 @@
+import { Logger } from "../../types/logger-factory";
+import { Transport as TransportDefinition } from "../../types/Node/transport";
+import { OutgoingRequest } from "../../types/sip-message";
+
+import { TypeStrings } from "../Enums";
+import { Exceptions } from "../Exceptions";
+import { Grammar } from "../Grammar";
+import { Transport as TransportBase } from "../Transport";
+import { Utils } from "../Utils";
+import { TransportStatus } from "../Web/Transport";
+
+/**
+ * @class Parent class of the Node.js transports (UDP, TCP and TLS).
+ * Handles configuration, status, keep-alives and reconnection. The child classes
+ * only deal with their socket.
+ * @param {Logger} logger
+ * @param {Object} options
+ * @param {String} protocol transport protocol used in Via and Route headers
+ */
+export abstract class Transport extends TransportBase implements TransportDefinition {
+  public static readonly C = TransportStatus;
+  public type: TypeStrings;
+  public server: any;
+  public localAddress: string | undefined;
+  public localPort: number | undefined;
+
+  protected configuration: any;
+  protected status: TransportStatus;
+
+  private protocol: string;
+
+  private connectionPromise: Promise<any> | undefined;
+  private connectionTimeout: any | undefined;
+
+  private disconnectionPromise: Promise<any> | undefined;
+
+  private reconnectionAttempts: number;
+  private reconnectTimer: any | undefined;
+
+  private keepAliveInterval: any | undefined;
+  private keepAliveIntervalSeconds: number;
+  private keepAliveDebounceTimeout: any | undefined;
+
+  constructor(logger: Logger, options: any = {}, protocol: string) {
+    super(logger, options);
+    this.type = TypeStrings.Transport;
+
+    this.protocol = protocol;
+    this.reconnectionAttempts = 0;
+    this.status = TransportStatus.STATUS_CLOSED;
+    this.configuration = {};
+    this.loadConfig(options);
+    this.keepAliveIntervalSeconds = this.configuration.keepAliveInterval;
+
+    this.server = {
+      scheme: protocol.toUpperCase(),
+      sipUri: "<sip:" + this.configuration.server.host + ":" + this.configuration.server.port +
+        ";transport=" + protocol + ";lr>",
+      host: this.configuration.server.host,
+      port: this.configuration.server.port
+    };
+  }
+
+  /**
+   * @returns {Boolean}
+   */
+  public isConnected(): boolean {
+    return this.status === TransportStatus.STATUS_OPEN;
+  }
+
+  /**
+   * Change the interval between keep-alives, e.g. to honor the Flow-Timer of a registrar (RFC 5626 4.4.1).
+   * @param {Number} interval in seconds, 0 stops the keep-alives
+   */
+  public setKeepAliveInterval(interval: number): void {
+    this.keepAliveIntervalSeconds = interval;
+    this.stopSendingKeepAlives();
+    if (this.isConnected()) {
+      this.startSendingKeepAlives();
+    }
+  }
+
+  /**
+   * Open the socket. Resolves once it is ready to send messages.
+   * @returns {Promise}
+   */
+  protected abstract openSocket(): Promise<void>;
+
+  /**
+   * Close the socket. Resolves once it is closed.
+   * @returns {Promise}
+   */
+  protected abstract closeSocket(): Promise<void>;
+
+  /**
+   * Write a message to the socket.
+   * @param {String} message
+   * @returns {Promise}
+   */
+  protected abstract write(message: string): Promise<void>;
+
+  /**
+   * Connect socket.
+   */
+  protected connectPromise(options: any = {}): Promise<any> {
+    if (this.status === TransportStatus.STATUS_CLOSING && !options.force) {
+      return Promise.reject(this.protocol.toUpperCase() + " transport " + this.server.host + " is closing");
+    }
+    if (this.connectionPromise) {
+      return this.connectionPromise;
+    }
+    if (this.status === TransportStatus.STATUS_OPEN && !options.force) {
+      this.logger.warn(this.protocol.toUpperCase() + " transport " + this.server.host + " is already connected");
+      return Promise.reject("Failed status check - attempted to open a connection but already open");
+    }
+
+    this.status = TransportStatus.STATUS_CONNECTING;
+    this.emit("connecting");
+    this.logger.log("connecting to " + this.protocol.toUpperCase() + " " +
+      this.server.host + ":" + this.server.port);
+
+    this.connectionPromise = new Promise((resolve, reject) => {
+      this.connectionTimeout = setTimeout(() => {
+        this.connectionTimeout = undefined;
+        this.logger.warn("took too long to connect - exceeded time set in configuration.connectionTimeout: " +
+          this.configuration.connectionTimeout + "s");
+        this.status = TransportStatus.STATUS_CLOSED;
+        this.closeSocket().catch(() => undefined);
+        this.emit("disconnected");
+        reject("Connection timeout");
+      }, this.configuration.connectionTimeout * 1000);
+
+      this.openSocket().then(() => {
+        if (this.connectionTimeout === undefined) {
+          // The connection timed out already
+          return;
+        }
+        clearTimeout(this.connectionTimeout);
+        this.connectionTimeout = undefined;
+
+        this.status = TransportStatus.STATUS_OPEN;
+        this.reconnectionAttempts = 0;
+        this.disconnectionPromise = undefined;
+        this.logger.log(this.protocol.toUpperCase() + " " + this.server.host + ":" + this.server.port +
+          " connected from " + this.localAddress + ":" + this.localPort);
+        this.startSendingKeepAlives();
+        resolve({});
+      }).catch((e: any) => {
+        if (this.connectionTimeout) {
+          clearTimeout(this.connectionTimeout);
+          this.connectionTimeout = undefined;
+        }
+        this.status = TransportStatus.STATUS_CLOSED;
+        this.onError("error connecting to " + this.server.host + ":" + this.server.port + ": " + e);
+        reject("Failed to open a " + this.protocol.toUpperCase() + " socket");
+      });
+    }).then((data: any) => {
+      this.connectionPromise = undefined;
+      return data;
+    }, (e: any) => {
+      this.connectionPromise = undefined;
+      if (!options.noReconnect) {
+        this.reconnect();
+      }
+      throw e;
+    });
+
+    return this.connectionPromise;
+  }
+
+  /**
+   * Send a message.
+   * @param {SIP.OutgoingRequest|String} msg
+   * @param {Object} [options]
+   * @returns {Promise}
+   */
+  protected sendPromise(msg: OutgoingRequest | string, options: any = {}): Promise<{msg: string}> {
+    if (this.status !== TransportStatus.STATUS_OPEN && !options.force) {
+      this.onError("unable to send message - " + this.protocol.toUpperCase() + " socket not open");
+      return Promise.reject();
+    }
+
+    const message: string = msg.toString();
+
+    if (this.configuration.traceSip === true) {
+      this.logger.log("sending " + this.protocol.toUpperCase() + " message:\n\n" + message + "\n");
+    }
+
+    return this.write(message).then(() => ({msg: message}), (e: any) => {
+      this.onError("unable to send message - " + e);
+      throw e;
+    });
+  }
+
+  /**
+   * Disconnect socket.
+   */
+  protected disconnectPromise(options: any = {}): Promise<any> {
+    if (this.disconnectionPromise) { // Already disconnecting. Just return this.
+      return this.disconnectionPromise;
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+
+    if (this.status === TransportStatus.STATUS_CLOSED) {
+      return Promise.resolve({overrideEvent: true});
+    }
+    if (this.status !== TransportStatus.STATUS_OPEN && !options.force) {
+      return Promise.reject("The " + this.protocol.toUpperCase() + " socket did not disconnect");
+    }
+
+    this.status = TransportStatus.STATUS_CLOSING;
+    this.emit("disconnecting");
+    this.stopSendingKeepAlives();
+    this.logger.log("closing " + this.protocol.toUpperCase() + " socket " +
+      this.server.host + ":" + this.server.port);
+
+    this.disconnectionPromise = this.closeSocket().then(() => {
+      this.status = TransportStatus.STATUS_CLOSED;
+      return {};
+    });
+
+    return this.disconnectionPromise;
+  }
+
+  /**
+   * To be called by the child class with each complete message received.
+   * @param {String} data
+   */
+  protected onMessage(data: string): void {
+    if (/^(\r\n)+$/.test(data)) {
+      this.clearKeepAliveTimeout();
+      if (this.configuration.traceSip === true) {
+        this.logger.log("received " + this.protocol.toUpperCase() + " message with CRLF Keep Alive response");
+      }
+      return;
+    } else if (!data) {
+      this.logger.warn("received empty message, message discarded");
+      return;
+    }
+
+    if (this.configuration.traceSip === true) {
+      this.logger.log("received " + this.protocol.toUpperCase() + " message:\n\n" + data + "\n");
+    }
+
+    this.emit("message", data);
+  }
+
+  /**
+   * To be called by the child class when the socket closed.
+   */
+  protected onSocketClose(): void {
+    this.stopSendingKeepAlives();
+
+    if (this.status === TransportStatus.STATUS_CLOSING || this.status === TransportStatus.STATUS_CLOSED ||
+        this.status === TransportStatus.STATUS_CONNECTING) {
+      return;
+    }
+
+    this.logger.warn(this.protocol.toUpperCase() + " socket closed without SIP.js requesting it");
+    this.status = TransportStatus.STATUS_CLOSED;
+    this.emit("transportError");
+    this.emit("disconnected");
+    this.reconnect();
+  }
+
+  /**
+   * @event
+   * @param {string} e
+   */
+  protected onError(e: any): void {
+    this.logger.warn("Transport error: " + e);
+    this.emit("transportError");
+  }
+
+  /**
+   * Reconnection attempt logic.
+   */
+  private reconnect(): void {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectionAttempts += 1;
+
+    if (this.reconnectionAttempts > this.configuration.maxReconnectionAttempts) {
+      this.logger.warn("maximum reconnection attempts for " + this.server.host + ":" + this.server.port +
+        " - going to closed state");
+      this.reconnectionAttempts = 0;
+      this.status = TransportStatus.STATUS_CLOSED;
+      this.emit("closed");
+      return;
+    }
+
+    this.logger.log("trying to reconnect to " + this.server.host + ":" + this.server.port +
+      " (reconnection attempt " + this.reconnectionAttempts + ")");
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.connect().catch(() => undefined);
+    }, (this.reconnectionAttempts === 1) ? 0 : this.configuration.reconnectionTimeout * 1000);
+  }
+
+  // ==============================
+  // KeepAlive Stuff
+  // ==============================
+
+  /**
+   * Start sending double-CRLF keep-alives (RFC 5626 4.4.1).
+   */
+  private startSendingKeepAlives(): void {
+    if (this.keepAliveIntervalSeconds && !this.keepAliveInterval) {
+      this.keepAliveInterval = setInterval(() => {
+        this.sendKeepAlive();
+      }, this.keepAliveIntervalSeconds * 1000);
+    }
+  }
+
+  /**
+   * Send a keep-alive, the flow failed if a connection-oriented one gets no response in time.
+   * UDP servers answer STUN keep-alives only (RFC 5626 4.4.2), not the double-CRLF.
+   */
+  private sendKeepAlive(): void {
+    if (this.keepAliveDebounceTimeout) {
+      // We already have an outstanding keep alive, do not send another.
+      return;
+    }
+
+    if (this.protocol !== "udp") {
+      this.keepAliveDebounceTimeout = setTimeout(() => {
+        this.emit("keepAliveDebounceTimeout");
+        this.clearKeepAliveTimeout();
+      }, this.configuration.keepAliveDebounce * 1000);
+    }
+
+    this.send("\r\n\r\n").catch(() => undefined);
+  }
+
+  private clearKeepAliveTimeout(): void {
+    if (this.keepAliveDebounceTimeout) {
+      clearTimeout(this.keepAliveDebounceTimeout);
+    }
+    this.keepAliveDebounceTimeout = undefined;
+  }
+
+  /**
+   * Stop sending keep-alives.
+   */
+  private stopSendingKeepAlives(): void {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+    }
+    this.keepAliveInterval = undefined;
+    this.clearKeepAliveTimeout();
+  }
+
+  // ==============================
+  // Configuration Handling
+  // ==============================
+
+  /**
+   * Configuration load.
+   * returns {Boolean}
+   */
+  private loadConfig(configuration: any): void {
+    const settings: {[name: string]: any} = {
+      localAddress: undefined,
+      localPort: 0,
+
+      connectionTimeout: 5,
+
+      maxReconnectionAttempts: 3,
+      reconnectionTimeout: 4,
+
+      keepAliveInterval: 0,
+      keepAliveDebounce: 10,
+
+      // Options passed to tls.connect()
+      tlsOptions: {},
+
+      // Logging
+      traceSip: false
+    };
+
+    const configCheck: {mandatory: {[name: string]: any}, optional: {[name: string]: any}} =
+      this.getConfigurationCheck();
+
+    // Check Mandatory parameters
+    for (const parameter in configCheck.mandatory) {
+      if (!configuration.hasOwnProperty(parameter)) {
+        throw new Exceptions.ConfigurationError(parameter);
+      } else {
+        const value: any = configuration[parameter];
+        const checkedValue: any = configCheck.mandatory[parameter](value);
+        if (checkedValue !== undefined) {
+          settings[parameter] = checkedValue;
+        } else {
+          throw new Exceptions.ConfigurationError(parameter, value);
+        }
+      }
+    }
+
+    // Check Optional parameters
+    for (const parameter in configCheck.optional) {
+      if (configuration.hasOwnProperty(parameter)) {
+        const value = configuration[parameter];
+
+        // If the parameter value is null, empty string, or undefined then apply its default value.
+        // If it's a number with NaN value then also apply its default value.
+        if ((value === null || value === "" || value === undefined) ||
+            (typeof(value) === "number" && isNaN(value))) { continue; }
+
+        const checkedValue: any = configCheck.optional[parameter](value);
+        if (checkedValue !== undefined) {
+          settings[parameter] = checkedValue;
+        } else {
+          throw new Exceptions.ConfigurationError(parameter, value);
+        }
+      }
+    }
+
+    const skeleton: any = {}; // Fill the value of the configuration_skeleton
+    for (const parameter in settings) {
+      if (settings.hasOwnProperty(parameter)) {
+        skeleton[parameter] = {
+          value: settings[parameter],
+        };
+      }
+    }
+
+    Object.defineProperties(this.configuration, skeleton);
+
+    this.logger.log("configuration parameters after validation:");
+    for (const parameter in settings) {
+      if (settings.hasOwnProperty(parameter)) {
+        this.logger.log("· " + parameter + ": " +
+          (parameter === "tlsOptions" ? "NOT SHOWN" : JSON.stringify(settings[parameter])));
+      }
+    }
+
+    return;
+  }
+
+  /**
+   * Configuration checker.
+   * @return {Boolean}
+   */
+  private getConfigurationCheck(): {mandatory: {[name: string]: any}, optional: {[name: string]: any}} {
+    return {
+      mandatory: {
+        /* Allow defining the server parameter as:
+         *  String: "pbx.example.com", "pbx.example.com:5080" or "sip:pbx.example.com:5080"
+         *  Object: {host: "pbx.example.com", port: 5080}
+         */
+        server: (server: any): any => {
+          let host: string | undefined;
+          let port: number | undefined;
+
+          if (typeof server === "string") {
+            const uri: any = Grammar.URIParse(/^sips?:/i.test(server) ? server : "sip:" + server);
+            if (!uri) {
+              return;
+            }
+            host = uri.host;
+            port = uri.port;
+          } else if (server && typeof server === "object") {
+            if (typeof server.host !== "string" || Grammar.parse(server.host, "host") === -1) {
+              return;
+            }
+            host = server.host;
+            port = server.port;
+          } else {
+            return;
+          }
+
+          if (port !== undefined && !(Utils.isDecimal(String(port)) && port > 0 && port < 65536)) {
+            return;
+          }
+
+          return {
+            host,
+            port: port ? Number(port) : (this.protocol === "tls" ? 5061 : 5060)
+          };
+        }
+      },
+
+      optional: {
+        localAddress: (localAddress: string): string | undefined => {
+          if (typeof localAddress === "string" && Grammar.parse(localAddress, "host") !== -1) {
+            return localAddress;
+          }
+        },
+
+        localPort: (localPort: string): number | undefined => {
+          if (Utils.isDecimal(localPort)) {
+            const value: number = Number(localPort);
+            if (value >= 0 && value < 65536) {
+              return value;
+            }
+          }
+        },
+
+        keepAliveInterval: (keepAliveInterval: string): number | undefined => {
+          if (Utils.isDecimal(keepAliveInterval)) {
+            const value: number = Number(keepAliveInterval);
+            if (value > 0) {
+              return value;
+            }
+          }
+        },
+
+        keepAliveDebounce: (keepAliveDebounce: string): number | undefined => {
+          if (Utils.isDecimal(keepAliveDebounce)) {
+            const value = Number(keepAliveDebounce);
+            if (value > 0) {
+              return value;
+            }
+          }
+        },
+
+        traceSip: (traceSip: boolean): boolean | undefined => {
+          if (typeof traceSip === "boolean") {
+            return traceSip;
+          }
+        },
+
+        tlsOptions: (tlsOptions: any): any | undefined => {
+          if (typeof tlsOptions === "object") {
+            return tlsOptions;
+          }
+        },
+
+        connectionTimeout: (connectionTimeout: string): number | undefined => {
+          if (Utils.isDecimal(connectionTimeout)) {
+            const value = Number(connectionTimeout);
+            if (value > 0) {
+              return value;
+            }
+          }
+        },
+
+        maxReconnectionAttempts: (maxReconnectionAttempts: string): number | undefined => {
+          if (Utils.isDecimal(maxReconnectionAttempts)) {
+            const value: number = Number(maxReconnectionAttempts);
+            if (value >= 0) {
+              return value;
+            }
+          }
+        },
+
+        reconnectionTimeout: (reconnectionTimeout: string): number | undefined => {
+          if (Utils.isDecimal(reconnectionTimeout)) {
+            const value: number = Number(reconnectionTimeout);
+            if (value > 0) {
+              return value;
+            }
+          }
+        }
+      }
+    };
+  }
+}
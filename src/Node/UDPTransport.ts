@@ -0,0 +1,112 @@
+import * as dgram from "dgram";
+import * as net from "net";
+
+import { Logger } from "../../types/logger-factory";
+import { UDPTransport as UDPTransportDefinition } from "../../types/Node/udp-transport";
+
+import { Transport } from "./Transport";
+
+/**
+ * RFC 3261 18.1.1: requests within 200 bytes of the path MTU (or larger than 1300 bytes
+ * if the MTU is unknown) should be sent over a congestion controlled transport.
+ */
+const MAX_UDP_MESSAGE_SIZE: number = 1300;
+
+/**
+ * @param {String} address
+ * @returns {Boolean} true for the IPv4 and IPv6 wildcard addresses
+ */
+const isUnspecifiedAddress = (address: string): boolean => address === "0.0.0.0" || address === "::";
+
+/**
+ * @class UDP transport for Node.js. Every message is sent to the configured server.
+ * @param {Logger} logger
+ * @param {Object} options
+ */
+export class UDPTransport extends Transport implements UDPTransportDefinition {
+  public static readonly protocol: string = "udp";
+  public socket: dgram.Socket | undefined;
+  // Socket still binding, closed if the connection times out before it is bound
+  private pendingSocket: dgram.Socket | undefined;
+
+  constructor(logger: Logger, options: any = {}) {
+    super(logger, options, UDPTransport.protocol);
+  }
+
+  protected openSocket(): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+      const socket: dgram.Socket = dgram.createSocket(net.isIPv6(this.server.host) ? "udp6" : "udp4");
+
+      const onBindError: (e: Error) => void = (e: Error) => {
+        this.pendingSocket = undefined;
+        socket.removeAllListeners();
+        socket.close();
+        reject(e);
+      };
+      socket.once("error", onBindError);
+      this.pendingSocket = socket;
+
+      socket.bind(this.configuration.localPort, this.configuration.localAddress, () => {
+        this.pendingSocket = undefined;
+        socket.removeListener("error", onBindError);
+        socket.on("error", (e: Error) => this.onError("UDP socket error: " + e.message));
+        socket.on("message", (msg: Buffer, rinfo: dgram.RemoteInfo) => this.onDatagram(msg, rinfo));
+        socket.on("close", () => {
+          this.socket = undefined;
+          this.onSocketClose();
+        });
+
+        const address: {address: string, port: number} = socket.address() as {address: string, port: number};
+        // Bound to every interface, the address the server sees is not known
+        this.localAddress = isUnspecifiedAddress(address.address) ? undefined : address.address;
+        this.localPort = address.port;
+        this.socket = socket;
+        resolve();
+      });
+    });
+  }
+
+  protected closeSocket(): Promise<void> {
+    if (this.pendingSocket) {
+      this.pendingSocket.removeAllListeners();
+      this.pendingSocket.close();
+      this.pendingSocket = undefined;
+    }
+    const socket: dgram.Socket | undefined = this.socket;
+    if (!socket) {
+      return Promise.resolve();
+    }
+    return new Promise<void>((resolve) => {
+      socket.close(() => resolve());
+    });
+  }
+
+  protected write(message: string): Promise<void> {
+    const socket: dgram.Socket | undefined = this.socket;
+    if (!socket) {
+      return Promise.reject("UDP socket does not exist");
+    }
+
+    const data: Buffer = Buffer.from(message, "utf8");
+    if (data.length > MAX_UDP_MESSAGE_SIZE) {
+      this.logger.warn("sending a " + data.length + " bytes message over UDP, it may be fragmented");
+    }
+
+    return new Promise<void>((resolve, reject) => {
+      socket.send(data, 0, data.length, this.server.port, this.server.host, (e: Error | null) => {
+        if (e) {
+          reject(e.message);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  private onDatagram(msg: Buffer, rinfo: dgram.RemoteInfo): void {
+    if (this.configuration.traceSip === true) {
+      this.logger.log("received UDP datagram from " + rinfo.address + ":" + rinfo.port);
+    }
+    this.onMessage(msg.toString("utf8"));
+  }
+}
@@ -0,0 +1,5 @@
+export { StreamParser } from "./StreamParser";
+export { TCPTransport } from "./TCPTransport";
+export { TLSTransport } from "./TLSTransport";
+export { Transport } from "./Transport";
+export { UDPTransport } from "./UDPTransport";
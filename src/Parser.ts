@@ -170,6 +170,11 @@ export namespace Parser {
           message.referTo = parsed;
         }
         break;
+      case "x":
+        // Compact form of Session-Expires (RFC 4028)
+        message.setHeader("session-expires", headerValue);
+        parsed = 0;
+        break;
       default:
         // Do not parse this header.
         message.setHeader(headerName, headerValue);
@@ -0,0 +1,250 @@
+import { Presence as PresenceDefinition } from "../types/presence";
+import { PublishContext } from "../types/publish-context";
+import { IncomingRequest } from "../types/sip-message";
+import { Notification, Subscription } from "../types/subscription";
+import { UA } from "../types/ua";
+import { URI } from "../types/uri";
+import { XML as XMLDefinition } from "../types/xml";
+
+import { XML } from "./XML";
+
+/**
+ * Presence (PIDF RFC 3863, data model RFC 4479, RPID RFC 4480) and watcher information (RFC 3857, RFC 3858)
+ */
+export namespace Presence {
+  export const PIDF_NAMESPACE: string = "urn:ietf:params:xml:ns:pidf";
+  export const DATA_MODEL_NAMESPACE: string = "urn:ietf:params:xml:ns:pidf:data-model";
+  export const RPID_NAMESPACE: string = "urn:ietf:params:xml:ns:pidf:rpid";
+  export const WATCHERINFO_NAMESPACE: string = "urn:ietf:params:xml:ns:watcherinfo";
+  export const PIDF_CONTENT_TYPE: string = "application/pidf+xml";
+  export const WATCHERINFO_CONTENT_TYPE: string = "application/watcherinfo+xml";
+
+  /**
+   * Build a PIDF document
+   * @param {Presence.Document} document
+   * @returns {String} application/pidf+xml body
+   */
+  export function build(document: PresenceDefinition.Document): string {
+    let body: string = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\r\n" +
+      "<presence xmlns=\"" + PIDF_NAMESPACE + "\"" +
+      " xmlns:dm=\"" + DATA_MODEL_NAMESPACE + "\"" +
+      " xmlns:rpid=\"" + RPID_NAMESPACE + "\"" +
+      " entity=\"" + XML.escape(document.entity) + "\">\r\n";
+
+    for (const tuple of document.tuples || []) {
+      body += "  <tuple id=\"" + XML.escape(tuple.id) + "\">\r\n";
+      body += "    <status>" + (tuple.basic ? "<basic>" + tuple.basic + "</basic>" : "") + "</status>\r\n";
+      if (tuple.contact) {
+        body += "    <contact" + (tuple.priority !== undefined ? " priority=\"" + tuple.priority + "\"" : "") + ">" +
+          XML.escape(tuple.contact) + "</contact>\r\n";
+      }
+      body += buildNotes(tuple.notes, "note", "    ");
+      if (tuple.timestamp) {
+        body += "    <timestamp>" + XML.escape(tuple.timestamp) + "</timestamp>\r\n";
+      }
+      body += "  </tuple>\r\n";
+    }
+
+    for (const person of document.persons || []) {
+      body += "  <dm:person id=\"" + XML.escape(person.id) + "\">\r\n";
+      body += buildValues(person.activities, "activities");
+      body += buildValues(person.mood, "mood");
+      body += buildValues(person.placeType, "place-type");
+      if (person.sphere) {
+        body += "    <rpid:sphere>" + XML.escape(person.sphere) + "</rpid:sphere>\r\n";
+      }
+      if (person.userInput) {
+        body += "    <rpid:user-input>" + person.userInput + "</rpid:user-input>\r\n";
+      }
+      body += buildNotes(person.notes, "dm:note", "    ");
+      if (person.timestamp) {
+        body += "    <dm:timestamp>" + XML.escape(person.timestamp) + "</dm:timestamp>\r\n";
+      }
+      body += "  </dm:person>\r\n";
+    }
+
+    body += buildNotes(document.notes, "note", "  ");
+    body += "</presence>\r\n";
+
+    return body;
+  }
+
+  /**
+   * Parse a PIDF document
+   * @param {String} body application/pidf+xml body
+   * @returns {Presence.Document}
+   * @throws {Error} if the body is not a PIDF document
+   */
+  export function parse(body: string): PresenceDefinition.Document {
+    const presence: XMLDefinition.Element = XML.parse(body);
+    if (presence.localName !== "presence" || presence.namespace !== PIDF_NAMESPACE) {
+      throw new Error("not a PIDF document");
+    }
+
+    return {
+      entity: presence.attributes.entity,
+      tuples: XML.children(presence, "tuple", PIDF_NAMESPACE).map((tuple: XMLDefinition.Element) => {
+        const status: XMLDefinition.Element | undefined = XML.child(tuple, "status", PIDF_NAMESPACE);
+        const basic: XMLDefinition.Element | undefined = status && XML.child(status, "basic", PIDF_NAMESPACE);
+        const contact: XMLDefinition.Element | undefined = XML.child(tuple, "contact", PIDF_NAMESPACE);
+        const timestamp: XMLDefinition.Element | undefined = XML.child(tuple, "timestamp", PIDF_NAMESPACE);
+
+        return {
+          id: tuple.attributes.id,
+          basic: basic && (basic.text === "open" || basic.text === "closed") ?
+            basic.text as "open" | "closed" : undefined,
+          contact: contact && contact.text,
+          priority: contact && contact.attributes.priority !== undefined ?
+            Number(contact.attributes.priority) : undefined,
+          notes: parseNotes(tuple, PIDF_NAMESPACE),
+          timestamp: timestamp && timestamp.text
+        };
+      }),
+      persons: XML.children(presence, "person", DATA_MODEL_NAMESPACE).map((person: XMLDefinition.Element) => {
+        const sphere: XMLDefinition.Element | undefined = XML.child(person, "sphere", RPID_NAMESPACE);
+        const userInput: XMLDefinition.Element | undefined = XML.child(person, "user-input", RPID_NAMESPACE);
+        const timestamp: XMLDefinition.Element | undefined = XML.child(person, "timestamp", DATA_MODEL_NAMESPACE);
+
+        return {
+          id: person.attributes.id,
+          activities: parseValues(person, "activities"),
+          mood: parseValues(person, "mood"),
+          placeType: parseValues(person, "place-type"),
+          // The sphere is either a value element or free text
+          sphere: sphere && (sphere.children.length ? sphere.children[0].localName : sphere.text),
+          userInput: userInput && (userInput.text === "active" || userInput.text === "idle") ?
+            userInput.text as "active" | "idle" : undefined,
+          notes: parseNotes(person, DATA_MODEL_NAMESPACE),
+          timestamp: timestamp && timestamp.text
+        };
+      }),
+      notes: parseNotes(presence, PIDF_NAMESPACE)
+    };
+  }
+
+  /**
+   * Parse a watcher information document
+   * @param {String} body application/watcherinfo+xml body
+   * @returns {Presence.WatcherInfo}
+   * @throws {Error} if the body is not a watcherinfo document
+   */
+  export function parseWatcherInfo(body: string): PresenceDefinition.WatcherInfo {
+    const watcherinfo: XMLDefinition.Element = XML.parse(body);
+    if (watcherinfo.localName !== "watcherinfo" || watcherinfo.namespace !== WATCHERINFO_NAMESPACE) {
+      throw new Error("not a watcherinfo document");
+    }
+
+    return {
+      version: Number(watcherinfo.attributes.version),
+      state: watcherinfo.attributes.state === "partial" ? "partial" : "full",
+      watcherLists: XML.children(watcherinfo, "watcher-list", WATCHERINFO_NAMESPACE)
+        .map((watcherList: XMLDefinition.Element) => ({
+          resource: watcherList.attributes.resource,
+          package: watcherList.attributes.package,
+          watchers: XML.children(watcherList, "watcher", WATCHERINFO_NAMESPACE).map(parseWatcher)
+        }))
+    };
+  }
+
+  /**
+   * Publish presence (RFC 3903)
+   * @param {SIP.UA} ua
+   * @param {Presence.Document} document
+   * @param {Object} [options] PublishContext options
+   * @param {String|SIP.URI} [options.target] presentity, the UA URI by default
+   * @returns {SIP.PublishContext} call publish(Presence.build(document)) on it to update the presence
+   */
+  export function publish(ua: UA, document: PresenceDefinition.Document, options: any = {}): PublishContext {
+    const target: string | URI = options.target || (ua.configuration.uri as URI);
+    return ua.publish(target, "presence", build(document), {...options, contentType: PIDF_CONTENT_TYPE});
+  }
+
+  /**
+   * Subscribe to the presence of a presentity (RFC 3856)
+   * @param {SIP.UA} ua
+   * @param {String|SIP.URI} target
+   * @param {Object} [options] Subscription options
+   * @returns {SIP.Subscription} emitting "presence" with the parsed document of each NOTIFY
+   */
+  export function subscribe(ua: UA, target: string | URI, options: any = {}): Subscription {
+    const subscription: Subscription = ua.subscribe(target, "presence", withAccept(options, PIDF_CONTENT_TYPE));
+    emitParsedNotify(ua, subscription, "presence", parse);
+    return subscription;
+  }
+
+  /**
+   * Subscribe to the watchers of a presentity (RFC 3857)
+   * @param {SIP.UA} ua
+   * @param {String|SIP.URI} [target] the UA URI by default
+   * @param {Object} [options] Subscription options
+   * @returns {SIP.Subscription} emitting "watcherInfo" with the parsed document of each NOTIFY
+   */
+  export function subscribeWatcherInfo(ua: UA, target?: string | URI, options: any = {}): Subscription {
+    const subscription: Subscription = ua.subscribe(target || (ua.configuration.uri as URI), "presence.winfo",
+      withAccept(options, WATCHERINFO_CONTENT_TYPE));
+    emitParsedNotify(ua, subscription, "watcherInfo", parseWatcherInfo);
+    return subscription;
+  }
+
+  function withAccept(options: any, contentType: string): any {
+    return {...options, extraHeaders: (options.extraHeaders || []).concat("Accept: " + contentType)};
+  }
+
+  function emitParsedNotify(ua: UA, subscription: Subscription, event: string, parser: (body: string) => any): void {
+    subscription.on("notify", (notification: Notification) => {
+      const request: IncomingRequest = notification.request;
+      if (!request.body) {
+        return;
+      }
+      try {
+        subscription.emit(event, parser(request.body), notification);
+      } catch (e) {
+        ua.getLogger("sip.presence").warn("unable to parse the " + event + " NOTIFY body: " + e.message);
+      }
+    });
+  }
+
+  function buildNotes(notes: Array<string> | undefined, tag: string, indent: string): string {
+    return (notes || []).map((note: string) =>
+      indent + "<" + tag + ">" + XML.escape(note) + "</" + tag + ">\r\n").join("");
+  }
+
+  // RPID values are empty elements, rpid:other carries free text
+  function buildValues(values: Array<string> | undefined, tag: string): string {
+    if (!values || !values.length) {
+      return "";
+    }
+    return "    <rpid:" + tag + ">" + values.map((value: string) =>
+      /^[a-z][a-z0-9\-]*$/.test(value) ? "<rpid:" + value + "/>" : "<rpid:other>" + XML.escape(value) + "</rpid:other>"
+    ).join("") + "</rpid:" + tag + ">\r\n";
+  }
+
+  function parseValues(person: XMLDefinition.Element, tag: string): Array<string> {
+    const element: XMLDefinition.Element | undefined = XML.child(person, tag, RPID_NAMESPACE);
+    if (!element) {
+      return [];
+    }
+    return element.children
+      .filter((value: XMLDefinition.Element) => value.localName !== "note")
+      .map((value: XMLDefinition.Element) => value.localName === "other" ? value.text : value.localName);
+  }
+
+  function parseWatcher(watcher: XMLDefinition.Element): PresenceDefinition.Watcher {
+    const durationSubscribed: string | undefined = watcher.attributes["duration-subscribed"];
+    const expiration: string | undefined = watcher.attributes.expiration;
+
+    return {
+      id: watcher.attributes.id,
+      status: watcher.attributes.status as PresenceDefinition.WatcherStatus,
+      event: watcher.attributes.event,
+      uri: watcher.text,
+      displayName: watcher.attributes["display-name"],
+      durationSubscribed: durationSubscribed !== undefined ? Number(durationSubscribed) : undefined,
+      expiration: expiration !== undefined ? Number(expiration) : undefined
+    };
+  }
+
+  function parseNotes(element: XMLDefinition.Element, namespace: string): Array<string> {
+    return XML.children(element, "note", namespace).map((note: XMLDefinition.Element) => note.text);
+  }
+}
@@ -0,0 +1,107 @@
+import { NameAddrHeader } from "../types/name-addr-header";
+import { Privacy as PrivacyDefinition } from "../types/privacy";
+import { IncomingRequest, IncomingResponse } from "../types/sip-message";
+
+import { Grammar } from "./Grammar";
+
+/**
+ * Caller-ID privacy (RFC 3323) and network asserted identity (RFC 3325)
+ */
+export namespace Privacy {
+  /**
+   * Parse the privacy of a message: its Privacy and P-Asserted-Identity headers
+   * @param {SIP.IncomingRequest|SIP.IncomingResponse} message
+   * @returns {Privacy.Model}
+   */
+  export function parse(message: IncomingRequest | IncomingResponse): PrivacyDefinition.Model {
+    const values: Array<PrivacyDefinition.Value> = [];
+    for (const header of message.hasHeader("privacy") ? message.getHeaders("privacy") : []) {
+      const parsed: Array<string> | -1 = Grammar.parse(header, "Privacy");
+      if (parsed !== -1) {
+        values.push(...parsed.filter((value: string) => values.indexOf(value) === -1));
+      }
+    }
+    const from: any = message.from;
+    const anonymousFrom: boolean = !!from && from.uri && /^anonymous\.invalid$/i.test(from.uri.host);
+
+    return {
+      values,
+      anonymous: anonymousFrom || ["id", "user", "header"].some((value: string) => values.indexOf(value) !== -1),
+      assertedIdentities: message.hasHeader("p-asserted-identity") ?
+        parseIdentities(message.getHeaders("p-asserted-identity")) : []
+    };
+  }
+
+  /**
+   * Parse P-Asserted-Identity or P-Preferred-Identity values, the invalid ones are ignored
+   * @param {Array<String>} headers e.g. message.getHeaders("p-asserted-identity")
+   * @returns {Array<Privacy.Identity>}
+   */
+  export function parseIdentities(headers: Array<string>): Array<PrivacyDefinition.Identity> {
+    const identities: Array<PrivacyDefinition.Identity> = [];
+    for (const header of headers) {
+      const parsed: Array<{displayName?: string, uri: string}> | -1 = Grammar.parse(header, "P_Asserted_Identity");
+      if (parsed === -1) {
+        continue;
+      }
+      for (const identity of parsed) {
+        const scheme: string = identity.uri.slice(0, identity.uri.indexOf(":")).toLowerCase();
+        if (scheme === "tel" ? Grammar.parse(identity.uri, "tel_URI") !== -1 : Grammar.URIParse(identity.uri)) {
+          identities.push({displayName: identity.displayName, uri: identity.uri, scheme});
+        }
+      }
+    }
+    return identities;
+  }
+
+  /**
+   * The asserted identity of a message, the one with a sip or sips URI if there is also one with a tel URI
+   * @param {SIP.IncomingRequest|SIP.IncomingResponse} message
+   * @returns {SIP.NameAddrHeader|undefined}
+   */
+  export function assertedIdentity(message: IncomingRequest | IncomingResponse): NameAddrHeader | undefined {
+    const identities: Array<PrivacyDefinition.Identity> = parseIdentities(message.getHeaders("p-asserted-identity"));
+    const identity: PrivacyDefinition.Identity | undefined =
+      identities.filter((asserted: PrivacyDefinition.Identity) => asserted.scheme !== "tel")[0] || identities[0];
+    if (identity) {
+      return Grammar.nameAddrHeaderParse(
+        (identity.displayName ? '"' + identity.displayName + '" ' : "") + "<" + identity.uri + ">");
+    }
+  }
+
+  /**
+   * Build the Privacy and P-Preferred-Identity headers of a request
+   * @param {Privacy.Options} options
+   * @returns {Array<String>} extra headers
+   * @throws {TypeError} if "none" comes with other values or the preferred identities are invalid (RFC 3325 9.2)
+   */
+  export function buildHeaders(options: PrivacyDefinition.Options): Array<string> {
+    const extraHeaders: Array<string> = [];
+    const privacy: Array<PrivacyDefinition.Value> = (options.privacy || []).map((value: string) => value.toLowerCase());
+    const preferredIdentities: Array<string> = ([] as Array<string>).concat(options.preferredIdentity || []);
+
+    if (privacy.some((value: string) => !/^[a-z0-9\-.!%*_+`'~]+$/.test(value)) ||
+        (privacy.indexOf("none") !== -1 && privacy.length > 1)) {
+      throw new TypeError("Invalid privacy: " + privacy.join(";"));
+    }
+
+    const schemes: Array<string> = preferredIdentities.map((identity: string) => {
+      const uri: string = identity.indexOf("<") !== -1 ?
+        identity.slice(identity.indexOf("<") + 1, identity.indexOf(">")) : identity;
+      return uri.slice(0, uri.indexOf(":")).toLowerCase().replace(/^sips$/, "sip");
+    });
+    if (schemes.some((scheme: string) => scheme !== "sip" && scheme !== "tel") || schemes.length > 2 ||
+        (schemes.length === 2 && schemes[0] === schemes[1])) {
+      throw new TypeError("Invalid preferred identity: " + preferredIdentities.join(", "));
+    }
+
+    if (preferredIdentities.length) {
+      extraHeaders.push("P-Preferred-Identity: " + preferredIdentities.map((identity: string) =>
+        identity.indexOf("<") !== -1 ? identity : "<" + identity + ">").join(", "));
+    }
+    if (privacy.length) {
+      extraHeaders.push("Privacy: " + privacy.join(";"));
+    }
+    return extraHeaders;
+  }
+}
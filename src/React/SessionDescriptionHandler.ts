@@ -5,6 +5,7 @@ import {
   RTCPeerConnection,
 } from "react-native-webrtc";
 
+import { CallQuality as CallQualityDefinition } from "../../types/call-quality";
 import { Logger } from "../../types/logger-factory";
 import { InviteClientContext, InviteServerContext } from "../../types/session";
 import {
@@ -14,6 +15,7 @@ import {
 } from "../../types/session-description-handler";
 import { Utils as UtilsTypes } from "../../types/utils";
 
+import { CallQuality } from "../CallQuality";
 import { TypeStrings } from "../Enums";
 import { Exceptions } from "../Exceptions";
 import { Utils } from "../Utils";
@@ -35,6 +37,7 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
   private shouldAcquireMedia: boolean;
   private CONTENT_TYPE: string;
   private direction: string;
+  private remoteDirections: Array<string>;
   private C: any;
   private modifiers: SessionDescriptionHandlerModifiers;
   private WebRTC: any;
@@ -43,6 +46,11 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
   private iceGatheringTimer: any | undefined;
   private constraints: any;
   private peerConnection: any;
+  private lostTracks: Array<any>;
+  private onTrackEnded: (event: any) => void;
+  private onDeviceChange: () => void;
+  private statsTimer: any | undefined;
+  private statsSample: CallQualityDefinition.Sample | undefined;
 
   constructor(logger: Logger, observer: SessionDescriptionHandlerObserver, options: any) {
     super();
@@ -71,6 +79,7 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
     this.logger.log("SessionDescriptionHandlerOptions: " + JSON.stringify(this.options));
 
     this.direction = this.C.DIRECTION.NULL;
+    this.remoteDirections = [];
 
     this.modifiers = this.options.modifiers || [];
     if (!Array.isArray(this.modifiers)) {
@@ -80,9 +89,17 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
     this.WebRTC = {
       MediaStream,
       getUserMedia: mediaDevices.getUserMedia,
-      RTCPeerConnection
+      RTCPeerConnection,
+      mediaDevices
     };
 
+    this.lostTracks = [];
+    this.onTrackEnded = (event: any) => this.inputLost(event.target);
+    this.onDeviceChange = () => this.checkInputDevices();
+    if (this.WebRTC.mediaDevices.addEventListener) {
+      this.WebRTC.mediaDevices.addEventListener("devicechange", this.onDeviceChange);
+    }
+
     this.iceGatheringTimeout = false;
 
     this.initPeerConnection(this.options.peerConnectionOptions);
@@ -107,11 +124,16 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
    */
   public close(): void {
     this.logger.log("closing PeerConnection");
+    this.stopStats();
+    if (this.WebRTC.mediaDevices.removeEventListener) {
+      this.WebRTC.mediaDevices.removeEventListener("devicechange", this.onDeviceChange);
+    }
     // have to check signalingState since this.close() gets called multiple times
     if (this.peerConnection && this.peerConnection.signalingState !== "closed") {
       if (this.peerConnection.getSenders) {
         this.peerConnection.getSenders().forEach((sender: any) => {
           if (sender.track) {
+            sender.track.removeEventListener("ended", this.onTrackEnded);
             sender.track.stop();
           }
         });
@@ -304,6 +326,8 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
       } else {
         this.emit("setRemoteDescription", this.peerConnection.getRemoteStreams());
       }
+      this.remoteDirections = Utils.getMediaDirections(sessionDescription);
+      this.observer.remoteDirectionChanged(this.remoteDirections);
       this.emit("confirmed", this);
     });
   }
@@ -351,6 +375,99 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
     return this.direction;
   }
 
+  public getRemoteDirections(): Array<string> {
+    return this.remoteDirections;
+  }
+
+  /**
+   * Switch the active audio or video input
+   * @param {String} kind "audio" or "video"
+   * @param {String|Object} constraints device id or track constraints of the new input
+   */
+  public switchInputDevice(kind: "audio" | "video", constraints: any): Promise<void> {
+    const trackConstraints: any = typeof constraints === "string" ? { deviceId: { exact: constraints } } : constraints;
+
+    this.logger.log("switching " + kind + " input");
+    return this.acquireTrack("switchInputDevice", kind, trackConstraints)
+      .then((track: any) => this.replaceTrack(track));
+  }
+
+  /**
+   * Replace the local track of the same kind, renegotiating only when it cannot be replaced in place
+   * @param {MediaStreamTrack} track
+   */
+  public replaceTrack(track: any): Promise<void> {
+    const sender: any = this.hasBrowserGetSenderSupport() ?
+      this.peerConnection.getSenders().filter((s: any) => s.track && s.track.kind === track.kind)[0] : undefined;
+    this.watchTrack(track);
+
+    if (sender && sender.replaceTrack) {
+      const oldTrack: any = sender.track;
+      return sender.replaceTrack(track).then(() => {
+        this.stopTrack(oldTrack);
+        this.observer.trackAdded();
+        this.emit("trackReplaced", track, oldTrack);
+      }, (e: any) => {
+        const error = new Exceptions.SessionDescriptionHandlerError("replaceTrack", e, "unable to replace track");
+        this.logger.error(error.message);
+        throw error;
+      });
+    }
+
+    this.logger.log("cannot replace the " + track.kind + " track in place, renegotiating");
+    return this.swapTrack("replaceTrack", track.kind, track).then(() => {
+      this.observer.trackAdded();
+      this.observer.renegotiationNeeded();
+    });
+  }
+
+  /**
+   * Start sending video from a camera, replacing the screen if it is shared.
+   * The session has to be renegotiated once the promise resolves.
+   * @param {Boolean|Object} [constraints] video track constraints
+   * @returns {Promise} Promise that resolves once the video track is attached
+   */
+  public addVideo(constraints: any = true): Promise<void> {
+    return this.acquireTrack("addVideo", "video", constraints).then((track: any) => {
+      this.watchTrack(track);
+      return this.swapTrack("addVideo", "video", track).then(() => this.observer.trackAdded());
+    });
+  }
+
+  /**
+   * Start sending the screen in place of the camera, where getDisplayMedia is available.
+   * The session has to be renegotiated once the promise resolves.
+   * @param {Object} [constraints] getDisplayMedia constraints
+   * @returns {Promise} Promise that resolves once the screen track is attached
+   */
+  public shareScreen(constraints: any = { video: true }): Promise<void> {
+    if (!this.WebRTC.mediaDevices.getDisplayMedia) {
+      return Promise.reject(new Exceptions.SessionDescriptionHandlerError("shareScreen", undefined,
+        "screen sharing is not supported"));
+    }
+    return this.WebRTC.mediaDevices.getDisplayMedia(constraints).then((stream: any) => {
+      const track: any = stream.getVideoTracks()[0];
+      return this.swapTrack("shareScreen", "video", track).then(() => {
+        this.observer.trackAdded();
+        this.emit("screenShareStarted", track);
+      });
+    }, (e: any) => {
+      const error = new Exceptions.SessionDescriptionHandlerError("shareScreen", e, "unable to share the screen");
+      this.logger.error(error.message);
+      throw error;
+    });
+  }
+
+  /**
+   * Stop sending video, camera or screen.
+   * The session has to be renegotiated once the promise resolves.
+   * @returns {Promise} Promise that resolves once the video track is detached
+   */
+  public removeVideo(): Promise<void> {
+    this.constraints = Object.assign({}, this.constraints, { video: false });
+    return this.swapTrack("removeVideo", "video");
+  }
+
   // Internal functions
   private createOfferOrAnswer(
     RTCOfferOptions: any = {},
@@ -544,6 +661,10 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
       }
       this.logger.log("ICE Connection State changed to " + stateEvent);
       this.emit(stateEvent, this);
+      if (stateEvent === "iceConnectionConnected" || stateEvent === "iceConnectionCompleted") {
+        this.startStats();
+      }
+      this.observer.iceConnectionStateChanged(this.peerConnection.iceConnectionState);
     };
   }
 
@@ -610,6 +731,7 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
       try {
         streams = [].concat(streams);
         streams.forEach((stream: any) => {
+          stream.getTracks().forEach((track: any) => this.watchTrack(track));
           if (this.peerConnection.addTrack) {
             stream.getTracks().forEach((track: any) => {
               this.peerConnection.addTrack(track, stream);
@@ -637,6 +759,115 @@ export class SessionDescriptionHandler extends EventEmitter implements SessionDe
     });
   }
 
+  private acquireTrack(method: string, kind: "audio" | "video", constraints: any): Promise<any> {
+    const streamConstraints: any = { [kind]: constraints };
+    this.emit("userMediaRequest", streamConstraints);
+
+    return this.WebRTC.getUserMedia(streamConstraints).then((stream: any) => {
+      this.emit("userMedia", stream);
+      // Later acquisitions keep using the new device
+      this.constraints = Object.assign({}, this.constraints, { [kind]: constraints });
+      return stream.getTracks()[0];
+    }, (e: any) => {
+      this.emit("userMediaFailed", e);
+      const error = new Exceptions.SessionDescriptionHandlerError(method, e, "unable to acquire " + kind + " input");
+      this.logger.error(error.message);
+      throw error;
+    });
+  }
+
+  // Replace the local tracks of a kind, or remove them without a track, the session has to be renegotiated
+  private swapTrack(method: string, kind: string, track?: any): Promise<void> {
+    try {
+      if (this.peerConnection.addTrack) {
+        this.peerConnection.getSenders().filter((sender: any) => sender.track && sender.track.kind === kind)
+          .forEach((sender: any) => {
+            this.stopTrack(sender.track);
+            this.peerConnection.removeTrack(sender);
+          });
+        if (track) {
+          this.peerConnection.addTrack(track, new this.WebRTC.MediaStream([track]));
+        }
+      } else {
+        // react-native-webrtc only knows local streams, swap the track in the stream and add it again
+        const stream: any = this.peerConnection.getLocalStreams()[0] || new this.WebRTC.MediaStream();
+        stream.getTracks().filter((t: any) => t.kind === kind).forEach((t: any) => {
+          stream.removeTrack(t);
+          this.stopTrack(t);
+        });
+        if (track) {
+          stream.addTrack(track);
+        }
+        this.peerConnection.removeStream(stream);
+        this.peerConnection.addStream(stream);
+      }
+      if (kind === "audio") {
+        this.dtmfSender = undefined;
+      }
+    } catch (e) {
+      const error = new Exceptions.SessionDescriptionHandlerError(method, e,
+        track ? "unable to add track" : "unable to remove track");
+      this.logger.error(error.message);
+      return Promise.reject(error);
+    }
+    return Promise.resolve();
+  }
+
+  private watchTrack(track: any): void {
+    track.addEventListener("ended", this.onTrackEnded);
+  }
+
+  private stopTrack(track: any): void {
+    track.removeEventListener("ended", this.onTrackEnded);
+    track.stop();
+  }
+
+  private inputLost(track: any): void {
+    if (this.lostTracks.indexOf(track) !== -1) {
+      return;
+    }
+    this.lostTracks.push(track);
+    this.logger.warn(track.kind + " input " + track.label + " is gone");
+    this.emit("inputDeviceLost", track);
+  }
+
+  private checkInputDevices(): void {
+    if (!this.hasBrowserGetSenderSupport() || !this.WebRTC.mediaDevices.enumerateDevices) {
+      return;
+    }
+    this.WebRTC.mediaDevices.enumerateDevices().then((devices: Array<any>) => {
+      this.peerConnection.getSenders().forEach((sender: any) => {
+        const track: any = sender.track;
+        const deviceId: string | undefined = track && track.getSettings ? track.getSettings().deviceId : undefined;
+        if (deviceId && !devices.some((device: any) => device.kind === track.kind + "input" &&
+            device.deviceId === deviceId)) {
+          this.inputLost(track);
+        }
+      });
+    }).catch((e: any) => this.logger.warn("unable to enumerate devices: " + e));
+  }
+
+  private startStats(): void {
+    const interval: number = this.options.statsInterval !== undefined ? this.options.statsInterval : 5;
+    if (this.statsTimer || !interval || !this.peerConnection.getStats) {
+      return;
+    }
+    this.statsTimer = setInterval(() => {
+      this.peerConnection.getStats().then((report: any) => {
+        this.statsSample = CallQuality.fromStats(report, this.statsSample);
+        this.emit("stats", this.statsSample);
+        this.observer.statsSampled(this.statsSample);
+      }).catch((e: any) => this.logger.warn("unable to get the statistics: " + e));
+    }, interval * 1000);
+  }
+
+  private stopStats(): void {
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = undefined;
+    }
+  }
+
   private hasOffer(where: string): boolean {
     const offerState: string = "have-" + where + "-offer";
     return this.peerConnection.signalingState === offerState;
@@ -0,0 +1,159 @@
+import { RedirectionHistory as RedirectionHistoryDefinition } from "../types/redirection-history";
+import { Session } from "../types/session";
+import { IncomingRequest } from "../types/sip-message";
+
+import { Grammar } from "./Grammar";
+import { Utils } from "./Utils";
+
+/**
+ * Redirection history of the incoming calls: History-Info (RFC 7044) and Diversion (RFC 5806)
+ */
+export namespace RedirectionHistory {
+  // RFC 4458 causes and the Diversion reasons they map to (RFC 6044 6.1)
+  const REASONS: {[cause: number]: string} = {
+    302: "unconditional",
+    404: "unknown",
+    408: "no-answer",
+    480: "deflection",
+    486: "user-busy",
+    487: "deflection",
+    503: "unavailable"
+  };
+  const CAUSES: {[reason: string]: number} = {
+    "deflection": 480,
+    "no-answer": 408,
+    "unavailable": 503,
+    "unconditional": 302,
+    "unknown": 404,
+    "user-busy": 486
+  };
+
+  /**
+   * Parse the redirection history of a request, from History-Info or else from Diversion
+   * @param {SIP.IncomingRequest} request
+   * @returns {RedirectionHistory.Model|undefined} undefined if the request was not redirected
+   */
+  export function parse(request: IncomingRequest): RedirectionHistoryDefinition.Model | undefined {
+    if (request.hasHeader("history-info")) {
+      const entries: Array<RedirectionHistoryDefinition.Entry> = parseHistoryInfo(request.getHeaders("history-info"));
+      // The target of the request is the last entry, reached from its previous index if it has one
+      const redirected: Array<RedirectionHistoryDefinition.Entry> = entries.slice(0, -1)
+        .filter((entry: RedirectionHistoryDefinition.Entry) => entry.cause !== undefined);
+      const last: RedirectionHistoryDefinition.Entry | undefined = entries[entries.length - 1];
+      const redirectedFrom: RedirectionHistoryDefinition.Entry | undefined =
+        (last && last.previousIndex !== undefined ? find(entries, last.previousIndex) : undefined) ||
+        redirected[redirected.length - 1];
+      if (entries.length > 1) {
+        return model("history-info", entries, redirectedFrom);
+      }
+    }
+    if (request.hasHeader("diversion")) {
+      const entries: Array<RedirectionHistoryDefinition.Entry> = parseDiversion(request.getHeaders("diversion"));
+      if (entries.length) {
+        return model("diversion", entries, entries[entries.length - 1]);
+      }
+    }
+  }
+
+  /**
+   * Parse History-Info headers, the invalid ones are ignored. The cause of the redirection to a target
+   * (RFC 4458 cause URI parameter) becomes the cause of the target it was reached from.
+   * @param {Array<String>} headers e.g. request.getHeaders("history-info")
+   * @returns {Array<RedirectionHistory.Entry>} in chronological order
+   */
+  export function parseHistoryInfo(headers: Array<string>): Array<RedirectionHistoryDefinition.Entry> {
+    const entries: Array<RedirectionHistoryDefinition.Entry> = [];
+    const causes: Array<number | undefined> = [];
+    for (const value of parseValues(headers, "History_Info")) {
+      const separator: number = value.uri.indexOf("?");
+      const uri: string = separator === -1 ? value.uri : value.uri.slice(0, separator);
+      const mechanism: "rc" | "mp" | "np" | undefined =
+        ["rc", "mp", "np"].filter((name: string) => value.params[name] !== undefined)[0] as any;
+      const cause: RegExpMatchArray | null = uri.match(/;cause=([0-9]{3})(?=;|$)/i);
+
+      const reasons: Array<Session.Reason> = separator === -1 ? [] :
+        Utils.parseReasons(value.uri.slice(separator + 1).split("&")
+          .filter((header: string) => /^reason=/i.test(header))
+          .map((header: string) => decodeURIComponent(header.slice(header.indexOf("=") + 1))));
+      const response: Session.Reason | undefined =
+        reasons.filter((reason: Session.Reason) => reason.protocol === "SIP" && reason.cause !== undefined)[0];
+
+      entries.push({
+        uri,
+        displayName: value.displayName,
+        index: value.params.index || undefined,
+        mechanism,
+        previousIndex: mechanism ? value.params[mechanism] || undefined : undefined,
+        cause: response ? response.cause : undefined,
+        reasons,
+        params: value.params
+      });
+      causes.push(cause ? Number(cause[1]) : undefined);
+    }
+
+    entries.forEach((entry: RedirectionHistoryDefinition.Entry, i: number) => {
+      const cause: number | undefined = causes[i];
+      const previous: RedirectionHistoryDefinition.Entry | undefined =
+        entry.previousIndex !== undefined ? find(entries, entry.previousIndex) : entries[i - 1];
+      if (cause !== undefined && previous) {
+        previous.cause = cause;
+      }
+    });
+    for (const entry of entries) {
+      entry.reason = entry.cause !== undefined ? REASONS[entry.cause] : undefined;
+    }
+    return entries;
+  }
+
+  /**
+   * Parse Diversion headers, the invalid ones are ignored
+   * @param {Array<String>} headers e.g. request.getHeaders("diversion"), the last diversion first
+   * @returns {Array<RedirectionHistory.Entry>} in chronological order
+   */
+  export function parseDiversion(headers: Array<string>): Array<RedirectionHistoryDefinition.Entry> {
+    return parseValues(headers, "Diversion").reverse().map((value: any) => {
+      const reason: string | undefined = value.params.reason ? value.params.reason.toLowerCase() : undefined;
+      return {
+        uri: value.uri,
+        displayName: value.displayName,
+        cause: reason !== undefined ? CAUSES[reason] : undefined,
+        reason,
+        reasons: [],
+        counter: /^[0-9]+$/.test(value.params.counter) ? Number(value.params.counter) : undefined,
+        params: value.params
+      };
+    });
+  }
+
+  function parseValues(headers: Array<string>, rule: string): Array<any> {
+    const values: Array<any> = [];
+    for (const header of headers) {
+      const parsed: Array<any> | -1 = Grammar.parse(header, rule);
+      if (parsed !== -1) {
+        values.push(...parsed);
+      }
+    }
+    return values;
+  }
+
+  function find(
+    entries: Array<RedirectionHistoryDefinition.Entry>,
+    index: string
+  ): RedirectionHistoryDefinition.Entry | undefined {
+    return entries.filter((entry: RedirectionHistoryDefinition.Entry) => entry.index === index)[0];
+  }
+
+  function model(
+    source: "history-info" | "diversion",
+    entries: Array<RedirectionHistoryDefinition.Entry>,
+    redirectedFrom: RedirectionHistoryDefinition.Entry | undefined
+  ): RedirectionHistoryDefinition.Model {
+    return {
+      source,
+      entries,
+      redirectedFrom,
+      reason: redirectedFrom && redirectedFrom.reason,
+      cause: redirectedFrom && redirectedFrom.cause
+    };
+  }
+}
@@ -18,8 +18,12 @@ import { Utils } from "./Utils";
  */
 function loadConfig(configuration: RegisterContextDefinition.RegistrationConfiguration): any {
   const settings = {
+    additionalFlows: [],
     expires: 600,
     extraContactHeaderParams: [],
+    flowRecoveryBaseTime: 30,
+    flowRecoveryMaxTime: 1800,
+    flowRecoveryOkBaseTime: 90,
     instanceId: undefined,
     params: {},
     regId: undefined,
@@ -77,6 +81,12 @@ function getConfigurationCheck(): any {
     },
 
     optional: {
+      additionalFlows: (additionalFlows: Array<any>): Array<any> | undefined => {
+        if (additionalFlows instanceof Array &&
+            additionalFlows.every((transportOptions: any) => typeof transportOptions === "object")) {
+          return additionalFlows;
+        }
+      },
       expires: (expires: string): number | undefined => {
         if (Utils.isDecimal(expires)) {
           const value = Number(expires);
@@ -90,6 +100,30 @@ function getConfigurationCheck(): any {
           return extraContactHeaderParams.filter((contactHeaderParam) => (typeof contactHeaderParam === "string"));
         }
       },
+      flowRecoveryBaseTime: (flowRecoveryBaseTime: string): number | undefined => {
+        if (Utils.isDecimal(flowRecoveryBaseTime)) {
+          const value = Number(flowRecoveryBaseTime);
+          if (value > 0) {
+            return value;
+          }
+        }
+      },
+      flowRecoveryMaxTime: (flowRecoveryMaxTime: string): number | undefined => {
+        if (Utils.isDecimal(flowRecoveryMaxTime)) {
+          const value = Number(flowRecoveryMaxTime);
+          if (value > 0) {
+            return value;
+          }
+        }
+      },
+      flowRecoveryOkBaseTime: (flowRecoveryOkBaseTime: string): number | undefined => {
+        if (Utils.isDecimal(flowRecoveryOkBaseTime)) {
+          const value = Number(flowRecoveryOkBaseTime);
+          if (value > 0) {
+            return value;
+          }
+        }
+      },
       instanceId: (instanceId: string): string | undefined => {
         if (typeof instanceId !== "string") {
           return;
@@ -144,6 +178,8 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
   public type: TypeStrings;
   public registered: boolean;
   public cseq: number;
+  /** Transport of an additional RFC 5626 flow, the UA transport is used otherwise. */
+  public transport: Transport | undefined;
 
   private options: any;
   private expires: number;
@@ -155,9 +191,23 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
 
   private closeHeaders: Array<string> | undefined;
 
+  // RFC 5626 flows
+  private flows: Array<RegisterContext>;
+  private primary: RegisterContext | undefined;
+  private flowTransportOptions: any;
+  private keepFlow: boolean;
+  private outboundFlow: boolean;
+  private flowFailures: number;
+  private flowRecoveryTimer: any | undefined;
+
   constructor(ua: UA, options: any = {}) {
     const settings: any = loadConfig(options);
 
+    // Flows to different edge proxies are told apart by their reg-id (RFC 5626 4.2)
+    if (settings.additionalFlows.length && !settings.regId && !settings.instanceId) {
+      settings.regId = 1;
+    }
+
     if (settings.regId && !settings.instanceId) {
       settings.instanceId = Utils.newUUID();
     } else if (!settings.regId && settings.instanceId) {
@@ -206,29 +256,47 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
     // Set status
     this.registered = false;
 
+    this.flows = [];
+    this.keepFlow = false;
+    this.outboundFlow = false;
+    this.flowFailures = 0;
+
     ua.on("transportCreated", (transport: Transport): void => {
-      transport.on("disconnected", () => this.onTransportDisconnected());
+      // Additional flows only listen to their own transport
+      if (!this.primary) {
+        this.setTransportListeners(transport);
+      }
+    });
+
+    settings.additionalFlows.forEach((transportOptions: any, idx: number) => {
+      const flow: RegisterContext = new RegisterContext(ua, {
+        ...options,
+        additionalFlows: [],
+        instanceId: settings.instanceId,
+        params: {...settings.params, callId: undefined, cseq: undefined},
+        regId: settings.regId + idx + 1
+      });
+      flow.primary = this;
+      flow.flowTransportOptions = transportOptions;
+      this.flows.push(flow);
     });
   }
 
   public register(options: any = {}): void {
+    this.keepFlow = true;
+    if (this.flowRecoveryTimer !== undefined) {
+      clearTimeout(this.flowRecoveryTimer);
+      this.flowRecoveryTimer = undefined;
+    }
+
     // Handle Options
     this.options = {...this.options, ...options};
     const extraHeaders = (this.options.extraHeaders || []).slice();
 
+    // The Contact of the UA changes once a Node transport reports the address it is bound to
+    this.contact = this.ua.contact.toString();
     extraHeaders.push("Contact: " + this.generateContactHeader(this.expires));
-    // this is UA.C.ALLOWED_METHODS, removed to get around circular dependency
-    extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    extraHeaders.push("Allow: " + this.ua.getAllowedMethods().toString());
 
     // Save original extraHeaders to be used in .close
     this.closeHeaders = this.options.closeWithHeaders ?
@@ -264,6 +332,8 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
             this.registrationExpiredTimer = undefined;
           }
 
+          this.receiveFlow(response);
+
           // Search the Contact pointing to us and update the expires value accordingly.
           let contacts: number = response.getHeaders("contact").length;
           if (!contacts) {
@@ -346,8 +416,15 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
       this.request.cseq = this.cseq;
       this.request.setHeader("cseq", this.cseq + " REGISTER");
       this.request.extraHeaders = extraHeaders;
+      if (this.transport && this.transport.server && this.ua.configuration.usePreloadedRoute) {
+        this.request.setHeader("route", this.transport.server.sipUri);
+      }
     }
     this.send();
+
+    for (const flow of this.flows) {
+      flow.startFlow();
+    }
   }
 
   public close(): void {
@@ -356,10 +433,22 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
       extraHeaders: this.closeHeaders
     };
 
+    this.stopFlow();
     this.registeredBefore = this.registered;
     if (this.registered) {
       this.unregister(options);
     }
+
+    for (const flow of this.flows) {
+      const transport: Transport | undefined = flow.transport;
+      const registered: boolean = flow.registered;
+      flow.close();
+      if (transport && registered) {
+        flow.once("unregistered", () => transport.disconnect());
+      } else if (transport) {
+        transport.disconnect();
+      }
+    }
   }
 
   public unregister(options: any = {}): void {
@@ -369,6 +458,7 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
 
     const extraHeaders = (options.extraHeaders || []).slice();
 
+    this.stopFlow();
     this.registered = false;
 
     // Clear the registration timer.
@@ -416,6 +506,17 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
     }
 
     this.send();
+
+    // Contact: * removes the bindings of every flow
+    if (!options.all) {
+      for (const flow of this.flows) {
+        if (flow.registered) {
+          flow.unregister(options);
+        } else {
+          flow.stopFlow();
+        }
+      }
+    }
   }
 
   public unregistered(response?: IncomingResponse, cause?: string): void {
@@ -425,6 +526,13 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
 
   private registrationFailure(response: IncomingResponse | undefined, cause: string): void {
     this.emit("failed", response || undefined, cause || undefined);
+
+    // RFC 5626 4.5: try to form the flow again after a timeout, a transport error or a server failure
+    const statusCode: number = (response && response.statusCode) || 0;
+    if (this.keepFlow && this.outboundFlow &&
+        (!response || statusCode === 408 || statusCode === 480 || statusCode >= 500)) {
+      this.scheduleFlowRecovery();
+    }
   }
 
   private onTransportDisconnected(): void {
@@ -444,6 +552,127 @@ export class RegisterContext extends ClientContext implements RegisterContextDef
     }
   }
 
+  private setTransportListeners(transport: Transport): void {
+    transport.on("disconnected", () => this.onTransportDisconnected());
+    transport.on("keepAliveDebounceTimeout", () => this.onKeepAliveTimeout(transport));
+    // Every edge proxy of the transport failed, it does not try to reconnect anymore
+    transport.on("closed", () => {
+      if (this.keepFlow && this.outboundFlow) {
+        this.scheduleFlowRecovery();
+      }
+    });
+    // The UA registers again once its own transport reconnects, additional flows do it themselves
+    if (this.primary) {
+      transport.on("connected", () => {
+        if (this.keepFlow) {
+          this.register();
+        }
+      });
+    }
+  }
+
+  /**
+   * RFC 5626 4.2.1: the registrar supports outbound if it requires it in the 2xx.
+   * The keep-alives then follow the Flow-Timer of the response (RFC 5626 4.4.1).
+   * @param {SIP.IncomingResponse} response
+   */
+  private receiveFlow(response: IncomingResponse): void {
+    if (!this.options.regId) {
+      return;
+    }
+
+    const require: Array<string> | undefined = response.parseHeader("require");
+    this.outboundFlow = !!require && require.indexOf("outbound") !== -1;
+    this.flowFailures = 0;
+
+    const flowTimer: string | undefined = response.getHeader("flow-timer");
+    const transport: any = this.transport || this.ua.transport;
+    if (this.outboundFlow && flowTimer && Utils.isDecimal(flowTimer) &&
+        transport && typeof transport.setKeepAliveInterval === "function") {
+      transport.setKeepAliveInterval(Number(flowTimer));
+    }
+  }
+
+  /**
+   * RFC 5626 4.4.1: a keep-alive without response means the flow failed.
+   * The connection is closed and opened again, the binding is registered once connected.
+   * @param {Transport} transport
+   */
+  private onKeepAliveTimeout(transport: Transport): void {
+    if (!this.keepFlow || !this.outboundFlow) {
+      return;
+    }
+
+    this.logger.warn("no response to a keep-alive, the flow failed");
+    this.onTransportDisconnected();
+    transport.disconnect({force: true})
+      .then(() => transport.connect())
+      .catch(() => this.scheduleFlowRecovery());
+  }
+
+  /**
+   * RFC 5626 4.5: wait before forming the flow again. The wait time doubles with each
+   * consecutive failure, up to flowRecoveryMaxTime, and is randomized between 50 and 100%.
+   * The base time is longer while another flow is still registered.
+   */
+  private scheduleFlowRecovery(): void {
+    if (this.flowRecoveryTimer !== undefined) {
+      return;
+    }
+
+    const primary: RegisterContext = this.primary || this;
+    const otherFlowRegistered: boolean = [primary].concat(primary.flows)
+      .some((flow: RegisterContext) => flow !== this && flow.registered);
+    const baseTime: number = otherFlowRegistered ?
+      this.options.flowRecoveryOkBaseTime : this.options.flowRecoveryBaseTime;
+
+    this.flowFailures++;
+    const waitTime: number = Math.min(this.options.flowRecoveryMaxTime, baseTime * Math.pow(2, this.flowFailures));
+    const delay: number = waitTime * (0.5 + Math.random() / 2);
+
+    this.logger.log("flow recovery attempt in " + Math.round(delay) + " seconds");
+    this.flowRecoveryTimer = setTimeout(() => {
+      this.flowRecoveryTimer = undefined;
+      const transport: Transport | undefined = this.transport || this.ua.transport;
+      if (!this.keepFlow || !transport) {
+        return;
+      }
+      if (transport.isConnected()) {
+        this.register(this.options);
+      } else {
+        transport.connect().catch(() => this.scheduleFlowRecovery());
+      }
+    }, delay * 1000);
+  }
+
+  /**
+   * Open the connection of an additional flow to its edge proxy, its binding is
+   * registered once connected.
+   */
+  private startFlow(): void {
+    this.keepFlow = true;
+    if (!this.transport) {
+      const transportConstructor: any = this.ua.configuration.transportConstructor;
+      this.transport = new transportConstructor(this.ua.getLogger("sip.transport"), {
+        ...this.ua.configuration.transportOptions,
+        ...this.flowTransportOptions
+      }) as Transport;
+      this.setTransportListeners(this.transport);
+      (this.primary as RegisterContext).emit("flowTransportCreated", this.transport);
+      this.transport.connect().catch(() => this.scheduleFlowRecovery());
+    } else if (this.transport.isConnected() && !this.registered && this.flowRecoveryTimer === undefined) {
+      this.register(this.options);
+    }
+  }
+
+  private stopFlow(): void {
+    this.keepFlow = false;
+    if (this.flowRecoveryTimer !== undefined) {
+      clearTimeout(this.flowRecoveryTimer);
+      this.flowRecoveryTimer = undefined;
+    }
+  }
+
   /**
    * Helper Function to generate Contact Header
    * @private
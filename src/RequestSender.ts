@@ -2,9 +2,11 @@ import { Logger } from "../types/logger-factory";
 import { RegisterContext } from "../types/register-context";
 import { RequestSender as RequestSenderDefinition } from "../types/request-sender";
 import { IncomingResponse, OutgoingRequest } from "../types/sip-message";
+import { Transport } from "../types/transport";
 import { UA } from "../types/ua";
 
 import { C } from "./Constants";
+import { DigestAuthentication } from "./DigestAuthentication";
 import { TypeStrings, UAStatus } from "./Enums";
 import { AckClientTransaction, InviteClientTransaction, NonInviteClientTransaction } from "./Transactions";
 
@@ -46,18 +48,20 @@ export class RequestSender implements RequestSenderDefinition {
    * Create the client transaction and send the message.
    */
   public send(): InviteClientTransaction | NonInviteClientTransaction | AckClientTransaction {
-    if (!this.ua.transport) {
+    // An applicant bound to its own transport (e.g. an RFC 5626 flow) sends the request over it
+    const transport: Transport | undefined = this.applicant.transport || this.ua.transport;
+    if (!transport) {
       throw new Error("No transport to make transaction");
     }
     switch (this.method) {
       case "INVITE":
-        this.clientTransaction = new InviteClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new InviteClientTransaction(this, this.request, transport);
         break;
       case "ACK":
-        this.clientTransaction = new AckClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new AckClientTransaction(this, this.request, transport);
         break;
       default:
-        this.clientTransaction = new NonInviteClientTransaction(this, this.request, this.ua.transport);
+        this.clientTransaction = new NonInviteClientTransaction(this, this.request, transport);
     }
     this.clientTransaction.send();
 
@@ -95,18 +99,31 @@ export class RequestSender implements RequestSenderDefinition {
     * Authenticate once. _challenged_ flag used to avoid infinite authentications.
     */
     if (statusCode === 401 || statusCode === 407) {
-      let challenge: any;
+      let challengeHeaderName: string;
       let authorizationHeaderName: string;
 
-      // Get and parse the appropriate WWW-Authenticate or Proxy-Authenticate header.
       if (statusCode === 401) {
-        challenge = response.parseHeader("www-authenticate");
+        challengeHeaderName = "www-authenticate";
         authorizationHeaderName = "authorization";
       } else {
-        challenge = response.parseHeader("proxy-authenticate");
+        challengeHeaderName = "proxy-authenticate";
         authorizationHeaderName = "proxy-authorization";
       }
 
+      // Get and parse the appropriate WWW-Authenticate or Proxy-Authenticate headers.
+      // When several are offered (RFC 8760), use the one with the strongest algorithm.
+      // Headers which fail to parse are removed from the response, so only move on after a success.
+      const challenges: Array<any> = [];
+      let idx: number = 0;
+      while (idx < response.getHeaders(challengeHeaderName).length) {
+        const parsed: any = response.parseHeader(challengeHeaderName, idx);
+        if (parsed) {
+          challenges.push(parsed);
+          idx++;
+        }
+      }
+      const challenge: any = DigestAuthentication.selectChallenge(challenges) || challenges[0];
+
       // Verify it seems a valid challenge.
       if (!challenge) {
         this.logger.warn(statusCode + " with wrong or missing challenge, cannot authenticate");
@@ -33,6 +33,16 @@ const getSupportedHeader: ((request: OutgoingRequest | IncomingRequest) => strin
   if (request.ua.configuration.replaces === C.supported.SUPPORTED) {
     optionTags.push("replaces");
   }
+  if (request.ua.configuration.sessionTimers === C.supported.SUPPORTED ||
+      request.ua.configuration.sessionTimers === C.supported.REQUIRED) {
+    optionTags.push("timer");
+  }
+  if (request.ua.configuration.historyInfo) {
+    optionTags.push("histinfo");
+  }
+  if (request.ua.configuration.autoAnswer) {
+    optionTags.push("answermode");
+  }
 
   optionTags.push("outbound");
 
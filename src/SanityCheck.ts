@@ -149,7 +149,9 @@ export namespace SanityCheck {
   }
 
   export function rfc3261_18_1_2(message: IncomingResponse, ua: UA): boolean {
-    if (message.via.host !== ua.configuration.viaHost || message.via.port !== undefined) {
+    // The Via host of a UA on a Node transport carries the port it is bound to
+    const sentBy: string = message.via.host + (message.via.port !== undefined ? ":" + message.via.port : "");
+    if (sentBy !== ua.configuration.viaHost) {
       ua.getLogger("sip.sanitycheck").warn("Via sent-by in the response does not match UA Via host value." +
         " Dropping the response");
       return false;
@@ -2,6 +2,7 @@ import { EventEmitter } from "events";
 
 import { Logger } from "../types/logger-factory";
 import { NameAddrHeader } from "../types/name-addr-header";
+import { Privacy as PrivacyDefinition } from "../types/privacy";
 import { ServerContext as ServerContextDefinition } from "../types/server-context";
 import { IncomingRequest } from "../types/sip-message";
 import {
@@ -12,7 +13,7 @@ import { UA } from "../types/ua";
 
 import { C } from "./Constants";
 import { TypeStrings } from "./Enums";
-import { Grammar } from "./Grammar";
+import { Privacy } from "./Privacy";
 import { InviteServerTransaction, NonInviteServerTransaction } from "./Transactions";
 import { Utils } from "./Utils";
 
@@ -39,12 +40,9 @@ export class ServerContext extends EventEmitter implements ServerContextDefiniti
 
     objectToConstruct.localIdentity = request.to;
     objectToConstruct.remoteIdentity = request.from;
-    const hasAssertedIdentity = request.hasHeader("P-Asserted-Identity");
-    if (hasAssertedIdentity) {
-      const assertedIdentity: string | undefined = request.getHeader("P-Asserted-Identity");
-      if (assertedIdentity) {
-        objectToConstruct.assertedIdentity = Grammar.nameAddrHeaderParse(assertedIdentity);
-      }
+    objectToConstruct.privacy = Privacy.parse(request);
+    if (request.hasHeader("P-Asserted-Identity")) {
+      objectToConstruct.assertedIdentity = Privacy.assertedIdentity(request);
     }
   }
 
@@ -63,6 +61,7 @@ export class ServerContext extends EventEmitter implements ServerContextDefiniti
   public body: any;
   public contentType: string | undefined;
   public assertedIdentity: NameAddrHeader | undefined;
+  public privacy!: PrivacyDefinition.Model;
 
   constructor(ua: UA, request: IncomingRequest) {
     super();
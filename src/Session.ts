@@ -1,7 +1,11 @@
 import { EventEmitter } from "events";
 
+import { AutoAnswer as AutoAnswerDefinition } from "../types/auto-answer";
+import { CallQuality as CallQualityDefinition } from "../types/call-quality";
 import { Logger } from "../types/logger-factory";
 import { NameAddrHeader } from "../types/name-addr-header";
+import { Privacy as PrivacyDefinition } from "../types/privacy";
+import { RedirectionHistory as RedirectionHistoryDefinition } from "../types/redirection-history";
 import {
   InviteClientContext as InviteClientContextDefinition,
   InviteServerContext as InviteServerContextDefinition,
@@ -28,12 +32,17 @@ import { InviteServerTransaction, NonInviteServerTransaction } from "../types/tr
 import { UA } from "../types/ua";
 import { URI } from "../types/uri";
 
+import { AutoAnswer } from "./AutoAnswer";
+import { CallQuality } from "./CallQuality";
 import { ClientContext } from "./ClientContext";
 import { C } from "./Constants";
 import { Dialog } from "./Dialogs";
+import { DialPlan } from "./DialPlan";
 import { SessionStatus, TransactionStatus, TypeStrings } from "./Enums";
 import { Exceptions } from "./Exceptions";
 import { Grammar } from "./Grammar";
+import { Privacy } from "./Privacy";
+import { RedirectionHistory } from "./RedirectionHistory";
 import { RequestSender } from "./RequestSender";
 import { ServerContext } from "./ServerContext";
 import { DTMF } from "./Session/DTMF";
@@ -41,6 +50,55 @@ import { OutgoingRequest } from "./SIPMessage";
 import { Timers } from "./Timers";
 import { Utils } from "./Utils";
 
+/**
+ * Display name and URI of an identity header, for the CDR.
+ * @param {SIP.NameAddrHeader} nameAddr
+ */
+const identity: (nameAddr: NameAddrHeader) => string = (nameAddr) => {
+  return (nameAddr.displayName ? '"' + nameAddr.displayName + '" ' : "") + "<" + nameAddr.uri.toString() + ">";
+};
+
+/**
+ * Value of the Reason header among extra headers, if any.
+ * @param {Array<String>} [extraHeaders]
+ */
+const reasonHeader: (extraHeaders?: Array<string>) => string | undefined = (extraHeaders) => {
+  for (const header of extraHeaders || []) {
+    const match: RegExpMatchArray | null = header.match(/^\s*Reason\s*:\s*(.*)$/i);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Reasons (RFC 3326) of a message ending a session.
+ * @param {SIP.IncomingRequest|SIP.IncomingResponse} [message]
+ */
+const messageReasons: (message?: IncomingRequest | IncomingResponse) => Array<SessionDefinition.Reason> =
+  (message) => {
+    return message && message.getHeaders ? Utils.parseReasons(message.getHeaders("reason")) : [];
+  };
+
+/**
+ * Check whether a token list header (e.g. Allow, Supported) contains the given token.
+ * @param {Array} headers values of every instance of the header
+ * @param {String} token
+ */
+const hasToken: (headers: Array<string>, token: string) => boolean = (headers, token) => {
+  return headers.some((header: string) => header.split(",").some((value: string) =>
+    value.trim().toLowerCase() === token.toLowerCase()));
+};
+
+/**
+ * RFC 3262 7.1: a provisional response is sent reliably if it requires 100rel.
+ * @param {SIP.IncomingResponse} response
+ */
+const isReliable: (response: IncomingResponse) => boolean = (response) => {
+  return hasToken(response.getHeaders("require"), "100rel");
+};
+
 /*
  * @param {function returning SIP.sessionDescriptionHandler} [sessionDescriptionHandlerFactory]
  *        (See the documentation for the sessionDescriptionHandlerFactory argument of the UA constructor.)
@@ -49,6 +107,21 @@ import { Utils } from "./Utils";
 export abstract class Session extends EventEmitter implements SessionDefinition {
   public static readonly C = SessionStatus;
 
+  /**
+   * Methods of the Allow header of a session: the ones of the UA, REFER which sessions accept
+   * in their dialog (RFC 3515) even if the UA does not outside of dialogs, then the ones of the handlers
+   * @param {SIP.UA} ua
+   * @param {Object} [methodHandlers] handlers of the session by method
+   * @returns {Array<String>}
+   */
+  protected static allowedMethods(ua: UA, methodHandlers: {[method: string]: UA.MethodHandler} = {}): Array<string> {
+    const allowed: Array<string> = ua.getAllowedMethods();
+    if (allowed.indexOf(C.REFER) === -1) {
+      allowed.push(C.REFER);
+    }
+    return allowed.concat(Object.keys(methodHandlers).filter((method: string) => allowed.indexOf(method) === -1));
+  }
+
   // inheritted from (Server/ClientContext)
   public type: TypeStrings;
   public ua!: UA;
@@ -67,9 +140,12 @@ export abstract class Session extends EventEmitter implements SessionDefinition
   public replacee: InviteClientContext | InviteServerContext | undefined;
   public dialog: Dialog | undefined;
   public localHold: boolean;
+  public remoteHold: boolean;
   public sessionDescriptionHandler: SessionDescriptionHandler | undefined;
   public startTime: Date | undefined;
   public endTime: Date | undefined;
+  public sessionTimer: SessionDefinition.SessionTimer | undefined;
+  public request!: IncomingRequest | OutgoingRequestType;
 
   protected sessionDescriptionHandlerFactory: SessionDescriptionHandlerFactory;
   protected sessionDescriptionHandlerOptions: any;
@@ -81,6 +157,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
 
   protected timers: {[name: string]: any};
   protected fromTag: string | undefined;
+  protected sessionTimerSettings: {expires: number, minSE: number, refreshMethod?: string};
 
   protected errorListener!: ((...args: Array<any>) => void);
 
@@ -91,13 +168,28 @@ export abstract class Session extends EventEmitter implements SessionDefinition
   protected passedOptions: any;
   protected onInfo: ((request: IncomingRequest) => void) | undefined;
 
+  // call detail record
+  protected inviteTime: Date | undefined;
+  protected provisionalTime: Date | undefined;
+  protected ringingTime: Date | undefined;
+  protected finalStatusCode: number | undefined;
+  protected endReason: string | undefined;
+  protected hangupBy: "local" | "remote" | undefined;
+  protected transferTarget: string | undefined;
+  protected replacedBy: string | undefined;
+
   private tones: any;
 
   private pendingReinvite: boolean;
+  private pendingUpdate: boolean;
+  private remoteAllowsUpdate: boolean;
   private referContext: ReferClientContext | ReferServerContext | undefined;
 
   private toTag: string | undefined;
-  private originalReceiveRequest: (request: IncomingRequest) => void;
+  private originalReceiveRequest: (request: IncomingRequest, context?: ServerContext) => void;
+  private mediaRecoveryAttempt: number | undefined;
+  private statsTotals: CallQualityDefinition.Totals | undefined;
+  private methodHandlers: {[method: string]: UA.MethodHandler};
 
   protected constructor(sessionDescriptionHandlerFactory: SessionDescriptionHandlerFactory) {
     super();
@@ -110,7 +202,9 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     this.status = Session.C.STATUS_NULL;
     this.dialog = undefined;
     this.pendingReinvite = false;
+    this.pendingUpdate = false;
     this.earlyDialogs = {};
+    this.methodHandlers = {};
 
     this.sessionDescriptionHandlerFactory = sessionDescriptionHandlerFactory;
 
@@ -124,9 +218,18 @@ export abstract class Session extends EventEmitter implements SessionDefinition
       invite2xxTimer: undefined,
       userNoAnswerTimer: undefined,
       rel1xxTimer: undefined,
-      prackTimer: undefined
+      prackTimer: undefined,
+      sessionRefreshTimer: undefined,
+      sessionExpiresTimer: undefined,
+      glareTimer: undefined,
+      mediaRecoveryTimer: undefined
     };
 
+    // RFC 4028 session timer, disabled until initSessionTimer() reads the configuration
+    this.sessionTimer = undefined;
+    this.sessionTimerSettings = { expires: 0, minSE: 90 };
+    this.remoteAllowsUpdate = false;
+
     // Session info
     this.startTime = undefined;
     this.endTime = undefined;
@@ -134,6 +237,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
 
     // Hold state
     this.localHold = false;
+    this.remoteHold = false;
 
     this.earlySdp = undefined;
     this.rel100 = C.supported.UNSUPPORTED;
@@ -213,6 +317,17 @@ export abstract class Session extends EventEmitter implements SessionDefinition
 
     options.receiveResponse = () => { /* empty block */ };
 
+    // RFC 3326: the reason of the hang-up
+    options.extraHeaders = (options.extraHeaders || []).slice();
+    if (options.reason) {
+      options.extraHeaders.push("Reason: " + Utils.buildReasonHeader(options.reason));
+    } else if (statusCode) {
+      options.extraHeaders.push("Reason: " + Utils.getReasonHeaderValue(statusCode, options.reasonPhrase));
+    }
+
+    this.hangupBy = this.hangupBy || "local";
+    this.endReason = reasonHeader(options.extraHeaders);
+
     return this.sendRequest(C.BYE, options).terminated();
   }
 
@@ -228,6 +343,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
       target,
       options
     );
+    this.transferTarget = typeof target === "string" ? target : target.remoteIdentity.uri.toString();
 
     this.emit("referRequested", this.referContext);
 
@@ -264,7 +380,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
 
     new RequestSender({
       request,
-      onRequestTimeout: () => this.onRequestTimeout(),
+      onRequestTimeout: () => (options.onRequestTimeout || this.onRequestTimeout.bind(this))(),
       onTransportError: () => this.onTransportError(),
       receiveResponse: (response: IncomingResponse) =>
         (options.receiveResponse || this.receiveNonInviteResponse.bind(this))(response)
@@ -424,14 +540,166 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     this.sendReinvite(options);
   }
 
+  /**
+   * Hold state of the session combining both ends: "none", "local", "remote" or "both"
+   */
+  get holdState(): SessionDefinition.HoldState {
+    if (this.localHold) {
+      return this.remoteHold ? "both" : "local";
+    }
+    return this.remoteHold ? "remote" : "none";
+  }
+
+  /**
+   * Update the remote hold state from the media directions of a session description of the
+   * other end, which holds the session when it does not receive any of the active streams.
+   * @param {Array<String>} directions media direction of each m-line, see Utils.getMediaDirections()
+   */
+  public updateRemoteHold(directions: Array<string>): void {
+    const remoteHold: boolean = directions.length > 0 &&
+      directions.every((direction: string) => direction === "sendonly" || direction === "inactive");
+    if (remoteHold === this.remoteHold) {
+      return;
+    }
+    this.remoteHold = remoteHold;
+    this.emit(remoteHold ? "remoteHold" : "remoteUnhold", this);
+  }
+
+  /**
+   * Follow the ICE connection state of the media: recover from a failure, or from a disconnection
+   * that does not heal by itself within mediaRecoveryInterval.
+   * @param {String} state RTCIceConnectionState
+   */
+  public updateIceConnectionState(state: string): void {
+    if (state === "connected" || state === "completed") {
+      clearTimeout(this.timers.mediaRecoveryTimer);
+      if (this.mediaRecoveryAttempt !== undefined) {
+        this.logger.log("media recovered");
+        this.mediaRecoveryAttempt = undefined;
+        this.emit("mediaRecovered", this);
+      }
+    } else if (state === "failed") {
+      this.recoverMedia();
+    } else if (state === "disconnected" && this.mediaRecoveryAttempt === undefined) {
+      clearTimeout(this.timers.mediaRecoveryTimer);
+      this.timers.mediaRecoveryTimer = setTimeout(() => this.recoverMedia(),
+        (this.ua.configuration.mediaRecoveryInterval as number) * 1000);
+    }
+  }
+
+  /**
+   * Recover the media after a network change, e.g. from Wi-Fi to LTE: re-INVITE with an ICE restart
+   * offer, retried with an exponential back-off until ICE connects again. The session ends with the
+   * MEDIA_RECOVERY_FAILED cause once all the mediaRecoveryAttempts failed.
+   */
+  public recoverMedia(): void {
+    if (this.status !== SessionStatus.STATUS_CONFIRMED || !this.ua.configuration.mediaRecovery ||
+        this.mediaRecoveryAttempt !== undefined) {
+      return;
+    }
+    this.logger.log("recovering media");
+    clearTimeout(this.timers.mediaRecoveryTimer);
+    this.mediaRecoveryAttempt = 0;
+    this.emit("mediaRecovering", this);
+    this.attemptMediaRecovery();
+  }
+
+  /**
+   * Add a quality sample of the media to the totals reported at the end of the call if a collector is configured
+   * @param {CallQuality.Sample} sample
+   */
+  public updateStats(sample: CallQualityDefinition.Sample): void {
+    this.statsTotals = CallQuality.accumulate(this.statsTotals, sample);
+    this.emit("stats", sample, this);
+  }
+
+  /**
+   * Start sending video from a camera and renegotiate the session with a re-INVITE
+   * @param {Object} [options]
+   * @param {Boolean|Object} [options.constraints] video track constraints
+   * @param {Array<String>} [options.extraHeaders] extra headers of the re-INVITE
+   * @returns {Promise} Promise that resolves once the re-INVITE is sent
+   */
+  public addVideo(options: any = {}): Promise<void> {
+    return this.renegotiateMedia(options, (sdh: SessionDescriptionHandler) =>
+      sdh.addVideo && sdh.addVideo(options.constraints));
+  }
+
+  /**
+   * Start sending the screen and renegotiate the session with a re-INVITE
+   * @param {Object} [options]
+   * @param {Object} [options.constraints] screen capture constraints
+   * @param {Array<String>} [options.extraHeaders] extra headers of the re-INVITE
+   * @returns {Promise} Promise that resolves once the re-INVITE is sent
+   */
+  public shareScreen(options: any = {}): Promise<void> {
+    return this.renegotiateMedia(options, (sdh: SessionDescriptionHandler) =>
+      sdh.shareScreen && sdh.shareScreen(options.constraints));
+  }
+
+  /**
+   * Stop sending video, camera or screen, and renegotiate the session with a re-INVITE
+   * @param {Object} [options]
+   * @param {Array<String>} [options.extraHeaders] extra headers of the re-INVITE
+   * @returns {Promise} Promise that resolves once the re-INVITE is sent
+   */
+  public removeVideo(options: any = {}): Promise<void> {
+    return this.renegotiateMedia(options, (sdh: SessionDescriptionHandler) => sdh.removeVideo && sdh.removeVideo());
+  }
+
   public reinvite(options: any = {}, modifiers: SessionDescriptionHandlerModifiers = []): void {
     options.modifiers = modifiers;
 
     return this.sendReinvite(options);
   }
 
-  public receiveRequest(request: IncomingRequest): void {
-    switch (request.method) { // TODO: This needs a default case
+  public update(options: any = {}, modifiers: SessionDescriptionHandlerModifiers = []): void {
+    if (this.status !== SessionStatus.STATUS_WAITING_FOR_ACK && this.status !== SessionStatus.STATUS_CONFIRMED &&
+        this.status !== SessionStatus.STATUS_EARLY_MEDIA) {
+      throw new Exceptions.InvalidStateError(this.status);
+    }
+
+    options.modifiers = modifiers;
+
+    return this.sendUpdate(options);
+  }
+
+  /**
+   * Handle the requests of a method the session does not handle itself, received in its dialog.
+   * The handler is called with the ServerContext of the requests and must reply to them.
+   * Methods with no handler of the session are passed to the handler of the UA, if any.
+   *
+   * @param {String} method e.g. "PING"
+   * @param {Function} handler
+   *
+   * @throws {SIP.Exceptions.MethodParameterError} for the methods handled by the session
+   */
+  public registerMethodHandler(method: string, handler: UA.MethodHandler): this {
+    if (!Utils.isExtensionMethod(method)) {
+      throw new Exceptions.MethodParameterError("registerMethodHandler", "method", method);
+    }
+    if (!(handler instanceof Function)) {
+      throw new Exceptions.MethodParameterError("registerMethodHandler", "handler", handler);
+    }
+    this.methodHandlers[method] = handler;
+    return this;
+  }
+
+  public unregisterMethodHandler(method: string): this {
+    delete this.methodHandlers[method];
+    return this;
+  }
+
+  /**
+   * Methods of the Allow header: the ones of the UA, REFER and the ones the session has handlers for
+   * @returns {Array<String>}
+   */
+  public getAllowedMethods(): Array<string> {
+    return Session.allowedMethods(this.ua, this.methodHandlers);
+  }
+
+  public receiveRequest(request: IncomingRequest, context?: ServerContext): void {
+    switch (request.method) {
       case C.BYE:
         request.reply(200);
         if (this.status === SessionStatus.STATUS_CONFIRMED) {
@@ -445,6 +713,10 @@ export abstract class Session extends EventEmitter implements SessionDefinition
           this.receiveReinvite(request);
         }
         break;
+      case C.UPDATE:
+        this.logger.log("UPDATE received");
+        this.receiveUpdate(request);
+        break;
       case C.INFO:
         if (this.status === SessionStatus.STATUS_CONFIRMED || this.status === SessionStatus.STATUS_WAITING_FOR_ACK) {
           if (this.onInfo) {
@@ -505,6 +777,20 @@ export abstract class Session extends EventEmitter implements SessionDefinition
         request.reply(200, "OK");
         this.emit("notify", request);
         break;
+      default: {
+        // The UA replies to the other methods it handles, e.g. OPTIONS and MESSAGE
+        if (!Utils.isExtensionMethod(request.method)) {
+          break;
+        }
+        const methodHandler: UA.MethodHandler | undefined =
+          this.methodHandlers[request.method] || this.ua.getMethodHandler(request.method);
+        if (methodHandler && context) {
+          this.ua.callMethodHandler(methodHandler, context);
+        } else {
+          request.reply(405, undefined, ["Allow: " + this.getAllowedMethods().toString()]);
+        }
+        break;
+      }
     }
   }
 
@@ -541,10 +827,23 @@ export abstract class Session extends EventEmitter implements SessionDefinition
   protected receiveReinvite(request: IncomingRequest): void {
     // TODO: Should probably check state of the session
 
+    // RFC 4028 9: reject a session interval lower than the one we are willing to accept
+    const sessionExpires: any = this.sessionTimerSettings.expires && request.parseHeader("session-expires");
+    if (sessionExpires && sessionExpires.deltaSeconds < this.sessionTimerSettings.minSE) {
+      request.reply(422, undefined, ["Min-SE: " + this.sessionTimerSettings.minSE]);
+      return;
+    }
+
+    // RFC 3261 14.2: glare, an offer we sent is still waiting for its answer
+    if (this.pendingReinvite || this.pendingUpdate) {
+      request.reply(491);
+      return;
+    }
+
     this.emit("reinvite", this, request);
 
     if (request.hasHeader("P-Asserted-Identity")) {
-      this.assertedIdentity = Grammar.nameAddrHeaderParse(request.getHeader("P-Asserted-Identity") as string);
+      this.assertedIdentity = Privacy.assertedIdentity(request);
     }
 
     let promise: Promise<BodyObj | void>;
@@ -563,7 +862,9 @@ export abstract class Session extends EventEmitter implements SessionDefinition
         request.body,
         this.sessionDescriptionHandlerOptions,
         this.modifiers
-      ).then(this.sessionDescriptionHandler.getDescription.bind(
+      ).then(() => {
+        this.updateRemoteHold(Utils.getMediaDirections(request.body));
+      }).then(this.sessionDescriptionHandler.getDescription.bind(
         this.sessionDescriptionHandler,
         this.sessionDescriptionHandlerOptions,
         this.modifiers)
@@ -574,7 +875,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
       return;
     }
 
-    this.receiveRequest = (incRequest: IncomingRequest): void => {
+    this.receiveRequest = (incRequest: IncomingRequest, context?: ServerContext): void => {
       if (incRequest.method === C.ACK && this.status === SessionStatus.STATUS_WAITING_FOR_ACK) {
         if (this.sessionDescriptionHandler &&
             this.sessionDescriptionHandler.hasDescription(incRequest.getHeader("Content-Type") || "")) {
@@ -584,6 +885,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
             this.sessionDescriptionHandlerOptions,
             this.modifiers
           ).then(() => {
+            this.updateRemoteHold(Utils.getMediaDirections(incRequest.body));
             clearTimeout(this.timers.ackTimer);
             clearTimeout(this.timers.invite2xxTimer);
             this.status = SessionStatus.STATUS_CONFIRMED;
@@ -598,7 +900,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
           this.emit("confirmed", incRequest);
         }
       } else {
-        this.originalReceiveRequest(incRequest);
+        this.originalReceiveRequest(incRequest, context);
       }
     };
 
@@ -619,18 +921,128 @@ export abstract class Session extends EventEmitter implements SessionDefinition
       // TODO: This could be better
       throw e;
     }).then((description) => {
-      const extraHeaders: Array<string> = ["Contact: " + this.contact];
+      const extraHeaders: Array<string> = ["Contact: " + this.contact].concat(this.negotiateSessionTimer(request));
       request.reply(200, undefined, extraHeaders, description, () => {
         this.status = SessionStatus.STATUS_WAITING_FOR_ACK;
 
+        this.startSessionTimer();
         this.setACKTimer();
         this.emit("reinviteAccepted", this);
       });
     });
   }
 
+  /**
+   * RFC 3311 5.2: an UPDATE without a body only refreshes the session, an UPDATE with
+   * a body carries an offer which is answered in the 2xx. The UPDATE is accepted in
+   * early dialogs once the offer/answer exchange of the INVITE has completed.
+   * @param {SIP.IncomingRequest} request
+   */
+  protected receiveUpdate(request: IncomingRequest): void {
+    // RFC 4028 9: reject a session interval lower than the one we are willing to accept
+    const sessionExpires: any = this.sessionTimerSettings.expires && request.parseHeader("session-expires");
+    if (sessionExpires && sessionExpires.deltaSeconds < this.sessionTimerSettings.minSE) {
+      request.reply(422, undefined, ["Min-SE: " + this.sessionTimerSettings.minSE]);
+      return;
+    }
+
+    // The session timer only applies to an established session
+    const established: boolean = this.status === SessionStatus.STATUS_CONFIRMED ||
+      this.status === SessionStatus.STATUS_WAITING_FOR_ACK;
+    const replySucceeded: (description?: BodyObj) => void = (description?: BodyObj) => {
+      const extraHeaders: Array<string> = ["Contact: " + this.contact];
+      if (established) {
+        extraHeaders.push(...this.negotiateSessionTimer(request));
+      }
+      request.reply(200, undefined, extraHeaders, description, () => {
+        if (established) {
+          this.startSessionTimer();
+        }
+        if (description) {
+          this.emit("updateAccepted", this);
+        }
+      });
+    };
+
+    if (!request.body) {
+      this.emit("updateReceived", this, request);
+      replySucceeded();
+      return;
+    }
+
+    // Glare, an offer we sent is still waiting for its answer
+    if (this.pendingReinvite || this.pendingUpdate) {
+      request.reply(491);
+      return;
+    }
+
+    const sessionDescriptionHandler: SessionDescriptionHandler | undefined = this.sessionDescriptionHandler;
+    if (!sessionDescriptionHandler || !this.hasOffer || !this.hasAnswer) {
+      // The offer/answer exchange of the INVITE is still in progress
+      const retryAfter: number = Math.floor((Math.random() * 10)) + 1;
+      request.reply(500, undefined, ["Retry-After: " + retryAfter]);
+      return;
+    }
+
+    if (!sessionDescriptionHandler.hasDescription(request.getHeader("Content-Type") || "")) {
+      request.reply(415);
+      this.emit("updateFailed", this);
+      return;
+    }
+
+    this.emit("updateReceived", this, request);
+
+    sessionDescriptionHandler.setDescription(
+      request.body,
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    ).then(() => sessionDescriptionHandler.getDescription(
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    )).then((description: BodyObj) => replySucceeded(description), (e: any) => {
+      let statusCode: number;
+      if (e.type === TypeStrings.SessionDescriptionHandlerError) {
+        statusCode = 500;
+      } else if (e.type === TypeStrings.RenegotiationError) {
+        this.emit("renegotiationError", e);
+        this.logger.warn(e.toString());
+        statusCode = 488;
+      } else {
+        this.logger.error(e);
+        statusCode = 488;
+      }
+      request.reply(statusCode);
+      this.emit("updateFailed", this);
+    });
+  }
+
+  protected renegotiateMedia(
+    options: any,
+    change: (sessionDescriptionHandler: SessionDescriptionHandler) => Promise<void> | undefined
+  ): Promise<void> {
+    if (this.status !== SessionStatus.STATUS_WAITING_FOR_ACK && this.status !== SessionStatus.STATUS_CONFIRMED) {
+      return Promise.reject(new Exceptions.InvalidStateError(this.status));
+    }
+    if (this.pendingReinvite || this.pendingUpdate) {
+      return Promise.reject(new Exceptions.RenegotiationError("Renegotiation in progress"));
+    }
+    const changed: Promise<void> | undefined =
+      this.sessionDescriptionHandler && change(this.sessionDescriptionHandler);
+    if (!changed) {
+      return Promise.reject(new Exceptions.NotSupportedError("The SessionDescriptionHandler cannot change the media"));
+    }
+
+    return changed.then(() => {
+      const modifiers: SessionDescriptionHandlerModifiers = [];
+      if (this.localHold && this.sessionDescriptionHandler) {
+        modifiers.push(this.sessionDescriptionHandler.holdModifier);
+      }
+      this.sendReinvite({ extraHeaders: options.extraHeaders, modifiers });
+    });
+  }
+
   protected sendReinvite(options: any = {}): void {
-    if (this.pendingReinvite) {
+    if (this.pendingReinvite || this.pendingUpdate) {
       this.logger.warn("Reinvite in progress. Please wait until complete, then try again.");
       return;
     }
@@ -644,24 +1056,27 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
 
     extraHeaders.push("Contact: " + this.contact);
-    // this is UA.C.ALLOWED_METHODS, removed to get around circular dependency
-    extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    extraHeaders.push("Allow: " + this.getAllowedMethods().toString());
+    extraHeaders.push(...this.sessionTimerHeaders());
     this.sessionDescriptionHandler.getDescription(options.sessionDescriptionHandlerOptions, options.modifiers)
     .then((description: BodyObj) => {
       this.sendRequest(C.INVITE, {
         extraHeaders,
         body: description,
-        receiveResponse: (response: IncomingResponse) => this.receiveReinviteResponse(response)
+        receiveResponse: (response: IncomingResponse) => {
+          const retry: () => void = () => {
+            this.pendingReinvite = false;
+            this.sendReinvite(options);
+          };
+          if (response.statusCode === 491) {
+            this.pendingReinvite = false;
+            this.retryAfterGlare(() => this.sendReinvite(options));
+          } else if (!this.receiveSessionRefreshFailure(response, retry)) {
+            this.receiveReinviteResponse(response);
+          }
+        },
+        onRequestTimeout: options.onRequestTimeout ||
+          (() => this.sessionTimer ? this.sessionRefreshFailed() : this.onRequestTimeout())
       });
     }).catch((e: any) => {
       if (e.type === TypeStrings.RenegotiationError) {
@@ -704,6 +1119,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
         this.pendingReinvite = false;
         // TODO: All of these timers should move into the Transaction layer
         clearTimeout(this.timers.invite2xxTimer);
+        this.receiveSessionTimerResponse(response);
         if (!this.sessionDescriptionHandler ||
           (!this.sessionDescriptionHandler.hasDescription(response.getHeader("Content-Type") || ""))) {
           this.logger.error("2XX response received to re-invite but did not have a description");
@@ -741,6 +1157,139 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     }
   }
 
+  /**
+   * RFC 3311 5.1: send an offer in an UPDATE, within an early or a confirmed dialog.
+   * @param {Object} [options] extraHeaders, sessionDescriptionHandlerOptions and modifiers
+   */
+  protected sendUpdate(options: any = {}): void {
+    if (this.pendingReinvite || this.pendingUpdate) {
+      this.logger.warn("Offer in progress. Please wait until complete, then try again.");
+      return;
+    }
+    if (!this.sessionDescriptionHandler) {
+      this.logger.warn("No SessionDescriptionHandler, can't send an UPDATE..");
+      return;
+    }
+    if (!this.dialog) {
+      this.logger.warn("No dialog, can't send an UPDATE..");
+      return;
+    }
+    this.pendingUpdate = true;
+    options.modifiers = options.modifiers || [];
+
+    const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
+    extraHeaders.push("Contact: " + this.contact);
+    if (this.status !== SessionStatus.STATUS_EARLY_MEDIA) {
+      extraHeaders.push(...this.sessionTimerHeaders());
+    }
+
+    this.sessionDescriptionHandler.getDescription(options.sessionDescriptionHandlerOptions, options.modifiers)
+    .then((description: BodyObj) => {
+      this.sendRequest(C.UPDATE, {
+        extraHeaders,
+        body: description,
+        receiveResponse: (response: IncomingResponse) => {
+          const retry: () => void = () => {
+            this.pendingUpdate = false;
+            this.sendUpdate(options);
+          };
+          if (response.statusCode === 491) {
+            this.pendingUpdate = false;
+            this.retryAfterGlare(retry);
+          } else if (!this.receiveSessionRefreshFailure(response, retry)) {
+            this.receiveUpdateResponse(response);
+          }
+        },
+        onRequestTimeout: () => this.sessionTimer ? this.sessionRefreshFailed() : this.onRequestTimeout()
+      });
+    }).catch((e: any) => {
+      // Nobody waits on this promise, report the failure instead of rethrowing it
+      this.pendingUpdate = false;
+      this.emit("updateFailed", this);
+      if (e.type === TypeStrings.RenegotiationError) {
+        this.emit("renegotiationError", e);
+        this.logger.warn("Renegotiation Error");
+        this.logger.warn(e.toString());
+        return;
+      }
+      this.logger.error("sessionDescriptionHandler error");
+      this.logger.error(e);
+    });
+  }
+
+  // Reception of Response for in-dialog UPDATE carrying an offer
+  protected receiveUpdateResponse(response: IncomingResponse): void {
+    if (this.status === SessionStatus.STATUS_TERMINATED) {
+      this.logger.error("Received UPDATE response, but in STATUS_TERMINATED");
+      return;
+    }
+
+    if (!this.pendingUpdate) {
+      this.logger.error("Received UPDATE response, but have no pending UPDATE");
+      return;
+    }
+    const statusCode: number = response.statusCode || 0;
+    if (statusCode < 200) {
+      return;
+    }
+
+    this.pendingUpdate = false;
+    if (statusCode >= 300) {
+      this.logger.log("Received a non 1XX or 2XX response to an UPDATE");
+      this.emit("updateFailed", this);
+      this.emit("renegotiationError", new Exceptions.RenegotiationError("Invalid response to an UPDATE"));
+      return;
+    }
+
+    if (this.status !== SessionStatus.STATUS_EARLY_MEDIA) {
+      this.receiveSessionTimerResponse(response);
+    }
+    if (!this.sessionDescriptionHandler ||
+      (!this.sessionDescriptionHandler.hasDescription(response.getHeader("Content-Type") || ""))) {
+      this.logger.error("2XX response received to UPDATE but did not have a description");
+      this.emit("updateFailed", this);
+      this.emit(
+        "renegotiationError",
+        new Exceptions.RenegotiationError("2XX response received to UPDATE but did not have a description")
+      );
+      return;
+    }
+
+    this.sessionDescriptionHandler.setDescription(
+      response.body,
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    ).then(() => {
+      this.emit("updateAccepted", this);
+    }, (e: any) => {
+      this.logger.error("Could not set the description in 2XX response");
+      this.logger.error(e);
+      this.emit("updateFailed", this);
+      this.emit("renegotiationError", e);
+      this.sendRequest(C.BYE, {
+        extraHeaders: ["Reason: " + Utils.getReasonHeaderValue(488, "Not Acceptable Here")]
+      });
+      this.terminated(undefined, C.causes.INCOMPATIBLE_SDP);
+    });
+  }
+
+  /**
+   * RFC 3261 14.1: after a 491 the offer is sent again after a random delay, between
+   * 2.1 and 4 seconds if we own the Call-ID of the dialog, up to 2 seconds otherwise.
+   * @param {Function} retry sends the offer again
+   */
+  protected retryAfterGlare(retry: () => void): void {
+    const delay: number = this.type === TypeStrings.InviteClientContext ?
+      2100 + Math.random() * 1900 : Math.random() * 2000;
+
+    this.logger.log("request pending on the remote side, sending the offer again in " + Math.round(delay) + " ms");
+    this.timers.glareTimer = setTimeout(() => {
+      if (this.status !== SessionStatus.STATUS_TERMINATED) {
+        retry();
+      }
+    }, delay);
+  }
+
   protected acceptAndTerminate(response: IncomingResponse, statusCode?: number, reasonPhrase?: string): Session {
     const extraHeaders: Array<string> = [];
 
@@ -762,7 +1311,11 @@ export abstract class Session extends EventEmitter implements SessionDefinition
    * Response retransmissions cannot be accomplished by transaction layer
    *  since it is destroyed when receiving the first 2xx answer
    */
-  protected setInvite2xxTimer(request: IncomingRequest, description: string): void {
+  protected setInvite2xxTimer(
+    request: IncomingRequest,
+    description: string,
+    extraHeaders: Array<string> = ["Contact: " + this.contact]
+  ): void {
     let timeout: number = Timers.T1;
     const invite2xxRetransmission = () => {
       if (this.status !== SessionStatus.STATUS_WAITING_FOR_ACK) {
@@ -771,8 +1324,6 @@ export abstract class Session extends EventEmitter implements SessionDefinition
 
       this.logger.log("no ACK received, attempting to retransmit OK");
 
-      const extraHeaders: Array<string> = ["Contact: " + this.contact];
-
       request.reply(200, undefined, extraHeaders, description);
 
       timeout = Math.min(timeout * 2, Timers.T2);
@@ -783,31 +1334,333 @@ export abstract class Session extends EventEmitter implements SessionDefinition
   }
 
   /**
-   * RFC3261 14.2
-   * If a UAS generates a 2xx response and never receives an ACK,
-   * it SHOULD generate a BYE to terminate the dialog.
+   * RFC3261 14.2
+   * If a UAS generates a 2xx response and never receives an ACK,
+   * it SHOULD generate a BYE to terminate the dialog.
+   */
+  protected setACKTimer(): void {
+    this.timers.ackTimer = setTimeout(() => {
+      if (this.status === SessionStatus.STATUS_WAITING_FOR_ACK) {
+        this.logger.log("no ACK received for an extended period of time, terminating the call");
+        clearTimeout(this.timers.invite2xxTimer);
+        this.sendRequest(C.BYE);
+        this.terminated(undefined, C.causes.NO_ACK);
+      }
+    }, Timers.TIMER_H);
+  }
+
+  /**
+   * RFC 4028: read the session timer settings from the UA configuration, overridden
+   * by the per-call options. A sessionExpires of 0 disables the session timer.
+   * @param {Object} [options] invite or accept options
+   */
+  protected initSessionTimer(options: any = {}): void {
+    const configuration: any = this.ua.configuration;
+    if (configuration.sessionTimers !== C.supported.SUPPORTED &&
+        configuration.sessionTimers !== C.supported.REQUIRED) {
+      return;
+    }
+
+    const minSE: number = options.minSessionExpires || configuration.minSessionExpires;
+    const expires: number = options.sessionExpires !== undefined ?
+      options.sessionExpires : configuration.sessionExpires;
+
+    this.sessionTimerSettings = {
+      expires: expires ? Math.max(expires, minSE) : 0,
+      minSE,
+      refreshMethod: options.sessionRefreshMethod || configuration.sessionRefreshMethod
+    };
+  }
+
+  /**
+   * Session-Expires and Min-SE headers for an INVITE or UPDATE sent within the session.
+   * Once the timer runs, the refresher stays on the same side (RFC 4028 7.4).
+   */
+  protected sessionTimerHeaders(): Array<string> {
+    if (!this.sessionTimerSettings.expires) {
+      return [];
+    }
+
+    let sessionExpires: string = "Session-Expires: ";
+    if (this.sessionTimer) {
+      sessionExpires += this.sessionTimer.interval + ";refresher=" + (this.sessionTimer.localRefresher ? "uac" : "uas");
+    } else {
+      sessionExpires += this.sessionTimerSettings.expires;
+    }
+
+    return [sessionExpires, "Min-SE: " + this.sessionTimerSettings.minSE];
+  }
+
+  /**
+   * RFC 4028 9: choose the session interval and the refresher for an INVITE we answer.
+   * The session timer starts once the 2xx has been sent (see startSessionTimer).
+   * @param {SIP.IncomingRequest} request
+   * @returns {Array} headers to add to the 2xx
+   */
+  protected negotiateSessionTimer(request: IncomingRequest): Array<string> {
+    const settings: {expires: number, minSE: number} = this.sessionTimerSettings;
+    if (!settings.expires) {
+      return [];
+    }
+
+    if (request.hasHeader("allow")) {
+      this.remoteAllowsUpdate = hasToken(request.getHeaders("allow"), C.UPDATE);
+    }
+
+    const remoteSupported: boolean = hasToken(request.getHeaders("supported").concat(request.getHeaders("require")),
+      "timer");
+    const sessionExpires: any = request.parseHeader("session-expires");
+    const minSE: number = Math.max(request.parseHeader("min-se") || 0, settings.minSE);
+
+    let interval: number = settings.expires;
+    let refresher: string = remoteSupported ? "uac" : "uas";
+    if (sessionExpires) {
+      // The interval can be reduced, but not below Min-SE
+      interval = Math.min(sessionExpires.deltaSeconds, interval);
+      if (sessionExpires.refresher && remoteSupported) {
+        refresher = sessionExpires.refresher;
+      }
+    }
+    interval = Math.max(interval, minSE);
+
+    this.sessionTimer = {
+      interval,
+      localRefresher: refresher === "uas"
+    };
+
+    const extraHeaders: Array<string> = ["Session-Expires: " + interval + ";refresher=" + refresher];
+    if (remoteSupported) {
+      extraHeaders.push("Require: timer");
+    }
+    return extraHeaders;
+  }
+
+  /**
+   * RFC 4028 7.2: read the session interval and the refresher from a 2xx to an INVITE
+   * or UPDATE we sent, and restart the session timer.
+   * @param {SIP.IncomingResponse} response
+   */
+  protected receiveSessionTimerResponse(response: IncomingResponse): void {
+    if (!this.sessionTimerSettings.expires) {
+      return;
+    }
+
+    if (response.hasHeader("allow")) {
+      this.remoteAllowsUpdate = hasToken(response.getHeaders("allow"), C.UPDATE);
+    }
+
+    const sessionExpires: any = response.parseHeader("session-expires");
+    if (sessionExpires) {
+      this.sessionTimer = {
+        interval: sessionExpires.deltaSeconds,
+        localRefresher: sessionExpires.refresher !== "uas"
+      };
+    } else {
+      // Without Session-Expires in the 2xx the session does not expire
+      this.sessionTimer = undefined;
+    }
+
+    this.startSessionTimer();
+  }
+
+  /**
+   * Handle a failure response to an INVITE or UPDATE sent within the session.
+   * A 422 is retried with the Min-SE it carries; while the session timer runs, a 408
+   * or a 481 to a refresh ends the session (RFC 4028 10).
+   * @param {SIP.IncomingResponse} response
+   * @param {Function} retry sends the request again
+   * @returns {Boolean} true if the response was handled
+   */
+  protected receiveSessionRefreshFailure(response: IncomingResponse, retry: () => void): boolean {
+    if (this.status === SessionStatus.STATUS_TERMINATED) {
+      return false;
+    }
+
+    switch (response.statusCode) {
+      case 422:
+        return this.retryWithMinSE(response, retry);
+      case 408:
+      case 481:
+        if (this.sessionTimer) {
+          this.sessionRefreshFailed(response);
+          return true;
+        }
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * RFC 4028 7.4: on a 422, raise the session interval to the Min-SE of the response and
+   * send the request again. Nothing is retried if the Min-SE does not raise the interval.
+   * @param {SIP.IncomingResponse} response
+   * @param {Function} retry sends the request again
+   * @returns {Boolean} true if the request is retried
+   */
+  protected retryWithMinSE(response: IncomingResponse, retry: () => void): boolean {
+    const minSE: number | undefined = response.parseHeader("min-se");
+    const interval: number = this.sessionTimer ? this.sessionTimer.interval : this.sessionTimerSettings.expires;
+    if (!interval || !minSE || minSE <= interval) {
+      return false;
+    }
+
+    this.logger.log("session interval too small, retrying with " + minSE + " seconds");
+    this.sessionTimerSettings.minSE = Math.max(this.sessionTimerSettings.minSE, minSE);
+    this.sessionTimerSettings.expires = Math.max(this.sessionTimerSettings.expires, minSE);
+    if (this.sessionTimer) {
+      this.sessionTimer.interval = minSE;
+    }
+    retry();
+    return true;
+  }
+
+  /**
+   * RFC 4028 10: the refresher sends a session refresh half way through the session interval.
+   * Both sides end the session if it has not been refreshed shortly before the interval ends.
+   */
+  protected startSessionTimer(): void {
+    clearTimeout(this.timers.sessionRefreshTimer);
+    clearTimeout(this.timers.sessionExpiresTimer);
+
+    const sessionTimer: SessionDefinition.SessionTimer | undefined = this.sessionTimer;
+    if (!sessionTimer) {
+      return;
+    }
+
+    if (sessionTimer.localRefresher) {
+      this.timers.sessionRefreshTimer = setTimeout(() => this.refreshSession(), sessionTimer.interval * 1000 / 2);
+    }
+
+    const expires: number = sessionTimer.interval - Math.min(32, sessionTimer.interval / 3);
+    this.timers.sessionExpiresTimer = setTimeout(() => {
+      if (this.status === SessionStatus.STATUS_TERMINATED) {
+        return;
+      }
+      this.logger.log("session was not refreshed in time, terminating the call");
+      this.sendRequest(C.BYE);
+      this.terminated(undefined,
+        sessionTimer.localRefresher ? C.causes.SESSION_REFRESH_FAILED : C.causes.SESSION_EXPIRED);
+    }, expires * 1000);
+  }
+
+  /**
+   * Send a session refresh: an UPDATE without a body if the remote end allows it,
+   * otherwise a re-INVITE offering the current session description.
+   */
+  protected refreshSession(): void {
+    // A re-INVITE or an UPDATE in progress refreshes the session once it completes
+    if (this.status !== SessionStatus.STATUS_CONFIRMED || this.pendingReinvite || this.pendingUpdate) {
+      return;
+    }
+
+    this.logger.log("refreshing the session");
+
+    if (this.sessionTimerSettings.refreshMethod !== C.INVITE && this.remoteAllowsUpdate) {
+      this.sendRequest(C.UPDATE, {
+        extraHeaders: ["Contact: " + this.contact].concat(this.sessionTimerHeaders()),
+        receiveResponse: (response: IncomingResponse) => {
+          const statusCode: number = response.statusCode || 0;
+          if (statusCode >= 200 && statusCode < 300) {
+            this.receiveSessionTimerResponse(response);
+          } else if (statusCode >= 300 && !this.receiveSessionRefreshFailure(response, () => this.refreshSession())) {
+            this.logger.warn("session refresh rejected with " + statusCode);
+          }
+        },
+        onRequestTimeout: () => this.sessionRefreshFailed()
+      });
+    } else {
+      const modifiers: SessionDescriptionHandlerModifiers = [];
+      if (this.localHold && this.sessionDescriptionHandler) {
+        modifiers.push(this.sessionDescriptionHandler.holdModifier);
+      }
+      this.sendReinvite({ modifiers });
+    }
+  }
+
+  /**
+   * RFC 4028 10: a refresh that timed out or got a 408 or 481 ends the session with a BYE.
+   * @param {SIP.IncomingResponse} [response]
+   */
+  protected sessionRefreshFailed(response?: IncomingResponse): void {
+    if (this.status === SessionStatus.STATUS_TERMINATED) {
+      return;
+    }
+    this.logger.log("session refresh failed, terminating the call");
+    this.sendRequest(C.BYE);
+    this.terminated(response, C.causes.SESSION_REFRESH_FAILED);
+  }
+
+  protected attemptMediaRecovery(): void {
+    const attempt: number = this.mediaRecoveryAttempt || 0;
+    if (this.status !== SessionStatus.STATUS_CONFIRMED) {
+      return;
+    }
+    if (attempt >= (this.ua.configuration.mediaRecoveryAttempts as number)) {
+      this.logger.warn("media recovery failed, terminating the call");
+      this.mediaRecoveryAttempt = undefined;
+      this.sendRequest(C.BYE);
+      this.terminated(undefined, C.causes.MEDIA_RECOVERY_FAILED);
+      return;
+    }
+
+    this.mediaRecoveryAttempt = attempt + 1;
+    // The next attempt is canceled once ICE connects again
+    this.timers.mediaRecoveryTimer = setTimeout(() => this.attemptMediaRecovery(),
+      (this.ua.configuration.mediaRecoveryInterval as number) * 1000 * Math.pow(2, attempt));
+
+    if (this.pendingReinvite || this.pendingUpdate) {
+      this.logger.log("offer in progress, media recovery attempt skipped");
+      return;
+    }
+    this.logger.log("media recovery attempt " + this.mediaRecoveryAttempt + ", restarting ICE");
+    const modifiers: SessionDescriptionHandlerModifiers = [];
+    if (this.localHold && this.sessionDescriptionHandler) {
+      modifiers.push(this.sessionDescriptionHandler.holdModifier);
+    }
+    this.sendReinvite({
+      sessionDescriptionHandlerOptions: { RTCOfferOptions: { iceRestart: true } },
+      modifiers,
+      // The network may still be down, the next attempt retries
+      onRequestTimeout: () => {
+        this.pendingReinvite = false;
+      }
+    });
+  }
+
+  /**
+   * RFC 6035: publish the quality report of the call to the qualityReportCollector
    */
-  protected setACKTimer(): void {
-    this.timers.ackTimer = setTimeout(() => {
-      if (this.status === SessionStatus.STATUS_WAITING_FOR_ACK) {
-        this.logger.log("no ACK received for an extended period of time, terminating the call");
-        clearTimeout(this.timers.invite2xxTimer);
-        this.sendRequest(C.BYE);
-        this.terminated(undefined, C.causes.NO_ACK);
-      }
-    }, Timers.TIMER_H);
+  protected sendQualityReport(): void {
+    const collector: string | undefined = this.ua.configuration.qualityReportCollector;
+    if (!collector || !this.statsTotals || !this.dialog) {
+      return;
+    }
+    const localId: string = "<" + this.localIdentity.uri.toString() + ">";
+    const remoteId: string = "<" + this.remoteIdentity.uri.toString() + ">";
+    try {
+      CallQuality.publish(this.ua, collector, {
+        callId: this.dialog.id.callId,
+        localId,
+        remoteId,
+        origId: this.type === TypeStrings.InviteClientContext ? localId : remoteId,
+        summary: CallQuality.summarize(this.statsTotals)
+      });
+    } catch (e) {
+      this.logger.warn("unable to send the quality report: " + e.message);
+    }
   }
 
   protected failed(response: IncomingResponse | IncomingRequest | undefined, cause: string): this {
     if (this.status === SessionStatus.STATUS_TERMINATED) {
       return this;
     }
-    this.emit("failed", response, cause);
+    this.emit("failed", response, cause, messageReasons(response));
     return this;
   }
 
   protected rejected(response: IncomingResponse | IncomingRequest, cause: string): this {
-    this.emit("rejected", response, cause);
+    this.emit("rejected", response, cause, messageReasons(response));
     return this;
   }
 
@@ -827,6 +1680,7 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     this.startTime = new Date();
 
     if (this.replacee) {
+      (this.replacee as unknown as Session).replacedBy = this.id;
       this.replacee.emit("replaced", this);
       this.replacee.terminate();
     }
@@ -840,12 +1694,82 @@ export abstract class Session extends EventEmitter implements SessionDefinition
     }
 
     this.endTime = new Date();
+    if (message && message.hasHeader("Reason")) {
+      this.endReason = message.getHeaders("Reason").join(", ");
+    }
 
+    this.sendQualityReport();
     this.close();
-    this.emit("terminated", message, cause);
+    this.sendCDR(message, cause);
+    this.emit("terminated", message, cause, this.endReason ? Utils.parseReasons([this.endReason]) : []);
     return this;
   }
 
+  /**
+   * Record the provisional responses and the final response to the INVITE, for the CDR
+   * @param {Number} statusCode
+   */
+  protected recordInviteResponse(statusCode: number): void {
+    if (statusCode > 100 && statusCode < 200) {
+      const now: Date = new Date();
+      this.provisionalTime = this.provisionalTime || now;
+      if (statusCode === 180) {
+        this.ringingTime = this.ringingTime || now;
+      }
+    } else if (statusCode >= 200 && this.finalStatusCode === undefined) {
+      this.finalStatusCode = statusCode;
+    }
+  }
+
+  /**
+   * Emit the call detail record of the terminated session on the session and on the UA
+   */
+  protected sendCDR(message?: IncomingResponse | IncomingRequest, cause?: string): void {
+    if (!this.request) {
+      return;
+    }
+    const endTime: Date = this.endTime || new Date();
+    const inviteTime: Date = this.inviteTime || this.startTime || endTime;
+    const firstResponseTime: Date | undefined =
+      this.provisionalTime || (this.finalStatusCode !== undefined ? this.startTime || endTime : undefined);
+    const replaces: string | undefined = this.request.getHeader("Replaces");
+
+    if (message && !this.hangupBy) {
+      // The other end hangs up with a BYE or a CANCEL, or rejects the call
+      const statusCode: number | undefined = (message as IncomingResponse).statusCode;
+      if ((message as IncomingRequest).method === C.BYE || (message as IncomingRequest).method === C.CANCEL ||
+          (statusCode && statusCode >= 300)) {
+        this.hangupBy = "remote";
+      }
+    }
+    const cdr: SessionDefinition.CDR = {
+      id: this.id,
+      callId: this.request.callId,
+      direction: this.type === TypeStrings.InviteServerContext ? "incoming" : "outgoing",
+      localIdentity: identity(this.localIdentity),
+      remoteIdentity: identity(this.remoteIdentity),
+      assertedIdentity: this.assertedIdentity && identity(this.assertedIdentity),
+      inviteTime,
+      provisionalTime: this.provisionalTime,
+      ringingTime: this.ringingTime,
+      answerTime: this.startTime,
+      endTime,
+      postDialDelay: firstResponseTime && firstResponseTime.getTime() - inviteTime.getTime(),
+      talkTime: this.startTime ? endTime.getTime() - this.startTime.getTime() : 0,
+      statusCode: this.finalStatusCode,
+      reason: this.endReason,
+      cause,
+      hangupBy: this.hangupBy,
+      referredBy: this.request.getHeader("Referred-By"),
+      replaces: replaces && replaces.split(";")[0].trim(),
+      replacedBy: this.replacedBy,
+      transferTarget: this.transferTarget
+    };
+
+    this.emit("cdr", cdr, this);
+    this.ua.emit("cdr", cdr, this);
+  }
+
   protected connecting(request: IncomingRequest): this {
     this.emit("connecting", { request });
     return this;
@@ -861,6 +1785,9 @@ export class InviteServerContext extends Session implements ServerContext, Invit
   public type: TypeStrings;
   public transaction!: InviteServerTransaction | NonInviteServerTransaction;
   public request!: IncomingRequest;
+  public privacy!: PrivacyDefinition.Model;
+  public redirectionHistory: RedirectionHistoryDefinition.Model | undefined;
+  public autoAnswer: AutoAnswerDefinition.Decision;
 
   constructor(ua: UA, request: IncomingRequest) {
     if (!ua.configuration.sessionDescriptionHandlerFactory) {
@@ -870,6 +1797,10 @@ export class InviteServerContext extends Session implements ServerContext, Invit
     super(ua.configuration.sessionDescriptionHandlerFactory);
     ServerContext.initializer(this, ua, request);
     this.type = TypeStrings.InviteServerContext;
+    this.inviteTime = new Date();
+    this.redirectionHistory = RedirectionHistory.parse(request);
+    // The UA decides once the session is built, with the policy of the application
+    this.autoAnswer = AutoAnswer.parse(request);
 
     const contentDisp: any = request.parseHeader("Content-Disposition");
     if (contentDisp && contentDisp.type === "render") {
@@ -887,6 +1818,8 @@ export class InviteServerContext extends Session implements ServerContext, Invit
 
     this.logger = ua.getLogger("sip.inviteservercontext", this.id);
 
+    this.initSessionTimer();
+
     // Save the session into the ua sessions collection.
     this.ua.sessions[this.id] = this;
 
@@ -920,6 +1853,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
     // Set userNoAnswerTimer
     this.timers.userNoAnswerTimer = setTimeout(() => {
       request.reply(408);
+      this.recordInviteResponse(408);
       this.failed(request, C.causes.NO_ANSWER);
       this.terminated(request, C.causes.NO_ANSWER);
     }, this.ua.configuration.noAnswerTimeout || 60);
@@ -933,6 +1867,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
       this.timers.expiresTimer = setTimeout(() => {
         if (this.status === SessionStatus.STATUS_WAITING_FOR_ANSWER) {
           request.reply(487);
+          this.recordInviteResponse(487);
           this.failed(request, C.causes.EXPIRES);
           this.terminated(request, C.causes.EXPIRES);
         }
@@ -958,14 +1893,21 @@ export class InviteServerContext extends Session implements ServerContext, Invit
     const statusCode = options.statusCode || 480;
 
     const reasonPhrase = Utils.getReasonPhrase(statusCode, options.reasonPhrase);
-    const extraHeaders = options.extraHeaders || [];
+    const extraHeaders = (options.extraHeaders || []).slice();
 
     if (statusCode < 300 || statusCode > 699) {
       throw new TypeError("Invalid statusCode: " + statusCode);
     }
+    if (options.reason) {
+      extraHeaders.push("Reason: " + Utils.buildReasonHeader(options.reason));
+    }
     const response = this.request.reply(statusCode, reasonPhrase, extraHeaders, options.body);
+    this.recordInviteResponse(statusCode);
+    this.hangupBy = "local";
+    this.endReason = reasonHeader(extraHeaders);
+    const reasons: Array<SessionDefinition.Reason> = this.endReason ? Utils.parseReasons([this.endReason]) : [];
     (["rejected", "failed"]).forEach((event) => {
-      this.emit(event, response, reasonPhrase);
+      this.emit(event, response, reasonPhrase, reasons);
     });
 
     return this.terminated();
@@ -979,6 +1921,9 @@ export class InviteServerContext extends Session implements ServerContext, Invit
   public terminate(options: any = {}): this {
 
     const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
+    if (options.reason) {
+      extraHeaders.push("Reason: " + Utils.buildReasonHeader(options.reason));
+    }
 
     if (this.status === SessionStatus.STATUS_WAITING_FOR_ACK &&
         this.request.serverTransaction &&
@@ -1003,6 +1948,8 @@ export class InviteServerContext extends Session implements ServerContext, Invit
         }
       });
 
+      this.hangupBy = "local";
+      this.endReason = reasonHeader(extraHeaders);
       this.emit("bye", this.request);
       this.terminated();
 
@@ -1082,6 +2029,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
 
         // Send the initial response
         const response: string = this.request.reply(relStatusCode, options.reasonPhrase, extraHeaders, description);
+        this.recordInviteResponse(relStatusCode);
         this.emit("progress", response, options.reasonPhrase);
       }, () => {
         this.request.reply(480);
@@ -1092,6 +2040,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
 
     const normalReply: (() => void) = () => {
       const response: string = this.request.reply(statusCode, options.reasonPhrase, extraHeaders, options.body);
+      this.recordInviteResponse(statusCode);
       this.emit("progress", response, options.reasonPhrase);
     };
 
@@ -1128,6 +2077,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
   // to SIP.SessionDescriptionHandler.getDescription as options
   public accept(options: InviteServerContextDefinition.Options = {}): this {
     this.onInfo = options.onInfo;
+    this.initSessionTimer(options);
 
     const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
     const descriptionCreationSucceeded: ((description: any) => void) = (description: any) => {
@@ -1135,7 +2085,8 @@ export class InviteServerContext extends Session implements ServerContext, Invit
       const replySucceeded: (() => void) = () => {
         this.status = SessionStatus.STATUS_WAITING_FOR_ACK;
 
-        this.setInvite2xxTimer(this.request, description);
+        this.startSessionTimer();
+        this.setInvite2xxTimer(this.request, description, extraHeaders);
         this.setACKTimer();
       };
       // run for reply failure callback
@@ -1145,18 +2096,8 @@ export class InviteServerContext extends Session implements ServerContext, Invit
       };
 
       extraHeaders.push("Contact: " + this.contact);
-      // this is UA.C.ALLOWED_METHODS, removed to get around circular dependency
-      extraHeaders.push("Allow: " + [
-        "ACK",
-        "CANCEL",
-        "INVITE",
-        "MESSAGE",
-        "BYE",
-        "OPTIONS",
-        "INFO",
-        "NOTIFY",
-        "REFER"
-      ].toString());
+      extraHeaders.push("Allow: " + this.getAllowedMethods().toString());
+      extraHeaders.push(...this.negotiateSessionTimer(this.request));
       if (!this.hasOffer) {
         this.hasOffer = true;
       } else {
@@ -1167,6 +2108,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
                     replySucceeded,
                     replyFailed
                     );
+      this.recordInviteResponse(200);
       if (this.status !== SessionStatus.STATUS_TERMINATED) { // Didn't fail
         this.accepted(response, Utils.getReasonPhrase(200));
       }
@@ -1239,7 +2181,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
   }
 
   // ISC RECEIVE REQUEST
-  public receiveRequest(request: IncomingRequest): void {
+  public receiveRequest(request: IncomingRequest, context?: ServerContext): void {
     const confirmSession = () => {
       clearTimeout(this.timers.ackTimer);
       clearTimeout(this.timers.invite2xxTimer);
@@ -1276,6 +2218,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
 
           this.status = SessionStatus.STATUS_CANCELED;
           this.request.reply(487);
+          this.recordInviteResponse(487);
           this.canceled();
           this.rejected(request, C.causes.CANCELED);
           this.failed(request, C.causes.CANCELED);
@@ -1362,7 +2305,7 @@ export class InviteServerContext extends Session implements ServerContext, Invit
         }
         break;
       default:
-        Session.prototype.receiveRequest.apply(this, [request]);
+        Session.prototype.receiveRequest.apply(this, [request, context]);
         break;
     }
   }
@@ -1380,12 +2323,21 @@ export class InviteServerContext extends Session implements ServerContext, Invit
 export class InviteClientContext extends Session implements ClientContext, InviteClientContextDefinition {
   public type: TypeStrings;
   public request!: OutgoingRequestType;
+  public forks: {[id: string]: InviteClientContextDefinition.Fork};
 
   private anonymous: boolean;
   private inviteWithoutSdp: boolean;
   private isCanceled: boolean;
   private received100: boolean;
   private cancelReason: string | undefined;
+  private followRedirects: boolean;
+  private maxRedirects: number;
+  private onRedirect: ((target: URI, response: IncomingResponse) => URI | string | boolean | void) | undefined;
+  private redirectTargets: Array<URI>;
+  private triedTargets: Array<string>;
+  private redirects: number;
+  private autoEarlyMedia: boolean;
+  private byeForks: Array<string>;
 
   constructor(ua: UA, target: string | URI, options: any = {}, modifiers: any = []) {
     if (!ua.configuration.sessionDescriptionHandlerFactory) {
@@ -1395,7 +2347,9 @@ export class InviteClientContext extends Session implements ClientContext, Invit
 
     options.params = options.params || {};
 
-    const anonymous: boolean = options.anonymous || false;
+    const privacy: Array<PrivacyDefinition.Value> | undefined = options.privacy || ua.configuration.privacy;
+    // RFC 3323 4.1: with user privacy the UA withholds its identity itself
+    const anonymous: boolean = options.anonymous || (!!privacy && privacy.indexOf("user") !== -1);
     const fromTag = Utils.newTag();
 
     options.params.fromTag = fromTag;
@@ -1412,23 +2366,20 @@ export class InviteClientContext extends Session implements ClientContext, Invit
     if (anonymous && ua.configuration.uri) {
       options.params.from_displayName = "Anonymous";
       options.params.from_uri = "sip:anonymous@anonymous.invalid";
-
-      extraHeaders.push("P-Preferred-Identity: " + ua.configuration.uri.toString());
-      extraHeaders.push("Privacy: id");
+    }
+    extraHeaders.push(...Privacy.buildHeaders({
+      privacy: privacy || (anonymous ? ["id"] : undefined),
+      preferredIdentity: options.preferredIdentity || ua.configuration.preferredIdentity ||
+        (anonymous && ua.configuration.uri ? ua.configuration.uri.toString() : undefined)
+    }));
+    if (typeof target === "string" && DialPlan.isEmergency(ua.configuration.dialPlan, target)) {
+      extraHeaders.push("Priority: emergency");
+    }
+    if (options.answerMode) {
+      extraHeaders.push(...AutoAnswer.buildHeaders(options.answerMode));
     }
     extraHeaders.push("Contact: " + contact);
-    // this is UA.C.ALLOWED_METHODS, removed to get around circular dependency
-    extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    extraHeaders.push("Allow: " + Session.allowedMethods(ua).toString());
 
     if (ua.configuration.rel100 === C.supported.REQUIRED) {
       extraHeaders.push("Require: 100rel");
@@ -1436,6 +2387,9 @@ export class InviteClientContext extends Session implements ClientContext, Invit
     if (ua.configuration.replaces === C.supported.REQUIRED) {
       extraHeaders.push("Require: replaces");
     }
+    if (ua.configuration.sessionTimers === C.supported.REQUIRED) {
+      extraHeaders.push("Require: timer");
+    }
 
     options.extraHeaders = extraHeaders;
 
@@ -1448,10 +2402,13 @@ export class InviteClientContext extends Session implements ClientContext, Invit
     this.sessionDescriptionHandlerOptions = options.sessionDescriptionHandlerOptions || {};
     this.modifiers = modifiers;
 
+    this.initSessionTimer(options);
+    this.setSessionTimerHeaders();
+
     this.inviteWithoutSdp = options.inviteWithoutSdp || false;
 
     // Set anonymous property
-    this.anonymous = options.anonymous || false;
+    this.anonymous = anonymous;
 
     // Custom data to be sent either in INVITE or in ACK
     this.renderbody = options.renderbody || undefined;
@@ -1480,6 +2437,19 @@ export class InviteClientContext extends Session implements ClientContext, Invit
 
     this.onInfo = options.onInfo;
 
+    // RFC 3261 8.1.3.4: recursing on 3xx responses is up to the application
+    this.followRedirects = options.followRedirects || false;
+    this.maxRedirects = typeof options.maxRedirects === "number" && options.maxRedirects >= 0 ?
+      options.maxRedirects : 5;
+    this.onRedirect = options.onRedirect;
+    this.redirectTargets = [];
+    this.triedTargets = [this.request.ruri.toString()];
+    this.redirects = 0;
+
+    this.forks = {};
+    this.autoEarlyMedia = options.autoEarlyMedia !== false;
+    this.byeForks = [];
+
     this.errorListener = this.onTransportError.bind(this);
     if (ua.transport) {
       ua.transport.on("transportError", this.errorListener);
@@ -1496,6 +2466,7 @@ export class InviteClientContext extends Session implements ClientContext, Invit
 
   // hack for getting around ClientContext interface
   public send(): this {
+    this.inviteTime = this.inviteTime || new Date();
     const sender: RequestSender = new RequestSender(this, this.ua);
     sender.send();
     return this;
@@ -1556,22 +2527,13 @@ export class InviteClientContext extends Session implements ClientContext, Invit
     const id: string = response.callId + response.fromTag + response.toTag;
     const extraHeaders: Array<string> = [];
 
+    if (response.toTag && response.statusCode && response.statusCode < 300 && !this.isCanceled) {
+      this.updateFork(response);
+    }
+
     if (this.dialog && (response.statusCode && response.statusCode >= 200 && response.statusCode <= 299)) {
       if (id !== this.dialog.id.toString() ) {
-        if (!this.createDialog(response, "UAC", true)) {
-          return;
-        }
-        this.emit("ack", response.transaction.sendACK({body: Utils.generateFakeSDP(response.body)}));
-        this.earlyDialogs[id].sendRequest(this, C.BYE);
-
-        /* NOTE: This fails because the forking proxy does not recognize that an unanswerable
-         * leg (due to peerConnection limitations) has been answered first. If your forking
-         * proxy does not hang up all unanswered branches on the first branch answered, remove this.
-         */
-        if (this.status !== SessionStatus.STATUS_CONFIRMED) {
-          this.failed(response, C.causes.WEBRTC_ERROR);
-          this.terminated(response, C.causes.WEBRTC_ERROR);
-        }
+        this.receiveForked2xx(response);
         return;
       } else if (this.status === SessionStatus.STATUS_CONFIRMED) {
         this.emit("ack", response.transaction.sendACK());
@@ -1583,42 +2545,37 @@ export class InviteClientContext extends Session implements ClientContext, Invit
       }
     }
 
+    // A final response is recorded once it ends the INVITE, not when the INVITE is sent again
     const statusCode: number | undefined = response && response.statusCode;
+    if (statusCode && statusCode < 200) {
+      this.recordInviteResponse(statusCode);
+    }
+
+    // RFC 6228: the early dialog of a fork is over, the other forks go on
+    if (statusCode === 199 && !this.isCanceled) {
+      if (this.earlyDialogs[id]) {
+        this.earlyDialogs[id].terminate();
+        delete this.earlyDialogs[id];
+      }
+      return;
+    }
 
     if (this.dialog && statusCode && statusCode < 200) {
       /*
         Early media has been set up with at least one other different branch,
         but a final 2xx response hasn't been received
       */
-      const rseq: string | undefined = response.getHeader("rseq");
-      if (rseq && (this.dialog.pracked.indexOf(rseq) !== -1 ||
-          (Number(this.dialog.pracked[this.dialog.pracked.length - 1]) >= Number(rseq) &&
-          this.dialog.pracked.length > 0))) {
-        return;
-      }
-
-      if (!this.earlyDialogs[id] && !this.createDialog(response, "UAC", true)) {
-        return;
-      }
-
-      if (this.earlyDialogs[id].pracked.indexOf(response.getHeader("rseq")) !== -1 ||
-          (this.earlyDialogs[id].pracked[this.earlyDialogs[id].pracked.length - 1] >= Number(rseq) &&
-          this.earlyDialogs[id].pracked.length > 0)) {
-        return;
+      if (isReliable(response)) {
+        this.receiveReliableResponse(response);
       }
-
-      extraHeaders.push("RAck: " + response.getHeader("rseq") + " " + response.getHeader("cseq"));
-      this.earlyDialogs[id].pracked.push(response.getHeader("rseq"));
-
-      this.earlyDialogs[id].sendRequest(this, C.PRACK, {
-        extraHeaders,
-        body: Utils.generateFakeSDP(response.body)
-      });
       return;
     }
 
     // Proceed to cancellation if the user requested.
     if (this.isCanceled) {
+      if (statusCode && statusCode >= 200) {
+        this.recordInviteResponse(statusCode);
+      }
       if (statusCode && statusCode >= 100 && statusCode < 200) {
         this.request.cancel(this.cancelReason, extraHeaders);
         this.canceled();
@@ -1634,6 +2591,11 @@ export class InviteClientContext extends Session implements ClientContext, Invit
       return;
     }
 
+    // RFC 4028 7.4: send the INVITE again with the session interval required by the 422
+    if (statusCode === 422 && this.retryWithMinSE(response, () => this.resendWithSessionTimer())) {
+      return;
+    }
+
     const codeString = statusCode ? statusCode.toString() : "";
 
     switch (true) {
@@ -1659,113 +2621,11 @@ export class InviteClientContext extends Session implements ClientContext, Invit
         this.status = SessionStatus.STATUS_1XX_RECEIVED;
 
         if (response.hasHeader("P-Asserted-Identity")) {
-          this.assertedIdentity = Grammar.nameAddrHeaderParse(response.getHeader("P-Asserted-Identity") as string);
+          this.assertedIdentity = Privacy.assertedIdentity(response);
         }
 
-        if (response.hasHeader("require") &&
-            (response.getHeader("require") as string).indexOf("100rel") !== -1) {
-
-          // Do nothing if this.dialog is already confirmed
-          if (this.dialog || !this.earlyDialogs[id]) {
-            break;
-          }
-
-          const rseq: string | undefined = response.getHeader("rseq");
-          if (this.earlyDialogs[id].pracked.indexOf(rseq) !== -1 ||
-              (this.earlyDialogs[id].pracked[this.earlyDialogs[id].pracked.length - 1] >= Number(rseq) &&
-              this.earlyDialogs[id].pracked.length > 0)) {
-            return;
-          }
-          // TODO: This may be broken. It may have to be on the early dialog
-          this.sessionDescriptionHandler = this.sessionDescriptionHandlerFactory(
-            this,
-            this.ua.configuration.sessionDescriptionHandlerFactoryOptions || {}
-          );
-          this.emit("SessionDescriptionHandler-created", this.sessionDescriptionHandler);
-          if (!this.sessionDescriptionHandler.hasDescription(response.getHeader("Content-Type") || "")) {
-            extraHeaders.push("RAck: " + response.getHeader("rseq") + " " + response.getHeader("cseq"));
-            this.earlyDialogs[id].pracked.push(response.getHeader("rseq"));
-            this.earlyDialogs[id].sendRequest(this, C.PRACK, {
-              extraHeaders
-            });
-            this.emit("progress", response);
-
-          } else if (this.hasOffer) {
-            if (!this.createDialog(response, "UAC")) {
-              break;
-            }
-            this.hasAnswer = true;
-            if (this.dialog !== undefined && rseq) {
-              (this.dialog as Dialog).pracked.push(rseq);
-            }
-
-            this.sessionDescriptionHandler.setDescription(
-              response.body,
-              this.sessionDescriptionHandlerOptions,
-              this.modifiers
-            ).then(() => {
-              extraHeaders.push("RAck: " + response.getHeader("rseq") + " " + response.getHeader("cseq"));
-
-              this.sendRequest(C.PRACK, {
-                extraHeaders,
-                // tslint:disable-next-line:no-empty
-                receiveResponse: () => {}
-              });
-              this.status = SessionStatus.STATUS_EARLY_MEDIA;
-              this.emit("progress", response);
-            }, (e: any) => {
-              this.logger.warn(e);
-              this.acceptAndTerminate(response, 488, "Not Acceptable Here");
-              this.failed(response, C.causes.BAD_MEDIA_DESCRIPTION);
-            });
-          } else {
-            const earlyDialog: Dialog = this.earlyDialogs[id];
-            earlyDialog.sessionDescriptionHandler = this.sessionDescriptionHandlerFactory(
-              this,
-              this.ua.configuration.sessionDescriptionHandlerFactoryOptions || {}
-            );
-            this.emit("SessionDescriptionHandler-created", earlyDialog.sessionDescriptionHandler);
-
-            if (rseq) {
-              earlyDialog.pracked.push(rseq);
-            }
-
-            if (earlyDialog.sessionDescriptionHandler) {
-              earlyDialog.sessionDescriptionHandler.setDescription(
-                response.body,
-                this.sessionDescriptionHandlerOptions,
-                this.modifiers
-              ).then(() => (earlyDialog.sessionDescriptionHandler as SessionDescriptionHandler).getDescription(
-                this.sessionDescriptionHandlerOptions,
-                this.modifiers)
-              ).then((description: BodyObj) => {
-                extraHeaders.push("RAck: " + rseq + " " + response.getHeader("cseq"));
-                earlyDialog.sendRequest(this, C.PRACK, {
-                  extraHeaders,
-                  body: description
-                });
-                this.status = SessionStatus.STATUS_EARLY_MEDIA;
-                this.emit("progress", response);
-              }).catch((e: any) => {
-                // TODO: This is a bit wonky
-                if (rseq && e.type === TypeStrings.SessionDescriptionHandlerError) {
-                  earlyDialog.pracked.push(rseq);
-                  if (this.status === SessionStatus.STATUS_TERMINATED) {
-                    return;
-                  }
-                  this.failed(undefined, C.causes.WEBRTC_ERROR);
-                  this.terminated(undefined, C.causes.WEBRTC_ERROR);
-                } else {
-                  if (rseq) {
-                    earlyDialog.pracked.splice(earlyDialog.pracked.indexOf(rseq), 1);
-                  }
-                  // Could not set remote description
-                  this.logger.warn("invalid description");
-                  this.logger.warn(e);
-                }
-              });
-            }
-          }
+        if (isReliable(response)) {
+          this.receiveReliableResponse(response);
         } else {
           this.emit("progress", response);
         }
@@ -1775,11 +2635,14 @@ export class InviteClientContext extends Session implements ClientContext, Invit
         if (cseq !== response.getHeader("cseq")) {
           break;
         }
+        this.recordInviteResponse(statusCode || 0);
 
         if (response.hasHeader("P-Asserted-Identity")) {
-          this.assertedIdentity = Grammar.nameAddrHeaderParse(response.getHeader("P-Asserted-Identity") as string);
+          this.assertedIdentity = Privacy.assertedIdentity(response);
         }
 
+        this.receiveSessionTimerResponse(response);
+
         if (this.status === SessionStatus.STATUS_EARLY_MEDIA && this.dialog) {
           this.status = SessionStatus.STATUS_CONFIRMED;
           const options: any = {};
@@ -1895,6 +2758,10 @@ export class InviteClientContext extends Session implements ClientContext, Invit
         }
         break;
       default:
+        if (this.followRedirects && this.redirect(response)) {
+          break;
+        }
+        this.recordInviteResponse(statusCode || 0);
         const cause: string = Utils.sipErrorCause(statusCode || 0);
         this.rejected(response, cause);
         this.failed(response, cause);
@@ -1918,7 +2785,10 @@ export class InviteClientContext extends Session implements ClientContext, Invit
 
     this.isCanceled = true;
 
-    const cancelReason: string | undefined = Utils.getCancelReason(options.statusCode, options.reasonPhrase);
+    const cancelReason: string | undefined = options.reason ? Utils.buildReasonHeader(options.reason) :
+      Utils.getCancelReason(options.statusCode, options.reasonPhrase);
+    this.hangupBy = "local";
+    this.endReason = cancelReason;
 
     // Check Session Status
     if (this.status === SessionStatus.STATUS_NULL ||
@@ -1947,8 +2817,49 @@ export class InviteClientContext extends Session implements ClientContext, Invit
     return this;
   }
 
+  /**
+   * Render the early media of a fork, to be used with the autoEarlyMedia option set to false.
+   * The answer of the fork is applied to the offer of the INVITE, so this can only be done once.
+   * @param {String} forkId id of the fork, see the "fork" event
+   */
+  public selectEarlyMedia(forkId: string): this {
+    const fork: InviteClientContextDefinition.Fork | undefined = this.forks[forkId];
+    const earlyMedia: BodyObj | undefined = fork && fork.earlyMedia;
+    const sessionDescriptionHandler: SessionDescriptionHandler | undefined = this.sessionDescriptionHandler;
+    if (!fork || fork.state !== "early" || !earlyMedia || !earlyMedia.body || !this.earlyDialogs[forkId] ||
+        this.inviteWithoutSdp || this.hasAnswer || !sessionDescriptionHandler) {
+      throw new Exceptions.InvalidStateError(this.status);
+    }
+    if (!sessionDescriptionHandler.hasDescription(earlyMedia.contentType)) {
+      throw new TypeError("Unsupported early media content type " + earlyMedia.contentType);
+    }
+    if (!this.createDialog(fork.response, "UAC")) {
+      return this;
+    }
+    this.hasAnswer = true;
+
+    sessionDescriptionHandler.setDescription(
+      earlyMedia.body,
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    ).then(() => {
+      if (this.status === SessionStatus.STATUS_TERMINATED) {
+        return;
+      }
+      if (this.status !== SessionStatus.STATUS_CONFIRMED) {
+        this.status = SessionStatus.STATUS_EARLY_MEDIA;
+      }
+      this.emit("progress", fork.response);
+    }, (e: any) => {
+      this.logger.warn(e);
+      this.failed(fork.response, C.causes.BAD_MEDIA_DESCRIPTION);
+      this.cancel();
+    });
+    return this;
+  }
+
   // ICC RECEIVE REQUEST
-  public receiveRequest(request: IncomingRequest): void {
+  public receiveRequest(request: IncomingRequest, context?: ServerContext): void {
     // Reject CANCELs
     if (request.method === C.CANCEL) {
       // TODO; make this a switch when it gets added
@@ -1962,7 +2873,348 @@ export class InviteClientContext extends Session implements ClientContext, Invit
       this.accepted();
     }
 
-    return super.receiveRequest(request);
+    return super.receiveRequest(request, context);
+  }
+
+  /**
+   * RFC 3262 4: acknowledge a reliable provisional response with a PRACK sent on the
+   * dialog the response belongs to. Each early dialog keeps its own RSeq sequence;
+   * retransmissions and responses received out of order are discarded. When the response
+   * carries the offer of an INVITE sent without one, the PRACK carries the answer.
+   * @param {SIP.IncomingResponse} response
+   */
+  private receiveReliableResponse(response: IncomingResponse): void {
+    const id: string = response.callId + response.fromTag + response.toTag;
+    const rseq: string | undefined = response.getHeader("rseq");
+    if (!rseq || !/^[0-9]+$/.test(rseq)) {
+      this.logger.warn("reliable provisional response without a valid RSeq, discarding it");
+      return;
+    }
+
+    if (!this.earlyDialogs[id] && !(this.dialog && this.dialog.id.toString() === id) &&
+        (!response.hasHeader("contact") || !this.createDialog(response, "UAC", true))) {
+      return;
+    }
+    const dialog: Dialog = this.earlyDialogs[id] || this.dialog;
+
+    const lastRSeq: string | undefined = dialog.pracked[dialog.pracked.length - 1];
+    if (lastRSeq !== undefined && Number(rseq) !== Number(lastRSeq) + 1) {
+      return;
+    }
+    dialog.pracked.push(rseq);
+
+    const extraHeaders: Array<string> = ["RAck: " + rseq + " " + response.getHeader("cseq")];
+    const contentType: string = response.getHeader("Content-Type") || "";
+
+    // Early media has been set up with a different branch, only acknowledge this one
+    if (this.dialog && this.dialog !== dialog) {
+      dialog.sendRequest(this, C.PRACK, {
+        extraHeaders,
+        body: this.inviteWithoutSdp ? Utils.generateFakeSDP(response.body) : undefined
+      });
+      return;
+    }
+
+    // No session description, or the offer/answer exchange has already completed on this dialog
+    // Without autoEarlyMedia, the answer is only used once the fork is picked with selectEarlyMedia()
+    if (!response.body ||
+        (this.inviteWithoutSdp ? dialog.sessionDescriptionHandler : this.hasAnswer || !this.autoEarlyMedia)) {
+      dialog.sendRequest(this, C.PRACK, { extraHeaders });
+      this.emit("progress", response);
+      return;
+    }
+
+    if (!this.inviteWithoutSdp) {
+      // The response carries the answer to the offer of the INVITE
+      if (!this.sessionDescriptionHandler) {
+        this.sessionDescriptionHandler = this.sessionDescriptionHandlerFactory(
+          this,
+          this.ua.configuration.sessionDescriptionHandlerFactoryOptions || {}
+        );
+        this.emit("SessionDescriptionHandler-created", this.sessionDescriptionHandler);
+      }
+      const sessionDescriptionHandler: SessionDescriptionHandler = this.sessionDescriptionHandler;
+      if (!sessionDescriptionHandler.hasDescription(contentType)) {
+        dialog.sendRequest(this, C.PRACK, { extraHeaders });
+        this.emit("progress", response);
+        return;
+      }
+      if (!this.createDialog(response, "UAC")) {
+        return;
+      }
+      this.hasAnswer = true;
+
+      sessionDescriptionHandler.setDescription(
+        response.body,
+        this.sessionDescriptionHandlerOptions,
+        this.modifiers
+      ).then(() => {
+        dialog.sendRequest(this, C.PRACK, { extraHeaders });
+        this.status = SessionStatus.STATUS_EARLY_MEDIA;
+        this.emit("progress", response);
+      }, (e: any) => {
+        this.logger.warn(e);
+        this.acceptAndTerminate(response, 488, "Not Acceptable Here");
+        this.failed(response, C.causes.BAD_MEDIA_DESCRIPTION);
+      });
+      return;
+    }
+
+    // The response carries an offer, answer it in the PRACK
+    const earlyDialogSDH: SessionDescriptionHandler = this.sessionDescriptionHandlerFactory(
+      this,
+      this.ua.configuration.sessionDescriptionHandlerFactoryOptions || {}
+    );
+    if (!earlyDialogSDH.hasDescription(contentType)) {
+      dialog.sendRequest(this, C.PRACK, { extraHeaders });
+      this.emit("progress", response);
+      return;
+    }
+    dialog.sessionDescriptionHandler = earlyDialogSDH;
+    this.emit("SessionDescriptionHandler-created", earlyDialogSDH);
+
+    earlyDialogSDH.setDescription(
+      response.body,
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    ).then(() => earlyDialogSDH.getDescription(
+      this.sessionDescriptionHandlerOptions,
+      this.modifiers
+    )).then((description: BodyObj) => {
+      dialog.sendRequest(this, C.PRACK, {
+        extraHeaders,
+        body: description
+      });
+      this.status = SessionStatus.STATUS_EARLY_MEDIA;
+      this.emit("progress", response);
+    }).catch((e: any) => {
+      if (e.type === TypeStrings.SessionDescriptionHandlerError) {
+        if (this.status === SessionStatus.STATUS_TERMINATED) {
+          return;
+        }
+        this.failed(undefined, C.causes.WEBRTC_ERROR);
+        this.terminated(undefined, C.causes.WEBRTC_ERROR);
+      } else {
+        // Could not set remote description, the response is acknowledged once retransmitted
+        dialog.pracked.splice(dialog.pracked.indexOf(rseq), 1);
+        dialog.sessionDescriptionHandler = undefined;
+        this.logger.warn("invalid description");
+        this.logger.warn(e);
+      }
+    });
+  }
+
+  private setSessionTimerHeaders(): void {
+    if (this.sessionTimerSettings.expires) {
+      this.request.setHeader("session-expires", this.sessionTimerSettings.expires.toString());
+      this.request.setHeader("min-se", this.sessionTimerSettings.minSE.toString());
+    }
+  }
+
+  /**
+   * Keep track of the forks of the INVITE, each one being identified by the To tag of its responses.
+   * @param {SIP.IncomingResponse} response response carrying a To tag
+   */
+  private updateFork(response: IncomingResponse): void {
+    const id: string = response.callId + response.fromTag + response.toTag;
+    const statusCode: number = response.statusCode || 0;
+    const isNew: boolean = !this.forks[id];
+    const fork: InviteClientContextDefinition.Fork = this.forks[id] || {
+      id,
+      remoteIdentity: response.to,
+      assertedIdentity: undefined,
+      earlyMedia: undefined,
+      state: "early",
+      response
+    };
+    this.forks[id] = fork;
+    fork.response = response;
+    if (fork.state === "terminated") {
+      return;
+    }
+
+    if (response.hasHeader("P-Asserted-Identity")) {
+      fork.assertedIdentity = Privacy.assertedIdentity(response);
+    }
+    if (isNew) {
+      this.emit("fork", fork, response);
+    }
+
+    if (statusCode === 199) {
+      fork.state = "terminated";
+      this.emit("forkTerminated", fork, response);
+    } else if (statusCode < 200) {
+      if (response.body && (!fork.earlyMedia || fork.earlyMedia.body !== response.body)) {
+        fork.earlyMedia = {body: response.body, contentType: response.getHeader("Content-Type") || ""};
+        this.emit("forkEarlyMedia", fork, response);
+      }
+    } else if (statusCode < 300 && (!this.dialog || this.dialog.id.toString() === id)) {
+      // A 2xx of another fork than the dialog is handled by receiveForked2xx()
+      fork.state = "confirmed";
+    }
+  }
+
+  /**
+   * RFC 3261 13.2.2.4: a 2xx of another fork than the one of the session establishes a dialog
+   * of its own, which is acknowledged then ended with a BYE. Retransmissions are acknowledged again.
+   * @param {SIP.IncomingResponse} response
+   */
+  private receiveForked2xx(response: IncomingResponse): void {
+    const id: string = response.callId + response.fromTag + response.toTag;
+    // The 2xx carries an offer when the INVITE did not, the ACK must carry an answer
+    const ackOptions: any = this.inviteWithoutSdp ? {body: Utils.generateFakeSDP(response.body)} : {};
+
+    if (this.byeForks.indexOf(id) !== -1) {
+      this.emit("ack", response.transaction.sendACK(ackOptions));
+      return;
+    }
+    this.byeForks.push(id);
+    this.logger.log("2xx received from another fork, ending dialog " + id);
+
+    let dialog: Dialog | undefined = this.earlyDialogs[id];
+    delete this.earlyDialogs[id];
+    if (dialog) {
+      dialog.update(response, "UAC");
+    } else if (response.hasHeader("contact")) {
+      dialog = new Dialog(this, response, "UAC");
+    }
+
+    this.emit("ack", response.transaction.sendACK(ackOptions));
+    if (dialog) {
+      const sender: RequestSender = new RequestSender({
+        request: dialog.createRequest(C.BYE, [], ""),
+        onRequestTimeout: () => this.logger.warn("BYE of the forked dialog " + id + " timed out"),
+        onTransportError: () => this.logger.warn("BYE of the forked dialog " + id + " had a transport error"),
+        receiveResponse: () => undefined
+      }, this.ua);
+      sender.send();
+      dialog.terminate();
+    }
+
+    const fork: InviteClientContextDefinition.Fork = this.forks[id];
+    if (fork && fork.state !== "terminated") {
+      fork.state = "terminated";
+      this.emit("forkTerminated", fork, response);
+    }
+
+    /* NOTE: This fails because the forking proxy does not recognize that an unanswerable
+     * leg (due to peerConnection limitations) has been answered first. If your forking
+     * proxy does not hang up all unanswered branches on the first branch answered, remove this.
+     */
+    const sessionFork: InviteClientContextDefinition.Fork | undefined =
+      this.dialog && this.forks[this.dialog.id.toString()];
+    if (this.status !== SessionStatus.STATUS_CONFIRMED && (!sessionFork || sessionFork.state !== "confirmed")) {
+      this.failed(response, C.causes.WEBRTC_ERROR);
+      this.terminated(response, C.causes.WEBRTC_ERROR);
+    }
+  }
+
+  /**
+   * RFC 3261 8.1.3.4: queue the Contact targets of a 3xx response by decreasing q-value, then send
+   * the INVITE to the next queued target in a new transaction. This is also used after the failure
+   * of a redirected INVITE, so that the remaining targets get their turn.
+   * @param {SIP.IncomingResponse} response final non 2xx response
+   * @returns {Boolean} true if the INVITE was sent to a new target
+   */
+  private redirect(response: IncomingResponse): boolean {
+    // The offer was answered by the early dialog, it cannot be sent again
+    if (this.status === SessionStatus.STATUS_EARLY_MEDIA) {
+      return false;
+    }
+
+    const statusCode: number = response.statusCode || 0;
+    if (statusCode >= 300 && statusCode < 400) {
+      const contacts: Array<{uri: URI, q: number, idx: number}> = [];
+      for (let idx = 0; idx < response.getHeaders("contact").length; idx++) {
+        const contact: NameAddrHeader | undefined = response.parseHeader("contact", idx);
+        if (contact && contact.uri) {
+          const q: number = parseFloat(contact.getParam("q"));
+          contacts.push({uri: contact.uri, q: isNaN(q) ? 1 : q, idx});
+        }
+      }
+      // Targets with the same q-value keep the order of the response
+      contacts.sort((a: {q: number, idx: number}, b: {q: number, idx: number}) => b.q - a.q || a.idx - b.idx);
+
+      for (const contact of contacts) {
+        const target: URI | undefined = this.approveRedirectTarget(contact.uri, response);
+        if (target && this.triedTargets.indexOf(target.toString()) === -1) {
+          this.triedTargets.push(target.toString());
+          this.redirectTargets.push(target);
+        }
+      }
+    }
+
+    const next: URI | undefined = this.redirectTargets.shift();
+    if (!next) {
+      return false;
+    }
+    if (this.redirects >= this.maxRedirects) {
+      this.logger.warn("maximum number of redirections reached, not trying " + next.toString());
+      this.redirectTargets = [];
+      return false;
+    }
+    this.redirects++;
+    this.logger.log("redirecting the INVITE to " + next.toString());
+
+    for (const idx in this.earlyDialogs) {
+      if (this.earlyDialogs.hasOwnProperty(idx)) {
+        this.earlyDialogs[idx].terminate();
+        delete this.earlyDialogs[idx];
+      }
+    }
+    for (const id in this.forks) {
+      if (this.forks[id].state === "early") {
+        this.forks[id].state = "terminated";
+        this.emit("forkTerminated", this.forks[id], response);
+      }
+    }
+    this.request.ruri = next;
+    this.request.cseq += 1;
+    this.request.setHeader("cseq", this.request.cseq + " " + this.method);
+    this.received100 = false;
+    this.status = SessionStatus.STATUS_INVITE_SENT;
+
+    this.emit("redirected", response, next);
+    this.send();
+    return true;
+  }
+
+  /**
+   * Let the onRedirect option approve, rewrite or refuse a redirection target.
+   * @param {SIP.URI} target
+   * @param {SIP.IncomingResponse} response
+   * @returns {SIP.URI|undefined} the target to try, undefined if refused
+   */
+  private approveRedirectTarget(target: URI, response: IncomingResponse): URI | undefined {
+    if (!this.onRedirect) {
+      return target;
+    }
+    let approved: URI | string | boolean | void;
+    try {
+      approved = this.onRedirect(target, response);
+    } catch (e) {
+      this.logger.error("onRedirect threw, refusing redirection target " + target.toString());
+      this.logger.error(e);
+      return;
+    }
+    if (approved === false) {
+      return;
+    }
+    if (approved === true || approved === undefined) {
+      return target;
+    }
+    const rewritten: URI | undefined = this.ua.normalizeTarget(approved);
+    if (!rewritten) {
+      this.logger.warn("invalid redirection target " + approved.toString());
+    }
+    return rewritten;
+  }
+
+  private resendWithSessionTimer(): void {
+    this.setSessionTimerHeaders();
+    this.request.cseq += 1;
+    this.request.setHeader("cseq", this.request.cseq + " " + this.method);
+    this.send();
   }
 }
 
@@ -2026,18 +3278,7 @@ export class ReferClientContext extends ClientContext implements ReferClientCont
     }
     // TODO: Check that this is correct isc/icc
     this.extraHeaders.push("Contact: " + applicant.contact);
-    // this is UA.C.ALLOWED_METHODS, removed to get around circular dependency
-    this.extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    this.extraHeaders.push("Allow: " + applicant.getAllowedMethods().toString());
     this.extraHeaders.push("Refer-To: " + this.target);
 
     this.errorListener = this.onTransportError.bind(this);
@@ -1,7 +1,8 @@
 import { Dialog as DialogType} from "../types/dialogs";
 import { IncomingRequest, IncomingResponse } from "../types/sip-message";
 import {
-  Subscription as SubscriptionDefinition
+  Subscription as SubscriptionDefinition,
+  SubscriptionServerContext as SubscriptionServerContextDefinition
 } from "../types/subscription";
 import { UA } from "../types/ua";
 import { URI } from "../types/uri";
@@ -10,6 +11,7 @@ import { ClientContext } from "./ClientContext";
 import { C } from "./Constants";
 import { Dialog } from "./Dialogs";
 import { TypeStrings } from "./Enums";
+import { ServerContext } from "./ServerContext";
 import { Timers } from "./Timers";
 import { Utils } from "./Utils";
 
@@ -48,18 +50,7 @@ export class Subscription extends ClientContext implements SubscriptionDefinitio
     options.extraHeaders.push("Event: " + event);
     options.extraHeaders.push("Expires: " + expires);
     options.extraHeaders.push("Contact: " + ua.contact.toString());
-    // was UA.C.ALLOWED_METHODS, removed due to circular dependency
-    options.extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    options.extraHeaders.push("Allow: " + ua.getAllowedMethods().toString());
 
     super(ua, C.SUBSCRIBE, target, options);
     this.type = TypeStrings.Subscription;
@@ -156,18 +147,7 @@ export class Subscription extends ClientContext implements SubscriptionDefinitio
     extraHeaders.push("Expires: 0");
 
     extraHeaders.push("Contact: " + this.contact);
-    // was UA.C.ALLOWED_METHODS, removed due to circular dependency
-    extraHeaders.push("Allow: " + [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ].toString());
+    extraHeaders.push("Allow: " + this.ua.getAllowedMethods().toString());
 
     // makes sure expires isn't set, and other typical resubscribe behavior
     this.receiveResponse = () => { /* intentionally blank */ };
@@ -367,3 +347,264 @@ export class Subscription extends ClientContext implements SubscriptionDefinitio
     }
   }
 }
+
+/**
+ * SIP Notifier (SIP-Specific Event Notifications RFC6665)
+ * @class Class handling an incoming SUBSCRIBE, emitted by the UA as "subscribe".
+ * @param {SIP.UA} ua
+ * @param {SIP.IncomingRequest} request
+ */
+// tslint:disable-next-line:max-classes-per-file
+export class SubscriptionServerContext extends ServerContext implements SubscriptionServerContextDefinition {
+  public type: TypeStrings;
+  public event: string;
+  public id: string | undefined;
+  /** init, pending, active or terminated */
+  public state: string;
+  public requestedExpires: number;
+  public expires: number;
+
+  private contact: string;
+  private dialog: DialogType | undefined;
+  private timers: any;
+  private expiresAt: number;
+  private lastBody: string | undefined;
+  private lastContentType: string | undefined;
+
+  constructor(ua: UA, request: IncomingRequest) {
+    super(ua, request);
+    this.type = TypeStrings.SubscriptionServerContext;
+    this.logger = ua.getLogger("sip.subscriptionservercontext");
+
+    this.event = request.parseHeader("event").event;
+    this.state = "init";
+    this.contact = ua.contact.toString();
+    this.timers = {subDuration: undefined};
+
+    // RFC 6665 4.2.1.1: without Expires the event package default applies
+    const expires: string | undefined = request.getHeader("expires");
+    this.requestedExpires = expires !== undefined && Utils.isDecimal(expires) ? Number(expires) : 3600;
+    this.expires = this.requestedExpires;
+    this.expiresAt = 0;
+
+    // Local tag of the dialog the 2xx creates
+    request.toTag = Utils.newTag();
+  }
+
+  /**
+   * Accept the subscription and send the initial NOTIFY (RFC 6665 4.2.1.2)
+   * @param {Object} [options]
+   * @param {Number} [options.expires] duration granted, lower or equal to the requested one
+   * @param {Boolean} [options.pending] the subscription awaits authorization
+   * @param {String} [options.body] state sent in the initial NOTIFY
+   * @param {String} [options.contentType]
+   * @param {Array} [options.extraHeaders] headers added to the 2xx
+   */
+  public accept(options: any = {}): this {
+    if (this.state !== "init") {
+      throw new Error("Invalid subscription state: " + this.state);
+    }
+
+    if (typeof options.expires === "number") {
+      this.expires = Math.min(this.requestedExpires, Math.max(options.expires, 0));
+    }
+
+    const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
+    extraHeaders.push("Contact: " + this.contact);
+    extraHeaders.push("Expires: " + this.expires);
+
+    this.request.reply(200, undefined, extraHeaders);
+
+    const dialog: DialogType = new Dialog(this, this.request as IncomingRequest, "UAS");
+    const id: string = dialog.id.toString();
+    this.dialog = dialog;
+    this.id = id;
+    this.ua.notifiers[id] = this;
+
+    this.emit("accepted", this.request);
+
+    this.state = options.pending ? "pending" : "active";
+    if (this.expires === 0) {
+      // RFC 6665 4.2.1.4: a fetch gets a single NOTIFY terminating the subscription
+      this.terminate({body: options.body, contentType: options.contentType, reason: "timeout"});
+      return this;
+    }
+    this.setExpiresTimer();
+    this.notify({body: options.body, contentType: options.contentType});
+
+    return this;
+  }
+
+  /**
+   * Reject the subscription with a non 2xx response
+   * @param {Object} [options]
+   * @param {Number} [options.statusCode=480]
+   */
+  public reject(options: any = {}): this {
+    if (this.state !== "init") {
+      throw new Error("Invalid subscription state: " + this.state);
+    }
+
+    this.state = "terminated";
+    return super.reject(options);
+  }
+
+  /**
+   * Send a NOTIFY carrying the current Subscription-State (RFC 6665 4.2.2)
+   * @param {Object} [options]
+   * @param {String} [options.body] the resource state, the previous one is sent if omitted
+   * @param {String} [options.contentType]
+   * @param {String} [options.state] "active" or "pending", changes the subscription state
+   * @param {Array} [options.extraHeaders]
+   */
+  public notify(options: any = {}): void {
+    if (this.state !== "pending" && this.state !== "active") {
+      throw new Error("Invalid subscription state: " + this.state);
+    }
+
+    if (options.state === "active" || options.state === "pending") {
+      this.state = options.state;
+    }
+
+    const expires: number = Math.max(Math.ceil((this.expiresAt - Date.now()) / 1000), 0);
+    this.sendNotify(this.state + ";expires=" + expires, options);
+  }
+
+  /**
+   * Terminate the subscription with a final NOTIFY (RFC 6665 4.2.2)
+   * @param {Object} [options]
+   * @param {String} [options.reason] deactivated, probation, rejected, timeout, giveup, noresource or invariant
+   * @param {Number} [options.retryAfter] seconds before the subscriber may try again
+   * @param {String} [options.body]
+   * @param {String} [options.contentType]
+   * @param {Array} [options.extraHeaders]
+   */
+  public terminate(options: any = {}): void {
+    if (this.state === "terminated") {
+      return;
+    }
+    if (this.state === "init") {
+      this.reject();
+      return;
+    }
+
+    let subscriptionState: string = "terminated";
+    if (options.reason) {
+      subscriptionState += ";reason=" + options.reason;
+    }
+    if (options.retryAfter !== undefined) {
+      subscriptionState += ";retry-after=" + options.retryAfter;
+    }
+
+    this.sendNotify(subscriptionState, options);
+    this.close();
+  }
+
+  /**
+   * In-dialog SUBSCRIBE refreshing or removing the subscription (RFC 6665 4.2.1.2 and 4.2.1.4)
+   * @param {SIP.IncomingRequest} request
+   */
+  public receiveRequest(request: IncomingRequest): void {
+    if (request.method !== C.SUBSCRIBE) {
+      request.reply(405, undefined, ["Allow: " + C.SUBSCRIBE]);
+      return;
+    }
+
+    const event: any = request.parseHeader("event");
+    if (!event || event.event !== this.event) {
+      request.reply(489);
+      return;
+    }
+
+    if (this.state === "terminated") {
+      request.reply(481, "Subscription does not exist");
+      return;
+    }
+
+    const expires: string | undefined = request.getHeader("expires");
+    const requestedExpires: number = expires !== undefined && Utils.isDecimal(expires) ?
+      Number(expires) : this.requestedExpires;
+
+    if (requestedExpires === 0) {
+      request.reply(200, undefined, ["Contact: " + this.contact, "Expires: 0"]);
+      this.emit("unsubscribed", request);
+      this.terminate();
+      return;
+    }
+
+    this.expires = Math.min(this.expires, requestedExpires);
+    request.reply(200, undefined, ["Contact: " + this.contact, "Expires: " + this.expires]);
+    this.setExpiresTimer();
+    this.emit("refresh", request);
+    this.notify();
+  }
+
+  public receiveResponse(response: IncomingResponse): void {
+    const statusCode: number = response.statusCode || 0;
+    // RFC 6665 4.2.2: a failure response to a NOTIFY removes the subscription
+    if (statusCode >= 300 && statusCode !== 401 && statusCode !== 407) {
+      this.logger.warn("NOTIFY failed with " + statusCode + ", removing the subscription");
+      this.close();
+      this.emit("failed", response, Utils.getReasonPhrase(statusCode));
+    }
+  }
+
+  public onDialogError(response: IncomingResponse): void {
+    this.close();
+    this.emit("failed", response, C.causes.DIALOG_ERROR);
+  }
+
+  public onRequestTimeout(): void {
+    this.close();
+    super.onRequestTimeout();
+  }
+
+  public onTransportError(): void {
+    this.close();
+    super.onTransportError();
+  }
+
+  private sendNotify(subscriptionState: string, options: any): void {
+    if (!this.dialog) {
+      return;
+    }
+
+    if (options.body !== undefined) {
+      this.lastBody = options.body;
+      this.lastContentType = options.contentType;
+    }
+
+    const extraHeaders: Array<string> = (options.extraHeaders || []).slice();
+    extraHeaders.push("Event: " + this.event);
+    extraHeaders.push("Subscription-State: " + subscriptionState);
+    extraHeaders.push("Contact: " + this.contact);
+
+    this.dialog.sendRequest(this, C.NOTIFY, {
+      extraHeaders,
+      body: this.lastBody,
+      contentType: this.lastContentType
+    });
+  }
+
+  private setExpiresTimer(): void {
+    clearTimeout(this.timers.subDuration);
+    this.expiresAt = Date.now() + this.expires * 1000;
+    this.timers.subDuration = setTimeout(() => {
+      this.logger.log("subscription expired");
+      this.terminate({reason: "timeout"});
+    }, this.expires * 1000);
+  }
+
+  private close(): void {
+    this.state = "terminated";
+    clearTimeout(this.timers.subDuration);
+
+    if (this.dialog) {
+      this.dialog.terminate();
+      this.dialog = undefined;
+    }
+    delete this.ua.notifiers[this.id || ""];
+
+    this.emit("terminated");
+  }
+}
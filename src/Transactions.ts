@@ -47,7 +47,8 @@ const buildViaHeader: ((ua: UA, t: Transport, id: string) => string) =
   let via: string = "SIP/2.0/" + (ua.configuration.hackViaTcp ? "TCP" : transport.server.scheme);
   via += " " + ua.configuration.viaHost + ";branch=" + id;
 
-  if (ua.configuration.forceRport) {
+  // RFC 3581: responses to requests sent over UDP must reach the port the request came from
+  if (ua.configuration.forceRport || transport.server.scheme === "UDP") {
     via += ";rport";
   }
   return via;
@@ -232,9 +233,11 @@ export class InviteClientTransaction extends EventEmitter implements InviteClien
     // This may create a circular dependency...
     response.transaction = this;
 
+    // Responses of different forks only differ by their To tag
     if (this.response &&
         this.response.statusCode === response.statusCode &&
-        this.response.cseq === response.cseq) {
+        this.response.cseq === response.cseq &&
+        this.response.toTag === response.toTag) {
       this.logger.debug("ICT Received a retransmission for cseq: " + response.cseq);
       if (this.ackSender) {
         this.ackSender.send();
@@ -487,7 +490,7 @@ export class NonInviteServerTransaction extends EventEmitter implements NonInvit
     this.type = TypeStrings.NonInviteServerTransaction;
     this.id = request.viaBranch;
     this.request = request;
-    this.transport = ua.transport;
+    this.transport = request.transport || ua.transport;
     this.ua = ua;
     this.lastResponse = "";
     this.transportError = false;
@@ -598,7 +601,7 @@ export class InviteServerTransaction extends EventEmitter implements InviteServe
     this.type = TypeStrings.InviteServerTransaction;
     this.id = request.viaBranch;
     this.request = request;
-    this.transport = ua.transport;
+    this.transport = request.transport || ua.transport;
     this.ua = ua;
     this.lastResponse = "";
     this.transportError = false;
@@ -1,7 +1,10 @@
 import { EventEmitter } from "events";
 
+import { AutoAnswer as AutoAnswerDefinition } from "../types/auto-answer";
+import { DialPlan as DialPlanDefinition } from "../types/dial-plan";
 import { Dialog } from "../types/dialogs";
 import { Logger } from "../types/logger-factory";
+import { MessageSummary as MessageSummaryDefinition } from "../types/message-summary";
 import { PublishContext as PublishContextType } from "../types/publish-context";
 import {
   InviteClientContext as InviteClientContextType,
@@ -16,7 +19,10 @@ import {
   IncomingResponse,
   OutgoingRequest
 } from "../types/sip-message";
-import { Subscription as SubscriptionType } from "../types/subscription";
+import {
+  Subscription as SubscriptionType,
+  SubscriptionServerContext as SubscriptionServerContextType
+} from "../types/subscription";
 import {
   InviteClientTransaction,
   InviteServerTransaction as InviteServerTransactionType,
@@ -27,20 +33,23 @@ import { Transport } from "../types/transport";
 import { UA as UADefinition } from "../types/ua";
 import { URI as URIType } from "../types/uri";
 
+import { AutoAnswer } from "./AutoAnswer";
 import { ClientContext } from "./ClientContext";
 import { C as SIPConstants } from "./Constants";
+import { DialPlan } from "./DialPlan";
 import { DigestAuthentication } from "./DigestAuthentication";
-import { DialogStatus, SessionStatus, TypeStrings, UAStatus } from "./Enums";
+import { DialogStatus, SessionStatus, TransactionStatus, TypeStrings, UAStatus } from "./Enums";
 import { Exceptions } from "./Exceptions";
 import { Grammar } from "./Grammar";
 import { LoggerFactory } from "./LoggerFactory";
+import { MessageSummary } from "./MessageSummary";
 import { Parser } from "./Parser";
 import { PublishContext } from "./PublishContext";
 import { RegisterContext } from "./RegisterContext";
 import { SanityCheck } from "./SanityCheck";
 import { ServerContext } from "./ServerContext";
 import { InviteClientContext, InviteServerContext, ReferServerContext } from "./Session";
-import { Subscription } from "./Subscription";
+import { Subscription, SubscriptionServerContext } from "./Subscription";
 import {
   checkTransaction,
   InviteServerTransaction,
@@ -75,17 +84,7 @@ export class UA extends EventEmitter implements UADefinition {
     CONFIGURATION_ERROR:  1,
     NETWORK_ERROR:        2,
 
-    ALLOWED_METHODS: [
-      "ACK",
-      "CANCEL",
-      "INVITE",
-      "MESSAGE",
-      "BYE",
-      "OPTIONS",
-      "INFO",
-      "NOTIFY",
-      "REFER"
-    ],
+    ALLOWED_METHODS: SIPConstants.ALLOWED_METHODS,
 
     ACCEPTED_BODY_TYPES: [
       "application/sdp",
@@ -115,12 +114,16 @@ export class UA extends EventEmitter implements UADefinition {
   public logger: Logger;
   public earlySubscriptions: {[id: string]: SubscriptionType};
   public subscriptions: {[id: string]: SubscriptionType};
+  public notifiers: {[id: string]: SubscriptionServerContextType};
 
   private log: LoggerFactory;
   private cache: any;
   private error: number | undefined;
   private registerContext: RegisterContext;
   private environListener: any;
+  private methodHandlers: {[method: string]: UADefinition.MethodHandler};
+  // Whether Via and Contact take the address the transport is bound to, see onTransportConnected
+  private hostFromTransport: boolean = false;
 
   constructor(configuration?: UADefinition.Options) {
     super();
@@ -143,7 +146,9 @@ export class UA extends EventEmitter implements UADefinition {
     this.sessions = {};
     this.subscriptions = {};
     this.earlySubscriptions = {};
+    this.notifiers = {};
     this.publishers = {};
+    this.methodHandlers = {};
     this.status = UAStatus.STATUS_INIT;
     this.transactions = {
       nist: {},
@@ -195,6 +200,10 @@ export class UA extends EventEmitter implements UADefinition {
     this.registerContext.on("failed", this.emit.bind(this, "registrationFailed"));
     this.registerContext.on("registered", this.emit.bind(this, "registered"));
     this.registerContext.on("unregistered", this.emit.bind(this, "unregistered"));
+    // RFC 5626 flows to other edge proxies have their own transport
+    this.registerContext.on("flowTransportCreated", (transport: Transport) => {
+      transport.on("message", (message: string) => this.onTransportReceiveMsg(message, transport));
+    });
 
     if (this.configuration.autostart) {
       this.start();
@@ -349,6 +358,32 @@ export class UA extends EventEmitter implements UADefinition {
     return req;
   }
 
+  /**
+   * Handle the incoming requests of a method the UA does not handle itself, e.g. a custom method.
+   * The handler is called with the ServerContext of the requests received out of dialog, and of the
+   * ones received in the dialog of a session with no handler of its own. It must reply to them.
+   *
+   * @param {String} method e.g. "PING"
+   * @param {Function} handler
+   *
+   * @throws {SIP.Exceptions.MethodParameterError} for the methods handled by the UA
+   */
+  public registerMethodHandler(method: string, handler: UADefinition.MethodHandler): this {
+    if (!Utils.isExtensionMethod(method)) {
+      throw new Exceptions.MethodParameterError("registerMethodHandler", "method", method);
+    }
+    if (!(handler instanceof Function)) {
+      throw new Exceptions.MethodParameterError("registerMethodHandler", "handler", handler);
+    }
+    this.methodHandlers[method] = handler;
+    return this;
+  }
+
+  public unregisterMethodHandler(method: string): this {
+    delete this.methodHandlers[method];
+    return this;
+  }
+
   /**
    * Gracefully close.
    */
@@ -388,6 +423,14 @@ export class UA extends EventEmitter implements UADefinition {
       }
     }
 
+    // Run _terminate_ on every subscription to us
+    for (const notifier in this.notifiers) {
+      if (this.notifiers[notifier]) {
+        this.logger.log("terminating notifier " + notifier);
+        this.notifiers[notifier].terminate({reason: "noresource"});
+      }
+    }
+
     // Run _close_ on every Publisher
     for (const publisher in this.publishers) {
       if (this.publishers[publisher]) {
@@ -457,7 +500,7 @@ export class UA extends EventEmitter implements UADefinition {
       );
       this.setTransportListeners();
       this.emit("transportCreated", this.transport);
-      this.transport.connect();
+      this.transport.connect().catch((e: any) => this.logger.warn("transport failed to connect: " + e));
 
     } else if (this.status === UAStatus.STATUS_USER_CLOSED) {
       this.logger.log("resuming");
@@ -487,14 +530,22 @@ export class UA extends EventEmitter implements UADefinition {
   }
 
   /**
-   * Normalize a string into a valid SIP request URI
+   * Normalize a string into a valid SIP request URI, tel URIs being mapped following the telURIMapping option.
+   * Strings go through the dial plan first, if any.
    *
    * @param {String} target
    *
    * @returns {SIP.URI|undefined}
    */
   public normalizeTarget(target: string | URIType): URIType | undefined {
-    return Utils.normalizeTarget(target, this.configuration.hostportParams);
+    if (typeof target === "string" && this.configuration.dialPlan) {
+      const dialed: DialPlanDefinition.Result | undefined = DialPlan.apply(this.configuration.dialPlan, target,
+        this.configuration.hostportParams, this.configuration.telURIMapping);
+      if (dialed) {
+        return dialed.uri;
+      }
+    }
+    return Utils.normalizeTarget(target, this.configuration.hostportParams, this.configuration.telURIMapping);
   }
 
   public getLogger(category: string, label?: string): Logger {
@@ -540,23 +591,76 @@ export class UA extends EventEmitter implements UADefinition {
       undefined;
   }
 
+  public getMethodHandler(method: string): UADefinition.MethodHandler | undefined {
+    return this.methodHandlers[method];
+  }
+
+  /**
+   * Call a method handler with the ServerContext of a request. An error thrown by the handler is
+   * logged, and the request gets a 500 if the handler did not send a final response before it threw.
+   * @param {Function} handler
+   * @param {SIP.ServerContext} context
+   */
+  public callMethodHandler(handler: UADefinition.MethodHandler, context: ServerContext): void {
+    try {
+      handler(context);
+    } catch (e) {
+      this.logger.error("method handler of " + context.method + " threw an error");
+      this.logger.error(e);
+      if (context.transaction.state === TransactionStatus.STATUS_TRYING ||
+          context.transaction.state === TransactionStatus.STATUS_PROCEEDING) {
+        context.request.reply(500);
+      }
+    }
+  }
+
+  /**
+   * Methods of the Allow header: the ones the UA accepts and the ones it has handlers for.
+   * SUBSCRIBE needs a "subscribe" listener and REFER outside of dialogs allowOutOfDialogRefers.
+   * @returns {Array<String>}
+   */
+  public getAllowedMethods(): Array<string> {
+    return SIPConstants.ALLOWED_METHODS.filter((method: string) =>
+      (method !== SIPConstants.SUBSCRIBE || this.listeners("subscribe").length > 0) &&
+      (method !== SIPConstants.REFER || !!this.configuration.allowOutOfDialogRefers)
+    ).concat(Object.keys(this.methodHandlers));
+  }
+
   // ===============================
   //  Private (For internal use)
   // ===============================
 
+  /**
+   * Cache credentials per realm, request URI and Digest algorithm.
+   * @param {Object} credentials
+   */
   private saveCredentials(credentials: any): this {
-    this.cache.credentials[credentials.realm] = this.cache.credentials[credentials.realm] || {};
-    this.cache.credentials[credentials.realm][credentials.uri] = credentials;
+    const algorithm: string = (credentials.algorithm || "MD5").toUpperCase();
+    const realmCache: any = this.cache.credentials[credentials.realm] =
+      this.cache.credentials[credentials.realm] || {};
+    realmCache[credentials.uri] = realmCache[credentials.uri] || {};
+    realmCache[credentials.uri][algorithm] = credentials;
 
     return this;
   }
 
-  private getCredentials(request: OutgoingRequest): any {
-    const realm: string | undefined =
+  /**
+   * Get cached credentials for the request, for the given Digest algorithm
+   * or, if none is given, for the strongest algorithm cached.
+   * @param {SIP.OutgoingRequest} request
+   * @param {String} [algorithm]
+   */
+  private getCredentials(request: OutgoingRequest, algorithm?: string): any {
+    const realm: string | undefined =
       (request.ruri as URIType).type === TypeStrings.URI ? (request.ruri as URIType).host : "";
 
     if (realm && this.cache.credentials[realm] && this.cache.credentials[realm][request.ruri.toString()]) {
-      const credentials: any = this.cache.credentials[realm][request.ruri.toString()];
+      const cached: any = this.cache.credentials[realm][request.ruri.toString()];
+      const credentials: any = algorithm ? cached[algorithm.toUpperCase()] :
+        DigestAuthentication.selectChallenge(Object.keys(cached).map((key: string) => cached[key]));
+      if (!credentials) {
+        return;
+      }
       credentials.method = request.method;
 
       return credentials;
@@ -595,20 +699,36 @@ export class UA extends EventEmitter implements UADefinition {
    * @param {SIP.Transport} transport.
    */
   private onTransportConnected(): void {
+    const transport: any = this.transport;
+    // Node transports are bound to a reachable address, unlike the browser ones
+    if (this.hostFromTransport && transport && transport.localAddress) {
+      const host: string = transport.localAddress.indexOf(":") !== -1 ?
+        "[" + transport.localAddress + "]" : transport.localAddress;
+      this.configuration.viaHost = host + (transport.localPort ? ":" + transport.localPort : "");
+      this.contact.uri.host = host;
+      this.contact.uri.port = transport.localPort || undefined;
+    }
     if (this.configuration.register) {
       // In an effor to maintain behavior from when we "initialized" an
       // authentication factory, this is in a Promise.then
       Promise.resolve().then(() => this.registerContext.register());
     }
+    // The media of the established sessions may not have survived what broke the connection
+    for (const id in this.sessions) {
+      if (this.sessions[id]) {
+        this.sessions[id].recoverMedia();
+      }
+    }
   }
 
   /**
    * Transport message receipt event.
    * @event
    * @param {String} message
+   * @param {SIP.Transport} [transport] transport the message was received on, the UA transport by default
    */
 
-  private onTransportReceiveMsg(messageString: string): void {
+  private onTransportReceiveMsg(messageString: string, transport: Transport | undefined = this.transport): void {
     const message: IncomingRequest | IncomingResponse | undefined = Parser.parseMessage(messageString, this);
 
     if (this.status === UAStatus.STATUS_USER_CLOSED && message && message.type === TypeStrings.IncomingRequest) {
@@ -616,9 +736,9 @@ export class UA extends EventEmitter implements UADefinition {
       return;
     }
     // Do some sanity check
-    if (message && this.transport && SanityCheck.sanityCheck(message, this, this.transport)) {
+    if (message && transport && SanityCheck.sanityCheck(message, this, transport)) {
       if (message.type === TypeStrings.IncomingRequest) {
-        (message as IncomingRequest).transport = this.transport;
+        (message as IncomingRequest).transport = transport;
         this.receiveRequest(message as IncomingRequest);
       } else if (message.type === TypeStrings.IncomingResponse) {
         /* Unlike stated in 18.1.2, if a response does not match
@@ -687,11 +807,11 @@ export class UA extends EventEmitter implements UADefinition {
     * They are processed as if they had been received outside the dialog.
     */
     const method: string = request.method;
-    let message: ServerContext;
+    let message: ServerContext | undefined;
     if (method === SIPConstants.OPTIONS) {
       const nonInviteTr: NonInviteServerTransaction = new NonInviteServerTransaction(request, this);
       request.reply(200, undefined, [
-        "Allow: " + UA.C.ALLOWED_METHODS.toString(),
+        "Allow: " + this.getAllowedMethods().toString(),
         "Accept: " + UA.C.ACCEPTED_BODY_TYPES.toString()
       ]);
     } else if (method === SIPConstants.MESSAGE) {
@@ -733,11 +853,37 @@ export class UA extends EventEmitter implements UADefinition {
             }
           }
 
+          // RFC 4028 8.1: reject a session interval lower than the one we are willing to accept
+          const sessionExpires: any = (this.configuration.sessionTimers === SIPConstants.supported.SUPPORTED ||
+            this.configuration.sessionTimers === SIPConstants.supported.REQUIRED) &&
+            request.parseHeader("session-expires");
+          if (sessionExpires && sessionExpires.deltaSeconds < (this.configuration.minSessionExpires as number)) {
+            const unusedIST: InviteServerTransaction = new InviteServerTransaction(request, this);
+            request.reply(422, undefined, ["Min-SE: " + this.configuration.minSessionExpires]);
+            return;
+          }
+
           const newSession: InviteServerContextType = new InviteServerContext(this, request);
           if (replacedDialog && !(replacedDialog.owner.type === TypeStrings.Subscription)) {
             newSession.replacee = replacedDialog && (replacedDialog.owner as InviteClientContext | InviteServerContext);
           }
+          if (this.configuration.autoAnswer) {
+            try {
+              newSession.autoAnswer = AutoAnswer.decide(newSession, this.configuration.autoAnswer);
+            } catch (e) {
+              this.logger.error("the autoAnswer policy failed, the call is not answered automatically: " + e);
+            }
+          }
+          // RFC 5373 7.2: a required auto-answer the UA will not honour is forbidden
+          if (this.configuration.autoAnswer && newSession.autoAnswer.mode === "auto" &&
+              newSession.autoAnswer.require && !newSession.autoAnswer.answer) {
+            newSession.reject({statusCode: 403});
+            break;
+          }
           this.emit("invite", newSession);
+          if (newSession.autoAnswer.answer) {
+            AutoAnswer.schedule(newSession, this.configuration.autoAnswer);
+          }
           break;
         case SIPConstants.BYE:
           // Out of dialog BYE received
@@ -757,14 +903,23 @@ export class UA extends EventEmitter implements UADefinition {
           * and without To tag.
           */
           break;
-        case SIPConstants.NOTIFY:
-          if (this.configuration.allowLegacyNotifications && this.listeners("notify").length > 0) {
+        case SIPConstants.NOTIFY: {
+          const event: any = request.hasHeader("event") && request.parseHeader("event");
+          if (event && event.event === "message-summary" && this.listeners("messageSummary").length > 0) {
+            // RFC 3842 3.1: unsolicited message waiting indication
+            request.reply(200, undefined);
+            const summary: MessageSummaryDefinition.Summary | undefined = MessageSummary.parseNotify(this, request);
+            if (summary) {
+              this.emit("messageSummary", summary, { request });
+            }
+          } else if (this.configuration.allowLegacyNotifications && this.listeners("notify").length > 0) {
             request.reply(200, undefined);
             this.emit("notify", { request });
           } else {
             request.reply(481, "Subscription does not exist");
           }
           break;
+        }
         case SIPConstants.REFER:
           this.logger.log("Received an out of dialog refer");
           if (this.configuration.allowOutOfDialogRefers) {
@@ -781,9 +936,31 @@ export class UA extends EventEmitter implements UADefinition {
           }
           request.reply(405);
           break;
-        default:
+        case SIPConstants.SUBSCRIBE:
+          // RFC 6665 4.2.1: act as a notifier if the application handles subscriptions
+          if (this.listeners("subscribe").length > 0) {
+            if (!request.hasHeader("event")) {
+              request.reply(400, "Missing Event Header");
+            } else if (!request.parseHeader("event")) {
+              request.reply(400, "Invalid Event Header");
+            } else if (!request.hasHeader("contact")) {
+              request.reply(400, "Missing Contact Header");
+            } else {
+              this.emit("subscribe", new SubscriptionServerContext(this, request));
+            }
+            break;
+          }
           request.reply(405);
           break;
+        default: {
+          const methodHandler: UADefinition.MethodHandler | undefined = this.methodHandlers[method];
+          if (methodHandler && message) {
+            this.callMethodHandler(methodHandler, message);
+          } else {
+            request.reply(405, undefined, ["Allow: " + this.getAllowedMethods().toString()]);
+          }
+          break;
+        }
       }
     } else { // In-dialog request
       const dialog: Dialog | undefined = this.findDialog(request);
@@ -792,7 +969,7 @@ export class UA extends EventEmitter implements UADefinition {
         if (method === SIPConstants.INVITE) {
           const unusedIST: InviteServerTransaction = new InviteServerTransaction(request, this);
         }
-        dialog.receiveRequest(request);
+        dialog.receiveRequest(request, message);
       } else if (method === SIPConstants.NOTIFY) {
         const session: InviteClientContextType | InviteServerContextType | undefined = this.findSession(request);
         const earlySubscription: SubscriptionType | undefined = this.findEarlySubscription(request);
@@ -910,6 +1087,9 @@ private checkTransaction(request: IncomingRequest): boolean {
 
       extraSupported: [],
 
+      // History-Info (RFC 7044)
+      historyInfo: false,
+
       contactName: Utils.createRandomToken(8), // user name in user part
       contactTransport: "ws",
       forceRport: false,
@@ -930,6 +1110,18 @@ private checkTransaction(request: IncomingRequest): boolean {
       // http://tools.ietf.org/html/rfc3891
       replaces: SIPConstants.supported.UNSUPPORTED,
 
+      // Session Timers (RFC 4028)
+      // http://tools.ietf.org/html/rfc4028
+      sessionTimers: SIPConstants.supported.UNSUPPORTED,
+      sessionExpires: 1800,
+      minSessionExpires: 90,
+      sessionRefreshMethod: SIPConstants.UPDATE,
+
+      // Media recovery with ICE restarts (RFC 8445 9), e.g. after a network change
+      mediaRecovery: false,
+      mediaRecoveryAttempts: 3,
+      mediaRecoveryInterval: 2,
+
       sessionDescriptionHandlerFactory: WebSessionDescriptionHandler.defaultFactory,
 
       authenticationFactory: this.checkAuthenticationFactory((ua: UA) => {
@@ -939,6 +1131,9 @@ private checkTransaction(request: IncomingRequest): boolean {
       allowLegacyNotifications: false,
 
       allowOutOfDialogRefers: false,
+
+      // Targets with tel URIs (RFC 3966) are sent as sip:number@domain
+      telURIMapping: "sip",
     };
 
     const configCheck: {mandatory: {[name: string]: any}, optional: {[name: string]: any}} =
@@ -1021,9 +1216,14 @@ private checkTransaction(request: IncomingRequest): boolean {
       }
     }
 
+    this.hostFromTransport = !settings.hackIpInContact;
+
     // Contact transport parameter
     if (settings.hackWssInTransport) {
       settings.contactTransport = "wss";
+    } else if (!configuration.contactTransport && settings.transportConstructor.protocol) {
+      // Transports other than WebSocket (e.g. Node.UDPTransport) declare the protocol they use
+      settings.contactTransport = settings.transportConstructor.protocol;
     }
 
     this.contact = {
@@ -1181,6 +1381,18 @@ private checkTransaction(request: IncomingRequest): boolean {
           }
         },
 
+        historyInfo: (historyInfo: boolean): boolean | undefined => {
+          if (typeof historyInfo === "boolean") {
+            return historyInfo;
+          }
+        },
+
+        autoAnswer: (autoAnswer: AutoAnswerDefinition.Policy): AutoAnswerDefinition.Policy | undefined => {
+          if (autoAnswer instanceof Object && !(autoAnswer instanceof Array)) {
+            return autoAnswer;
+          }
+        },
+
         extraSupported: (optionTags: Array<string>): Array<string> | undefined => {
           if (!(optionTags instanceof Array)) {
             return;
@@ -1234,6 +1446,97 @@ private checkTransaction(request: IncomingRequest): boolean {
           }
         },
 
+        sessionTimers: (sessionTimers: string): string => {
+          if (sessionTimers === SIPConstants.supported.REQUIRED) {
+            return SIPConstants.supported.REQUIRED;
+          } else if (sessionTimers === SIPConstants.supported.SUPPORTED) {
+            return SIPConstants.supported.SUPPORTED;
+          } else  {
+            return SIPConstants.supported.UNSUPPORTED;
+          }
+        },
+
+        // RFC 4028 4: the session interval cannot be lower than 90 seconds
+        sessionExpires: (sessionExpires: string): number | undefined => {
+          if (Utils.isDecimal(sessionExpires)) {
+            const value: number = Number(sessionExpires);
+            if (value >= 90) {
+              return value;
+            }
+          }
+        },
+
+        minSessionExpires: (minSessionExpires: string): number | undefined => {
+          if (Utils.isDecimal(minSessionExpires)) {
+            const value: number = Number(minSessionExpires);
+            if (value >= 90) {
+              return value;
+            }
+          }
+        },
+
+        sessionRefreshMethod: (sessionRefreshMethod: string): string | undefined => {
+          if (sessionRefreshMethod === SIPConstants.UPDATE || sessionRefreshMethod === SIPConstants.INVITE) {
+            return sessionRefreshMethod;
+          }
+        },
+
+        dialPlan: (dialPlan: DialPlanDefinition.Options | DialPlanDefinition.Function):
+          DialPlanDefinition.Options | DialPlanDefinition.Function | undefined => {
+          if (dialPlan instanceof Function || (typeof dialPlan === "object" && dialPlan.rules instanceof Array)) {
+            return dialPlan;
+          }
+        },
+
+        telURIMapping: (telURIMapping: string): string | undefined => {
+          if (telURIMapping === "sip" || telURIMapping === "user=phone" || telURIMapping === "tel") {
+            return telURIMapping;
+          }
+        },
+
+        mediaRecovery: (mediaRecovery: boolean): boolean | undefined => {
+          if (typeof mediaRecovery === "boolean") {
+            return mediaRecovery;
+          }
+        },
+
+        mediaRecoveryAttempts: (mediaRecoveryAttempts: string): number | undefined => {
+          if (Utils.isDecimal(mediaRecoveryAttempts)) {
+            const value: number = Number(mediaRecoveryAttempts);
+            if (value >= 0) {
+              return value;
+            }
+          }
+        },
+
+        mediaRecoveryInterval: (mediaRecoveryInterval: string): number | undefined => {
+          if (Utils.isDecimal(mediaRecoveryInterval)) {
+            const value: number = Number(mediaRecoveryInterval);
+            if (value > 0) {
+              return value;
+            }
+          }
+        },
+
+        preferredIdentity: (preferredIdentity: string | Array<string>): string | Array<string> | undefined => {
+          if (typeof preferredIdentity === "string" ||
+              (preferredIdentity instanceof Array && preferredIdentity.every((uri) => typeof uri === "string"))) {
+            return preferredIdentity;
+          }
+        },
+
+        privacy: (privacy: Array<string>): Array<string> | undefined => {
+          if (privacy instanceof Array && privacy.every((value) => typeof value === "string")) {
+            return privacy;
+          }
+        },
+
+        qualityReportCollector: (qualityReportCollector: string): string | undefined => {
+          if (typeof qualityReportCollector === "string") {
+            return qualityReportCollector;
+          }
+        },
+
         register: (register: boolean): boolean | undefined => {
           if (typeof register === "boolean") {
             return register;
@@ -53,11 +53,11 @@ export class Parameters implements ParametersDefinition {
 }
 
 /**
- * @class Class creating a SIP URI.
+ * @class Class creating a SIP URI, or a tel URI (RFC 3966) whose user is the number.
  *
  * @param {String} [scheme]
  * @param {String} [user]
- * @param {String} host
+ * @param {String} host empty for a tel URI
  * @param {String} [port]
  * @param {Object} [parameters]
  * @param {Object} [headers]
@@ -80,14 +80,18 @@ export class URI extends Parameters implements URIDefinition {
   ) {
     super(parameters);
     this.type = TypeStrings.URI;
+    // Initialize parameters
+    scheme = scheme || C.SIP;
+
     // Checks
-    if (!host) {
+    if (scheme.toLowerCase() === "tel") {
+      if (!user) {
+        throw new TypeError('missing or invalid "user" parameter');
+      }
+    } else if (!host) {
       throw new TypeError('missing or invalid "host" parameter');
     }
 
-    // Initialize parameters
-    scheme = scheme || C.SIP;
-
     for (const header in headers) {
       if (headers.hasOwnProperty(header)) {
         this.setHeader(header, headers[header]);
@@ -105,8 +109,8 @@ export class URI extends Parameters implements URIDefinition {
     // Normalized URI
     this.normal = {
       scheme: scheme.toLowerCase(),
-      user,
-      host: host.toLowerCase(),
+      user: this.normalizeUser(scheme, user),
+      host: (host || "").toLowerCase(),
       port
     };
   }
@@ -122,7 +126,8 @@ export class URI extends Parameters implements URIDefinition {
 
   get user(): string | undefined { return this.normal.user; }
   set user(value: string | undefined) {
-    this.normal.user = this.raw.user = value;
+    this.raw.user = value;
+    this.normal.user = this.normalizeUser(this.normal.scheme, value);
   }
 
   get host(): string { return this.normal.host; }
@@ -131,7 +136,9 @@ export class URI extends Parameters implements URIDefinition {
     this.normal.host = value.toLowerCase();
   }
 
-  get aor(): string { return this.normal.user + "@" + this.normal.host; }
+  get aor(): string {
+    return this.normal.scheme === "tel" ? this.normal.user as string : this.normal.user + "@" + this.normal.host;
+  }
 
   get port(): number | undefined { return this.normal.port; }
   set port(value: number | undefined) {
@@ -176,6 +183,39 @@ export class URI extends Parameters implements URIDefinition {
       JSON.parse(JSON.stringify(this.headers)));
   }
 
+  /**
+   * Compare with another URI: RFC 3966 4 for tel URIs, RFC 3261 19.1.4 for SIP URIs.
+   * @param {SIP.URI} uri
+   * @returns {Boolean}
+   */
+  public isEquivalent(uri: URI): boolean {
+    if (this.scheme !== uri.scheme || this.user !== uri.user) {
+      return false;
+    }
+    if (this.scheme === "tel") {
+      // All the parameters are significant, their values are case-insensitive
+      const names: Array<string> = Object.keys(this.parameters);
+      return names.length === Object.keys(uri.parameters).length &&
+        names.every((name: string) => uri.hasParam(name) &&
+          this.normalizeParam(name, this.getParam(name)) === this.normalizeParam(name, uri.getParam(name)));
+    }
+    if (this.host !== uri.host || this.port !== uri.port) {
+      return false;
+    }
+    // These parameters are significant even when only one of the URIs has them, the others when both do
+    for (const name of Object.keys(this.parameters).concat(Object.keys(uri.parameters))) {
+      const significant: boolean = ["user", "ttl", "method", "maddr", "transport"].indexOf(name) !== -1;
+      if ((significant || (this.hasParam(name) && uri.hasParam(name))) &&
+          this.normalizeParam(name, this.getParam(name)) !== this.normalizeParam(name, uri.getParam(name))) {
+        return false;
+      }
+    }
+    const headers: Array<string> = Object.keys(this.headers);
+    return headers.length === Object.keys(uri.headers).length &&
+      headers.every((name: string) => uri.hasHeader(name) &&
+        this.headers[name].join("&") === (uri.getHeader(name) as any).join("&"));
+  }
+
   public toRaw(): string {
     return this._toString(this._raw);
   }
@@ -186,16 +226,20 @@ export class URI extends Parameters implements URIDefinition {
 
   private _toString(uri: any): string {
     let uriString: string  = uri.scheme + ":";
-    // add slashes if it's not a sip(s) URI
-    if (!uri.scheme.toLowerCase().match("^sips?$")) {
-      uriString += "//";
-    }
-    if (uri.user) {
-      uriString += this.escapeUser(uri.user) + "@";
-    }
-    uriString += uri.host;
-    if (uri.port || uri.port === 0) {
-      uriString += ":" + uri.port;
+    if (uri.scheme.toLowerCase() === "tel") {
+      uriString += this.escapeUser(uri.user);
+    } else {
+      // add slashes if it's not a sip(s) URI
+      if (!uri.scheme.toLowerCase().match("^sips?$")) {
+        uriString += "//";
+      }
+      if (uri.user) {
+        uriString += this.escapeUser(uri.user) + "@";
+      }
+      uriString += uri.host;
+      if (uri.port || uri.port === 0) {
+        uriString += ":" + uri.port;
+      }
     }
 
     for (const parameter in this.parameters) {
@@ -233,12 +277,31 @@ export class URI extends Parameters implements URIDefinition {
    * @param {String} user
    */
   private escapeUser(user: string): string {
-    // Don't hex-escape ':' (%3A), '+' (%2B), '?' (%3F"), '/' (%2F).
+    // Don't hex-escape ':' (%3A), '+' (%2B), '?' (%3F"), '/' (%2F),
+    // nor ';' (%3B) and '=' (%3D) of the telephone-subscriber parameters (RFC 3261 19.1.6).
     return encodeURIComponent(decodeURIComponent(user))
       .replace(/%3A/ig, ":")
       .replace(/%2B/ig, "+")
       .replace(/%3F/ig, "?")
-      .replace(/%2F/ig, "/");
+      .replace(/%2F/ig, "/")
+      .replace(/%3B/ig, ";")
+      .replace(/%3D/ig, "=");
+  }
+
+  /*
+   * The visual separators of a telephone number are not significant (RFC 3966 5.1.1).
+   * @private
+   */
+  private normalizeUser(scheme: string, user: string | undefined): string | undefined {
+    return user && scheme.toLowerCase() === "tel" ? user.replace(/[\-.()]/g, "").toLowerCase() : user;
+  }
+
+  private normalizeParam(name: string, value: string | null | undefined): string | null | undefined {
+    if (typeof value !== "string") {
+      return value;
+    }
+    // The phone-context of a local number is a domain name or a global number (RFC 3966 5.1.5)
+    return name === "phone-context" && value[0] === "+" ? value.replace(/[\-.()]/g, "") : value.toLowerCase();
   }
 
   private headerize(str: string): string {
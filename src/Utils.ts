@@ -1,3 +1,4 @@
+import { Session } from "../types/session";
 import { SessionDescriptionHandlerModifier } from "../types/session-description-handler";
 import { URI } from "../types/uri";
 import { Utils as UtilsDefinition } from "../types/utils";
@@ -38,6 +39,30 @@ export namespace Utils {
     return "v=0\r\n" + body.slice(start, end) + "\r\ns=-\r\nt=0 0\r\nc=IN IP4 0.0.0.0";
   }
 
+  /**
+   * Media direction of each m-line of a session description (RFC 3264 5.1), defaulting to the
+   * session level attribute. Disabled streams (port 0) and streams with a 0.0.0.0 connection
+   * address (RFC 2543 hold) are inactive.
+   * @param {String} sdp
+   * @returns {Array<String>} "sendrecv", "sendonly", "recvonly" or "inactive" for each m-line
+   */
+  export function getMediaDirections(sdp: string): Array<string> {
+    const direction: RegExp = /^a=(sendrecv|sendonly|recvonly|inactive)\s*$/m;
+    const nullConnection: RegExp = /^c=IN IP4 0\.0\.0\.0\s*$/m;
+    const sections: Array<string> = sdp.split(/\r?\n(?=m=)/);
+    const session: string = sections.shift() || "";
+    const sessionDirection: RegExpMatchArray | null = session.match(direction);
+
+    return sections.map((media: string) => {
+      const mediaDirection: RegExpMatchArray | null = media.match(direction);
+      const hasConnection: boolean = /^c=/m.test(media);
+      if (/^m=\S+ 0[ \/]/.test(media) || (hasConnection ? nullConnection.test(media) : nullConnection.test(session))) {
+        return "inactive";
+      }
+      return mediaDirection ? mediaDirection[1] : sessionDirection ? sessionDirection[1] : "sendrecv";
+    });
+  }
+
   export function isDecimal(num: string): boolean {
     const numAsNum = parseInt(num, 10);
     return !isNaN(numAsNum) && (parseFloat(num) === numAsNum);
@@ -76,22 +101,35 @@ export namespace Utils {
    * Accepts 'sip', 'sips' and 'tel' URIs and convert them into 'sip'.
    * Detects the domain part (if given) and properly hex-escapes the user portion.
    * If the user portion has only 'tel' number symbols the user portion is clean of 'tel' visual separators.
+   * Valid tel URIs, and global numbers with another mapping than "sip", are mapped following telMapping.
    * @private
    * @param {String} target
    * @param {String} [domain]
+   * @param {String} [telMapping] "sip" (sip:number@domain), "user=phone" (RFC 3261 19.1.6) or "tel" (unchanged)
    */
-  export function normalizeTarget(target: string | URI, domain?: string): URI | undefined {
+  export function normalizeTarget(
+    target: string | URI,
+    domain?: string,
+    telMapping: URI.TelMapping = "sip"
+  ): URI | undefined {
     // If no target is given then raise an error.
     if (!target) {
       return;
     // If a SIP.URI instance is given then return it.
     } else if ((target as URI).type === TypeStrings.URI) {
-      return target as URI;
+      return (target as URI).scheme === "tel" ? mapTelURI(target as URI, domain, telMapping) : target as URI;
 
     // If a string is given split it by '@':
     // - Last fragment is the desired domain.
     // - Otherwise append the given domain argument.
     } else if (typeof target === "string") {
+      if (/^tel:/i.test(target) || (telMapping !== "sip" && /^\+[0-9\-.()]+$/.test(target))) {
+        const telURI: URI | -1 = Grammar.parse(/^tel:/i.test(target) ? target : "tel:" + target, "tel_URI");
+        if (telURI !== -1) {
+          return mapTelURI(telURI, domain, telMapping);
+        }
+      }
+
       const targetArray: Array<string> = target.split("@");
       let targetUser: string;
       let targetDomain: string;
@@ -131,18 +169,44 @@ export namespace Utils {
     }
   }
 
+  /*
+   * Map a tel URI to a SIP URI of the domain (RFC 3261 19.1.6), the telephone-subscriber
+   * with its parameters being the user.
+   * @private
+   * @param {SIP.URI} uri tel URI
+   * @param {String} [domain]
+   * @param {String} telMapping
+   */
+  export function mapTelURI(uri: URI, domain: string | undefined, telMapping: URI.TelMapping): URI | undefined {
+    if (telMapping === "tel") {
+      return uri;
+    }
+    if (!domain) {
+      return;
+    }
+    const sipURI: URI | undefined = Grammar.URIParse(
+      C.SIP + ":" + Utils.escapeUser(uri.toString().replace(/^tel:/, "")) + "@" + domain);
+    if (sipURI && telMapping === "user=phone") {
+      sipURI.setParam("user", "phone");
+    }
+    return sipURI;
+  }
+
   /*
    * Hex-escape a SIP URI user.
    * @private
    * @param {String} user
    */
   export function escapeUser(user: string): string {
-    // Don't hex-escape ':' (%3A), '+' (%2B), '?' (%3F"), '/' (%2F).
+    // Don't hex-escape ':' (%3A), '+' (%2B), '?' (%3F"), '/' (%2F),
+    // nor ';' (%3B) and '=' (%3D) of the telephone-subscriber parameters (RFC 3261 19.1.6).
     return encodeURIComponent(decodeURIComponent(user))
       .replace(/%3A/ig, ":")
       .replace(/%2B/ig, "+")
       .replace(/%3F/ig, "?")
-      .replace(/%2F/ig, "/");
+      .replace(/%2F/ig, "/")
+      .replace(/%3B/ig, ";")
+      .replace(/%3D/ig, "=");
   }
 
   export function headerize(str: string): string {
@@ -170,6 +234,16 @@ export namespace Utils {
     return hname;
   }
 
+  /**
+   * Whether a method name is a token (RFC 3261 25.1) the UA does not handle itself, e.g. a custom method
+   * @param {String} method
+   * @returns {Boolean}
+   */
+  export function isExtensionMethod(method: string): boolean {
+    return typeof method === "string" && /^[a-zA-Z0-9\-.!%*_+`'~]+$/.test(method) &&
+      C.ALLOWED_METHODS.concat(C.PRACK).indexOf(method) === -1;
+  }
+
   export function sipErrorCause(statusCode: number): string {
 
     for (const cause in C.SIP_ERROR_CAUSES) {
@@ -198,6 +272,47 @@ export namespace Utils {
     }
   }
 
+  /**
+   * Build the value of a Reason header (RFC 3326)
+   * @param {Session.Reason|Array<Session.Reason>} reasons at most one per protocol
+   * @returns {String}
+   */
+  export function buildReasonHeader(reasons: Session.Reason | Array<Session.Reason>): string {
+    return ([] as Array<Session.Reason>).concat(reasons).map((reason: Session.Reason) => {
+      if (!reason || !reason.protocol) {
+        throw new TypeError("Invalid reason: " + reason);
+      }
+      let value: string = reason.protocol;
+      if (reason.cause !== undefined) {
+        value += ";cause=" + reason.cause;
+      }
+      if (reason.text !== undefined) {
+        value += ';text="' + reason.text.replace(/(["\\])/g, "\\$1") + '"';
+      }
+      const params: {[name: string]: string | undefined} = reason.params || {};
+      for (const name of Object.keys(params)) {
+        value += ";" + name + (params[name] !== undefined ? "=" + params[name] : "");
+      }
+      return value;
+    }).join(", ");
+  }
+
+  /**
+   * Parse Reason header values (RFC 3326), the invalid ones are ignored
+   * @param {Array<String>} headers e.g. message.getHeaders("reason")
+   * @returns {Array<Session.Reason>}
+   */
+  export function parseReasons(headers: Array<string>): Array<Session.Reason> {
+    const reasons: Array<Session.Reason> = [];
+    for (const header of headers) {
+      const parsed: Array<Session.Reason> | -1 = Grammar.parse(header, "Reason");
+      if (parsed !== -1) {
+        reasons.push(...parsed);
+      }
+    }
+    return reasons;
+  }
+
   export function buildStatusLine(code: number, reason?: string): string {
     // Validate code and reason values
     if (!code || (code < 100 || code > 699)) {
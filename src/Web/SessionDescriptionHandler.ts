@@ -1,5 +1,6 @@
 import { EventEmitter } from "events";
 
+import { CallQuality as CallQualityDefinition } from "../../types/call-quality";
 import { Logger } from "../../types/logger-factory";
 import { InviteClientContext, InviteServerContext } from "../../types/session";
 import {
@@ -13,6 +14,7 @@ import {
   WebSessionDescriptionHandlerOptions
 } from "../../types/Web/session-description-handler";
 
+import { CallQuality } from "../CallQuality";
 import { TypeStrings } from "../Enums";
 import { Exceptions } from "../Exceptions";
 import { Utils } from "../Utils";
@@ -48,6 +50,7 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
   private shouldAcquireMedia: boolean;
   private CONTENT_TYPE: string;
   private direction: string;
+  private remoteDirections: Array<string>;
   private C: any;
   private modifiers: SessionDescriptionHandlerModifiers;
   private WebRTC: any;
@@ -55,6 +58,13 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
   private iceGatheringTimeout: boolean;
   private iceGatheringTimer: any | undefined;
   private constraints: any;
+  private lostTracks: Array<MediaStreamTrack>;
+  private onTrackEnded: (event: Event) => void;
+  private onDeviceChange: () => void;
+  private statsTimer: any | undefined;
+  private statsSample: CallQualityDefinition.Sample | undefined;
+  private onScreenShareEnded: () => void;
+  private screenTrack: MediaStreamTrack | undefined;
 
   constructor(logger: Logger, observer: SessionDescriptionHandlerObserver, options: any) {
     super();
@@ -83,6 +93,7 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     this.logger.log("SessionDescriptionHandlerOptions: " + JSON.stringify(this.options));
 
     this.direction = this.C.DIRECTION.NULL;
+    this.remoteDirections = [];
 
     this.modifiers = this.options.modifiers || [];
     if (!Array.isArray(this.modifiers)) {
@@ -93,9 +104,22 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     this.WebRTC = {
       MediaStream           : environment.MediaStream,
       getUserMedia          : environment.navigator.mediaDevices.getUserMedia.bind(environment.navigator.mediaDevices),
-      RTCPeerConnection     : environment.RTCPeerConnection
+      RTCPeerConnection     : environment.RTCPeerConnection,
+      mediaDevices          : environment.navigator.mediaDevices
     };
 
+    this.lostTracks = [];
+    this.onTrackEnded = (event: Event) => this.inputLost(event.target as MediaStreamTrack);
+    this.onDeviceChange = () => this.checkInputDevices();
+    this.onScreenShareEnded = () => {
+      this.logger.log("screen sharing ended by the user");
+      this.removeVideo().then(() => this.observer.renegotiationNeeded())
+        .catch((e: any) => this.logger.error("unable to stop sharing the screen: " + e));
+    };
+    if (this.WebRTC.mediaDevices.addEventListener) {
+      this.WebRTC.mediaDevices.addEventListener("devicechange", this.onDeviceChange);
+    }
+
     this.iceGatheringTimeout = false;
 
     this.initPeerConnection(this.options.peerConnectionOptions);
@@ -110,11 +134,16 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
    */
   public close(): void {
     this.logger.log("closing PeerConnection");
+    this.stopStats();
+    if (this.WebRTC.mediaDevices.removeEventListener) {
+      this.WebRTC.mediaDevices.removeEventListener("devicechange", this.onDeviceChange);
+    }
     // have to check signalingState since this.close() gets called multiple times
     if (this.peerConnection && this.peerConnection.signalingState !== "closed") {
       if (this.peerConnection.getSenders) {
         this.peerConnection.getSenders().forEach((sender: any) => {
           if (sender.track) {
+            sender.track.removeEventListener("ended", this.onTrackEnded);
             sender.track.stop();
           }
         });
@@ -296,6 +325,8 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
       } else {
         this.emit("setRemoteDescription", (this.peerConnection as any).getRemoteStreams());
       }
+      this.remoteDirections = Utils.getMediaDirections(sessionDescription);
+      this.observer.remoteDirectionChanged(this.remoteDirections);
       this.emit("confirmed", this);
     });
   }
@@ -347,6 +378,152 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     return this.direction;
   }
 
+  /**
+   * Get the media direction of each m-line of the remote description
+   * @returns {Array<String>} directions of the remote description
+   */
+  public getRemoteDirections(): Array<string> {
+    return this.remoteDirections;
+  }
+
+  /**
+   * Switch the active audio or video input, e.g. to another headset or camera, acquiring a track
+   * from the given device only
+   * @param {String} kind "audio" or "video"
+   * @param {String|MediaTrackConstraints} constraints device id or track constraints of the new input
+   * @returns {Promise} Promise that resolves once the new input is sent
+   */
+  public switchInputDevice(kind: "audio" | "video", constraints: string | MediaTrackConstraints): Promise<void> {
+    const trackConstraints: MediaTrackConstraints =
+      typeof constraints === "string" ? { deviceId: { exact: constraints } } : constraints;
+
+    this.logger.log("switching " + kind + " input");
+    return this.acquireTrack("switchInputDevice", kind, trackConstraints)
+      .then((track: MediaStreamTrack) => this.replaceTrack(track));
+  }
+
+  /**
+   * Replace the local track of the same kind. The sender keeps sending with the new track without
+   * renegotiation, the session is only re-INVITEd if no track of that kind is sent yet or the
+   * browser lacks RTCRtpSender.replaceTrack.
+   * @param {MediaStreamTrack} track
+   * @returns {Promise} Promise that resolves once the track is sent, or the re-INVITE is requested
+   */
+  public replaceTrack(track: MediaStreamTrack): Promise<void> {
+    if (!this.hasBrowserGetSenderSupport()) {
+      return Promise.reject(new Exceptions.SessionDescriptionHandlerError("replaceTrack", undefined,
+        "getSenders is not supported"));
+    }
+    const sender: any = this.peerConnection.getSenders()
+      .filter((s: any) => s.track && s.track.kind === track.kind)[0];
+    this.watchTrack(track);
+
+    if (sender && sender.replaceTrack) {
+      const oldTrack: MediaStreamTrack = sender.track;
+      return sender.replaceTrack(track).then(() => {
+        this.stopTrack(oldTrack);
+        this.observer.trackAdded();
+        this.emit("trackReplaced", track, oldTrack);
+      }, (e: any) => {
+        const error = new Exceptions.SessionDescriptionHandlerError("replaceTrack", e, "unable to replace track");
+        this.logger.error(error.message);
+        throw error;
+      });
+    }
+
+    this.logger.log("cannot replace the " + track.kind + " track in place, renegotiating");
+    let added: Promise<void>;
+    try {
+      if (this.usesTransceivers(track.kind === "video")) {
+        added = this.sendTrack(track);
+      } else {
+        if (sender) {
+          this.stopTrack(sender.track);
+          this.peerConnection.removeTrack(sender);
+          if (track.kind === "audio") {
+            this.dtmfSender = undefined;
+          }
+        }
+        this.peerConnection.addTrack(track, new this.WebRTC.MediaStream([track]));
+        added = Promise.resolve();
+      }
+    } catch (e) {
+      added = Promise.reject(e);
+    }
+    return added.then(() => {
+      this.observer.trackAdded();
+      this.observer.renegotiationNeeded();
+    }, (e: any) => {
+      const error = new Exceptions.SessionDescriptionHandlerError("replaceTrack", e, "unable to add track");
+      this.logger.error(error.message);
+      throw error;
+    });
+  }
+
+  /**
+   * Start sending video from a camera, replacing the screen if it is shared. The video m-line is
+   * reused if there is one, the session has to be renegotiated once the promise resolves.
+   * @param {Boolean|MediaTrackConstraints} [constraints] video track constraints
+   * @returns {Promise} Promise that resolves once the video track is attached
+   */
+  public addVideo(constraints: boolean | MediaTrackConstraints = true): Promise<void> {
+    if (!this.hasBrowserTransceiverSupport()) {
+      return Promise.reject(new Exceptions.SessionDescriptionHandlerError("addVideo", undefined,
+        "transceivers are not supported"));
+    }
+    return this.acquireTrack("addVideo", "video", constraints).then((track: MediaStreamTrack) => {
+      this.watchTrack(track);
+      return this.sendTrack(track).then(() => this.observer.trackAdded());
+    });
+  }
+
+  /**
+   * Start sending the screen, from getDisplayMedia, in place of the camera. The sharing stops
+   * and the session is renegotiated by itself when the user ends it from the browser.
+   * @param {MediaStreamConstraints} [constraints] getDisplayMedia constraints
+   * @returns {Promise} Promise that resolves once the screen track is attached
+   */
+  public shareScreen(constraints: MediaStreamConstraints = { video: true }): Promise<void> {
+    if (!this.hasBrowserTransceiverSupport() || !this.WebRTC.mediaDevices.getDisplayMedia) {
+      return Promise.reject(new Exceptions.SessionDescriptionHandlerError("shareScreen", undefined,
+        "screen sharing is not supported"));
+    }
+    return this.WebRTC.mediaDevices.getDisplayMedia(constraints).then((stream: MediaStream) => {
+      const track: MediaStreamTrack = stream.getVideoTracks()[0];
+      return this.sendTrack(track).then(() => {
+        this.screenTrack = track;
+        track.addEventListener("ended", this.onScreenShareEnded);
+        this.observer.trackAdded();
+        this.emit("screenShareStarted", track);
+      });
+    }).catch((e: any) => {
+      if (e.type === TypeStrings.SessionDescriptionHandlerError) {
+        throw e;
+      }
+      const error = new Exceptions.SessionDescriptionHandlerError("shareScreen", e, "unable to share the screen");
+      this.logger.error(error.message);
+      throw error;
+    });
+  }
+
+  /**
+   * Stop sending video, camera or screen. The video m-line stays to keep receiving video,
+   * the session has to be renegotiated once the promise resolves.
+   * @returns {Promise} Promise that resolves once the video track is detached
+   */
+  public removeVideo(): Promise<void> {
+    if (!this.hasBrowserTransceiverSupport()) {
+      return Promise.reject(new Exceptions.SessionDescriptionHandlerError("removeVideo", undefined,
+        "transceivers are not supported"));
+    }
+    this.constraints = Object.assign({}, this.constraints, { video: false });
+    const transceiver: RTCRtpTransceiver | undefined = this.getTransceiver("video");
+    if (!transceiver || !transceiver.sender.track) {
+      return Promise.resolve();
+    }
+    return this.stopSending(transceiver);
+  }
+
   // Internal functions
   private createOfferOrAnswer(
     RTCOfferOptions: any = {},
@@ -443,6 +620,15 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     return Boolean(this.peerConnection.getSenders);
   }
 
+  private hasBrowserTransceiverSupport(): boolean {
+    return Boolean(this.peerConnection.getTransceivers && this.peerConnection.addTransceiver);
+  }
+
+  // Only video needs its m-line kept across renegotiations, audio tracks are still added and removed
+  private usesTransceivers(video: boolean): boolean {
+    return this.hasBrowserTransceiverSupport() && (video || !!this.getTransceiver("video"));
+  }
+
   private initPeerConnection(options: any = {}): void {
     options = this.addDefaultIceCheckingTimeout(options);
     options.rtcConfiguration = options.rtcConfiguration || {};
@@ -537,12 +723,17 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
       }
       this.logger.log("ICE Connection State changed to " + stateEvent);
       this.emit(stateEvent, this);
+      if (stateEvent === "iceConnectionConnected" || stateEvent === "iceConnectionCompleted") {
+        this.startStats();
+      }
+      this.observer.iceConnectionStateChanged(this.peerConnection.iceConnectionState);
     };
   }
 
   private acquire(constraints: any): any {
     // Default audio & video to true
     constraints = this.checkAndDefaultConstraints(constraints);
+    const transceivers: boolean = this.usesTransceivers(!!constraints.video);
 
     return new Promise((resolve, reject) => {
       /*
@@ -578,8 +769,8 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     }).then((streams) => {
       this.logger.log("acquired local media streams");
       try {
-        // Remove old tracks
-        if (this.peerConnection.removeTrack) {
+        // Remove old tracks, transceivers get their tracks replaced instead
+        if (this.peerConnection.removeTrack && !transceivers) {
           this.peerConnection.getSenders().forEach((sender: any) => {
             this.peerConnection.removeTrack(sender);
           });
@@ -601,7 +792,13 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     }).then((streams: any) => {
       try {
         streams = [].concat(streams);
+        if (transceivers) {
+          streams.forEach((stream: MediaStream) =>
+            stream.getTracks().forEach((track: MediaStreamTrack) => this.watchTrack(track)));
+          return this.attachTracks(streams);
+        }
         streams.forEach((stream: any) => {
+          stream.getTracks().forEach((track: MediaStreamTrack) => this.watchTrack(track));
           if (this.peerConnection.addTrack) {
             stream.getTracks().forEach((track: any) => {
               this.peerConnection.addTrack(track, stream);
@@ -628,6 +825,150 @@ export class SessionDescriptionHandler extends EventEmitter implements WebSessio
     });
   }
 
+  private acquireTrack(
+    method: string,
+    kind: "audio" | "video",
+    constraints: boolean | MediaTrackConstraints
+  ): Promise<MediaStreamTrack> {
+    const streamConstraints: MediaStreamConstraints = { [kind]: constraints };
+    this.emit("userMediaRequest", streamConstraints);
+
+    return this.WebRTC.getUserMedia(streamConstraints).then((stream: MediaStream) => {
+      this.emit("userMedia", stream);
+      // Later acquisitions keep using the new device
+      this.constraints = Object.assign({}, this.constraints, { [kind]: constraints });
+      return stream.getTracks()[0];
+    }, (e: any) => {
+      this.emit("userMediaFailed", e);
+      const error = new Exceptions.SessionDescriptionHandlerError(method, e, "unable to acquire " + kind + " input");
+      this.logger.error(error.message);
+      throw error;
+    });
+  }
+
+  // Transceivers are reused by kind so that the m-lines keep their order across renegotiations
+  private getTransceiver(kind: string, exclude: Array<RTCRtpTransceiver> = []): RTCRtpTransceiver | undefined {
+    return this.peerConnection.getTransceivers().filter((transceiver: RTCRtpTransceiver) =>
+      !transceiver.stopped && transceiver.receiver.track.kind === kind && exclude.indexOf(transceiver) === -1)[0];
+  }
+
+  private sendTrack(track: MediaStreamTrack): Promise<void> {
+    const transceiver: RTCRtpTransceiver | undefined = this.getTransceiver(track.kind);
+    if (transceiver) {
+      return this.sendOnTransceiver(transceiver, track);
+    }
+    this.peerConnection.addTransceiver(track, {
+      direction: "sendrecv",
+      streams: [new this.WebRTC.MediaStream([track])]
+    });
+    return Promise.resolve();
+  }
+
+  private sendOnTransceiver(transceiver: RTCRtpTransceiver, track: MediaStreamTrack): Promise<void> {
+    const oldTrack: MediaStreamTrack | null = transceiver.sender.track;
+    transceiver.direction = "sendrecv";
+    return transceiver.sender.replaceTrack(track).then(() => {
+      if (oldTrack && oldTrack !== track) {
+        this.stopTrack(oldTrack);
+      }
+    });
+  }
+
+  private stopSending(transceiver: RTCRtpTransceiver): Promise<void> {
+    const oldTrack: MediaStreamTrack | null = transceiver.sender.track;
+    transceiver.direction = "recvonly";
+    return transceiver.sender.replaceTrack(null).then(() => {
+      if (oldTrack) {
+        this.stopTrack(oldTrack);
+      }
+    });
+  }
+
+  private attachTracks(streams: Array<MediaStream>): Promise<void> {
+    const attached: Array<RTCRtpTransceiver> = [];
+    const replaced: Array<Promise<void>> = [];
+    streams.forEach((stream: MediaStream) => {
+      stream.getTracks().forEach((track: MediaStreamTrack) => {
+        const transceiver: RTCRtpTransceiver | undefined = this.getTransceiver(track.kind, attached);
+        if (transceiver) {
+          attached.push(transceiver);
+          replaced.push(this.sendOnTransceiver(transceiver, track));
+        } else {
+          attached.push(this.peerConnection.addTransceiver(track, { direction: "sendrecv", streams: [stream] }));
+        }
+      });
+    });
+    // The m-lines of the kinds no longer acquired stay, only receiving
+    this.peerConnection.getTransceivers().forEach((transceiver: RTCRtpTransceiver) => {
+      if (!transceiver.stopped && attached.indexOf(transceiver) === -1 && transceiver.sender.track) {
+        replaced.push(this.stopSending(transceiver));
+      }
+    });
+    return Promise.all(replaced).then(() => undefined);
+  }
+
+  private watchTrack(track: MediaStreamTrack): void {
+    track.addEventListener("ended", this.onTrackEnded);
+  }
+
+  private stopTrack(track: MediaStreamTrack): void {
+    track.removeEventListener("ended", this.onTrackEnded);
+    track.stop();
+    if (track === this.screenTrack) {
+      track.removeEventListener("ended", this.onScreenShareEnded);
+      this.screenTrack = undefined;
+      this.emit("screenShareEnded", track);
+    }
+  }
+
+  // A track ends by itself when its device is gone, e.g. an unplugged headset
+  private inputLost(track: MediaStreamTrack): void {
+    if (this.lostTracks.indexOf(track) !== -1) {
+      return;
+    }
+    this.lostTracks.push(track);
+    this.logger.warn(track.kind + " input " + track.label + " is gone");
+    this.emit("inputDeviceLost", track);
+  }
+
+  private checkInputDevices(): void {
+    if (!this.hasBrowserGetSenderSupport() || !this.WebRTC.mediaDevices.enumerateDevices) {
+      return;
+    }
+    this.WebRTC.mediaDevices.enumerateDevices().then((devices: Array<MediaDeviceInfo>) => {
+      this.peerConnection.getSenders().forEach((sender: any) => {
+        const track: MediaStreamTrack | null = sender.track;
+        const deviceId: string | undefined = track && track.getSettings ? track.getSettings().deviceId : undefined;
+        if (track && deviceId && !devices.some((device: MediaDeviceInfo) =>
+            device.kind === track.kind + "input" && device.deviceId === deviceId)) {
+          this.inputLost(track);
+        }
+      });
+    }).catch((e: any) => this.logger.warn("unable to enumerate devices: " + e));
+  }
+
+  // Sample the statistics every statsInterval seconds (5 by default, 0 disables it) once ICE connects
+  private startStats(): void {
+    const interval: number = this.options.statsInterval !== undefined ? this.options.statsInterval : 5;
+    if (this.statsTimer || !interval || !this.peerConnection.getStats) {
+      return;
+    }
+    this.statsTimer = setInterval(() => {
+      this.peerConnection.getStats().then((report: any) => {
+        this.statsSample = CallQuality.fromStats(report, this.statsSample);
+        this.emit("stats", this.statsSample);
+        this.observer.statsSampled(this.statsSample);
+      }).catch((e: any) => this.logger.warn("unable to get the statistics: " + e));
+    }, interval * 1000);
+  }
+
+  private stopStats(): void {
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = undefined;
+    }
+  }
+
   private hasOffer(where: string): boolean {
     const offerState: string = "have-" + where + "-offer";
     return this.peerConnection.signalingState === offerState;
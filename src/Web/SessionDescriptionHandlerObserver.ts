@@ -1,4 +1,6 @@
+import { CallQuality as CallQualityDefinition } from "../../types/call-quality";
 import { InviteClientContext, InviteServerContext } from "../../types/session";
+import { SessionDescriptionHandlerModifiers } from "../../types/session-description-handler";
 import {
   SessionDescriptionHandlerObserver as SessionDescriptionHandlerObserverDefinition
 } from "../../types/session-description-handler-observer";
@@ -29,4 +31,24 @@ export class SessionDescriptionHandlerObserver implements SessionDescriptionHand
   public directionChanged(): void {
     this.session.emit("directionChanged");
   }
+
+  public remoteDirectionChanged(directions: Array<string>): void {
+    this.session.updateRemoteHold(directions);
+  }
+
+  public renegotiationNeeded(): void {
+    const modifiers: SessionDescriptionHandlerModifiers = [];
+    if (this.session.localHold && this.session.sessionDescriptionHandler) {
+      modifiers.push(this.session.sessionDescriptionHandler.holdModifier);
+    }
+    this.session.reinvite({}, modifiers);
+  }
+
+  public iceConnectionStateChanged(state: string): void {
+    this.session.updateIceConnectionState(state);
+  }
+
+  public statsSampled(sample: CallQualityDefinition.Sample): void {
+    this.session.updateStats(sample);
+  }
 }
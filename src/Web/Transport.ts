@@ -49,6 +49,7 @@ export class Transport extends TransportBase implements TransportDefinition {
 
   // Keep alive
   private keepAliveInterval: any | undefined;
+  private keepAliveIntervalSeconds: number;
   private keepAliveDebounceTimeout: any | undefined;
 
   private status: TransportStatus;
@@ -67,6 +68,7 @@ export class Transport extends TransportBase implements TransportDefinition {
     this.status = TransportStatus.STATUS_CONNECTING;
     this.configuration = {};
     this.loadConfig(options);
+    this.keepAliveIntervalSeconds = this.configuration.keepAliveInterval;
   }
 
   /**
@@ -76,6 +78,18 @@ export class Transport extends TransportBase implements TransportDefinition {
     return this.status === TransportStatus.STATUS_OPEN;
   }
 
+  /**
+   * Change the interval between keep-alives, e.g. to honor the Flow-Timer of a registrar (RFC 5626 4.4.1).
+   * @param {Number} interval in seconds, 0 stops the keep-alives
+   */
+  public setKeepAliveInterval(interval: number): void {
+    this.keepAliveIntervalSeconds = interval;
+    this.stopSendingKeepAlives();
+    if (this.isConnected()) {
+      this.startSendingKeepAlives();
+    }
+  }
+
   /**
    * Send a message.
    * @param {SIP.OutgoingRequest|String} msg
@@ -483,11 +497,11 @@ export class Transport extends TransportBase implements TransportDefinition {
    * Start sending keep-alives.
    */
   private startSendingKeepAlives(): void {
-    if (this.configuration.keepAliveInterval && !this.keepAliveInterval) {
+    if (this.keepAliveIntervalSeconds && !this.keepAliveInterval) {
       this.keepAliveInterval = setInterval(() => {
         this.sendKeepAlive();
         this.startSendingKeepAlives();
-      }, computeKeepAliveTimeout(this.configuration.keepAliveInterval));
+      }, computeKeepAliveTimeout(this.keepAliveIntervalSeconds));
     }
   }
 
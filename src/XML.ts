@@ -0,0 +1,202 @@
+import { XML as XMLDefinition } from "../types/xml";
+
+/**
+ * Minimal namespace aware XML parser for the event package bodies (PIDF, watcherinfo, dialog-info).
+ * DOMParser is not available in every environment SIP.js runs in, hence no dependency on it.
+ * DTDs and processing instructions are skipped, entities are limited to the predefined and numeric ones.
+ */
+export namespace XML {
+  const XMLNS: string = "http://www.w3.org/2000/xmlns/";
+  const NAME: RegExp = /^[^\s\/>"'=<]+/;
+  const ATTRIBUTE: RegExp = /^\s*([^\s\/>"'=<]+)\s*=\s*("([^"]*)"|'([^']*)')/;
+  const ENTITIES: {[name: string]: string} = {
+    amp: "&",
+    apos: "'",
+    gt: ">",
+    lt: "<",
+    quot: "\""
+  };
+
+  /**
+   * Parse an XML document
+   * @param {String} text
+   * @returns {XML.Element} the root element
+   * @throws {Error} if the document is not well-formed
+   */
+  export function parse(text: string): XMLDefinition.Element {
+    const stack: Array<XMLDefinition.Element> = [];
+    let root: XMLDefinition.Element | undefined;
+    let pos: number = 0;
+
+    while (pos < text.length) {
+      const start: number = text.indexOf("<", pos);
+      const current: XMLDefinition.Element | undefined = stack[stack.length - 1];
+      const chunk: string = text.slice(pos, start === -1 ? text.length : start);
+      if (current) {
+        current.text += unescape(chunk);
+      } else if (chunk.trim()) {
+        throw new Error("text outside of the root element");
+      }
+      if (start === -1) {
+        break;
+      }
+
+      if (lookingAt(text, "<!--", start)) {
+        pos = skipTo(text, "-->", start);
+      } else if (lookingAt(text, "<![CDATA[", start)) {
+        const end: number = skipTo(text, "]]>", start);
+        if (!current) {
+          throw new Error("CDATA outside of the root element");
+        }
+        current.text += text.slice(start + 9, end - 3);
+        pos = end;
+      } else if (lookingAt(text, "<?", start)) {
+        pos = skipTo(text, "?>", start);
+      } else if (lookingAt(text, "<!", start)) {
+        pos = skipTo(text, ">", start);
+      } else if (lookingAt(text, "</", start)) {
+        const end: number = skipTo(text, ">", start);
+        const name: string = text.slice(start + 2, end - 1).trim();
+        const element: XMLDefinition.Element | undefined = stack.pop();
+        if (!element || element.name !== name) {
+          throw new Error("unexpected closing tag " + name);
+        }
+        element.text = element.text.trim();
+        pos = end;
+      } else {
+        const nameMatch: RegExpMatchArray | null = text.slice(start + 1).match(NAME);
+        if (!nameMatch) {
+          throw new Error("invalid tag at " + start);
+        }
+        const name: string = nameMatch[0];
+        const attributes: {[name: string]: string} = {};
+        pos = start + 1 + name.length;
+
+        let attributeMatch: RegExpMatchArray | null = text.slice(pos).match(ATTRIBUTE);
+        while (attributeMatch) {
+          const value: string = attributeMatch[3] !== undefined ? attributeMatch[3] : attributeMatch[4];
+          attributes[attributeMatch[1]] = unescape(value);
+          pos += attributeMatch[0].length;
+          attributeMatch = text.slice(pos).match(ATTRIBUTE);
+        }
+
+        const tagEnd: RegExpMatchArray | null = text.slice(pos).match(/^\s*(\/?)>/);
+        if (!tagEnd) {
+          throw new Error("invalid tag " + name);
+        }
+        pos += tagEnd[0].length;
+
+        const element: XMLDefinition.Element = createElement(name, attributes, current);
+        if (current) {
+          current.children.push(element);
+        } else if (root) {
+          throw new Error("more than one root element");
+        } else {
+          root = element;
+        }
+        if (!tagEnd[1]) {
+          stack.push(element);
+        }
+      }
+    }
+
+    if (!root || stack.length) {
+      throw new Error("incomplete document");
+    }
+    return root;
+  }
+
+  /**
+   * First child element with the given local name, and namespace if specified
+   * @param {XML.Element} element
+   * @param {String} localName
+   * @param {String} [namespace]
+   */
+  export function child(
+    element: XMLDefinition.Element,
+    localName: string,
+    namespace?: string
+  ): XMLDefinition.Element | undefined {
+    return children(element, localName, namespace)[0];
+  }
+
+  /**
+   * Child elements with the given local name, and namespace if specified
+   * @param {XML.Element} element
+   * @param {String} localName
+   * @param {String} [namespace]
+   */
+  export function children(
+    element: XMLDefinition.Element,
+    localName: string,
+    namespace?: string
+  ): Array<XMLDefinition.Element> {
+    return element.children.filter((c: XMLDefinition.Element) =>
+      c.localName === localName && (namespace === undefined || c.namespace === namespace));
+  }
+
+  /**
+   * Escape text to be used as element content or attribute value
+   * @param {String} text
+   */
+  export function escape(text: string): string {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  function createElement(
+    name: string,
+    attributes: {[name: string]: string},
+    parent: XMLDefinition.Element | undefined
+  ): XMLDefinition.Element {
+    const namespaces: {[prefix: string]: string} = {...(parent ? parent.namespaces : {xmlns: XMLNS})};
+    for (const attribute in attributes) {
+      if (attribute === "xmlns") {
+        namespaces[""] = attributes[attribute];
+      } else if (attribute.slice(0, 6) === "xmlns:") {
+        namespaces[attribute.slice(6)] = attributes[attribute];
+      }
+    }
+
+    const separator: number = name.indexOf(":");
+    const prefix: string = separator === -1 ? "" : name.slice(0, separator);
+    if (prefix && namespaces[prefix] === undefined) {
+      throw new Error("undeclared namespace prefix " + prefix);
+    }
+
+    return {
+      name,
+      localName: name.slice(separator + 1),
+      namespace: namespaces[prefix],
+      namespaces,
+      attributes,
+      children: [],
+      text: ""
+    };
+  }
+
+  function lookingAt(text: string, token: string, pos: number): boolean {
+    return text.substr(pos, token.length) === token;
+  }
+
+  function skipTo(text: string, token: string, from: number): number {
+    const end: number = text.indexOf(token, from);
+    if (end === -1) {
+      throw new Error("unterminated markup at " + from);
+    }
+    return end + token.length;
+  }
+
+  function unescape(text: string): string {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity: string, value: string): string => {
+      if (value[0] === "#") {
+        return String.fromCharCode(value[1] === "x" ? parseInt(value.slice(2), 16) : parseInt(value.slice(1), 10));
+      }
+      return ENTITIES[value] !== undefined ? ENTITIES[value] : entity;
+    });
+  }
+}
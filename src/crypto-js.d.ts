@@ -1 +1,4 @@
+declare module "crypto-js/core";
 declare module "crypto-js/md5";
+declare module "crypto-js/sha256";
+declare module "crypto-js/sha512";
@@ -1,6 +1,10 @@
+export { AutoAnswer } from "./AutoAnswer";
+export { CallQuality } from "./CallQuality";
 export { ClientContext } from "./ClientContext";
 export { C } from "./Constants";
 export { Dialog } from "./Dialogs";
+export { DialogInfo } from "./DialogInfo";
+export { DialPlan } from "./DialPlan";
 export { DigestAuthentication } from "./DigestAuthentication";
 export {
   DialogStatus,
@@ -12,9 +16,13 @@ export {
 export { Exceptions } from "./Exceptions";
 export { Grammar } from "./Grammar";
 export { LoggerFactory } from "./LoggerFactory";
+export { MessageSummary } from "./MessageSummary";
 export { NameAddrHeader } from "./NameAddrHeader";
 export { Parser } from "./Parser";
+export { Presence } from "./Presence";
+export { Privacy } from "./Privacy";
 export { PublishContext } from "./PublishContext";
+export { RedirectionHistory } from "./RedirectionHistory";
 export { RegisterContext } from "./RegisterContext";
 export { RequestSender } from "./RequestSender";
 
@@ -25,7 +33,7 @@ export { sanityCheck };
 export { ServerContext } from "./ServerContext";
 export { InviteClientContext, InviteServerContext, ReferClientContext, ReferServerContext, Session } from "./Session";
 export { IncomingRequest, IncomingResponse, OutgoingRequest } from "./SIPMessage";
-export { Subscription } from "./Subscription";
+export { Subscription, SubscriptionServerContext } from "./Subscription";
 export { Timers } from "./Timers";
 
 import {
@@ -50,6 +58,7 @@ export { Transport } from "./Transport";
 export { UA } from "./UA";
 export { URI } from "./URI";
 export { Utils } from "./Utils";
+export { XML } from "./XML";
 
 import * as Web from "./Web/index";
 export { Web };
@@ -51,5 +51,59 @@ window.SIPHelper = {
     };
 
     return response;
+  },
+
+  /*
+   * A started UA whose WebSocket is open, stop it once done.
+   */
+  createUA: function createUA(uri) {
+    var ua = new SIP.UA({uri: uri}).start();
+    ua.transport.ws.onopen();
+    return ua;
+  },
+
+  /*
+   * Parse a request from Alice to the UA. The given headers replace
+   * the default ones of the same name, e.g. a To with a tag.
+   */
+  createRequest: function createRequest(ua, method, headers) {
+    var target = 'sip:' + ua.configuration.uri.user + '@' + ua.configuration.uri.host;
+    var lines = [
+      'Via: SIP/2.0/WSS 192.0.2.4;branch=z9hG4bK' + Math.random().toString(36).substr(2),
+      'Max-Forwards: 70',
+      'To: <' + target + '>',
+      'From: "Alice" <sip:alice@atlanta.example.com>;tag=9fxced76sl',
+      'Call-ID: 3848276298220188511@atlanta.example.com',
+      'CSeq: 1 ' + method,
+      'Contact: <sip:alice@client.atlanta.example.com>'
+    ];
+    var defaults = lines.map(function(line) { return line.split(':')[0].toLowerCase(); });
+    (headers || []).forEach(function(header) {
+      var index = defaults.indexOf(header.split(':')[0].toLowerCase());
+      if (index !== -1) {
+        lines[index] = header;
+        defaults[index] = undefined;
+      } else {
+        lines.push(header);
+      }
+    });
+
+    return SIP.Parser.parseMessage([method + ' ' + target + ' SIP/2.0']
+      .concat(lines, ['Content-Length: 0', '', '']).join('\r\n'), ua);
+  },
+
+  /*
+   * The raw response a server sends to a raw request it received,
+   * e.g. to let the Node transports complete their transactions.
+   */
+  createRawResponse: function createRawResponse(request, statusCode, reasonPhrase) {
+    var headers = request.split('\r\n').filter(function(line) {
+      return /^(Via|From|To|Call-ID|CSeq|Contact):/i.test(line);
+    }).map(function(line) {
+      return /^To:/i.test(line) && !/;tag=/.test(line) ? line + ';tag=uas-to-tag' : line;
+    });
+
+    return ['SIP/2.0 ' + statusCode + ' ' + reasonPhrase]
+      .concat(headers, ['Content-Length: 0', '', '']).join('\r\n');
   }
 };
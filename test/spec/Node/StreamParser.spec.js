@@ -0,0 +1,53 @@
+var StreamParser = require('../../../lib/Node/StreamParser').StreamParser;
+
+describe('Node/StreamParser', function () {
+  var parser;
+  var message = 'SIP/2.0 200 OK\r\n' +
+    'Via: SIP/2.0/TCP 192.0.2.4;branch=z9hG4bK776asdhds\r\n' +
+    'Content-Length: 5\r\n' +
+    '\r\n' +
+    'hello';
+
+  beforeEach(function () {
+    parser = new StreamParser();
+  });
+
+  it('returns a complete message', function () {
+    expect(parser.push(message)).toEqual([message]);
+  });
+
+  it('waits for the rest of a message split across chunks', function () {
+    expect(parser.push(message.slice(0, 20))).toEqual([]);
+    expect(parser.push(message.slice(20, message.length - 2))).toEqual([]);
+    expect(parser.push(message.slice(message.length - 2))).toEqual([message]);
+  });
+
+  it('returns every message contained in a chunk', function () {
+    expect(parser.push(message + message)).toEqual([message, message]);
+  });
+
+  it('uses the compact form of Content-Length', function () {
+    var compact = message.replace('Content-Length', 'l');
+    expect(parser.push(compact)).toEqual([compact]);
+  });
+
+  it('counts the body length in bytes', function () {
+    var utf8 = message.replace('Content-Length: 5', 'Content-Length: 6').replace('hello', 'héllo');
+    expect(parser.push(utf8)).toEqual([utf8]);
+  });
+
+  it('reports CRLF keep-alives between messages as a single CRLF', function () {
+    expect(parser.push('\r\n\r\n' + message + '\r\n')).toEqual(['\r\n', message, '\r\n']);
+  });
+
+  it('reports a CRLF keep-alive response received on its own', function () {
+    expect(parser.push('\r\n')).toEqual(['\r\n']);
+    expect(parser.push(message)).toEqual([message]);
+  });
+
+  it('throws if Content-Length is missing', function () {
+    expect(function () {
+      parser.push('SIP/2.0 200 OK\r\nVia: SIP/2.0/TCP 192.0.2.4\r\n\r\n');
+    }).toThrow();
+  });
+});
@@ -0,0 +1,239 @@
+var net = require('net');
+var LoggerFactory = require('../../../lib/LoggerFactory').LoggerFactory;
+var StreamParser = require('../../../lib/Node/StreamParser').StreamParser;
+var TCPTransport = require('../../../lib/Node/TCPTransport').TCPTransport;
+var UA = require('../../../lib/UA').UA;
+
+// The Node transports need real sockets, there are none when the specs run in a browser
+var describeWithSockets = typeof net.createServer === 'function' ? describe : xdescribe;
+
+describeWithSockets('Node/TCPTransport', function () {
+  var server, sockets, transport;
+  var message = 'SIP/2.0 200 OK\r\n' +
+    'Via: SIP/2.0/TCP 127.0.0.1;branch=z9hG4bK776asdhds\r\n' +
+    'Content-Length: 0\r\n' +
+    '\r\n';
+
+  function createTransport(options) {
+    var loggerFactory = new LoggerFactory();
+    loggerFactory.builtinEnabled = false;
+    options = options || {};
+    options.server = {host: '127.0.0.1', port: server.address().port};
+    return new TCPTransport(loggerFactory.getLogger('sip.transport'), options);
+  }
+
+  function nextConnection() {
+    return new Promise(function (resolve) {
+      server.once('connection', resolve);
+    });
+  }
+
+  function nextData(socket) {
+    return new Promise(function (resolve) {
+      socket.once('data', function (data) {
+        resolve(data.toString());
+      });
+    });
+  }
+
+  function nextEvent(emitter, event) {
+    return new Promise(function (resolve) {
+      emitter.once(event, resolve);
+    });
+  }
+
+  beforeEach(function (done) {
+    sockets = [];
+    server = net.createServer(function (socket) {
+      sockets.push(socket);
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(function (done) {
+    transport.disconnect().catch(function () {}).then(function () {
+      sockets.forEach(function (socket) {
+        socket.destroy();
+      });
+      server.close(function () {
+        done();
+      });
+    });
+  });
+
+  describe('.connect', function () {
+    it('connects to the server and reports the local end of the connection', function (done) {
+      transport = createTransport();
+      var connectedSpy = jasmine.createSpy('connected');
+      transport.on('connected', connectedSpy);
+
+      Promise.all([nextConnection(), transport.connect()]).then(function (results) {
+        var socket = results[0];
+        expect(transport.isConnected()).toBe(true);
+        expect(connectedSpy).toHaveBeenCalled();
+        expect(transport.localAddress).toBe(socket.remoteAddress);
+        expect(transport.localPort).toBe(socket.remotePort);
+        done();
+      });
+    });
+
+    it('rejects when the server refuses the connection', function (done) {
+      transport = createTransport({maxReconnectionAttempts: 0});
+      server.close(function () {
+        transport.connect().then(fail, function () {
+          expect(transport.isConnected()).toBe(false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('once connected', function () {
+    beforeEach(function (done) {
+      transport = createTransport();
+      transport.connect().then(function () {
+        done();
+      });
+    });
+
+    it('writes the messages it sends to the socket', function (done) {
+      nextData(sockets[0]).then(function (data) {
+        expect(data).toBe(message);
+        done();
+      });
+      transport.send(message);
+    });
+
+    it('emits every message of the data it receives', function (done) {
+      var messageSpy = jasmine.createSpy('message');
+      transport.on('message', messageSpy);
+
+      nextData(transport.socket).then(function () {
+        expect(messageSpy.calls.allArgs()).toEqual([[message], [message]]);
+        done();
+      });
+      sockets[0].write(message + message);
+    });
+
+    it('reconnects when the server closes the connection', function (done) {
+      var disconnectedSpy = jasmine.createSpy('disconnected');
+      transport.on('disconnected', disconnectedSpy);
+
+      nextEvent(transport, 'connected').then(function () {
+        expect(disconnectedSpy).toHaveBeenCalled();
+        expect(transport.isConnected()).toBe(true);
+        expect(sockets.length).toBe(2);
+        done();
+      });
+      sockets[0].destroy();
+    });
+  });
+
+  describe('used by a UA', function () {
+    var ua;
+
+    beforeEach(function () {
+      server.on('connection', function (socket) {
+        var parser = new StreamParser();
+        socket.on('data', function (data) {
+          parser.push(data).forEach(function (request) {
+            if (request !== '\r\n') {
+              server.emit('request', request);
+              socket.write(SIPHelper.createRawResponse(request, 200, 'OK'));
+            }
+          });
+        });
+      });
+
+      ua = new UA({
+        uri: 'alice@example.com',
+        log: {builtinEnabled: false},
+        transportConstructor: TCPTransport,
+        transportOptions: {server: {host: '127.0.0.1', port: server.address().port}}
+      });
+      transport = ua.transport;
+    });
+
+    afterEach(function (done) {
+      nextEvent(transport, 'disconnected').then(function () {
+        done();
+      });
+      ua.stop();
+    });
+
+    it('puts the local end of the connection in Via and Contact', function (done) {
+      nextEvent(server, 'request').then(function (request) {
+        var host = '127.0.0.1:' + transport.localPort;
+        expect(request).toMatch(/^REGISTER /);
+        expect(request).toContain('\r\nVia: SIP/2.0/TCP ' + host + ';branch=');
+        expect(request).not.toMatch(/\r\nVia: [^\r]*;rport/);
+        expect(request).toMatch(new RegExp('\\r\\nContact: <sip:\\w+@' + host + ';transport=tcp>'));
+        done();
+      });
+    });
+  });
+
+  describe('keep-alives', function () {
+    beforeEach(function (done) {
+      transport = createTransport({keepAliveDebounce: 5});
+      transport.connect().then(function () {
+        jasmine.clock().install();
+        done();
+      });
+    });
+
+    afterEach(function () {
+      jasmine.clock().uninstall();
+    });
+
+    it('sends a double-CRLF at the interval set by setKeepAliveInterval', function (done) {
+      expect(function () {
+        transport.setKeepAliveInterval(2);
+      }).not.toThrow();
+
+      nextData(sockets[0]).then(function (data) {
+        expect(data).toBe('\r\n\r\n');
+        done();
+      });
+      jasmine.clock().tick(2000);
+    });
+
+    it('stops sending keep-alives when the interval is set to 0', function () {
+      spyOn(transport, 'send').and.callThrough();
+      transport.setKeepAliveInterval(2);
+      transport.setKeepAliveInterval(0);
+      jasmine.clock().tick(4000);
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    it('does not time out the flow when the server answers with a CRLF', function (done) {
+      var debounceSpy = jasmine.createSpy('keepAliveDebounceTimeout');
+      transport.on('keepAliveDebounceTimeout', debounceSpy);
+      transport.setKeepAliveInterval(2);
+
+      nextData(sockets[0]).then(function () {
+        var pong = nextData(transport.socket);
+        sockets[0].write('\r\n');
+        return pong;
+      }).then(function () {
+        jasmine.clock().tick(5000);
+        expect(debounceSpy).not.toHaveBeenCalled();
+        done();
+      });
+      jasmine.clock().tick(2000);
+    });
+
+    it('times out the flow when the server does not answer', function (done) {
+      var debounceSpy = jasmine.createSpy('keepAliveDebounceTimeout');
+      transport.on('keepAliveDebounceTimeout', debounceSpy);
+      transport.setKeepAliveInterval(2);
+
+      nextData(sockets[0]).then(function () {
+        jasmine.clock().tick(5000);
+        expect(debounceSpy).toHaveBeenCalled();
+        done();
+      });
+      jasmine.clock().tick(2000);
+    });
+  });
+});
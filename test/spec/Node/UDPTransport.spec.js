@@ -0,0 +1,192 @@
+var dgram = require('dgram');
+var LoggerFactory = require('../../../lib/LoggerFactory').LoggerFactory;
+var UDPTransport = require('../../../lib/Node/UDPTransport').UDPTransport;
+var UA = require('../../../lib/UA').UA;
+
+// The Node transports need real sockets, there are none when the specs run in a browser
+var describeWithSockets = typeof dgram.createSocket === 'function' ? describe : xdescribe;
+
+describeWithSockets('Node/UDPTransport', function () {
+  var server, transport;
+  var message = 'SIP/2.0 200 OK\r\n' +
+    'Via: SIP/2.0/UDP 127.0.0.1;branch=z9hG4bK776asdhds\r\n' +
+    'Content-Length: 0\r\n' +
+    '\r\n';
+
+  function createTransport(options) {
+    var loggerFactory = new LoggerFactory();
+    loggerFactory.builtinEnabled = false;
+    options = options || {};
+    options.server = {host: '127.0.0.1', port: server.address().port};
+    return new UDPTransport(loggerFactory.getLogger('sip.transport'), options);
+  }
+
+  function nextDatagram() {
+    return new Promise(function (resolve) {
+      server.once('message', function (msg, rinfo) {
+        resolve({data: msg.toString(), rinfo: rinfo});
+      });
+    });
+  }
+
+  function nextEvent(emitter, event) {
+    return new Promise(function (resolve) {
+      emitter.once(event, resolve);
+    });
+  }
+
+  beforeEach(function (done) {
+    server = dgram.createSocket('udp4');
+    server.bind(0, '127.0.0.1', done);
+  });
+
+  afterEach(function (done) {
+    transport.disconnect().catch(function () {}).then(function () {
+      server.close(function () {
+        done();
+      });
+    });
+  });
+
+  describe('.connect', function () {
+    it('binds the socket and reports its port', function (done) {
+      transport = createTransport();
+      var connectedSpy = jasmine.createSpy('connected');
+      transport.on('connected', connectedSpy);
+
+      transport.connect().then(function () {
+        expect(transport.isConnected()).toBe(true);
+        expect(connectedSpy).toHaveBeenCalled();
+        expect(transport.localPort).toBe(transport.socket.address().port);
+        done();
+      });
+    });
+
+    it('does not report the address of a socket bound to every interface', function (done) {
+      transport = createTransport();
+      transport.connect().then(function () {
+        expect(transport.localAddress).toBeUndefined();
+        done();
+      });
+    });
+
+    it('reports the address of a socket bound to the localAddress', function (done) {
+      transport = createTransport({localAddress: '127.0.0.1'});
+      transport.connect().then(function () {
+        expect(transport.localAddress).toBe('127.0.0.1');
+        done();
+      });
+    });
+  });
+
+  describe('once connected', function () {
+    beforeEach(function (done) {
+      transport = createTransport({localAddress: '127.0.0.1'});
+      transport.connect().then(function () {
+        done();
+      });
+    });
+
+    it('sends the messages to the server', function (done) {
+      nextDatagram().then(function (datagram) {
+        expect(datagram.data).toBe(message);
+        expect(datagram.rinfo.port).toBe(transport.localPort);
+        done();
+      });
+      transport.send(message);
+    });
+
+    it('emits the datagrams it receives', function (done) {
+      nextEvent(transport, 'message').then(function (data) {
+        expect(data).toBe(message);
+        done();
+      });
+      server.send(message, transport.localPort, '127.0.0.1');
+    });
+
+    it('binds a new socket when the socket closes', function (done) {
+      var disconnectedSpy = jasmine.createSpy('disconnected');
+      transport.on('disconnected', disconnectedSpy);
+      var socket = transport.socket;
+
+      nextEvent(transport, 'connected').then(function () {
+        expect(disconnectedSpy).toHaveBeenCalled();
+        expect(transport.isConnected()).toBe(true);
+        expect(transport.socket).not.toBe(socket);
+        done();
+      });
+      socket.close();
+    });
+
+    it('sends keep-alives without waiting for a response', function (done) {
+      var debounceSpy = jasmine.createSpy('keepAliveDebounceTimeout');
+      transport.on('keepAliveDebounceTimeout', debounceSpy);
+
+      nextDatagram().then(function (datagram) {
+        expect(datagram.data).toBe('\r\n\r\n');
+        jasmine.clock().tick(10000);
+        expect(debounceSpy).not.toHaveBeenCalled();
+        transport.setKeepAliveInterval(0);
+        jasmine.clock().uninstall();
+        done();
+      });
+      jasmine.clock().install();
+      transport.setKeepAliveInterval(2);
+      jasmine.clock().tick(2000);
+    });
+  });
+
+  describe('used by a UA', function () {
+    var ua;
+
+    function createUA(transportOptions) {
+      transportOptions.server = {host: '127.0.0.1', port: server.address().port};
+      ua = new UA({
+        uri: 'alice@example.com',
+        log: {builtinEnabled: false},
+        transportConstructor: UDPTransport,
+        transportOptions: transportOptions
+      });
+      transport = ua.transport;
+    }
+
+    beforeEach(function () {
+      server.on('message', function (msg, rinfo) {
+        var request = msg.toString();
+        server.emit('request', request);
+        server.send(SIPHelper.createRawResponse(request, 200, 'OK'), rinfo.port, rinfo.address);
+      });
+    });
+
+    afterEach(function (done) {
+      nextEvent(transport, 'disconnected').then(function () {
+        done();
+      });
+      ua.stop();
+    });
+
+    it('asks for rport in Via and puts the bound address in Via and Contact', function (done) {
+      createUA({localAddress: '127.0.0.1'});
+
+      nextEvent(server, 'request').then(function (request) {
+        var host = '127.0.0.1:' + transport.localPort;
+        expect(request).toMatch(/^REGISTER /);
+        expect(request).toContain('\r\nVia: SIP/2.0/UDP ' + host + ';branch=');
+        expect(request).toMatch(/\r\nVia: [^\r]*;rport/);
+        expect(request).toMatch(new RegExp('\\r\\nContact: <sip:\\w+@' + host + ';transport=udp>'));
+        done();
+      });
+    });
+
+    it('keeps its own Via host when the socket is bound to every interface', function (done) {
+      createUA({});
+
+      nextEvent(server, 'request').then(function (request) {
+        expect(request).toContain('\r\nVia: SIP/2.0/UDP ' + ua.configuration.viaHost + ';branch=');
+        expect(request).not.toContain('0.0.0.0');
+        expect(request).toMatch(/\r\nContact: <sip:\w+@\w+\.invalid;transport=udp>/);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+describe('AutoAnswer', function() {
+  var ua;
+
+  beforeEach(function() {
+    ua = SIPHelper.createUA('carol@chicago.example.com');
+  });
+
+  afterEach(function() {
+    ua.stop();
+  });
+
+  describe('.parse', function() {
+    it('parses Answer-Mode and Priv-Answer-Mode, the privileged one first', function() {
+      var decision = SIP.AutoAnswer.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'Answer-Mode: Manual',
+        'Priv-Answer-Mode: Auto;require'
+      ]));
+      expect(decision.source).toBe('priv-answer-mode');
+      expect(decision.mode).toBe('auto');
+      expect(decision.require).toBe(true);
+      expect(decision.privileged).toBe(true);
+      expect(decision.answer).toBe(false);
+
+      decision = SIP.AutoAnswer.parse(SIPHelper.createRequest(ua, 'INVITE', ['Answer-Mode: Manual']));
+      expect(decision.source).toBe('answer-mode');
+      expect(decision.mode).toBe('manual');
+      expect(decision.require).toBe(false);
+    });
+
+    it('parses the Call-Info answer-after and Alert-Info parameters', function() {
+      var decision = SIP.AutoAnswer.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'Call-Info: <sip:alice@atlanta.example.com>;answer-after=2'
+      ]));
+      expect(decision.source).toBe('call-info');
+      expect(decision.mode).toBe('auto');
+      expect(decision.delay).toBe(2);
+
+      decision = SIP.AutoAnswer.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'Alert-Info: info=alert-autoanswer;delay=3'
+      ]));
+      expect(decision.source).toBe('alert-info');
+      expect(decision.delay).toBe(3);
+
+      decision = SIP.AutoAnswer.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'Alert-Info: <http://www.example.com/sounds/moo.wav>'
+      ]));
+      expect(decision.source).toBeUndefined();
+    });
+  });
+
+  describe('incoming calls', function() {
+    beforeEach(function() {
+      jasmine.clock().install();
+      ua.configuration.sessionDescriptionHandlerFactory = function() {
+        return {close: function() {}, hasDescription: function() { return false; }};
+      };
+      spyOn(ua.transport, 'send').and.returnValue(Promise.resolve());
+    });
+
+    afterEach(function() {
+      jasmine.clock().uninstall();
+    });
+
+    it('are not answered without a policy', function() {
+      var session = new SIP.InviteServerContext(ua, SIPHelper.createRequest(ua, 'INVITE', ['Answer-Mode: Auto']));
+      expect(session.autoAnswer.mode).toBe('auto');
+      expect(session.autoAnswer.answer).toBe(false);
+    });
+
+    it('are accepted after the delay with the policy of the UA', function() {
+      var session;
+      ua.configuration.autoAnswer = {delay: 1, filter: function(s) { return s.remoteIdentity.uri.user === 'alice'; }};
+      ua.on('invite', function(s) { session = s; spyOn(session, 'accept'); });
+      ua.receiveRequest(SIPHelper.createRequest(ua, 'INVITE', ['Answer-Mode: Auto']));
+
+      expect(session.autoAnswer.answer).toBe(true);
+      jasmine.clock().tick(999);
+      expect(session.accept).not.toHaveBeenCalled();
+      jasmine.clock().tick(1);
+      expect(session.accept).toHaveBeenCalledWith({extraHeaders: ['Answer-Mode: Auto']});
+    });
+
+    it('let the calls ring when the application says so', function() {
+      var session;
+      ua.configuration.autoAnswer = {};
+      ua.on('invite', function(s) { session = s; spyOn(session, 'accept'); s.autoAnswer.answer = false; });
+      ua.receiveRequest(SIPHelper.createRequest(ua, 'INVITE', [
+        'Call-Info: <sip:alice@atlanta.example.com>;answer-after=0'
+      ]));
+
+      jasmine.clock().tick(1);
+      expect(session.accept).not.toHaveBeenCalled();
+    });
+
+    it('still ring when the policy of the application fails', function() {
+      var session;
+      ua.configuration.autoAnswer = {filter: function() { throw new Error('policy'); }};
+      ua.on('invite', function(s) { session = s; spyOn(session, 'accept'); });
+      ua.receiveRequest(SIPHelper.createRequest(ua, 'INVITE', ['Answer-Mode: Auto']));
+
+      expect(session.autoAnswer.mode).toBe('auto');
+      expect(session.autoAnswer.answer).toBe(false);
+      jasmine.clock().tick(1);
+      expect(session.accept).not.toHaveBeenCalled();
+    });
+
+    it('are rejected when auto-answer is required but not allowed', function() {
+      var onInvite = jasmine.createSpy('invite');
+      ua.configuration.autoAnswer = {privilegedOnly: true};
+      ua.on('invite', onInvite);
+      ua.receiveRequest(SIPHelper.createRequest(ua, 'INVITE', ['Answer-Mode: Auto;require']));
+
+      expect(onInvite).not.toHaveBeenCalled();
+      expect(ua.transport.send.calls.mostRecent().args[0]).toMatch(/^SIP\/2.0 403/);
+    });
+  });
+
+  describe('outgoing calls', function() {
+    it('ask for an answer mode', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() { return {}; };
+      var request = new SIP.InviteClientContext(ua, 'bob@biloxi.example.com', {
+        answerMode: {mode: 'auto', require: true}
+      }).request;
+      expect(request.getHeader('Answer-Mode')).toBe('Auto;require');
+
+      request = new SIP.InviteClientContext(ua, 'bob@biloxi.example.com', {
+        answerMode: {mode: 'manual', privileged: true}
+      }).request;
+      expect(request.getHeader('Priv-Answer-Mode')).toBe('Manual');
+    });
+
+    it('support answermode when the UA has an auto-answer policy', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() { return {}; };
+      ua.configuration.autoAnswer = {};
+      expect(new SIP.InviteClientContext(ua, 'bob@biloxi.example.com').request.toString())
+        .toMatch(/Supported: [^\r]*answermode/);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+describe('CallQuality', function() {
+  function report(packetsReceived, packetsLost, bytesReceived, timestamp) {
+    return [
+      {id: 'IT01', type: 'inbound-rtp', kind: 'audio', timestamp: timestamp, ssrc: 3735928559,
+        packetsReceived: packetsReceived, packetsLost: packetsLost, bytesReceived: bytesReceived,
+        jitter: 0.02, codecId: 'CIT01_111'},
+      {id: 'OT01', type: 'outbound-rtp', kind: 'audio', timestamp: timestamp, bytesSent: bytesReceived},
+      {id: 'RI01', type: 'remote-inbound-rtp', kind: 'audio', roundTripTime: 0.1},
+      {id: 'CIT01_111', type: 'codec', mimeType: 'audio/opus', payloadType: 111, clockRate: 48000},
+      {id: 'CP01', type: 'candidate-pair', state: 'succeeded', nominated: true,
+        localCandidateId: 'L1', remoteCandidateId: 'R1', currentRoundTripTime: 0.3},
+      {id: 'L1', type: 'local-candidate', address: '192.0.2.1', port: 5000},
+      {id: 'R1', type: 'remote-candidate', address: '198.51.100.1', port: 6000},
+      {id: 'IT02', type: 'inbound-rtp', kind: 'video', packetsReceived: 9999, packetsLost: 999}
+    ];
+  }
+
+  describe('.fromStats', function() {
+    it('normalizes the audio statistics', function() {
+      var sample = SIP.CallQuality.fromStats(report(990, 10, 100000, 1000));
+
+      expect(sample.codec).toBe('opus');
+      expect(sample.payloadType).toBe(111);
+      expect(sample.clockRate).toBe(48000);
+      expect(sample.jitter).toBe(20);
+      expect(sample.roundTripTime).toBe(100);
+      expect(sample.packetLoss).toBe(0.01);
+      expect(sample.localAddress).toBe('192.0.2.1:5000');
+      expect(sample.remoteAddress).toBe('198.51.100.1:6000');
+      expect(sample.mos).toBeGreaterThan(4);
+      expect(sample.mos).toBeLessThan(4.5);
+    });
+
+    it('computes the loss and the bitrates since the previous sample', function() {
+      var previous = SIP.CallQuality.fromStats(report(990, 10, 100000, 1000));
+      var sample = SIP.CallQuality.fromStats(report(1090, 110, 150000, 3000), previous);
+
+      expect(sample.packetLoss).toBe(0.5);
+      expect(sample.inboundBitrate).toBe(200000);
+      expect(sample.outboundBitrate).toBe(200000);
+      expect(sample.mos).toBeLessThan(previous.mos);
+    });
+  });
+
+  describe('.mos', function() {
+    it('ranges from 1 to 4.5', function() {
+      expect(SIP.CallQuality.mos({packetLoss: 0})).toBeCloseTo(4.4, 2);
+      expect(SIP.CallQuality.mos({packetLoss: 1, roundTripTime: 2000})).toBe(1);
+    });
+  });
+
+  describe('.accumulate', function() {
+    it('keeps the running totals the summary of the samples is computed from', function() {
+      var samples = [
+        {timestamp: 1000, packetsReceived: 10, packetsLost: 0, bytesReceived: 0, bytesSent: 0, jitter: 10, mos: 4.4},
+        {timestamp: 2000, packetsReceived: 20, packetsLost: 0, bytesReceived: 0, bytesSent: 0, roundTripTime: 80},
+        {timestamp: 3000, packetsReceived: 27, packetsLost: 3, bytesReceived: 0, bytesSent: 0, jitter: 30, mos: 3.4}
+      ];
+      var totals = samples.reduce(SIP.CallQuality.accumulate, undefined);
+
+      expect(totals.first).toBe(samples[0]);
+      expect(totals.last).toBe(samples[2]);
+      var summary = SIP.CallQuality.summarize(totals);
+      expect(summary).toEqual(jasmine.objectContaining({
+        start: 1000,
+        stop: 3000,
+        packetLoss: 0.1,
+        jitter: 20,
+        maxJitter: 30,
+        roundTripTime: 80
+      }));
+      expect(summary.mos).toBeCloseTo(3.9, 5);
+      expect(SIP.CallQuality.summarize(totals)).toEqual(SIP.CallQuality.summarize(samples));
+    });
+  });
+
+  describe('.build', function() {
+    it('builds a VQSessionReport with the local metrics of the call', function() {
+      var samples = [
+        SIP.CallQuality.fromStats(report(990, 10, 100000, Date.UTC(2004, 9, 10, 18, 23, 43))),
+        SIP.CallQuality.fromStats(report(1980, 20, 200000, Date.UTC(2004, 9, 10, 18, 26, 2)))
+      ];
+      var body = SIP.CallQuality.build({
+        callId: '6dg37f1890463',
+        localId: '<sip:alice@atlanta.example.com>',
+        remoteId: '<sip:bob@biloxi.example.com>',
+        origId: '<sip:alice@atlanta.example.com>',
+        summary: SIP.CallQuality.summarize(samples)
+      });
+
+      expect(body.split('\r\n')).toEqual([
+        'VQSessionReport: CallTerm',
+        'CallID: 6dg37f1890463',
+        'LocalID: <sip:alice@atlanta.example.com>',
+        'RemoteID: <sip:bob@biloxi.example.com>',
+        'OrigID: <sip:alice@atlanta.example.com>',
+        'LocalAddr: IP=192.0.2.1 PORT=5000 SSRC=0xDEADBEEF',
+        'RemoteAddr: IP=198.51.100.1 PORT=6000',
+        'LocalMetrics:',
+        'Timestamps: START=2004-10-10T18:23:43Z STOP=2004-10-10T18:26:02Z',
+        'SessionDesc: PT=111 PD=opus SR=48000',
+        'PacketLoss: NLR=1.0',
+        'Delay: RTD=100 IAJ=20 MAJ=20',
+        'QualityEst: MOSLQ=' + samples[0].mos.toFixed(1),
+        ''
+      ]);
+    });
+  });
+
+  describe('.publish', function() {
+    var ua;
+
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'alice@atlanta.example.com'}).start();
+      ua.transport.ws.onopen();
+    });
+
+    afterEach(function() {
+      if(ua.status !== 2) {
+        ua.stop();
+      }
+    });
+
+    it('publishes the vq-rtcpxr event to the collector', function() {
+      spyOn(ua, 'publish').and.callThrough();
+
+      SIP.CallQuality.publish(ua, 'sip:collector@example.com', {
+        callId: 'abc',
+        localId: '<sip:alice@atlanta.example.com>',
+        remoteId: '<sip:bob@biloxi.example.com>',
+        origId: '<sip:bob@biloxi.example.com>',
+        summary: SIP.CallQuality.summarize([SIP.CallQuality.fromStats(report(10, 0, 1000, 1000))])
+      });
+
+      var args = ua.publish.calls.mostRecent().args;
+      expect(args[0]).toBe('sip:collector@example.com');
+      expect(args[1]).toBe('vq-rtcpxr');
+      expect(args[2]).toContain('CallID: abc\r\n');
+      expect(args[3].contentType).toBe('application/vq-rtcpxr');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+describe('DialPlan', function() {
+  var dialPlan;
+
+  beforeEach(function() {
+    dialPlan = {
+      countryCode: '33',
+      rules: [
+        {pattern: /^(112|15|17|18)$/, emergency: true},
+        {pattern: '^[1-9][0-9]{3}$'},
+        {pattern: /^90[1-9][0-9]{8}$/, strip: 1, e164: true},
+        {pattern: /^9(00|\+)[1-9][0-9]+$/, strip: 1, e164: true, uri: 'tel'},
+        {pattern: /^\*[0-9]+$/, prefix: '55', domain: 'voicemail.example.com'}
+      ]
+    };
+  });
+
+  describe('.apply', function() {
+    function target(dialed, telMapping) {
+      var result = SIP.DialPlan.apply(dialPlan, dialed, 'example.com', telMapping);
+      return result && result.uri.toString();
+    }
+
+    it('applies the first matching rule to the number without visual separators', function() {
+      expect(target('1234')).toBe('sip:1234@example.com');
+      expect(target('9 01 23-45.67.89')).toBe('sip:+33123456789@example.com');
+      expect(target('9 01 23-45.67.89', 'user=phone')).toBe('sip:+33123456789@example.com;user=phone');
+      expect(target('*86')).toBe('sip:55*86@voicemail.example.com');
+      expect(target('alice')).toBeUndefined();
+    });
+
+    it('makes tel URIs for the rules asking for them', function() {
+      expect(target('9 00 1 201 555 0123')).toBe('tel:+12015550123');
+      dialPlan.rules[1].uri = 'tel';
+      expect(target('1234')).toBe('tel:1234;phone-context=example.com');
+    });
+
+    it('flags the emergency numbers', function() {
+      var result = SIP.DialPlan.apply(dialPlan, '112', 'example.com');
+      expect(result.emergency).toBe(true);
+      expect(result.uri.toString()).toBe('sip:112@example.com');
+      expect(SIP.DialPlan.isEmergency(dialPlan, '1 1 2')).toBe(true);
+      expect(SIP.DialPlan.isEmergency(dialPlan, '1234')).toBe(false);
+    });
+
+    it('applies custom dial plans', function() {
+      var custom = function(dialed) { return dialed === 'boss' ? 'carol@chicago.example.com' : undefined; };
+      expect(SIP.DialPlan.apply(custom, 'boss', 'example.com').uri.toString()).toBe('sip:carol@chicago.example.com');
+      expect(SIP.DialPlan.apply(custom, 'alice', 'example.com')).toBeUndefined();
+    });
+  });
+
+  describe('.toE164', function() {
+    it('normalizes national and international numbers', function() {
+      expect(SIP.DialPlan.toE164('0123456789', dialPlan)).toBe('+33123456789');
+      expect(SIP.DialPlan.toE164('0012015550123', dialPlan)).toBe('+12015550123');
+      expect(SIP.DialPlan.toE164('2015550123', {rules: [], countryCode: '1', nationalPrefix: '1',
+        internationalPrefix: '011'})).toBe('+12015550123');
+      expect(SIP.DialPlan.toE164('0123456789', {rules: []})).toBe('0123456789');
+    });
+  });
+
+  describe('on the UA', function() {
+    var ua;
+
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'alice@example.com', dialPlan: dialPlan}).start();
+      ua.transport.ws.onopen();
+    });
+
+    afterEach(function() {
+      if(ua.status !== 2) {
+        ua.stop();
+      }
+    });
+
+    it('applies the dial plan to the targets of the requests', function() {
+      expect(ua.message('9 01 23 45 67 89', 'hello').request.ruri.toString()).toBe('sip:+33123456789@example.com');
+      expect(ua.subscribe('1234', 'dialog').request.ruri.toString()).toBe('sip:1234@example.com');
+      expect(ua.message('bob@biloxi.example.com', 'hello').request.ruri.toString())
+        .toBe('sip:bob@biloxi.example.com');
+    });
+
+    it('calls emergency numbers with Priority: emergency', function() {
+      expect(new SIP.InviteClientContext(ua, '112').request.getHeader('Priority')).toBe('emergency');
+      expect(new SIP.InviteClientContext(ua, '1234').request.getHeader('Priority')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+describe('DialogInfo', function() {
+  function dialogInfo(version, state, dialogs) {
+    return [
+      '<?xml version="1.0"?>',
+      '<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" version="' + version + '" state="' + state + '"',
+      '    entity="sip:alice@example.com">'
+    ].concat(dialogs).concat(['</dialog-info>']).join('\r\n');
+  }
+
+  function dialog(id, state) {
+    return [
+      '  <dialog id="' + id + '" call-id="a84b4c76e66710" local-tag="1928301774" remote-tag="456" direction="recipient">',
+      '    <state event="replaced" code="200">' + state + '</state>',
+      '    <duration>274</duration>',
+      '    <local><identity display="Alice">sip:alice@example.com</identity><target uri="sip:alice@pc33.example.com"/></local>',
+      '    <remote><identity display="Bob">sip:bob@example.org</identity></remote>',
+      '  </dialog>'
+    ].join('\r\n');
+  }
+
+  describe('.parse', function() {
+    it('parses the dialogs of the entity', function() {
+      var document = SIP.DialogInfo.parse(dialogInfo(3, 'full', [dialog('as7d900as8', 'confirmed')]));
+
+      expect(document.version).toBe(3);
+      expect(document.state).toBe('full');
+      expect(document.entity).toBe('sip:alice@example.com');
+      expect(document.dialogs[0]).toEqual({
+        id: 'as7d900as8',
+        callId: 'a84b4c76e66710',
+        localTag: '1928301774',
+        remoteTag: '456',
+        direction: 'recipient',
+        state: 'confirmed',
+        event: 'replaced',
+        code: 200,
+        duration: 274,
+        local: {identity: 'sip:alice@example.com', displayName: 'Alice', target: 'sip:alice@pc33.example.com'},
+        remote: {identity: 'sip:bob@example.org', displayName: 'Bob', target: undefined}
+      });
+    });
+
+    it('throws if the body is not a dialog-info document', function() {
+      expect(function() { SIP.DialogInfo.parse('<dialog-info version="1"/>'); }).toThrow();
+      expect(function() {
+        SIP.DialogInfo.parse('<dialog-info xmlns="urn:ietf:params:xml:ns:dialog-info" entity="sip:a@b"/>');
+      }).toThrow();
+    });
+  });
+
+  describe('.subscribe', function() {
+    var ua;
+    var subscription;
+    var dialogInfoSpy;
+    var changedSpy;
+
+    function notify(body) {
+      subscription.emit('notify', {request: {body: body}});
+    }
+
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'james@onsnip.onsip.com'}).start();
+      ua.transport.ws.onopen();
+
+      subscription = SIP.DialogInfo.subscribe(ua, 'alice@example.com', {expires: 3600});
+      dialogInfoSpy = jasmine.createSpy('dialogInfo');
+      changedSpy = jasmine.createSpy('dialogStateChanged');
+      subscription.on('dialogInfo', dialogInfoSpy);
+      subscription.on('dialogStateChanged', changedSpy);
+      spyOn(subscription, 'refresh');
+    });
+
+    afterEach(function() {
+      if(ua.status !== 2) {
+        ua.stop();
+      }
+    });
+
+    it('subscribes to the dialog event package', function() {
+      expect(subscription.event).toBe('dialog');
+      expect(subscription.extraHeaders).toContain('Accept: application/dialog-info+xml');
+    });
+
+    it('emits the state change of each dialog', function() {
+      notify(dialogInfo(0, 'full', [dialog('d1', 'early')]));
+      notify(dialogInfo(1, 'partial', [dialog('d1', 'confirmed')]));
+
+      expect(changedSpy.calls.count()).toBe(2);
+      expect(changedSpy.calls.mostRecent().args[0].state).toBe('confirmed');
+      expect(changedSpy.calls.mostRecent().args[0].remote.identity).toBe('sip:bob@example.org');
+      expect(changedSpy.calls.mostRecent().args[1]).toBe('sip:alice@example.com');
+    });
+
+    it('applies partial notifications to the full state', function() {
+      notify(dialogInfo(0, 'full', [dialog('d1', 'confirmed')]));
+      notify(dialogInfo(1, 'partial', [dialog('d2', 'trying')]));
+      notify(dialogInfo(2, 'partial', [dialog('d1', 'terminated')]));
+
+      var state = dialogInfoSpy.calls.mostRecent().args[0];
+      expect(state.dialogs.length).toBe(1);
+      expect(state.dialogs[0].id).toBe('d2');
+      expect(changedSpy.calls.mostRecent().args[0].state).toBe('terminated');
+    });
+
+    it('terminates the dialogs missing from a full notification', function() {
+      notify(dialogInfo(0, 'full', [dialog('d1', 'confirmed')]));
+      notify(dialogInfo(1, 'full', []));
+
+      expect(changedSpy.calls.mostRecent().args[0].id).toBe('d1');
+      expect(changedSpy.calls.mostRecent().args[0].state).toBe('terminated');
+      expect(dialogInfoSpy.calls.mostRecent().args[0].dialogs.length).toBe(0);
+    });
+
+    it('discards a notification with an older version', function() {
+      notify(dialogInfo(5, 'full', [dialog('d1', 'confirmed')]));
+      notify(dialogInfo(4, 'partial', [dialog('d1', 'terminated')]));
+
+      expect(dialogInfoSpy.calls.count()).toBe(1);
+    });
+
+    it('refreshes the subscription to get the full state if a version is missing', function(done) {
+      notify(dialogInfo(0, 'full', [dialog('d1', 'confirmed')]));
+      notify(dialogInfo(2, 'partial', [dialog('d1', 'terminated')]));
+
+      expect(dialogInfoSpy.calls.count()).toBe(1);
+
+      notify(dialogInfo(3, 'full', []));
+      expect(dialogInfoSpy.calls.count()).toBe(2);
+
+      Promise.resolve().then(function() {
+        expect(subscription.refresh).toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it('sends the refresh once the NOTIFY missing a version has activated the subscription', function(done) {
+      var request = SIPHelper.createRequest(ua, 'NOTIFY', [
+        'To: <sip:james@onsnip.onsip.com>;tag=' + subscription.request.from.parameters.tag,
+        'Event: dialog',
+        'Subscription-State: active;expires=3600'
+      ]);
+      request.body = dialogInfo(3, 'partial', [dialog('d1', 'confirmed')]);
+      request.reply = jasmine.createSpy('reply');
+      subscription.refresh.and.callThrough();
+      spyOn(ua.transport, 'send').and.returnValue(Promise.resolve());
+      expect(subscription.state).toBe('notify_wait');
+
+      subscription.receiveRequest(request);
+
+      expect(dialogInfoSpy).not.toHaveBeenCalled();
+      Promise.resolve().then(function() {
+        expect(subscription.state).toBe('active');
+        expect(ua.transport.send.calls.mostRecent().args[0].method).toBe('SUBSCRIBE');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+describe('DigestAuthentication', function() {
+  var ua;
+  var request;
+  var digest;
+  var cnonce = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+
+  function challenge(algorithm) {
+    return {
+      algorithm: algorithm,
+      realm: 'http-auth@example.org',
+      nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      qop: ['auth']
+    };
+  }
+
+  beforeEach(function() {
+    ua = new SIP.UA({
+      uri: 'alice@example.org',
+      authorizationUser: 'Mufasa',
+      password: 'Circle of Life',
+      autostart: false
+    });
+    request = { method: 'REGISTER', ruri: 'sip:example.org' };
+    spyOn(SIP.Utils, 'createRandomToken').and.returnValue(cnonce);
+    digest = new SIP.DigestAuthentication(ua);
+  });
+
+  var vectors = {
+    'MD5': '4d0bd2cf2b438b4c66115656036bd58e',
+    'MD5-sess': '81471fa935d0701a44f3a207a487e663',
+    'SHA-256': 'd57413410d78b292532cea78ea9f61d570d2a1f061edfb96af7836c329503c9d',
+    'SHA-256-sess': '431a722318cdd0a7358fcb890d6bb0a9df6d64a910e48fdab6c1c298433d46b3',
+    'SHA-512-256': '208ff11aeb6758f5219874a3dca593ca31bdf8cfed364e10f138f57e6b69ff0c',
+    'SHA-512-256-sess': '5cfda8986f243ab17c0f6058b9733ca226bd748efefca36eccc335860329f66e'
+  };
+
+  Object.keys(vectors).forEach(function (algorithm) {
+    it('computes the ' + algorithm + ' response', function() {
+      // The grammar upper cases the algorithm
+      expect(digest.authenticate(request, challenge(algorithm.toUpperCase()))).toBe(true);
+      expect(digest.toString()).toContain('algorithm=' + algorithm + ',');
+      expect(digest.toString()).toContain('response="' + vectors[algorithm] + '"');
+    });
+  });
+
+  it('defaults to MD5 when the challenge has no algorithm', function() {
+    expect(digest.authenticate(request, challenge(undefined))).toBe(true);
+    expect(digest.toString()).toContain('response="' + vectors['MD5'] + '"');
+  });
+
+  it('rejects unsupported algorithms', function() {
+    expect(digest.authenticate(request, challenge('SHA-1'))).toBe(false);
+  });
+
+  describe('.selectChallenge', function() {
+    it('selects the strongest supported algorithm', function() {
+      var challenges = [challenge('MD5'), challenge('SHA-512-256'), challenge('SHA-256')];
+      expect(SIP.DigestAuthentication.selectChallenge(challenges)).toBe(challenges[1]);
+    });
+
+    it('treats a missing algorithm as MD5', function() {
+      var challenges = [challenge(undefined), challenge('SHA-256')];
+      expect(SIP.DigestAuthentication.selectChallenge(challenges)).toBe(challenges[1]);
+    });
+
+    it('returns undefined if no algorithm is supported', function() {
+      expect(SIP.DigestAuthentication.selectChallenge([challenge('SHA-1')])).toBeUndefined();
+    });
+  });
+});
@@ -206,6 +206,15 @@ describe('Grammar', function () {
     challengeHas('opaque', '00000188');
   });
 
+  ['MD5-sess', 'SHA-256', 'SHA-256-sess', 'SHA-512-256', 'SHA-512-256-sess'].forEach(function (algorithm) {
+    var algorithmChallengeString = 'Digest realm="example.org", nonce="31d0a89e", algorithm=' + algorithm.toLowerCase();
+    describe("challenge parsed from '" + algorithmChallengeString + "'", function () {
+      it('has algorithm ' + algorithm.toUpperCase(), function () {
+        expect(SIP.Grammar.parse(algorithmChallengeString, 'challenge').algorithm).toEqual(algorithm.toUpperCase());
+      });
+    });
+  });
+
   var eventString = 'Presence.winfo;Param1=QWe;paraM2';
   describe('Event parsed from "' + eventString + '"', function () {
     var evt;
@@ -300,4 +309,20 @@ describe('Grammar', function () {
       }
     });
   });
+
+  describe('Reason', function () {
+    it('parses the SIP and Q.850 reasons', function () {
+      var reasons = SIP.Grammar.parse('SIP ;cause=200 ;text="Call completed elsewhere", ' +
+        'Q.850;cause=16;text="Normal \\"clearing\\"";location=LN', 'Reason');
+
+      expect(reasons).toEqual([
+        {protocol: 'SIP', cause: 200, text: 'Call completed elsewhere', params: {}},
+        {protocol: 'Q.850', cause: 16, text: 'Normal "clearing"', params: {location: 'LN'}}
+      ]);
+    });
+
+    it('rejects a non numeric cause', function () {
+      expect(SIP.Grammar.parse('SIP;cause=abc', 'Reason')).toEqual(-1);
+    });
+  });
 });
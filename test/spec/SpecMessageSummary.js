@@ -0,0 +1,81 @@
+describe('MessageSummary', function() {
+  var body = [
+    'Messages-Waiting: yes',
+    'Message-Account: sip:alice@vmail.example.com',
+    'Voice-Message: 4/8 (1/2)',
+    'Fax-Message: 0/1',
+    '',
+    'To: <alice@atlanta.example.com>',
+    'From: <bob@biloxi.example.com>',
+    'Subject: carpool tomorrow?',
+    ''
+  ].join('\r\n');
+
+  describe('.parse', function() {
+    it('parses the counts of each message class', function() {
+      var summary = SIP.MessageSummary.parse(body);
+
+      expect(summary.messagesWaiting).toBe(true);
+      expect(summary.account).toBe('sip:alice@vmail.example.com');
+      expect(summary.messages['voice-message']).toEqual({
+        newMessages: 4,
+        oldMessages: 8,
+        newUrgentMessages: 1,
+        oldUrgentMessages: 2
+      });
+      expect(summary.messages['fax-message'].newMessages).toBe(0);
+      expect(summary.messages['fax-message'].oldMessages).toBe(1);
+      expect(summary.messages['fax-message'].newUrgentMessages).toBeUndefined();
+    });
+
+    it('ignores the message headers after the summary', function() {
+      expect(Object.keys(SIP.MessageSummary.parse(body).messages)).toEqual(['voice-message', 'fax-message']);
+    });
+
+    it('reads Messages-Waiting case insensitively', function() {
+      expect(SIP.MessageSummary.parse('messages-waiting: NO\r\n').messagesWaiting).toBe(false);
+    });
+
+    it('throws if the Messages-Waiting line is missing', function() {
+      expect(function() { SIP.MessageSummary.parse('Voice-Message: 1/0\r\n'); }).toThrow();
+    });
+  });
+
+  describe('.subscribe', function() {
+    var ua;
+
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'james@onsnip.onsip.com'}).start();
+      ua.transport.ws.onopen();
+    });
+
+    afterEach(function() {
+      if(ua.status !== 2) {
+        ua.stop();
+      }
+    });
+
+    it('subscribes to the message-summary event package of the UA by default', function() {
+      spyOn(ua, 'subscribe').and.callThrough();
+
+      var subscription = SIP.MessageSummary.subscribe(ua, undefined, {expires: 3600});
+
+      expect(ua.subscribe.calls.mostRecent().args[0]).toBe(ua.configuration.uri);
+      expect(subscription.event).toBe('message-summary');
+      expect(subscription.extraHeaders).toContain('Accept: application/simple-message-summary');
+    });
+
+    it('emits messageSummary with the parsed body of each NOTIFY', function() {
+      var callback = jasmine.createSpy('messageSummary');
+      var subscription = SIP.MessageSummary.subscribe(ua, 'sip:alice@vmail.example.com', {expires: 3600});
+      subscription.on('messageSummary', callback);
+
+      var notification = {request: {body: body}};
+      subscription.emit('notify', notification);
+      subscription.emit('notify', {request: {body: 'garbage'}});
+
+      expect(callback.calls.count()).toBe(1);
+      expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({messagesWaiting: true}), notification);
+    });
+  });
+});
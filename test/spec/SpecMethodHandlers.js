@@ -0,0 +1,148 @@
+describe('Method handlers', function() {
+  var ua;
+
+  beforeEach(function() {
+    ua = SIPHelper.createUA('carol@chicago.example.com');
+    spyOn(ua.transport, 'send').and.returnValue(Promise.resolve());
+  });
+
+  afterEach(function() {
+    ua.stop();
+  });
+
+  // An in-dialog request with a To tag and a CSeq
+  function request(method, toTag, cseq) {
+    return SIPHelper.createRequest(ua, method, toTag ? [
+      'To: <sip:carol@chicago.example.com>;tag=' + toTag,
+      'CSeq: ' + cseq + ' ' + method
+    ] : []);
+  }
+
+  function lastReply() {
+    return ua.transport.send.calls.mostRecent().args[0].toString();
+  }
+
+  describe('on the UA', function() {
+    it('receive the ServerContext of the requests of their method', function() {
+      var handler = jasmine.createSpy('handler').and.callFake(function(context) {
+        context.request.reply(200);
+      });
+      ua.registerMethodHandler('PING', handler);
+      ua.receiveRequest(request('PING'));
+
+      expect(handler).toHaveBeenCalledWith(jasmine.any(SIP.ServerContext));
+      expect(handler.calls.mostRecent().args[0].method).toBe('PING');
+      expect(lastReply()).toMatch(/^SIP\/2.0 200/);
+    });
+
+    it('add their method to Allow', function() {
+      ua.receiveRequest(request('PING'));
+      expect(lastReply()).toMatch(/^SIP\/2.0 405/);
+      expect(lastReply()).not.toMatch(/Allow: [^\r]*PING/);
+
+      ua.registerMethodHandler('PING', function() {});
+      expect(ua.getAllowedMethods()).toContain('PING');
+      ua.receiveRequest(request('OPTIONS'));
+      expect(lastReply()).toMatch(/Allow: [^\r]*PING/);
+
+      ua.unregisterMethodHandler('PING');
+      expect(ua.getAllowedMethods()).not.toContain('PING');
+    });
+
+    it('leave out the methods the UA answers with a 405', function() {
+      expect(ua.getAllowedMethods()).toContain('MESSAGE');
+      expect(ua.getAllowedMethods()).not.toContain('SUBSCRIBE');
+      expect(ua.getAllowedMethods()).not.toContain('REFER');
+
+      ua.on('subscribe', function() {});
+      ua.configuration.allowOutOfDialogRefers = true;
+      expect(ua.getAllowedMethods()).toContain('SUBSCRIBE');
+      expect(ua.getAllowedMethods()).toContain('REFER');
+    });
+
+    it('reply 500 when they throw before replying', function() {
+      ua.registerMethodHandler('PING', function() {
+        throw new Error('handler error');
+      });
+      spyOn(ua.logger, 'error');
+
+      expect(function() { ua.receiveRequest(request('PING')); }).not.toThrow();
+      expect(ua.logger.error).toHaveBeenCalled();
+      expect(lastReply()).toMatch(/^SIP\/2.0 500/);
+    });
+
+    it('keep their final response when they throw after replying', function() {
+      ua.registerMethodHandler('PING', function(context) {
+        context.request.reply(200);
+        throw new Error('handler error');
+      });
+
+      ua.receiveRequest(request('PING'));
+      expect(ua.transport.send.calls.count()).toBe(1);
+      expect(lastReply()).toMatch(/^SIP\/2.0 200/);
+    });
+
+    it('cannot replace the handling of the methods of the UA', function() {
+      var handler = function() {};
+      expect(function() { ua.registerMethodHandler('INVITE', handler); })
+        .toThrowError("Invalid value \"INVITE\" for parameter 'method'");
+      expect(function() { ua.registerMethodHandler('PI NG', handler); })
+        .toThrowError("Invalid value \"PI NG\" for parameter 'method'");
+      expect(function() { ua.registerMethodHandler('PING'); }).toThrowError('Missing parameter: handler');
+    });
+  });
+
+  describe('on sessions', function() {
+    var session;
+
+    beforeEach(function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() {
+        return {close: function() {}, hasDescription: function() { return false; }};
+      };
+      session = new SIP.InviteServerContext(ua, request('INVITE'));
+    });
+
+    it('receive the requests of their dialog before the handlers of the UA', function() {
+      var uaHandler = jasmine.createSpy('uaHandler');
+      var sessionHandler = jasmine.createSpy('sessionHandler');
+      ua.registerMethodHandler('PING', uaHandler);
+      ua.registerMethodHandler('PONG', uaHandler);
+      session.registerMethodHandler('PING', sessionHandler);
+
+      spyOn(SIP.ServerContext, 'initializer').and.callThrough();
+      ua.receiveRequest(request('PING', session.request.toTag, 2));
+      expect(sessionHandler).toHaveBeenCalledWith(jasmine.any(SIP.ServerContext));
+      expect(SIP.ServerContext.initializer.calls.count()).toBe(1);
+      expect(uaHandler).not.toHaveBeenCalled();
+
+      ua.receiveRequest(request('PONG', session.request.toTag, 3));
+      expect(uaHandler).toHaveBeenCalled();
+    });
+
+    it('reply 500 when they throw before replying', function() {
+      session.registerMethodHandler('PING', function() {
+        throw new Error('handler error');
+      });
+
+      expect(function() { ua.receiveRequest(request('PING', session.request.toTag, 2)); }).not.toThrow();
+      expect(lastReply()).toMatch(/^SIP\/2.0 500/);
+    });
+
+    it('reply 405 with their Allow to the methods without handlers', function() {
+      session.registerMethodHandler('PING', function() {});
+      expect(session.getAllowedMethods()).toEqual(ua.getAllowedMethods().concat('REFER', 'PING'));
+      expect(ua.getAllowedMethods()).not.toContain('PING');
+
+      ua.receiveRequest(request('PONG', session.request.toTag, 2));
+      expect(lastReply()).toMatch(/^SIP\/2.0 405/);
+      expect(lastReply()).toMatch(/Allow: [^\r]*PING/);
+    });
+  });
+
+  it('are advertised in the Allow of the outgoing requests', function() {
+    ua.configuration.sessionDescriptionHandlerFactory = function() { return {}; };
+    ua.registerMethodHandler('PING', function() {});
+    expect(new SIP.InviteClientContext(ua, 'bob@biloxi.example.com').request.getHeader('Allow'))
+      .toContain('PING');
+  });
+});
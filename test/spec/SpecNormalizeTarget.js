@@ -52,5 +52,25 @@ describe('Utils.normalizeTarget', function() {
     test_error('');
     test_error('ibc@iñaki.com');
     test_error('ibc@aliax.net;;;;;');
+
+    describe('and tel URIs are mapped to user=phone', function () {
+      it('maps tel URIs and global numbers to sip URIs of the domain with user=phone', function () {
+        expect(SIP.Utils.normalizeTarget('tel:+1-201-555-0123', domain, 'user=phone').toString())
+          .toBe('sip:+12015550123@sip.js.net;user=phone');
+        expect(SIP.Utils.normalizeTarget('tel:7042;phone-context=example.com', domain, 'user=phone').toString())
+          .toBe('sip:7042;phone-context=example.com@sip.js.net;user=phone');
+        expect(SIP.Utils.normalizeTarget('+1(201)555-0123', domain, 'user=phone').toString())
+          .toBe('sip:+12015550123@sip.js.net;user=phone');
+        expect(SIP.Utils.normalizeTarget('7042', domain, 'user=phone').toString()).toBe('sip:7042@sip.js.net');
+      });
+    });
+
+    describe('and tel URIs are kept', function () {
+      it('keeps tel URIs and makes tel URIs of global numbers', function () {
+        expect(SIP.Utils.normalizeTarget('tel:+1-201-555-0123', domain, 'tel').toString()).toBe('tel:+12015550123');
+        expect(SIP.Utils.normalizeTarget('+1.201.555.0123', domain, 'tel').toString()).toBe('tel:+12015550123');
+        expect(SIP.Utils.normalizeTarget('alice', domain, 'tel').toString()).toBe('sip:alice@sip.js.net');
+      });
+    });
   });
 });
@@ -0,0 +1,154 @@
+describe('Presence', function() {
+  var pidf = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<presence xmlns="urn:ietf:params:xml:ns:pidf"',
+    '    xmlns:dm="urn:ietf:params:xml:ns:pidf:data-model"',
+    '    xmlns:r="urn:ietf:params:xml:ns:pidf:rpid"',
+    '    entity="pres:someone@example.com">',
+    '  <tuple id="bs35r9">',
+    '    <status><basic>open</basic></status>',
+    '    <contact priority="0.8">im:someone@mobilecarrier.net</contact>',
+    '    <note xml:lang="en">Don\'t Disturb Please!</note>',
+    '    <timestamp>2005-10-27T16:49:29Z</timestamp>',
+    '  </tuple>',
+    '  <dm:person id="p1">',
+    '    <r:activities><r:on-the-phone/><r:other>tennis</r:other></r:activities>',
+    '    <r:mood><r:happy/></r:mood>',
+    '    <r:sphere>work</r:sphere>',
+    '    <r:user-input>idle</r:user-input>',
+    '    <dm:note>In a call</dm:note>',
+    '  </dm:person>',
+    '  <note>Available</note>',
+    '</presence>'
+  ].join('\r\n');
+
+  describe('.parse', function() {
+    it('parses the tuples', function() {
+      var presence = SIP.Presence.parse(pidf);
+
+      expect(presence.entity).toBe('pres:someone@example.com');
+      expect(presence.tuples.length).toBe(1);
+      expect(presence.tuples[0].id).toBe('bs35r9');
+      expect(presence.tuples[0].basic).toBe('open');
+      expect(presence.tuples[0].contact).toBe('im:someone@mobilecarrier.net');
+      expect(presence.tuples[0].priority).toBe(0.8);
+      expect(presence.tuples[0].notes).toEqual(['Don\'t Disturb Please!']);
+      expect(presence.tuples[0].timestamp).toBe('2005-10-27T16:49:29Z');
+      expect(presence.notes).toEqual(['Available']);
+    });
+
+    it('parses the RPID person whatever the prefixes', function() {
+      var person = SIP.Presence.parse(pidf).persons[0];
+
+      expect(person.id).toBe('p1');
+      expect(person.activities).toEqual(['on-the-phone', 'tennis']);
+      expect(person.mood).toEqual(['happy']);
+      expect(person.sphere).toBe('work');
+      expect(person.userInput).toBe('idle');
+      expect(person.notes).toEqual(['In a call']);
+    });
+
+    it('throws if the body is not a PIDF document', function() {
+      expect(function() { SIP.Presence.parse('<presence/>'); }).toThrow();
+    });
+  });
+
+  describe('.build', function() {
+    it('builds a document parse() reads back', function() {
+      var document = {
+        entity: 'sip:alice@example.com',
+        tuples: [{id: 't1', basic: 'closed', contact: 'sip:alice@example.com', priority: 1, notes: ['Gone <home>']}],
+        persons: [{id: 'p1', activities: ['away', 'at lunch'], placeType: ['home'], userInput: 'active'}]
+      };
+
+      var presence = SIP.Presence.parse(SIP.Presence.build(document));
+
+      expect(presence.tuples[0]).toEqual(jasmine.objectContaining(document.tuples[0]));
+      expect(presence.persons[0].activities).toEqual(['away', 'at lunch']);
+      expect(presence.persons[0].placeType).toEqual(['home']);
+      expect(presence.persons[0].userInput).toBe('active');
+    });
+  });
+
+  describe('.parseWatcherInfo', function() {
+    it('parses the watcher lists', function() {
+      var watcherInfo = SIP.Presence.parseWatcherInfo([
+        '<?xml version="1.0"?>',
+        '<watcherinfo xmlns="urn:ietf:params:xml:ns:watcherinfo" version="1" state="partial">',
+        '  <watcher-list resource="sip:alice@example.com" package="presence">',
+        '    <watcher id="7768a77s" event="subscribe" status="pending" display-name="Bob"',
+        '        duration-subscribed="0">sip:bob@example.com</watcher>',
+        '  </watcher-list>',
+        '</watcherinfo>'
+      ].join('\r\n'));
+
+      expect(watcherInfo.version).toBe(1);
+      expect(watcherInfo.state).toBe('partial');
+      expect(watcherInfo.watcherLists[0].resource).toBe('sip:alice@example.com');
+      expect(watcherInfo.watcherLists[0].package).toBe('presence');
+      expect(watcherInfo.watcherLists[0].watchers[0]).toEqual(jasmine.objectContaining({
+        id: '7768a77s',
+        status: 'pending',
+        event: 'subscribe',
+        uri: 'sip:bob@example.com',
+        displayName: 'Bob',
+        durationSubscribed: 0
+      }));
+    });
+  });
+
+  describe('with a UA', function() {
+    var ua;
+
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'james@onsnip.onsip.com'}).start();
+      ua.transport.ws.onopen();
+    });
+
+    afterEach(function() {
+      if(ua.status !== 2) {
+        ua.stop();
+      }
+    });
+
+    it('publishes a PIDF body', function() {
+      spyOn(ua, 'publish').and.callThrough();
+
+      SIP.Presence.publish(ua, {entity: 'sip:james@onsnip.onsip.com', tuples: [{id: 't1', basic: 'open'}]});
+
+      var args = ua.publish.calls.mostRecent().args;
+      expect(args[0]).toBe(ua.configuration.uri);
+      expect(args[1]).toBe('presence');
+      expect(args[3].contentType).toBe('application/pidf+xml');
+    });
+
+    it('emits presence with the parsed body of each NOTIFY', function() {
+      var callback = jasmine.createSpy('presence');
+      var subscription = SIP.Presence.subscribe(ua, 'alice@example.com', {expires: 3600});
+      subscription.on('presence', callback);
+
+      var notification = {request: {body: pidf}};
+      subscription.emit('notify', notification);
+
+      expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({entity: 'pres:someone@example.com'}), notification);
+      expect(subscription.extraHeaders).toContain('Accept: application/pidf+xml');
+    });
+
+    it('does not emit presence if the NOTIFY body cannot be parsed', function() {
+      var callback = jasmine.createSpy('presence');
+      var subscription = SIP.Presence.subscribe(ua, 'alice@example.com', {expires: 3600});
+      subscription.on('presence', callback);
+
+      subscription.emit('notify', {request: {body: 'not xml'}});
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('subscribes to the watcher information of the UA', function() {
+      var subscription = SIP.Presence.subscribeWatcherInfo(ua, undefined, {expires: 3600});
+
+      expect(subscription.event).toBe('presence.winfo');
+      expect(subscription.extraHeaders).toContain('Accept: application/watcherinfo+xml');
+    });
+  });
+});
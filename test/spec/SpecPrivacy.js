@@ -0,0 +1,95 @@
+describe('Privacy', function() {
+  var ua;
+
+  beforeEach(function() {
+    ua = SIPHelper.createUA('bob@biloxi.example.com');
+  });
+
+  afterEach(function() {
+    ua.stop();
+  });
+
+  describe('.parse', function() {
+    it('parses the Privacy values and the asserted identities', function() {
+      var privacy = SIP.Privacy.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'Privacy: id;Critical',
+        'P-Asserted-Identity: "Cullen Jennings" <sip:fluffy@cisco.com>, tel:+14085264000'
+      ]));
+
+      expect(privacy.values).toEqual(['id', 'critical']);
+      expect(privacy.anonymous).toBe(true);
+      expect(privacy.assertedIdentities).toEqual([
+        {displayName: 'Cullen Jennings', uri: 'sip:fluffy@cisco.com', scheme: 'sip'},
+        {displayName: undefined, uri: 'tel:+14085264000', scheme: 'tel'}
+      ]);
+    });
+
+    it('reads the asserted identities of several headers and ignores the invalid ones', function() {
+      var identities = SIP.Privacy.parseIdentities([
+        '<tel:+14085264000>', '<sip:@>', '<tel:5264000>', '<sips:fluffy@cisco.com>'
+      ]);
+
+      expect(identities.map(function(identity) { return identity.uri; }))
+        .toEqual(['tel:+14085264000', 'sips:fluffy@cisco.com']);
+    });
+
+    it('returns the sip asserted identity as a NameAddrHeader', function() {
+      var identity = SIP.Privacy.assertedIdentity(SIPHelper.createRequest(ua, 'INVITE', [
+        'P-Asserted-Identity: <tel:+14085264000>',
+        'P-Asserted-Identity: "Cullen" <sip:fluffy@cisco.com>'
+      ]));
+
+      expect(identity.displayName).toBe('Cullen');
+      expect(identity.uri.toString()).toBe('sip:fluffy@cisco.com');
+    });
+  });
+
+  describe('.buildHeaders', function() {
+    it('builds the Privacy and P-Preferred-Identity headers', function() {
+      expect(SIP.Privacy.buildHeaders({
+        privacy: ['id', 'header'],
+        preferredIdentity: ['sip:alice@atlanta.example.com', '"Alice" <tel:+15551234567>']
+      })).toEqual([
+        'P-Preferred-Identity: <sip:alice@atlanta.example.com>, "Alice" <tel:+15551234567>',
+        'Privacy: id;header'
+      ]);
+    });
+
+    it('throws for none with other values', function() {
+      expect(function() { SIP.Privacy.buildHeaders({privacy: ['none', 'id']}); }).toThrow();
+    });
+
+    it('throws for two preferred identities of the same kind', function() {
+      expect(function() {
+        SIP.Privacy.buildHeaders({preferredIdentity: ['sip:alice@atlanta.example.com', 'sips:alice@atlanta.example.com']});
+      }).toThrow();
+    });
+  });
+
+  describe('sessions', function() {
+    it('parses the privacy of incoming calls', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() {
+        return {close: function() {}, hasDescription: function() { return false; }};
+      };
+      spyOn(ua.transport, 'send').and.returnValue(Promise.resolve());
+      var session = new SIP.InviteServerContext(ua, SIPHelper.createRequest(ua, 'INVITE', [
+        'Privacy: user',
+        'P-Asserted-Identity: <sip:alice@atlanta.example.com>'
+      ]));
+
+      expect(session.privacy.values).toEqual(['user']);
+      expect(session.privacy.anonymous).toBe(true);
+      expect(session.assertedIdentity.uri.toString()).toBe('sip:alice@atlanta.example.com');
+    });
+
+    it('sends the privacy options of outgoing calls', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() { return {}; };
+      ua.configuration.privacy = ['id'];
+      var session = new SIP.InviteClientContext(ua, 'carol@chicago.example.com', {preferredIdentity: 'tel:+15551234567'});
+
+      expect(session.request.getHeader('Privacy')).toBe('id');
+      expect(session.request.getHeader('P-Preferred-Identity')).toBe('<tel:+15551234567>');
+      expect(session.request.from.uri.toString()).toBe('sip:bob@biloxi.example.com');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+describe('RedirectionHistory', function() {
+  var ua;
+
+  beforeEach(function() {
+    ua = SIPHelper.createUA('carol@chicago.example.com');
+  });
+
+  afterEach(function() {
+    ua.stop();
+  });
+
+  describe('.parseHistoryInfo', function() {
+    it('parses the targets with their indices, cause codes and reasons', function() {
+      var entries = SIP.RedirectionHistory.parseHistoryInfo([
+        '"Bob" <sip:bob@biloxi.example.com>;index=1, ' +
+        '<sip:bob@192.0.2.4?Reason=SIP%3Bcause%3D486%3Btext%3D%22Busy%20Here%22>;index=1.1;rc=1',
+        '<sip:carol@chicago.example.com;cause=486>;index=1.2;mp=1'
+      ]);
+
+      expect(entries.map(function(entry) { return entry.uri; })).toEqual([
+        'sip:bob@biloxi.example.com', 'sip:bob@192.0.2.4', 'sip:carol@chicago.example.com;cause=486'
+      ]);
+      expect(entries[0].displayName).toBe('Bob');
+      expect(entries[0].cause).toBe(486);
+      expect(entries[0].reason).toBe('user-busy');
+      expect(entries[1].index).toBe('1.1');
+      expect(entries[1].mechanism).toBe('rc');
+      expect(entries[1].reasons[0].text).toBe('Busy Here');
+      expect(entries[1].cause).toBe(486);
+      expect(entries[2].previousIndex).toBe('1');
+      expect(entries[2].cause).toBeUndefined();
+    });
+  });
+
+  describe('.parseDiversion', function() {
+    it('parses the diversions in chronological order', function() {
+      var entries = SIP.RedirectionHistory.parseDiversion([
+        '<sip:dave@example.com>;reason=no-answer;counter=1',
+        '"Bob" <sip:bob@biloxi.example.com>;reason="user-busy";privacy=off'
+      ]);
+
+      expect(entries.map(function(entry) { return entry.uri; }))
+        .toEqual(['sip:bob@biloxi.example.com', 'sip:dave@example.com']);
+      expect(entries[0].reason).toBe('user-busy');
+      expect(entries[0].cause).toBe(486);
+      expect(entries[0].params.privacy).toBe('off');
+      expect(entries[1].counter).toBe(1);
+    });
+  });
+
+  describe('.parse', function() {
+    it('prefers History-Info to Diversion', function() {
+      var history = SIP.RedirectionHistory.parse(SIPHelper.createRequest(ua, 'INVITE', [
+        'History-Info: <sip:bob@biloxi.example.com>;index=1, <sip:carol@chicago.example.com;cause=408>;index=1.1;mp=1',
+        'Diversion: <sip:dave@example.com>;reason=unconditional'
+      ]));
+
+      expect(history.source).toBe('history-info');
+      expect(history.redirectedFrom.uri).toBe('sip:bob@biloxi.example.com');
+      expect(history.reason).toBe('no-answer');
+      expect(history.cause).toBe(408);
+    });
+
+    it('is undefined for calls that were not redirected', function() {
+      var request = SIPHelper.createRequest(ua, 'INVITE', ['History-Info: <sip:bob@biloxi.example.com>;index=1']);
+      expect(SIP.RedirectionHistory.parse(request)).toBeUndefined();
+    });
+  });
+
+  describe('sessions', function() {
+    it('parses the redirection history of incoming calls', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() {
+        return {close: function() {}, hasDescription: function() { return false; }};
+      };
+      spyOn(ua.transport, 'send').and.returnValue(Promise.resolve());
+      var session = new SIP.InviteServerContext(ua, SIPHelper.createRequest(ua, 'INVITE', [
+        'Diversion: <sip:bob@biloxi.example.com>;reason=user-busy'
+      ]));
+
+      expect(session.redirectionHistory.source).toBe('diversion');
+      expect(session.redirectionHistory.redirectedFrom.uri).toBe('sip:bob@biloxi.example.com');
+      expect(session.redirectionHistory.reason).toBe('user-busy');
+    });
+
+    it('supports histinfo when the UA opts in', function() {
+      ua.configuration.sessionDescriptionHandlerFactory = function() { return {}; };
+      expect(new SIP.InviteClientContext(ua, 'bob@biloxi.example.com').request.toString()).not.toContain('histinfo');
+
+      ua.configuration.historyInfo = true;
+      expect(new SIP.InviteClientContext(ua, 'bob@biloxi.example.com').request.toString())
+        .toMatch(/Supported: [^\r]*histinfo/);
+    });
+  });
+});
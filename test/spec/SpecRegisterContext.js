@@ -23,6 +23,7 @@ describe('RegisterContext', function() {
         return { log : log };
       },
       normalizeTarget: function (target) { return target; },
+      getAllowedMethods: function () { return SIP.UA.C.ALLOWED_METHODS; },
       listeners: function () { return [1]; }
     };
     RegisterContext = new SIP.RegisterContext(ua, ua.configuration.registerOptions);
@@ -342,4 +343,130 @@ describe('RegisterContext', function() {
       expect(callback).toHaveBeenCalledWith(undefined, undefined);
     });
   });
+
+  describe('RFC 5626 flows', function() {
+    beforeEach(function() {
+      jasmine.clock().install();
+      spyOn(Math, 'random').and.returnValue(1);
+      ua.transport = {
+        isConnected: jasmine.createSpy('isConnected').and.returnValue(true),
+        connect: jasmine.createSpy('connect').and.returnValue(Promise.resolve()),
+        disconnect: jasmine.createSpy('disconnect').and.returnValue(Promise.resolve()),
+        setKeepAliveInterval: jasmine.createSpy('setKeepAliveInterval')
+      };
+      spyOn(RegisterContext, 'send').and.returnValue('send');
+    });
+
+    afterEach(function() {
+      jasmine.clock().uninstall();
+    });
+
+    function outboundResponse(flowTimer) {
+      var response = new SIP.IncomingResponse(ua);
+      response.statusCode = 200;
+      response.setHeader('require', 'outbound');
+      if (flowTimer) {
+        response.setHeader('flow-timer', flowTimer);
+      }
+      return response;
+    }
+
+    it('creates an additional flow with the next reg-id for each additional edge proxy', function() {
+      Math.random.and.callThrough();
+      RegisterContext = new SIP.RegisterContext(ua, {
+        registrar: 'registrar',
+        additionalFlows: [{wsServers: 'wss://edge2.example.com'}, {wsServers: 'wss://edge3.example.com'}]
+      });
+
+      expect(RegisterContext.options.regId).toBe(1);
+      expect(RegisterContext.flows.length).toBe(2);
+      expect(RegisterContext.flows[0].options.regId).toBe(2);
+      expect(RegisterContext.flows[1].options.regId).toBe(3);
+      expect(RegisterContext.flows[0].options.instanceId).toBe(RegisterContext.options.instanceId);
+      expect(RegisterContext.flows[0].flowTransportOptions.wsServers).toBe('wss://edge2.example.com');
+    });
+
+    it('detects outbound support and honors the Flow-Timer of the registrar', function() {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse('25'));
+
+      expect(RegisterContext.outboundFlow).toBe(true);
+      expect(ua.transport.setKeepAliveInterval).toHaveBeenCalledWith(25);
+    });
+
+    it('does not recover the flow if the registrar does not support outbound', function() {
+      var response = new SIP.IncomingResponse(ua);
+      response.statusCode = 200;
+      RegisterContext.register();
+      RegisterContext.receiveFlow(response);
+      RegisterContext.registrationFailure(undefined, SIP.C.causes.REQUEST_TIMEOUT);
+
+      expect(RegisterContext.flowRecoveryTimer).toBeUndefined();
+    });
+
+    it('registers again after the back-off time when the flow fails', function() {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse());
+      spyOn(RegisterContext, 'register');
+
+      var response = new SIP.IncomingResponse(ua);
+      response.statusCode = 503;
+      RegisterContext.registrationFailure(response, SIP.C.causes.SIP_FAILURE_CODE);
+
+      // flowRecoveryBaseTime * 2 ^ 1 failure
+      jasmine.clock().tick(59999);
+      expect(RegisterContext.register).not.toHaveBeenCalled();
+      jasmine.clock().tick(1);
+      expect(RegisterContext.register).toHaveBeenCalled();
+    });
+
+    it('doubles the back-off time with each consecutive failure up to flowRecoveryMaxTime', function() {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse());
+      RegisterContext.flowFailures = 6;
+      spyOn(RegisterContext, 'register');
+
+      RegisterContext.registrationFailure(undefined, SIP.C.causes.REQUEST_TIMEOUT);
+
+      jasmine.clock().tick(1799999);
+      expect(RegisterContext.register).not.toHaveBeenCalled();
+      jasmine.clock().tick(1);
+      expect(RegisterContext.register).toHaveBeenCalled();
+    });
+
+    it('does not recover the flow on a final failure from the registrar', function() {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse());
+
+      var response = new SIP.IncomingResponse(ua);
+      response.statusCode = 403;
+      RegisterContext.registrationFailure(response, SIP.C.causes.REJECTED);
+
+      expect(RegisterContext.flowRecoveryTimer).toBeUndefined();
+    });
+
+    it('does not recover the flow once unregistered', function() {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse());
+      RegisterContext.registrationFailure(undefined, SIP.C.causes.REQUEST_TIMEOUT);
+      expect(RegisterContext.flowRecoveryTimer).toBeDefined();
+
+      RegisterContext.unregister();
+
+      expect(RegisterContext.flowRecoveryTimer).toBeUndefined();
+    });
+
+    it('reconnects the transport when a keep-alive is not answered', function(done) {
+      RegisterContext.register();
+      RegisterContext.receiveFlow(outboundResponse());
+
+      RegisterContext.onKeepAliveTimeout(ua.transport);
+
+      expect(ua.transport.disconnect).toHaveBeenCalledWith({force: true});
+      Promise.resolve().then(function() {
+        expect(ua.transport.connect).toHaveBeenCalled();
+        done();
+      });
+    });
+  });
 });
@@ -304,6 +304,15 @@ describe('SanityCheck', function () {
                       'Via: SIP/2.0/WSS ' + ua.configuration.viaHost + ';branch=z9hG4bK7532297\r\n\r\n');
           expectOkay(message);
         });
+
+        it('accepts messages with the via sent-by port of a UA bound to a port', function () {
+          var viaHost = ua.configuration.viaHost;
+          ua.configuration.viaHost = '192.0.2.5:5062';
+          message = p(h.response + h.f + h.t + h.i + h.cseq +
+                      'Via: SIP/2.0/TCP 192.0.2.5:5062;branch=z9hG4bK7532297\r\n\r\n');
+          expectOkay(message);
+          ua.configuration.viaHost = viaHost;
+        });
       });
 
       describe('18.3_response', function () {
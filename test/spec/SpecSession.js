@@ -221,6 +221,15 @@ describe('Session', function() {
         expect(function(){Session.bye({statusCode: i});}).toThrowError('Invalid statusCode: ' + i);
       }
     });
+
+    it('sends the Reason header of the reason option', function() {
+      spyOn(Session, 'close');
+
+      Session.bye({reason: [{protocol: 'SIP', cause: 200, text: 'Call "completed"'}, {protocol: 'Q.850', cause: 16}]});
+
+      expect(Session.emit.calls.argsFor(0)[1].getHeader('Reason'))
+        .toBe('SIP;cause=200;text="Call \\"completed\\"", Q.850;cause=16');
+    });
   });
 
   describe('.refer', function() {
@@ -356,6 +365,204 @@ describe('Session', function() {
 
       expect(Session.sessionDescriptionHandler.setDescription).toHaveBeenCalled();
     });
+
+    it('updates the remote hold state from the offer', function(done) {
+      spyOn(Session, 'updateRemoteHold').and.callFake(function(directions) {
+        expect(directions).toEqual(['sendonly']);
+        done();
+      });
+      message.body = 'v=0\r\nm=audio 9 RTP/AVP 0\r\na=sendonly\r\n';
+
+      Session.receiveReinvite(message);
+    });
+  });
+
+  describe('.updateRemoteHold', function() {
+    beforeEach(function() {
+      spyOn(Session, 'emit');
+    });
+
+    it('emits remoteHold when the other end does not receive any of the active streams', function() {
+      Session.updateRemoteHold(SIP.Utils.getMediaDirections([
+        'v=0',
+        'o=- 1 2 IN IP4 192.0.2.1',
+        's=-',
+        'c=IN IP4 192.0.2.1',
+        't=0 0',
+        'a=sendonly',
+        'm=audio 49170 RTP/AVP 0',
+        'm=video 0 RTP/AVP 31',
+        'a=sendrecv',
+        'm=video 49172 RTP/AVP 31',
+        'c=IN IP4 0.0.0.0',
+        ''].join('\r\n')));
+
+      expect(Session.remoteHold).toBe(true);
+      expect(Session.holdState).toBe('remote');
+      expect(Session.emit).toHaveBeenCalledWith('remoteHold', Session);
+    });
+
+    it('emits remoteUnhold once a stream is received again', function() {
+      Session.localHold = true;
+      Session.updateRemoteHold(['inactive', 'sendonly']);
+      expect(Session.holdState).toBe('both');
+
+      Session.updateRemoteHold(['inactive', 'recvonly']);
+
+      expect(Session.remoteHold).toBe(false);
+      expect(Session.holdState).toBe('local');
+      expect(Session.emit).toHaveBeenCalledWith('remoteUnhold', Session);
+      expect(Session.emit.calls.count()).toBe(2);
+    });
+
+    it('does not emit when the state does not change', function() {
+      Session.updateRemoteHold(['sendrecv']);
+
+      expect(Session.holdState).toBe('none');
+      expect(Session.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('.recoverMedia', function() {
+    beforeEach(function() {
+      jasmine.clock().install();
+      ua.configuration.mediaRecovery = true;
+      Session.status = 12;
+      spyOn(Session, 'emit');
+      spyOn(Session, 'sendReinvite');
+      spyOn(Session, 'sendRequest');
+      spyOn(Session, 'terminated');
+    });
+
+    afterEach(function() {
+      jasmine.clock().uninstall();
+    });
+
+    it('sends a re-INVITE with an ICE restart offer when ICE fails', function() {
+      Session.updateIceConnectionState('failed');
+
+      expect(Session.emit).toHaveBeenCalledWith('mediaRecovering', Session);
+      expect(Session.sendReinvite).toHaveBeenCalled();
+      expect(Session.sendReinvite.calls.mostRecent().args[0].sessionDescriptionHandlerOptions)
+        .toEqual({RTCOfferOptions: {iceRestart: true}});
+    });
+
+    it('retries with back-off then terminates the session', function() {
+      Session.recoverMedia();
+      jasmine.clock().tick(2000);
+      expect(Session.sendReinvite.calls.count()).toBe(2);
+      jasmine.clock().tick(3999);
+      expect(Session.sendReinvite.calls.count()).toBe(2);
+      jasmine.clock().tick(1);
+      expect(Session.sendReinvite.calls.count()).toBe(3);
+
+      jasmine.clock().tick(8000);
+      expect(Session.sendRequest).toHaveBeenCalledWith(SIP.C.BYE);
+      expect(Session.terminated).toHaveBeenCalledWith(undefined, SIP.C.causes.MEDIA_RECOVERY_FAILED);
+    });
+
+    it('stops once ICE connects again', function() {
+      Session.recoverMedia();
+      Session.updateIceConnectionState('connected');
+      jasmine.clock().tick(60000);
+
+      expect(Session.emit).toHaveBeenCalledWith('mediaRecovered', Session);
+      expect(Session.sendReinvite.calls.count()).toBe(1);
+      expect(Session.terminated).not.toHaveBeenCalled();
+    });
+
+    it('gives a disconnection the time to heal by itself', function() {
+      Session.updateIceConnectionState('disconnected');
+      jasmine.clock().tick(1999);
+      expect(Session.sendReinvite).not.toHaveBeenCalled();
+      jasmine.clock().tick(1);
+      expect(Session.sendReinvite).toHaveBeenCalled();
+    });
+
+    it('does nothing unless enabled', function() {
+      ua.configuration.mediaRecovery = false;
+
+      Session.updateIceConnectionState('failed');
+
+      expect(Session.sendReinvite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('.updateStats', function() {
+    var sample = {timestamp: 1000, packetsReceived: 10, packetsLost: 0, bytesReceived: 0, bytesSent: 0, mos: 4.4};
+
+    it('emits stats with the sample', function() {
+      spyOn(Session, 'emit');
+
+      Session.updateStats(sample);
+
+      expect(Session.emit).toHaveBeenCalledWith('stats', sample, Session);
+    });
+
+    it('publishes the quality report to the collector when the session terminates', function() {
+      ua.configuration.qualityReportCollector = 'sip:collector@example.com';
+      spyOn(SIP.CallQuality, 'publish');
+      spyOn(Session, 'close');
+      Session.status = 12;
+      Session.dialog = {id: {callId: 'abc'}, terminate: function() {}};
+      Session.localIdentity = {uri: 'sip:alice@example.com'};
+      Session.remoteIdentity = {uri: 'sip:bob@example.com'};
+
+      Session.updateStats(sample);
+      Session.terminated();
+
+      expect(SIP.CallQuality.publish).toHaveBeenCalledWith(ua, 'sip:collector@example.com', jasmine.objectContaining({
+        callId: 'abc',
+        localId: '<sip:alice@example.com>',
+        remoteId: '<sip:bob@example.com>'
+      }));
+    });
+  });
+
+  describe('.addVideo', function() {
+    beforeEach(function() {
+      Session.status = 12;
+      spyOn(Session, 'sendReinvite');
+      Session.sessionDescriptionHandler = {
+        addVideo: jasmine.createSpy('addVideo').and.returnValue(Promise.resolve()),
+        holdModifier: function() {}
+      };
+    });
+
+    it('attaches the video then sends a re-INVITE', function(done) {
+      Session.addVideo({constraints: {width: 640}, extraHeaders: ['X-Foo: bar']}).then(function() {
+        expect(Session.sessionDescriptionHandler.addVideo).toHaveBeenCalledWith({width: 640});
+        expect(Session.sendReinvite).toHaveBeenCalledWith({extraHeaders: ['X-Foo: bar'], modifiers: []});
+        done();
+      });
+    });
+
+    it('keeps the session on hold', function(done) {
+      Session.localHold = true;
+
+      Session.addVideo().then(function() {
+        expect(Session.sendReinvite.calls.mostRecent().args[0].modifiers)
+          .toEqual([Session.sessionDescriptionHandler.holdModifier]);
+        done();
+      });
+    });
+
+    it('rejects if the SessionDescriptionHandler cannot share the screen', function(done) {
+      Session.shareScreen().catch(function(e) {
+        expect(e.message).toBe('The SessionDescriptionHandler cannot change the media');
+        expect(Session.sendReinvite).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it('rejects if the session is not established', function(done) {
+      Session.status = 0;
+
+      Session.addVideo().catch(function(e) {
+        expect(e.message).toBe('Invalid status: 0');
+        done();
+      });
+    });
   });
 
   describe('.receiveReinviteResponse', function() {
@@ -476,6 +683,281 @@ describe('Session', function() {
     });
   });
 
+  describe('session timers', function() {
+    var parse = function(lines) {
+      return SIP.Parser.parseMessage(lines.concat(['Content-Length: 0', '', '']).join('\r\n'), Session.ua);
+    };
+    var request = function(extraLines) {
+      return parse([
+        'INVITE sip:gled5gsn@hk95bautgaa7.invalid;transport=ws SIP/2.0',
+        'To: <sip:james@onsnip.onsip.com>',
+        'From: "test1" <sip:test1@onsnip.onsip.com>;tag=rto5ib4052',
+        'Call-ID: grj0liun879lfj35evfq',
+        'CSeq: 1798 INVITE',
+        'Contact: <sip:e55r35u3@kgu78r4e1e6j.invalid;transport=ws;ob>'
+      ].concat(extraLines));
+    };
+    var response = function(extraLines) {
+      return parse([
+        'SIP/2.0 200 OK',
+        'To: <sip:james@onsnip.onsip.com>;tag=1ma2ki9411',
+        'From: "test1" <sip:test1@onsnip.onsip.com>;tag=58312p20s2',
+        'Call-ID: upfrf7jpeb3rmc0gnnq1',
+        'CSeq: 9059 UPDATE'
+      ].concat(extraLines));
+    };
+
+    beforeEach(function() {
+      Session.ua = new SIP.UA({uri: 'alice@example.com', autostart: false, sessionTimers: SIP.C.supported.SUPPORTED});
+      Session.initSessionTimer();
+      Session.status = 12;
+      spyOn(Session, 'sendRequest');
+      jasmine.clock().install();
+    });
+
+    afterEach(function() {
+      jasmine.clock().uninstall();
+    });
+
+    it('reads its settings from the UA configuration, overridden by the call options', function() {
+      expect(Session.sessionTimerSettings).toEqual({expires: 1800, minSE: 90, refreshMethod: SIP.C.UPDATE});
+
+      Session.initSessionTimer({sessionExpires: 100, minSessionExpires: 120, sessionRefreshMethod: SIP.C.INVITE});
+      expect(Session.sessionTimerSettings).toEqual({expires: 120, minSE: 120, refreshMethod: SIP.C.INVITE});
+
+      Session.initSessionTimer({sessionExpires: 0});
+      expect(Session.sessionTimerHeaders()).toEqual([]);
+    });
+
+    it('lets a UAC supporting timers refresh the session it requested', function() {
+      var headers = Session.negotiateSessionTimer(request(['Supported: timer', 'Session-Expires: 600', 'Min-SE: 300']));
+
+      expect(headers).toEqual(['Session-Expires: 600;refresher=uac', 'Require: timer']);
+      expect(Session.sessionTimer).toEqual({interval: 600, localRefresher: false});
+    });
+
+    it('refreshes the session itself if the UAC does not support timers', function() {
+      var headers = Session.negotiateSessionTimer(request(['Session-Expires: 4000;refresher=uac']));
+
+      expect(headers).toEqual(['Session-Expires: 1800;refresher=uas']);
+      expect(Session.sessionTimer).toEqual({interval: 1800, localRefresher: true});
+    });
+
+    it('sends an UPDATE half way through the interval when it is the refresher and the peer allows UPDATE', function() {
+      Session.receiveSessionTimerResponse(response(['Session-Expires: 120;refresher=uac', 'Allow: INVITE, ACK, BYE, UPDATE']));
+
+      jasmine.clock().tick(59000);
+      expect(Session.sendRequest).not.toHaveBeenCalled();
+      jasmine.clock().tick(1000);
+      expect(Session.sendRequest.calls.mostRecent().args[0]).toBe(SIP.C.UPDATE);
+      expect(Session.sendRequest.calls.mostRecent().args[1].extraHeaders).toContain('Session-Expires: 120;refresher=uac');
+    });
+
+    it('refreshes with a re-INVITE if the peer does not allow UPDATE', function() {
+      spyOn(Session, 'sendReinvite');
+      Session.receiveSessionTimerResponse(response(['Session-Expires: 120;refresher=uac', 'Allow: INVITE, ACK, BYE']));
+
+      jasmine.clock().tick(60000);
+      expect(Session.sendReinvite).toHaveBeenCalled();
+      expect(Session.sendRequest).not.toHaveBeenCalled();
+    });
+
+    it('does not run a timer if the 2xx has no Session-Expires', function() {
+      Session.receiveSessionTimerResponse(response([]));
+
+      expect(Session.sessionTimer).toBeUndefined();
+    });
+
+    it('sends a BYE when the session is not refreshed by the peer', function() {
+      spyOn(Session, 'terminated');
+      Session.receiveSessionTimerResponse(response(['Session-Expires: 90;refresher=uas']));
+
+      jasmine.clock().tick(59000);
+      expect(Session.terminated).not.toHaveBeenCalled();
+      jasmine.clock().tick(1000);
+      expect(Session.sendRequest).toHaveBeenCalledWith(SIP.C.BYE);
+      expect(Session.terminated).toHaveBeenCalledWith(undefined, SIP.C.causes.SESSION_EXPIRED);
+    });
+
+    it('retries with the Min-SE of a 422 response', function() {
+      var retry = jasmine.createSpy('retry');
+      var tooSmall = response(['Min-SE: 2400']);
+      tooSmall.statusCode = 422;
+
+      expect(Session.receiveSessionRefreshFailure(tooSmall, retry)).toBe(true);
+      expect(retry).toHaveBeenCalled();
+      expect(Session.sessionTimerHeaders()).toEqual(['Session-Expires: 2400', 'Min-SE: 2400']);
+
+      retry.calls.reset();
+      expect(Session.receiveSessionRefreshFailure(tooSmall, retry)).toBe(false);
+      expect(retry).not.toHaveBeenCalled();
+    });
+
+    it('ends the session when a refresh gets a 481', function() {
+      spyOn(Session, 'terminated');
+      Session.receiveSessionTimerResponse(response(['Session-Expires: 120;refresher=uac']));
+      var failure = response([]);
+      failure.statusCode = 481;
+
+      expect(Session.receiveSessionRefreshFailure(failure, function() {})).toBe(true);
+      expect(Session.sendRequest).toHaveBeenCalledWith(SIP.C.BYE);
+      expect(Session.terminated).toHaveBeenCalledWith(failure, SIP.C.causes.SESSION_REFRESH_FAILED);
+    });
+  });
+
+  describe('UPDATE', function() {
+    var update = function(extraLines, body) {
+      var request = SIP.Parser.parseMessage([
+        'UPDATE sip:gled5gsn@hk95bautgaa7.invalid;transport=ws SIP/2.0',
+        'To: <sip:james@onsnip.onsip.com>;tag=1ma2ki9411',
+        'From: "test1" <sip:test1@onsnip.onsip.com>;tag=rto5ib4052',
+        'Call-ID: grj0liun879lfj35evfq',
+        'CSeq: 1799 UPDATE',
+        'Contact: <sip:e55r35u3@kgu78r4e1e6j.invalid;transport=ws;ob>'
+      ].concat(extraLines, ['Content-Length: ' + (body || '').length, '', body || '']).join('\r\n'), Session.ua);
+      spyOn(request, 'reply');
+      return request;
+    };
+
+    beforeEach(function() {
+      Session.status = 12;
+      Session.contact = '<sip:alice@example.com>';
+      Session.hasOffer = true;
+      Session.hasAnswer = true;
+      Session.sessionDescriptionHandler = {
+        getDescription: jasmine.createSpy('getDescription').and.returnValue(Promise.resolve('answer')),
+        hasDescription: function(contentType) {
+          return contentType === 'application/sdp';
+        },
+        setDescription: jasmine.createSpy('setDescription').and.returnValue(Promise.resolve())
+      };
+      spyOn(Session, 'emit');
+    });
+
+    it('accepts an UPDATE without a body', function() {
+      var request = update([]);
+
+      Session.receiveRequest(request);
+
+      expect(request.reply.calls.mostRecent().args[0]).toBe(200);
+      expect(request.reply.calls.mostRecent().args[2]).toEqual(['Contact: <sip:alice@example.com>']);
+      expect(Session.sessionDescriptionHandler.setDescription).not.toHaveBeenCalled();
+    });
+
+    it('answers the offer of an UPDATE in the 200', function(done) {
+      var request = update(['Content-Type: application/sdp'], 'a=sendrecv');
+
+      Session.receiveRequest(request);
+
+      expect(Session.emit).toHaveBeenCalledWith('updateReceived', Session, request);
+      expect(Session.sessionDescriptionHandler.setDescription.calls.mostRecent().args[0]).toBe('a=sendrecv');
+      setTimeout(function() {
+        expect(request.reply.calls.mostRecent().args[0]).toBe(200);
+        expect(request.reply.calls.mostRecent().args[3]).toBe('answer');
+        done();
+      });
+    });
+
+    it('replies 491 to an offer received while its own offer is pending', function() {
+      var request = update(['Content-Type: application/sdp'], 'a=sendrecv');
+      Session.pendingUpdate = true;
+
+      Session.receiveRequest(request);
+
+      expect(request.reply).toHaveBeenCalledWith(491);
+      expect(Session.sessionDescriptionHandler.setDescription).not.toHaveBeenCalled();
+    });
+
+    it('replies 491 to a re-INVITE received while an UPDATE is pending', function() {
+      spyOn(message, 'reply');
+      Session.pendingUpdate = true;
+
+      Session.receiveReinvite(message);
+
+      expect(message.reply).toHaveBeenCalledWith(491);
+    });
+
+    it('replies 500 with Retry-After to an offer received before the INVITE offer is answered', function() {
+      var request = update(['Content-Type: application/sdp'], 'a=sendrecv');
+      Session.hasAnswer = false;
+
+      Session.receiveRequest(request);
+
+      expect(request.reply.calls.mostRecent().args[0]).toBe(500);
+      expect(request.reply.calls.mostRecent().args[2][0]).toMatch(/^Retry-After: \d+$/);
+    });
+
+    it('throws an error if the session is in the incorrect state', function() {
+      Session.status = 0;
+
+      expect(function(){Session.update()}).toThrowError('Invalid status: 0');
+    });
+
+    it('sends an offer and sends it again after a 491', function(done) {
+      Session.dialog = new SIP.Dialog(Session, message, 'UAS');
+      spyOn(Session, 'sendRequest');
+      jasmine.clock().install();
+
+      Session.update();
+
+      Promise.resolve().then(function() {
+        var options = Session.sendRequest.calls.mostRecent().args[1];
+        expect(Session.sendRequest.calls.mostRecent().args[0]).toBe(SIP.C.UPDATE);
+        expect(options.body).toBe('answer');
+        expect(options.extraHeaders).toContain('Contact: <sip:alice@example.com>');
+
+        Session.sendRequest.calls.reset();
+        options.receiveResponse({statusCode: 491});
+        expect(Session.pendingUpdate).toBe(false);
+        jasmine.clock().tick(2000);
+      }).then(function() {
+        expect(Session.sendRequest.calls.count()).toBe(1);
+        jasmine.clock().uninstall();
+        done();
+      });
+    });
+
+    it('emits updateFailed instead of rejecting when the offer cannot be created', function(done) {
+      Session.dialog = new SIP.Dialog(Session, message, 'UAS');
+      spyOn(Session, 'sendRequest');
+      var error = new SIP.Exceptions.RenegotiationError('no offer');
+      Session.sessionDescriptionHandler.getDescription.and.returnValue(Promise.reject(error));
+
+      Session.update();
+
+      setTimeout(function() {
+        expect(Session.sendRequest).not.toHaveBeenCalled();
+        expect(Session.pendingUpdate).toBe(false);
+        expect(Session.emit).toHaveBeenCalledWith('updateFailed', Session);
+        expect(Session.emit).toHaveBeenCalledWith('renegotiationError', error);
+        done();
+      });
+    });
+
+    it('sets the answer of a 2xx to its UPDATE', function(done) {
+      var response = SIP.Parser.parseMessage([
+        'SIP/2.0 200 OK',
+        'To: <sip:james@onsnip.onsip.com>;tag=1ma2ki9411',
+        'From: "test1" <sip:test1@onsnip.onsip.com>;tag=rto5ib4052',
+        'Call-ID: grj0liun879lfj35evfq',
+        'CSeq: 1799 UPDATE',
+        'Content-Type: application/sdp',
+        'Content-Length: 10',
+        '',
+        'a=sendonly'].join('\r\n'), Session.ua);
+      Session.pendingUpdate = true;
+
+      Session.receiveUpdateResponse(response);
+
+      expect(Session.pendingUpdate).toBe(false);
+      expect(Session.sessionDescriptionHandler.setDescription.calls.mostRecent().args[0]).toBe('a=sendonly');
+      setTimeout(function() {
+        expect(Session.emit).toHaveBeenCalledWith('updateAccepted', Session);
+        done();
+      });
+    });
+  });
+
   describe('.acceptAndTerminate', function() {
     beforeEach(function() {
       Session.dialog = new SIP.Dialog(Session, message, 'UAC');
@@ -623,7 +1105,7 @@ describe('Session', function() {
     it('emits and returns Session', function() {
       spyOn(Session, 'emit').and.callThrough();
       expect(Session.failed()).toBe(Session);
-      expect(Session.emit).toHaveBeenCalledWith('failed', undefined, undefined);
+      expect(Session.emit).toHaveBeenCalledWith('failed', undefined, undefined, []);
     });
   });
 
@@ -631,7 +1113,7 @@ describe('Session', function() {
     it('emits and returns Session', function() {
       spyOn(Session, 'emit').and.callThrough();
       expect(Session.rejected()).toBe(Session);
-      expect(Session.emit).toHaveBeenCalledWith('rejected', undefined, undefined);
+      expect(Session.emit).toHaveBeenCalledWith('rejected', undefined, undefined, []);
     });
   });
 
@@ -1495,6 +1977,64 @@ describe('InviteServerContext', function() {
       });
     });
   });
+
+  describe('call detail record', function() {
+    var cdr;
+
+    beforeEach(function() {
+      ua.on('cdr', function(record) { cdr = record; });
+    });
+
+    it('records a rejected call', function() {
+      InviteServerContext.reject({statusCode: 486});
+
+      expect(cdr.direction).toBe('incoming');
+      expect(cdr.callId).toBe('grj0liun879lfj35evfq');
+      expect(cdr.remoteIdentity).toBe('"test1" <sip:test1@onsnip.onsip.com>');
+      expect(cdr.ringingTime).toBeDefined();
+      expect(cdr.answerTime).toBeUndefined();
+      expect(cdr.statusCode).toBe(486);
+      expect(cdr.hangupBy).toBe('local');
+      expect(cdr.talkTime).toBe(0);
+    });
+
+    it('records the Reason of the BYE ending an answered call', function() {
+      var bye = SIP.Parser.parseMessage([
+        'BYE sip:gled5gsn@hk95bautgaa7.invalid;transport=ws SIP/2.0',
+        'To: <sip:james@onsnip.onsip.com>',
+        'From: "test1" <sip:test1@onsnip.onsip.com>;tag=rto5ib4052',
+        'Call-ID: grj0liun879lfj35evfq',
+        'CSeq: 1799 BYE',
+        'Reason: SIP;cause=200;text="Call completed elsewhere"',
+        'Content-Length: 0',
+        '',
+        ''].join('\r\n'), ua);
+      spyOn(bye, 'reply');
+      InviteServerContext.status = 12;
+      InviteServerContext.accepted();
+      InviteServerContext.recordInviteResponse(200);
+
+      InviteServerContext.receiveRequest(bye);
+
+      expect(cdr.statusCode).toBe(200);
+      expect(cdr.answerTime).toBe(InviteServerContext.startTime);
+      expect(cdr.endTime).toBe(InviteServerContext.endTime);
+      expect(cdr.reason).toBe('SIP;cause=200;text="Call completed elsewhere"');
+      expect(cdr.hangupBy).toBe('remote');
+      expect(cdr.cause).toBe(SIP.C.BYE);
+    });
+
+    it('emits the parsed reasons with terminated', function() {
+      var reasons;
+      InviteServerContext.on('terminated', function(message, cause, parsed) { reasons = parsed; });
+
+      InviteServerContext.reject({statusCode: 603, reason: {protocol: 'Q.850', cause: 21}});
+
+      expect(request.reply.calls.mostRecent().args[2]).toContain('Reason: Q.850;cause=21');
+      expect(reasons).toEqual([{protocol: 'Q.850', cause: 21, params: {}}]);
+      expect(cdr.reason).toBe('Q.850;cause=21');
+    });
+  });
 });
 
 describe('InviteClientContext', function() {
@@ -1505,7 +2045,7 @@ describe('InviteClientContext', function() {
 
   beforeEach(function(){
     target = 'bob@example.com';
-    ua = new SIP.UA({uri: 'alice@example.com', wsServers: 'ws:server.example.com',
+    ua = new SIP.UA({uri: 'alice@example.com', wsServers: 'ws:server.example.com', register: false,
       sessionDescriptionHandlerFactory: function() {
         return {
           getDescription: function () { return Promise.resolve('foo'); },
@@ -1540,6 +2080,16 @@ describe('InviteClientContext', function() {
     expect(function() {new SIP.InviteClientContext(ua, target);}).toThrowError('Invalid target: bob@example.com');
   });
 
+  it('calls tel URIs following the tel URI mapping of the UA', function() {
+    var ICC = new SIP.InviteClientContext(ua, 'tel:+1-201-555-0123');
+    expect(ICC.request.ruri.toString()).toBe('sip:+12015550123@example.com');
+
+    ua.configuration.telURIMapping = 'tel';
+    ICC = new SIP.InviteClientContext(ua, 'tel:+1-201-555-0123');
+    expect(ICC.request.ruri.toString()).toBe('tel:+12015550123');
+    expect(ICC.request.getHeader('To')).toBe('<tel:+1-201-555-0123>');
+  });
+
   it('sets several parameters at the end of the constructor', function() {
     expect(InviteClientContext.fromTag).toBeDefined();
 
@@ -1571,6 +2121,287 @@ describe('InviteClientContext', function() {
 
   });
 
+  describe('with session timers', function() {
+    beforeEach(function() {
+      ua = new SIP.UA({uri: 'alice@example.com', wsServers: 'ws:server.example.com', autostart: false,
+        sessionTimers: SIP.C.supported.SUPPORTED,
+        sessionDescriptionHandlerFactory: ua.configuration.sessionDescriptionHandlerFactory
+      });
+      ua.transport = jasmine.createSpyObj('transport', ['send', 'connect', 'disconnect', 'reConnect', 'server', 'on', 'removeListener']);
+      ua.transport.server.scheme = 'wss';
+    });
+
+    it('adds Session-Expires and Min-SE to the INVITE', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {sessionExpires: 600});
+
+      expect(ICC.request.getHeader('Session-Expires')).toBe('600');
+      expect(ICC.request.getHeader('Min-SE')).toBe('90');
+      expect(ICC.request.toString()).toMatch(/Supported: .*timer/);
+    });
+
+    it('sends the INVITE again after a 422 with a larger Min-SE', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {sessionExpires: 600});
+      var cseq = ICC.request.cseq;
+      spyOn(ICC, 'send');
+      spyOn(ICC, 'failed');
+
+      var response = SIP.Parser.parseMessage([
+        'SIP/2.0 422 Session Interval Too Small',
+        'To: <sip:bob@example.com>;tag=1ma2ki9411',
+        'From: <sip:alice@example.com>;tag=' + ICC.fromTag,
+        'Call-ID: ' + ICC.request.callId,
+        'CSeq: ' + cseq + ' INVITE',
+        'Min-SE: 1000',
+        'Content-Length: 0',
+        '',
+        ''].join('\r\n'), ua);
+
+      ICC.receiveInviteResponse(response);
+
+      expect(ICC.send).toHaveBeenCalled();
+      expect(ICC.failed).not.toHaveBeenCalled();
+      expect(ICC.request.cseq).toBe(cseq + 1);
+      expect(ICC.request.getHeader('Session-Expires')).toBe('1000');
+      expect(ICC.request.getHeader('Min-SE')).toBe('1000');
+    });
+
+    it('records the 200 answering the INVITE sent again after a 422 in the call detail record', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {sessionExpires: 600});
+      var cdr;
+      ua.on('cdr', function(record) { cdr = record; });
+      spyOn(ICC, 'send');
+
+      function response(statusLine, extraHeaders) {
+        return SIP.Parser.parseMessage([
+          statusLine,
+          'To: <sip:bob@example.com>;tag=1ma2ki9411',
+          'From: <sip:alice@example.com>;tag=' + ICC.fromTag,
+          'Call-ID: ' + ICC.request.callId,
+          'CSeq: ' + ICC.request.cseq + ' INVITE'
+        ].concat(extraHeaders, [
+          'Content-Length: 0',
+          '',
+          ''
+        ]).join('\r\n'), ua);
+      }
+
+      ICC.receiveInviteResponse(response('SIP/2.0 422 Session Interval Too Small', ['Min-SE: 1000']));
+      var ok = response('SIP/2.0 200 OK', ['Session-Expires: 1000;refresher=uac']);
+      ok.transaction = jasmine.createSpyObj('transaction', ['sendACK']);
+      ICC.hasOffer = true;
+      ICC.hasAnswer = true;
+      ICC.receiveInviteResponse(ok);
+      ICC.terminated();
+
+      expect(ok.transaction.sendACK).toHaveBeenCalled();
+      expect(cdr.statusCode).toBe(200);
+    });
+  });
+
+  describe('redirects', function() {
+    function redirect(ICC, code, contacts) {
+      return SIP.Parser.parseMessage([
+        'SIP/2.0 ' + code + ' Redirected',
+        'To: <sip:bob@example.com>;tag=3xx' + code,
+        'From: <sip:alice@example.com>;tag=' + ICC.fromTag,
+        'Call-ID: ' + ICC.request.callId,
+        'CSeq: ' + ICC.request.cseq + ' INVITE'
+      ].concat(contacts.map(function(contact) { return 'Contact: ' + contact; }), [
+        'Content-Length: 0',
+        '',
+        ''
+      ]).join('\r\n'), ua);
+    }
+
+    it('ends the call on a 3xx unless followRedirects is set', function() {
+      spyOn(InviteClientContext, 'send');
+      spyOn(InviteClientContext, 'failed');
+
+      InviteClientContext.receiveInviteResponse(redirect(InviteClientContext, 302, ['<sip:carol@example.com>']));
+
+      expect(InviteClientContext.send).not.toHaveBeenCalled();
+      expect(InviteClientContext.failed).toHaveBeenCalledWith(jasmine.anything(), SIP.C.causes.REDIRECTED);
+    });
+
+    it('sends the INVITE to the Contact targets by decreasing q-value', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {followRedirects: true});
+      var cseq = ICC.request.cseq;
+      var redirected = jasmine.createSpy('redirected');
+      ICC.on('redirected', redirected);
+      spyOn(ICC, 'send');
+      spyOn(ICC, 'failed');
+
+      ICC.receiveInviteResponse(redirect(ICC, 302,
+        ['<sip:carol@example.com>;q=0.5', '<sip:dave@example.com>;q=0.9, <sip:erin@example.com>']));
+
+      expect(ICC.send).toHaveBeenCalled();
+      expect(ICC.failed).not.toHaveBeenCalled();
+      expect(ICC.request.ruri.toString()).toBe('sip:erin@example.com');
+      expect(ICC.request.cseq).toBe(cseq + 1);
+      expect(ICC.request.getHeader('cseq')).toBe((cseq + 1) + ' INVITE');
+      expect(ICC.request.getHeader('to')).toBe('<sip:bob@example.com>');
+      expect(redirected).toHaveBeenCalledWith(jasmine.anything(), ICC.request.ruri);
+
+      // The next target is tried when the redirected INVITE fails
+      ICC.receiveInviteResponse(redirect(ICC, 486, []));
+      expect(ICC.request.ruri.toString()).toBe('sip:dave@example.com');
+      ICC.receiveInviteResponse(redirect(ICC, 486, []));
+      expect(ICC.request.ruri.toString()).toBe('sip:carol@example.com');
+      expect(ICC.failed).not.toHaveBeenCalled();
+
+      ICC.receiveInviteResponse(redirect(ICC, 486, []));
+      expect(ICC.send.calls.count()).toBe(3);
+      expect(ICC.failed).toHaveBeenCalledWith(jasmine.anything(), SIP.C.causes.BUSY);
+    });
+
+    it('does not try a target twice', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {followRedirects: true});
+      spyOn(ICC, 'send');
+      spyOn(ICC, 'failed');
+
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:carol@example.com>']));
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:bob@example.com>', '<sip:carol@example.com>']));
+
+      expect(ICC.send.calls.count()).toBe(1);
+      expect(ICC.failed).toHaveBeenCalledWith(jasmine.anything(), SIP.C.causes.REDIRECTED);
+    });
+
+    it('stops after maxRedirects redirected INVITEs', function() {
+      var ICC = new SIP.InviteClientContext(ua, target, {followRedirects: true, maxRedirects: 2});
+      spyOn(ICC, 'send');
+      spyOn(ICC, 'failed');
+
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:carol@example.com>']));
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:dave@example.com>']));
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:erin@example.com>']));
+
+      expect(ICC.send.calls.count()).toBe(2);
+      expect(ICC.request.ruri.toString()).toBe('sip:dave@example.com');
+      expect(ICC.failed).toHaveBeenCalledWith(jasmine.anything(), SIP.C.causes.REDIRECTED);
+    });
+
+    it('lets onRedirect skip or rewrite the targets', function() {
+      var onRedirect = jasmine.createSpy('onRedirect').and.callFake(function(uri) {
+        return uri.user === 'carol' ? false : 'sip:' + uri.user + '@gateway.example.com';
+      });
+      var ICC = new SIP.InviteClientContext(ua, target, {followRedirects: true, onRedirect: onRedirect});
+      spyOn(ICC, 'send');
+
+      var response = redirect(ICC, 301, ['<sip:carol@example.com>', '<sip:dave@example.com>;q=0.1']);
+      ICC.receiveInviteResponse(response);
+
+      expect(onRedirect.calls.count()).toBe(2);
+      expect(onRedirect.calls.argsFor(0)[1]).toBe(response);
+      expect(ICC.send.calls.count()).toBe(1);
+      expect(ICC.request.ruri.toString()).toBe('sip:dave@gateway.example.com');
+    });
+
+    it('refuses the targets for which onRedirect throws', function() {
+      var onRedirect = jasmine.createSpy('onRedirect').and.callFake(function(uri) {
+        if (uri.user === 'carol') {
+          throw new Error('no route to carol');
+        }
+      });
+      var ICC = new SIP.InviteClientContext(ua, target, {followRedirects: true, onRedirect: onRedirect});
+      spyOn(ICC, 'send');
+      spyOn(ICC, 'failed');
+
+      ICC.receiveInviteResponse(redirect(ICC, 302, ['<sip:carol@example.com>', '<sip:dave@example.com>;q=0.1']));
+
+      expect(ICC.send.calls.count()).toBe(1);
+      expect(ICC.request.ruri.toString()).toBe('sip:dave@example.com');
+
+      ICC.receiveInviteResponse(redirect(ICC, 486, []));
+      expect(ICC.send.calls.count()).toBe(1);
+      expect(ICC.failed).toHaveBeenCalled();
+    });
+  });
+
+  describe('forks', function() {
+    var ICC;
+
+    function provisional(code, tag, headers, body) {
+      return SIP.Parser.parseMessage([
+        'SIP/2.0 ' + code + ' Ringing',
+        'To: <sip:bob@example.com>;tag=' + tag,
+        'From: <sip:alice@example.com>;tag=' + ICC.fromTag,
+        'Call-ID: ' + ICC.request.callId,
+        'CSeq: ' + ICC.request.cseq + ' INVITE',
+        'Contact: <sip:' + tag + '@example.net>'
+      ].concat(headers, body ? ['Content-Type: application/sdp'] : [], [
+        'Content-Length: ' + (body ? body.length : 0),
+        '',
+        body || ''
+      ]).join('\r\n'), ua);
+    }
+
+    beforeEach(function() {
+      ICC = new SIP.InviteClientContext(ua, target, {autoEarlyMedia: false});
+      ICC.sessionDescriptionHandler = ua.configuration.sessionDescriptionHandlerFactory();
+      spyOn(SIP.Dialog.prototype, 'sendRequest');
+    });
+
+    it('emits fork for each remote tag and forkEarlyMedia for their session descriptions', function() {
+      var fork = jasmine.createSpy('fork');
+      var forkEarlyMedia = jasmine.createSpy('forkEarlyMedia');
+      ICC.on('fork', fork);
+      ICC.on('forkEarlyMedia', forkEarlyMedia);
+
+      ICC.receiveInviteResponse(provisional(180, 'fork1', ['P-Asserted-Identity: <sip:bob@desk.example.com>']));
+      ICC.receiveInviteResponse(provisional(183, 'fork2', [], 'a=sendrecv'));
+      ICC.receiveInviteResponse(provisional(183, 'fork1', [], 'a=recvonly'));
+
+      expect(fork.calls.count()).toBe(2);
+      var fork1 = ICC.forks[ICC.request.callId + ICC.fromTag + 'fork1'];
+      expect(fork.calls.argsFor(0)[0]).toBe(fork1);
+      expect(fork1.remoteIdentity.uri.toString()).toBe('sip:bob@example.com');
+      expect(fork1.assertedIdentity.uri.toString()).toBe('sip:bob@desk.example.com');
+      expect(fork1.state).toBe('early');
+      expect(fork1.earlyMedia).toEqual({body: 'a=recvonly', contentType: 'application/sdp'});
+
+      expect(forkEarlyMedia.calls.count()).toBe(2);
+      expect(forkEarlyMedia.calls.argsFor(0)[0].id).toBe(ICC.request.callId + ICC.fromTag + 'fork2');
+    });
+
+    it('ends the early dialog of a fork on a 199', function() {
+      var forkTerminated = jasmine.createSpy('forkTerminated');
+      ICC.on('forkTerminated', forkTerminated);
+      spyOn(ICC, 'failed');
+      var id = ICC.request.callId + ICC.fromTag + 'fork1';
+
+      ICC.receiveInviteResponse(provisional(180, 'fork1', []));
+      expect(ICC.earlyDialogs[id]).toBeDefined();
+
+      ICC.receiveInviteResponse(provisional(199, 'fork1', []));
+
+      expect(ICC.earlyDialogs[id]).toBeUndefined();
+      expect(ICC.forks[id].state).toBe('terminated');
+      expect(forkTerminated).toHaveBeenCalledWith(ICC.forks[id], jasmine.anything());
+      expect(ICC.failed).not.toHaveBeenCalled();
+    });
+
+    it('renders the early media of the fork picked with selectEarlyMedia', function(done) {
+      spyOn(ICC.sessionDescriptionHandler, 'setDescription').and.callThrough();
+      var id = ICC.request.callId + ICC.fromTag + 'fork2';
+
+      ICC.receiveInviteResponse(provisional(183, 'fork1', ['Require: 100rel', 'RSeq: 1'], 'a=fork1'));
+      ICC.receiveInviteResponse(provisional(183, 'fork2', [], 'a=fork2'));
+
+      expect(SIP.Dialog.prototype.sendRequest.calls.argsFor(0)[1]).toBe(SIP.C.PRACK);
+      expect(ICC.sessionDescriptionHandler.setDescription).not.toHaveBeenCalled();
+
+      ICC.on('progress', function() {
+        expect(ICC.status).toBe(SIP.Session.C.STATUS_EARLY_MEDIA);
+        done();
+      });
+      ICC.selectEarlyMedia(id);
+
+      expect(ICC.sessionDescriptionHandler.setDescription.calls.argsFor(0)[0]).toBe('a=fork2');
+      expect(ICC.dialog.id.toString()).toBe(id);
+      expect(function() { ICC.selectEarlyMedia(id); }).toThrow();
+    });
+  });
+
   describe('.invite', function() {
 
     it('sets ua.sessions', function() {
@@ -1657,12 +2488,22 @@ describe('InviteClientContext', function() {
       expect(InviteClientContext.dialog).toBeDefined();
 
       InviteClientContext.status = 12;
+      ua.transport.send.and.returnValue(Promise.resolve());
+      spyOn(InviteClientContext, 'failed');
 
       InviteClientContext.receiveInviteResponse(resp);
 
-      expect(InviteClientContext.earlyDialogs[resp.callId+resp.fromTag+resp.toTag]).toBeDefined();
-      expect(resp.transaction.sendACK).toHaveBeenCalled();
-      expect(InviteClientContext.earlyDialogs[resp.callId+resp.fromTag+resp.toTag].sendRequest).toHaveBeenCalledWith(InviteClientContext, SIP.C.BYE);
+      expect(InviteClientContext.earlyDialogs[resp.callId+resp.fromTag+resp.toTag]).toBeUndefined();
+      expect(ua.dialogs[resp.callId+resp.fromTag+resp.toTag]).toBeUndefined();
+      expect(resp.transaction.sendACK).toHaveBeenCalledWith({});
+      expect(ua.transport.send.calls.mostRecent().args[0].method).toBe(SIP.C.BYE);
+      expect(ua.transport.send.calls.mostRecent().args[0].callId).toBe(resp.callId);
+      expect(InviteClientContext.failed).not.toHaveBeenCalled();
+
+      // A retransmission is only acknowledged
+      InviteClientContext.receiveInviteResponse(resp);
+      expect(resp.transaction.sendACK.calls.count()).toBe(2);
+      expect(ua.transport.send.calls.count()).toBe(1);
     });
 
     it('emits failed if the branch on which early media was established is not the branch that picks up first (invite w/ sdp case)', function() {
@@ -1691,10 +2532,15 @@ describe('InviteClientContext', function() {
       InviteClientContext.createDialog(response, 'UAC', false);
       expect(InviteClientContext.dialog).toBeDefined();
 
+      ua.transport.send.and.returnValue(Promise.resolve());
       spyOn(InviteClientContext, 'failed');
 
       InviteClientContext.receiveInviteResponse(resp);
 
+      // The answered fork is ACKed and hung up, the session fails as its media is on the early one
+      expect(resp.transaction.sendACK).toHaveBeenCalledWith({});
+      expect(ua.transport.send.calls.mostRecent().args[0].method).toBe(SIP.C.BYE);
+      expect(ua.transport.send.calls.mostRecent().args[0].callId).toBe(resp.callId);
       expect(InviteClientContext.failed).toHaveBeenCalledWith(resp, SIP.C.causes.WEBRTC_ERROR);
     });
 
@@ -1711,8 +2557,8 @@ describe('InviteClientContext', function() {
       expect(response.transaction.sendACK).toHaveBeenCalled();
     });
 
-    it('PRACKS any non 200 response that are not retransmissions when it already chose a dialog', function() {
-            InviteClientContext.dialog = { terminate: function() {}, pracked: [] };
+    it('PRACKS any reliable non 200 response that are not retransmissions when it already chose a dialog', function() {
+            InviteClientContext.dialog = { terminate: function() {}, pracked: [], id: { toString: function() { return 'other'; } } };
       resp = SIP.Parser.parseMessage([
         'SIP/2.0 183 Session In Progress',
         'To: <sip:james@onsnip.onsip.com>;tag=1ma2ki9411',
@@ -1720,6 +2566,7 @@ describe('InviteClientContext', function() {
         'Call-ID: aaaaaaaaaaaaaa',
         'CSeq: 9059 INVITE',
         'RSeq: 9060',
+        'Require: 100rel',
         'Contact: <sip:gusgt9j8@vk3dj582vbu9.invalid;transport=ws>',
         'Contact: <sip:gusgt9j8@vk3dj582vbu9.invalid;transport=ws>',
         'Supported: outbound',
@@ -1937,6 +2784,86 @@ describe('InviteClientContext', function() {
 
         InviteClientContext.receiveInviteResponse(resp);
       });
+
+      describe('reliably (100rel)', function() {
+        var reliable = function(toTag, rseq, body) {
+          return SIP.Parser.parseMessage([
+            'SIP/2.0 183 Session Progress',
+            'To: <sip:james@onsnip.onsip.com>;tag=' + toTag,
+            'From: "test1" <sip:test1@onsnip.onsip.com>;tag=58312p20s2',
+            'Call-ID: aaaaaaaaaaaaaa',
+            'CSeq: 9059 INVITE',
+            'RSeq: ' + rseq,
+            'Require: 100rel',
+            'Contact: <sip:gusgt9j8@vk3dj582vbu9.invalid;transport=ws>'
+          ].concat(body ?
+            ['Content-Type: application/sdp', 'Content-Length: ' + body.length, '', body] :
+            ['Content-Length: 0', '', '']).join('\r\n'), ua);
+        };
+        var pracks = function() {
+          return SIP.Dialog.prototype.sendRequest.calls.all().filter(function(call) {
+            return call.args[1] === SIP.C.PRACK;
+          });
+        };
+
+        it('PRACKs the responses of each early dialog in RSeq order', function() {
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 10));
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 10));
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 12));
+          InviteClientContext.receiveInviteResponse(reliable('fork2', 500));
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 11));
+
+          expect(pracks().map(function(call) { return call.args[2].extraHeaders[0]; })).toEqual([
+            'RAck: 10 9059 INVITE',
+            'RAck: 500 9059 INVITE',
+            'RAck: 11 9059 INVITE'
+          ]);
+          expect(pracks()[1].object.id.remoteTag).toBe('fork2');
+        });
+
+        it('sets the answer with the session description handler of the INVITE offer', function(done) {
+          var sessionDescriptionHandler = jasmine.createSpyObj('sdh', ['setDescription', 'hasDescription', 'close']);
+          sessionDescriptionHandler.setDescription.and.returnValue(Promise.resolve());
+          sessionDescriptionHandler.hasDescription.and.returnValue(true);
+          InviteClientContext.sessionDescriptionHandler = sessionDescriptionHandler;
+          InviteClientContext.hasOffer = true;
+
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 10, 'a=sendrecv'));
+
+          expect(InviteClientContext.sessionDescriptionHandler).toBe(sessionDescriptionHandler);
+          expect(sessionDescriptionHandler.setDescription.calls.mostRecent().args[0]).toBe('a=sendrecv');
+          setTimeout(function() {
+            expect(pracks().length).toBe(1);
+            expect(pracks()[0].args[2].body).toBeUndefined();
+            expect(InviteClientContext.status).toBe(SIP.Session.C.STATUS_EARLY_MEDIA);
+            done();
+          });
+        });
+
+        it('sends the answer in the PRACK when the response carries the offer', function(done) {
+          InviteClientContext = new SIP.InviteClientContext(ua, target, {inviteWithoutSdp: true});
+
+          InviteClientContext.receiveInviteResponse(reliable('fork1', 10, 'a=sendrecv'));
+
+          setTimeout(function() {
+            expect(pracks().length).toBe(1);
+            expect(pracks()[0].args[2].body).toBe('foo');
+            expect(InviteClientContext.earlyDialogs['aaaaaaaaaaaaaa58312p20s2fork1'].sessionDescriptionHandler).toBeDefined();
+            expect(InviteClientContext.status).toBe(SIP.Session.C.STATUS_EARLY_MEDIA);
+            done();
+          });
+        });
+
+        it('does not PRACK an unreliable response once early media is set up', function() {
+          InviteClientContext.createDialog(reliable('fork1', 10), 'UAC');
+          var unreliable = reliable('fork1', 11);
+          delete unreliable.headers.Require;
+
+          InviteClientContext.receiveInviteResponse(unreliable);
+
+          expect(pracks().length).toBe(0);
+        });
+      });
     });
 
     describe('the response status code is 2xx', function() {
@@ -2083,6 +3010,27 @@ describe('InviteClientContext', function() {
       expect(InviteClientContext.failed).toHaveBeenCalled();
       expect(InviteClientContext.rejected).toHaveBeenCalled();
     });
+
+    it('emits a call detail record with the ringing time when the call is rejected', function() {
+      var cdr;
+      ua.on('cdr', function(record) { cdr = record; });
+      InviteClientContext.inviteTime = new Date(Date.now() - 1000);
+
+      response.statusCode = 180;
+      InviteClientContext.receiveInviteResponse(response);
+      response.statusCode = 486;
+      response.setHeader('Reason', 'Q.850;cause=17');
+      InviteClientContext.receiveInviteResponse(response);
+
+      expect(cdr.direction).toBe('outgoing');
+      expect(cdr.callId).toBe(InviteClientContext.request.callId);
+      expect(cdr.ringingTime).toBe(cdr.provisionalTime);
+      expect(cdr.postDialDelay).not.toBeLessThan(1000);
+      expect(cdr.statusCode).toBe(486);
+      expect(cdr.reason).toBe('Q.850;cause=17');
+      expect(cdr.hangupBy).toBe('remote');
+      expect(cdr.talkTime).toBe(0);
+    });
   });
 
   describe('.cancel', function() {
@@ -754,3 +754,211 @@ describe('Subscription', function() {
     });
   });
 });
+
+describe('SubscriptionServerContext', function() {
+  var SubscriptionServerContext;
+  var ua;
+  var request;
+
+  function subscribe(extraHeaders) {
+    var message = SIP.Parser.parseMessage([
+      'SUBSCRIBE sip:james@onsnip.onsip.com SIP/2.0',
+      'Via: SIP/2.0/WSS 199.7.175.182:443;branch=z9hG4bK' + SIP.Utils.createRandomToken(12) + ';rport',
+      'To: <sip:james@onsnip.onsip.com>',
+      'From: <sip:alice@example.com>;tag=2b2fcef4d8',
+      'CSeq: 1 SUBSCRIBE',
+      'Call-ID: 8fe1v8j577pj9bakcpbs',
+      'Max-Forwards: 69',
+      'Event: presence',
+      'Contact: <sip:alice@199.7.175.102:5060>'
+    ].concat(extraHeaders || []).concat(['Content-Length: 0', '', '']).join('\r\n'), ua);
+    spyOn(message, 'reply');
+    return message;
+  }
+
+  beforeEach(function() {
+    ua = new SIP.UA({uri: 'james@onsnip.onsip.com'}).start();
+    ua.transport.ws.onopen();
+
+    request = subscribe(['Expires: 3600']);
+    SubscriptionServerContext = new SIP.SubscriptionServerContext(ua, request);
+    spyOn(SIP.Dialog.prototype, 'sendRequest');
+  });
+
+  afterEach(function() {
+    if(ua.status !== 2) {
+      ua.stop();
+    }
+  });
+
+  function lastNotifyHeaders() {
+    var args = SIP.Dialog.prototype.sendRequest.calls.mostRecent().args;
+    expect(args[1]).toBe(SIP.C.NOTIFY);
+    return args[2].extraHeaders;
+  }
+
+  describe('initialization', function() {
+    it('sets the event, the requested expires and the state', function() {
+      expect(SubscriptionServerContext.event).toBe('presence');
+      expect(SubscriptionServerContext.requestedExpires).toBe(3600);
+      expect(SubscriptionServerContext.state).toBe('init');
+    });
+
+    it('sets the local tag of the dialog', function() {
+      expect(request.toTag).toBeDefined();
+    });
+  });
+
+  describe('.accept', function() {
+    it('replies 200 with the Contact and the granted Expires', function() {
+      SubscriptionServerContext.accept({expires: 600});
+
+      expect(request.reply).toHaveBeenCalledWith(200, undefined, ['Contact: ' + ua.contact.toString(), 'Expires: 600']);
+    });
+
+    it('does not grant more than the requested expires', function() {
+      SubscriptionServerContext.accept({expires: 7200});
+
+      expect(SubscriptionServerContext.expires).toBe(3600);
+    });
+
+    it('creates the dialog and registers the notifier on the ua', function() {
+      SubscriptionServerContext.accept();
+
+      expect(SubscriptionServerContext.id).toBeDefined();
+      expect(ua.notifiers[SubscriptionServerContext.id]).toBe(SubscriptionServerContext);
+    });
+
+    it('sends the initial NOTIFY with the state', function() {
+      SubscriptionServerContext.accept({body: 'state', contentType: 'application/pidf+xml'});
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: active;expires=3600');
+      expect(lastNotifyHeaders()).toContain('Event: presence');
+      expect(SIP.Dialog.prototype.sendRequest.calls.mostRecent().args[2].body).toBe('state');
+      expect(SubscriptionServerContext.state).toBe('active');
+    });
+
+    it('sends a pending Subscription-State if authorization is pending', function() {
+      SubscriptionServerContext.accept({pending: true});
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: pending;expires=3600');
+      expect(SubscriptionServerContext.state).toBe('pending');
+    });
+
+    it('terminates a fetch after the initial NOTIFY', function() {
+      request = subscribe(['Expires: 0']);
+      SubscriptionServerContext = new SIP.SubscriptionServerContext(ua, request);
+
+      SubscriptionServerContext.accept();
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: terminated;reason=timeout');
+      expect(SubscriptionServerContext.state).toBe('terminated');
+    });
+
+    it('throws if the subscription was already answered', function() {
+      SubscriptionServerContext.accept();
+
+      expect(function() { SubscriptionServerContext.accept(); }).toThrow();
+    });
+  });
+
+  describe('.reject', function() {
+    it('replies with the status code and terminates the subscription', function() {
+      SubscriptionServerContext.reject({statusCode: 403});
+
+      expect(request.reply).toHaveBeenCalledWith(403, 'Forbidden', [], undefined);
+      expect(SubscriptionServerContext.state).toBe('terminated');
+    });
+  });
+
+  describe('.notify', function() {
+    beforeEach(function() {
+      SubscriptionServerContext.accept({pending: true, body: 'first', contentType: 'text/plain'});
+    });
+
+    it('changes the state if asked to', function() {
+      SubscriptionServerContext.notify({state: 'active', body: 'second', contentType: 'text/plain'});
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: active;expires=3600');
+      expect(SubscriptionServerContext.state).toBe('active');
+    });
+
+    it('sends the previous state again if no body is passed', function() {
+      SubscriptionServerContext.notify();
+
+      expect(SIP.Dialog.prototype.sendRequest.calls.mostRecent().args[2].body).toBe('first');
+    });
+  });
+
+  describe('.terminate', function() {
+    it('sends a final NOTIFY with the reason and emits terminated', function() {
+      var callback = jasmine.createSpy('terminated');
+      SubscriptionServerContext.accept();
+      SubscriptionServerContext.on('terminated', callback);
+
+      SubscriptionServerContext.terminate({reason: 'giveup', retryAfter: 60});
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: terminated;reason=giveup;retry-after=60');
+      expect(callback).toHaveBeenCalled();
+      expect(ua.notifiers[SubscriptionServerContext.id]).toBeUndefined();
+    });
+
+    it('terminates the subscription with reason timeout once it expires', function() {
+      jasmine.clock().install();
+      SubscriptionServerContext.accept({expires: 60});
+
+      jasmine.clock().tick(60000);
+
+      expect(lastNotifyHeaders()).toContain('Subscription-State: terminated;reason=timeout');
+      expect(SubscriptionServerContext.state).toBe('terminated');
+      jasmine.clock().uninstall();
+    });
+  });
+
+  describe('.receiveRequest', function() {
+    beforeEach(function() {
+      SubscriptionServerContext.accept({expires: 600});
+    });
+
+    it('replies 489 if the event does not match', function() {
+      var refresh = subscribe(['Expires: 600']);
+      refresh.setHeader('event', 'dialog');
+
+      SubscriptionServerContext.receiveRequest(refresh);
+
+      expect(refresh.reply).toHaveBeenCalledWith(489);
+    });
+
+    it('refreshes the subscription and sends a NOTIFY', function() {
+      var callback = jasmine.createSpy('refresh');
+      var refresh = subscribe(['Expires: 300']);
+      SubscriptionServerContext.on('refresh', callback);
+
+      SubscriptionServerContext.receiveRequest(refresh);
+
+      expect(refresh.reply).toHaveBeenCalledWith(200, undefined, ['Contact: ' + ua.contact.toString(), 'Expires: 300']);
+      expect(lastNotifyHeaders()).toContain('Subscription-State: active;expires=300');
+      expect(callback).toHaveBeenCalledWith(refresh);
+    });
+
+    it('terminates the subscription on an unsubscribe', function() {
+      var refresh = subscribe(['Expires: 0']);
+
+      SubscriptionServerContext.receiveRequest(refresh);
+
+      expect(refresh.reply).toHaveBeenCalledWith(200, undefined, ['Contact: ' + ua.contact.toString(), 'Expires: 0']);
+      expect(lastNotifyHeaders()).toContain('Subscription-State: terminated');
+      expect(SubscriptionServerContext.state).toBe('terminated');
+    });
+  });
+
+  describe('.receiveResponse', function() {
+    it('removes the subscription if the NOTIFY failed', function() {
+      SubscriptionServerContext.accept();
+
+      SubscriptionServerContext.receiveResponse({statusCode: 500});
+
+      expect(SubscriptionServerContext.state).toBe('terminated');
+    });
+  });
+});
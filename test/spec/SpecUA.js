@@ -431,10 +431,10 @@ describe('UA', function() {
       spyOn(SIP.Utils, 'normalizeTarget').and.returnValue('Normalize Target');
     });
 
-    it('calls SIP.Utils.normalizeTarget with the target and the hostport params', function() {
+    it('calls SIP.Utils.normalizeTarget with the target, the hostport params and the tel URI mapping', function() {
       var target = 'target';
       UA.normalizeTarget(target);
-      expect(SIP.Utils.normalizeTarget).toHaveBeenCalledWith(target, UA.configuration.hostportParams);
+      expect(SIP.Utils.normalizeTarget).toHaveBeenCalledWith(target, UA.configuration.hostportParams, 'sip');
     });
 
     it('returns the result of calling SIP.Utils.normalizeTarget', function() {
@@ -455,7 +455,16 @@ describe('UA', function() {
       var credentials = { realm : 'credential realm' ,
                           uri : 'credential uri' };
       UA.saveCredentials(credentials);
-      expect(UA.cache.credentials[credentials.realm][credentials.uri]).toBe(credentials);
+      expect(UA.cache.credentials[credentials.realm][credentials.uri]['MD5']).toBe(credentials);
+    });
+
+    it('keeps the credentials of each algorithm', function() {
+      var md5 = { realm : 'credential realm', uri : 'credential uri', algorithm: 'MD5' };
+      var sha256 = { realm : 'credential realm', uri : 'credential uri', algorithm: 'SHA-256' };
+      UA.saveCredentials(md5);
+      UA.saveCredentials(sha256);
+      expect(UA.cache.credentials[md5.realm][md5.uri]['MD5']).toBe(md5);
+      expect(UA.cache.credentials[md5.realm][md5.uri]['SHA-256']).toBe(sha256);
     });
 
     it('returns itself', function() {
@@ -478,9 +487,20 @@ describe('UA', function() {
       var credentials = { realm : 'credential realm' ,
                           uri : 'credential uri' };
       UA.cache.credentials[request.ruri.host] = {};
-      UA.cache.credentials[request.ruri.host][request.ruri] = credentials;
+      UA.cache.credentials[request.ruri.host][request.ruri] = { MD5: credentials };
       expect(UA.getCredentials(request)).toBe(credentials);
     });
+
+    it('returns the credentials of the strongest algorithm unless one is requested', function() {
+      var request = { ruri : { host : 'ruri host', type: SIP.TypeStrings.URI },
+                      method : 'request method' };
+      var md5 = { realm : 'ruri host', algorithm: 'MD5' };
+      var sha256 = { realm : 'ruri host', algorithm: 'SHA-256' };
+      UA.cache.credentials[request.ruri.host] = {};
+      UA.cache.credentials[request.ruri.host][request.ruri] = { 'MD5': md5, 'SHA-256': sha256 };
+      expect(UA.getCredentials(request)).toBe(sha256);
+      expect(UA.getCredentials(request, 'md5')).toBe(md5);
+    });
   });
 
   describe('.getLogger', function() {
@@ -497,7 +517,29 @@ describe('UA', function() {
 
   xdescribe('.onTransportError', function() {});
 
-  xdescribe('.onTransportConnected', function() {});
+  describe('.onTransportConnected', function() {
+    beforeEach(function() {
+      spyOn(UA.registerContext, 'register');
+    });
+
+    it('uses the address the transport is bound to in Via and Contact', function() {
+      UA.transport = {localAddress: '192.0.2.10', localPort: 5062};
+      UA.onTransportConnected();
+      expect(UA.configuration.viaHost).toBe('192.0.2.10:5062');
+      expect(UA.contact.uri.toString()).toMatch(/@192\.0\.2\.10:5062;/);
+
+      UA.transport = {localAddress: '2001:db8::1', localPort: 5062};
+      UA.onTransportConnected();
+      expect(UA.contact.uri.host).toBe('[2001:db8::1]');
+    });
+
+    it('keeps the host of hackIpInContact', function() {
+      var myUA = new SIP.UA({uri: uri, hackIpInContact: '192.0.2.20', autostart: false, register: false});
+      myUA.transport = {localAddress: '192.0.2.10', localPort: 5062};
+      myUA.onTransportConnected();
+      expect(myUA.configuration.viaHost).toBe('192.0.2.20');
+    });
+  });
 
   xdescribe('.onTransportConnecting', function() {
     it('emits a connecting event', function() {
@@ -711,12 +753,92 @@ describe('UA', function() {
       expect(callback).toHaveBeenCalled();
     });
 
+    it('replies 200 and emits messageSummary on an unsolicited message-summary NOTIFY', function() {
+      var callback = jasmine.createSpy('callback');
+      UA.on('messageSummary', callback);
+
+      var request = SIP.Parser.parseMessage([
+        'NOTIFY sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + ' SIP/2.0',
+        'Via: SIP/2.0/WSS 199.7.175.182:443;branch=z9hG4bKmwi;rport',
+        'To: <sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + '>',
+        'From: <sip:vmail@example.com>;tag=2b2fcef4d8',
+        'CSeq: 1 NOTIFY',
+        'Call-ID: 8fe1v8j577pj9bakcpbs',
+        'Max-Forwards: 69',
+        'Event: message-summary',
+        'Content-Type: application/simple-message-summary',
+        'Content-Length: 41',
+        '',
+        'Messages-Waiting: yes\r\nVoice-Message: 2/0'].join('\r\n'), UA);
+      spyOn(request, 'reply');
+      UA.receiveRequest(request);
+      expect(request.reply).toHaveBeenCalledWith(200, undefined);
+      expect(callback).toHaveBeenCalledWith(jasmine.objectContaining({messagesWaiting: true}), {request: request});
+      expect(callback.calls.mostRecent().args[0].messages['voice-message'].newMessages).toBe(2);
+    });
+
     it('replies with a 405 if it cannot interpret the message', function() {
       var request = { method : 'unknown method' ,
                     ruri : { user : UA.configuration.uri.user } ,
                     hasHeader: jasmine.createSpy("hasHeader"),
                     reply : replySpy };
       UA.receiveRequest(request);
+      expect(replySpy).toHaveBeenCalledWith(405, undefined, ['Allow: ' + UA.getAllowedMethods().toString()]);
+    });
+
+    it('emits subscribe with a SubscriptionServerContext if there are subscribe listeners', function() {
+      var callback = jasmine.createSpy('callback');
+      var request = SIP.Parser.parseMessage([
+        'SUBSCRIBE sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + ' SIP/2.0',
+        'Via: SIP/2.0/WSS 199.7.175.182:443;branch=z9hG4bKsubscribe;rport',
+        'To: <sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + '>',
+        'From: <sip:alice@example.com>;tag=2b2fcef4d8',
+        'CSeq: 1 SUBSCRIBE',
+        'Call-ID: 8fe1v8j577pj9bakcpbs',
+        'Max-Forwards: 69',
+        'Event: presence',
+        'Contact: <sip:alice@199.7.175.102:5060>',
+        'Content-Length: 0',
+        '',
+        ''].join('\r\n'), UA);
+      UA.on('subscribe', callback);
+
+      UA.receiveRequest(request);
+
+      expect(callback).toHaveBeenCalled();
+      expect(callback.calls.mostRecent().args[0].type).toBe(SIP.TypeStrings.SubscriptionServerContext);
+    });
+
+    it('replies with a 400 to a SUBSCRIBE with an invalid Event', function() {
+      var request = SIP.Parser.parseMessage([
+        'SUBSCRIBE sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + ' SIP/2.0',
+        'Via: SIP/2.0/WSS 199.7.175.182:443;branch=z9hG4bKsubscribe;rport',
+        'To: <sip:' + UA.configuration.uri.user + '@' + UA.configuration.uri.host + '>',
+        'From: <sip:alice@example.com>;tag=2b2fcef4d8',
+        'CSeq: 1 SUBSCRIBE',
+        'Call-ID: 8fe1v8j577pj9bakcpbs',
+        'Max-Forwards: 69',
+        'Event: presence;',
+        'Contact: <sip:alice@199.7.175.102:5060>',
+        'Content-Length: 0',
+        '',
+        ''].join('\r\n'), UA);
+      var callback = jasmine.createSpy('callback');
+      spyOn(request, 'reply');
+      UA.on('subscribe', callback);
+
+      UA.receiveRequest(request);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(request.reply).toHaveBeenCalledWith(400, 'Invalid Event Header');
+    });
+
+    it('replies with a 405 to a SUBSCRIBE if there are no subscribe listeners', function() {
+      var request = { method : SIP.C.SUBSCRIBE ,
+                    ruri : { user : UA.configuration.uri.user } ,
+                    hasHeader: jasmine.createSpy("hasHeader"),
+                    reply : replySpy };
+      UA.receiveRequest(request);
       expect(replySpy).toHaveBeenCalledWith(405);
     });
 
@@ -733,7 +855,7 @@ describe('UA', function() {
                     toTag : 'tag' };
       UA.receiveRequest(request);
       expect(UA.findDialog).toHaveBeenCalledWith(request);
-      expect(receiveRequest).toHaveBeenCalledWith(request);
+      expect(receiveRequest).toHaveBeenCalledWith(request, undefined);
     });
 
     it('should not create a new Invite Server Transaction and just call receive request if it receives an in dialog request other than invite', function() {
@@ -750,7 +872,7 @@ describe('UA', function() {
                     toTag : 'tag' };
       UA.receiveRequest(request);
       expect(UA.findDialog).toHaveBeenCalledWith(request);
-      expect(receiveRequest).toHaveBeenCalledWith(request);
+      expect(receiveRequest).toHaveBeenCalledWith(request, jasmine.any(SIP.ServerContext));
     });
 
     it('replies 481 on the request if the dialog is not found and the request is an invite', function() {
@@ -780,7 +902,7 @@ describe('UA', function() {
                     toTag : 'tag' };
       UA.receiveRequest(request);
       expect(UA.findDialog).toHaveBeenCalledWith(request);
-      expect(receiveRequest).toHaveBeenCalledWith(request);
+      expect(receiveRequest).toHaveBeenCalledWith(request, jasmine.any(SIP.ServerContext));
     });
 
     xit('calls receive request on the session if it exists and the dialog does not for an in dialog notify request', function() {
@@ -975,6 +1097,9 @@ describe('UA', function() {
 
       expect(UA.configuration.rel100).toBe(SIP.C.supported.UNSUPPORTED);
       expect(UA.configuration.replaces).toBe(SIP.C.supported.UNSUPPORTED);
+      expect(UA.configuration.sessionTimers).toBe(SIP.C.supported.UNSUPPORTED);
+      expect(UA.configuration.sessionExpires).toBe(1800);
+      expect(UA.configuration.minSessionExpires).toBe(90);
       expect(UA.configuration.allowLegacyNotifications).toBe(false);
 
       expect(UA.configuration.dtmfType).toBe(SIP.C.dtmfType.INFO);
@@ -1045,6 +1170,25 @@ describe('UA', function() {
       expect(UA.contact.toString).toBeDefined();
     });
 
+    it('uses the protocol of the transport constructor as contact transport', function() {
+      function FakeTransport() {}
+      FakeTransport.protocol = 'tcp';
+
+      UA.loadConfig({transportConstructor: FakeTransport});
+
+      expect(UA.configuration.contactTransport).toBe('tcp');
+      expect(UA.contact.uri.getParam('transport')).toBe('tcp');
+    });
+
+    it('prefers an explicit contactTransport over the transport protocol', function() {
+      function FakeTransport() {}
+      FakeTransport.protocol = 'tcp';
+
+      UA.loadConfig({transportConstructor: FakeTransport, contactTransport: 'udp'});
+
+      expect(UA.configuration.contactTransport).toBe('udp');
+    });
+
     it('sets custom config options', function() {
       UA.loadConfig({custom: { fake: 'fake' }});
 
@@ -1238,6 +1382,44 @@ describe('UA', function() {
       });
     });
 
+    describe('.sessionTimers', function() {
+      it('returns SIP.C.supported.REQUIRED or SIP.C.supported.SUPPORTED if passed in', function(){
+        expect(configCheck.optional.sessionTimers(SIP.C.supported.REQUIRED)).toBe(SIP.C.supported.REQUIRED);
+        expect(configCheck.optional.sessionTimers(SIP.C.supported.SUPPORTED)).toBe(SIP.C.supported.SUPPORTED);
+      });
+
+      it('returns SIP.C.supported.UNSUPPORTED for all other arguments passed in', function() {
+        expect(configCheck.optional.sessionTimers()).toBe(SIP.C.supported.UNSUPPORTED);
+        expect(configCheck.optional.sessionTimers(true)).toBe(SIP.C.supported.UNSUPPORTED);
+        expect(configCheck.optional.sessionTimers('a string')).toBe(SIP.C.supported.UNSUPPORTED);
+      });
+    });
+
+    describe('.sessionExpires and .minSessionExpires', function() {
+      it('fail for non numbers and for values lower than 90 seconds', function() {
+        ['sessionExpires', 'minSessionExpires'].forEach(function(parameter) {
+          expect(configCheck.optional[parameter]('string')).toBeUndefined();
+          expect(configCheck.optional[parameter](true)).toBeUndefined();
+          expect(configCheck.optional[parameter](89)).toBeUndefined();
+          expect(configCheck.optional[parameter](-7)).toBeUndefined();
+        });
+      });
+
+      it('pass for values of 90 seconds or more', function() {
+        expect(configCheck.optional.sessionExpires(90)).toBe(90);
+        expect(configCheck.optional.minSessionExpires('1800')).toBe(1800);
+      });
+    });
+
+    describe('.sessionRefreshMethod', function() {
+      it('passes for UPDATE and INVITE only', function() {
+        expect(configCheck.optional.sessionRefreshMethod(SIP.C.UPDATE)).toBe(SIP.C.UPDATE);
+        expect(configCheck.optional.sessionRefreshMethod(SIP.C.INVITE)).toBe(SIP.C.INVITE);
+        expect(configCheck.optional.sessionRefreshMethod(SIP.C.BYE)).toBeUndefined();
+        expect(configCheck.optional.sessionRefreshMethod(7)).toBeUndefined();
+      });
+    });
+
     describe('.userAgentString', function() {
       it('fails for all types except string', function() {
         expect(configCheck.optional.userAgentString()).toBeUndefined();
@@ -381,4 +381,56 @@ describe("URI", function() {
       });
     });
   });
+
+  describe('tel URIs', function () {
+    it('parses a global number', function () {
+      var uri = SIP.Grammar.parse('tel:+1-201-555-0123;ext=1234', 'tel_URI');
+
+      expect(uri.scheme).toBe('tel');
+      expect(uri.user).toBe('+12015550123');
+      expect(uri.getParam('ext')).toBe('1234');
+      expect(uri.toRaw()).toBe('tel:+1-201-555-0123;ext=1234');
+      expect(uri.toString()).toBe('tel:+12015550123;ext=1234');
+    });
+
+    it('parses a local number in its phone-context', function () {
+      var uri = SIP.Grammar.parse('tel:7042;phone-context=example.com', 'tel_URI');
+
+      expect(uri.user).toBe('7042');
+      expect(uri.getParam('phone-context')).toBe('example.com');
+      expect(SIP.Grammar.parse('tel:7042', 'tel_URI')).toBe(-1);
+      expect(SIP.Grammar.parse('tel:+', 'tel_URI')).toBe(-1);
+    });
+
+    it('parses name-addr headers with a tel URI', function () {
+      var nameAddr = SIP.Grammar.nameAddrHeaderParse('"Bob" <tel:+1-201-555-0123>;tag=abc');
+
+      expect(nameAddr.uri.toString()).toBe('tel:+12015550123');
+      expect(nameAddr.getParam('tag')).toBe('abc');
+    });
+  });
+
+  describe('.isEquivalent', function () {
+    function equivalent (a, b) {
+      var parse = function (uri) {
+        return /^tel:/.test(uri) ? SIP.Grammar.parse(uri, 'tel_URI') : SIP.Grammar.URIParse(uri);
+      };
+      return parse(a).isEquivalent(parse(b));
+    }
+
+    it('compares tel URIs without their visual separators (RFC 3966 4)', function () {
+      expect(equivalent('tel:+1-201-555-0123', 'tel:+1(201)5550123')).toBe(true);
+      expect(equivalent('tel:7042;phone-context=EXAMPLE.com', 'tel:7042;phone-context=example.com')).toBe(true);
+      expect(equivalent('tel:+1-201-555-0123;ext=1', 'tel:+1-201-555-0123')).toBe(false);
+      expect(equivalent('tel:863-1234;phone-context=+1-914-555', 'tel:8631234;phone-context=+1914555')).toBe(true);
+    });
+
+    it('compares SIP URIs (RFC 3261 19.1.4)', function () {
+      expect(equivalent('sip:alice@ATLANTA.com;transport=TCP', 'sip:alice@atlanta.com;transport=tcp')).toBe(true);
+      expect(equivalent('sip:alice@atlanta.com;foo=bar', 'sip:alice@atlanta.com')).toBe(true);
+      expect(equivalent('sip:alice@atlanta.com;user=phone', 'sip:alice@atlanta.com')).toBe(false);
+      expect(equivalent('sip:ALICE@atlanta.com', 'sip:alice@atlanta.com')).toBe(false);
+      expect(equivalent('sip:alice@atlanta.com:5060', 'sip:alice@atlanta.com')).toBe(false);
+    });
+  });
 });
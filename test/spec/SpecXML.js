@@ -0,0 +1,46 @@
+describe('XML', function() {
+  describe('.parse', function() {
+    it('parses elements, attributes and text', function() {
+      var root = SIP.XML.parse('<?xml version="1.0"?>\r\n<a id="1"><b>text</b><c/></a>');
+
+      expect(root.name).toBe('a');
+      expect(root.attributes.id).toBe('1');
+      expect(root.children.length).toBe(2);
+      expect(root.children[0].text).toBe('text');
+      expect(root.children[1].localName).toBe('c');
+    });
+
+    it('resolves the namespaces of prefixed and unprefixed elements', function() {
+      var root = SIP.XML.parse('<a xmlns="urn:a" xmlns:b="urn:b"><b:c><d/></b:c></a>');
+
+      expect(root.namespace).toBe('urn:a');
+      expect(root.children[0].localName).toBe('c');
+      expect(root.children[0].namespace).toBe('urn:b');
+      expect(root.children[0].children[0].namespace).toBe('urn:a');
+      expect(SIP.XML.child(root, 'c', 'urn:b')).toBe(root.children[0]);
+      expect(SIP.XML.child(root, 'c', 'urn:a')).toBeUndefined();
+    });
+
+    it('decodes entities, character references and CDATA, and skips comments', function() {
+      var root = SIP.XML.parse('<a title="&quot;x&quot;">&lt;&#65;&#x42;&gt;<!-- <b/> --><![CDATA[<c>]]></a>');
+
+      expect(root.attributes.title).toBe('"x"');
+      expect(root.text).toBe('<AB><c>');
+      expect(root.children.length).toBe(0);
+    });
+
+    it('throws if the document is not well-formed', function() {
+      expect(function() { SIP.XML.parse('<a><b></a>'); }).toThrow();
+      expect(function() { SIP.XML.parse('<a>'); }).toThrow();
+      expect(function() { SIP.XML.parse('<a/><b/>'); }).toThrow();
+      expect(function() { SIP.XML.parse('<x:a/>'); }).toThrow();
+      expect(function() { SIP.XML.parse('text'); }).toThrow();
+    });
+  });
+
+  describe('.escape', function() {
+    it('escapes the markup characters', function() {
+      expect(SIP.XML.escape('<a href="x">&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+    });
+  });
+});
@@ -6,8 +6,64 @@ var SessionDescriptionHandlerObserver = {
   directionChanged: function() {
     return;
   },
+  remoteDirectionChanged: function() {
+    return;
+  },
+  renegotiationNeeded: function() {
+    return;
+  },
+  iceConnectionStateChanged: function() {
+    return;
+  },
+  statsSampled: function() {
+    return;
+  },
 };
 
+function mockTrack(kind) {
+  var track = jasmine.createSpyObj(kind + 'Track', ['addEventListener', 'removeEventListener', 'stop']);
+  track.kind = kind;
+  return track;
+}
+
+function mockStream(tracks) {
+  return {
+    getTracks: function() {
+      return tracks;
+    },
+    getVideoTracks: function() {
+      return tracks.filter(function(track) { return track.kind === 'video'; });
+    }
+  };
+}
+
+function mockTransceiver(kind, track, direction) {
+  var transceiver = {
+    direction: direction || 'sendrecv',
+    stopped: false,
+    receiver: {track: {kind: kind}},
+    sender: {track: track || null}
+  };
+  transceiver.sender.replaceTrack = jasmine.createSpy('replaceTrack').and.callFake(function(newTrack) {
+    transceiver.sender.track = newTrack;
+    return Promise.resolve();
+  });
+  return transceiver;
+}
+
+// Gives the peer connection the transceivers API, returns its list of transceivers
+function useTransceivers(pc, transceivers) {
+  pc.getTransceivers = function() {
+    return transceivers;
+  };
+  pc.addTransceiver = jasmine.createSpy('addTransceiver').and.callFake(function(track, init) {
+    var transceiver = mockTransceiver(track.kind, track, init.direction);
+    transceivers.push(transceiver);
+    return transceiver;
+  });
+  return transceivers;
+}
+
 function setIceGatheringState(pc, state) {
   pc.iceGatheringState = state;
   pc.onicegatheringstatechange.call(pc);
@@ -213,4 +269,225 @@ describe('Web/SessionDescriptionHandler', function() {
     setIceGatheringState(handler.peerConnection, 'gathering');
     handler.initPeerConnection();
   });
-})
+
+  describe('.replaceTrack', function() {
+    it('replaces the track of the sender of the same kind without renegotiation', function(done) {
+      var oldTrack = mockTrack('audio');
+      var newTrack = mockTrack('audio');
+      var sender = {
+        track: oldTrack,
+        replaceTrack: jasmine.createSpy('replaceTrack').and.returnValue(Promise.resolve())
+      };
+      handler.peerConnection.getSenders = function() {
+        return [{track: mockTrack('video')}, sender];
+      };
+      spyOn(SessionDescriptionHandlerObserver, 'renegotiationNeeded');
+      var replaced = jasmine.createSpy('trackReplaced');
+      handler.on('trackReplaced', replaced);
+
+      handler.replaceTrack(newTrack).then(function() {
+        expect(sender.replaceTrack).toHaveBeenCalledWith(newTrack);
+        expect(oldTrack.stop).toHaveBeenCalled();
+        expect(replaced).toHaveBeenCalledWith(newTrack, oldTrack);
+        expect(SessionDescriptionHandlerObserver.renegotiationNeeded).not.toHaveBeenCalled();
+        handler.peerConnection.getSenders = function() { return []; };
+        done();
+      });
+    });
+
+    it('adds the track and renegotiates when no track of that kind is sent', function(done) {
+      var newTrack = mockTrack('video');
+      handler.peerConnection.addTrack = jasmine.createSpy('addTrack');
+      handler.WebRTC.MediaStream = function() {};
+      spyOn(SessionDescriptionHandlerObserver, 'renegotiationNeeded');
+
+      handler.replaceTrack(newTrack).then(function() {
+        expect(handler.peerConnection.addTrack).toHaveBeenCalled();
+        expect(SessionDescriptionHandlerObserver.renegotiationNeeded).toHaveBeenCalled();
+        done();
+      });
+    });
+
+    it('emits inputDeviceLost once when a local track ends', function() {
+      var track = mockTrack('audio');
+      var lost = jasmine.createSpy('inputDeviceLost');
+      handler.on('inputDeviceLost', lost);
+
+      handler.replaceTrack(track).catch(function() {});
+      var onEnded = track.addEventListener.calls.mostRecent().args[1];
+      onEnded({target: track});
+      onEnded({target: track});
+
+      expect(lost.calls.count()).toBe(1);
+      expect(lost).toHaveBeenCalledWith(track);
+    });
+  });
+
+  describe('transceivers', function() {
+    var transceivers, audio, camera;
+
+    beforeEach(function() {
+      audio = mockTrack('audio');
+      camera = mockTrack('video');
+      transceivers = useTransceivers(handler.peerConnection, []);
+      handler.WebRTC.MediaStream = function() {};
+      handler.WebRTC.getUserMedia = jasmine.createSpy('getUserMedia').and.returnValue(
+        Promise.resolve(mockStream([camera])));
+    });
+
+    describe('.getTransceiver', function() {
+      it('returns the first transceiver of the kind that is neither stopped nor excluded', function() {
+        var stopped = mockTransceiver('video');
+        stopped.stopped = true;
+        var excluded = mockTransceiver('video');
+        var video = mockTransceiver('video');
+        transceivers.push(mockTransceiver('audio'), stopped, excluded, video);
+
+        expect(handler.getTransceiver('video', [excluded])).toBe(video);
+        expect(handler.getTransceiver('video', [excluded, video])).toBeUndefined();
+      });
+    });
+
+    describe('.attachTracks', function() {
+      it('adds a sendrecv transceiver for each track when there are none', function(done) {
+        var stream = mockStream([audio, camera]);
+
+        handler.attachTracks([stream]).then(function() {
+          expect(handler.peerConnection.addTransceiver).toHaveBeenCalledWith(audio,
+            {direction: 'sendrecv', streams: [stream]});
+          expect(handler.peerConnection.addTransceiver).toHaveBeenCalledWith(camera,
+            {direction: 'sendrecv', streams: [stream]});
+          expect(transceivers.length).toBe(2);
+          done();
+        });
+      });
+
+      it('reuses the transceivers and only receives on those of the kinds no longer sent', function(done) {
+        var oldAudio = mockTrack('audio');
+        var audioTransceiver = mockTransceiver('audio', oldAudio);
+        var videoTransceiver = mockTransceiver('video', camera);
+        transceivers.push(audioTransceiver, videoTransceiver);
+
+        handler.attachTracks([mockStream([audio])]).then(function() {
+          expect(handler.peerConnection.addTransceiver).not.toHaveBeenCalled();
+          expect(audioTransceiver.sender.replaceTrack).toHaveBeenCalledWith(audio);
+          expect(audioTransceiver.direction).toBe('sendrecv');
+          expect(oldAudio.stop).toHaveBeenCalled();
+          expect(videoTransceiver.sender.replaceTrack).toHaveBeenCalledWith(null);
+          expect(videoTransceiver.direction).toBe('recvonly');
+          expect(camera.stop).toHaveBeenCalled();
+          expect(transceivers.length).toBe(2);
+          done();
+        });
+      });
+    });
+
+    describe('.stopSending', function() {
+      it('only receives on the transceiver and stops its track', function(done) {
+        var transceiver = mockTransceiver('audio', audio);
+
+        handler.stopSending(transceiver).then(function() {
+          expect(transceiver.direction).toBe('recvonly');
+          expect(transceiver.sender.track).toBe(null);
+          expect(audio.stop).toHaveBeenCalled();
+          expect(audio.removeEventListener).toHaveBeenCalledWith('ended', handler.onTrackEnded);
+          done();
+        });
+      });
+    });
+
+    describe('.addVideo', function() {
+      it('adds a sendrecv transceiver when there is no video m-line', function(done) {
+        spyOn(SessionDescriptionHandlerObserver, 'trackAdded');
+
+        handler.addVideo().then(function() {
+          expect(handler.WebRTC.getUserMedia).toHaveBeenCalledWith({video: true});
+          expect(handler.peerConnection.addTransceiver).toHaveBeenCalledWith(camera,
+            {direction: 'sendrecv', streams: [jasmine.any(handler.WebRTC.MediaStream)]});
+          expect(SessionDescriptionHandlerObserver.trackAdded).toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it('sends on the video transceiver that only receives', function(done) {
+        var videoTransceiver = mockTransceiver('video', null, 'recvonly');
+        transceivers.push(mockTransceiver('audio', audio), videoTransceiver);
+
+        handler.addVideo().then(function() {
+          expect(handler.peerConnection.addTransceiver).not.toHaveBeenCalled();
+          expect(videoTransceiver.sender.replaceTrack).toHaveBeenCalledWith(camera);
+          expect(videoTransceiver.direction).toBe('sendrecv');
+          expect(transceivers.length).toBe(2);
+          done();
+        });
+      });
+    });
+
+    describe('.removeVideo', function() {
+      it('keeps the video transceiver, only receiving', function(done) {
+        var videoTransceiver = mockTransceiver('video', camera);
+        transceivers.push(mockTransceiver('audio', audio), videoTransceiver);
+
+        handler.removeVideo().then(function() {
+          expect(videoTransceiver.direction).toBe('recvonly');
+          expect(videoTransceiver.sender.replaceTrack).toHaveBeenCalledWith(null);
+          expect(camera.stop).toHaveBeenCalled();
+          expect(transceivers.length).toBe(2);
+          expect(handler.constraints.video).toBe(false);
+          done();
+        });
+      });
+
+      it('resolves without touching a video transceiver that sends nothing', function(done) {
+        var videoTransceiver = mockTransceiver('video', null, 'recvonly');
+        transceivers.push(videoTransceiver);
+
+        handler.removeVideo().then(function() {
+          expect(videoTransceiver.sender.replaceTrack).not.toHaveBeenCalled();
+          done();
+        });
+      });
+    });
+
+    describe('.shareScreen', function() {
+      var screen, videoTransceiver;
+
+      beforeEach(function(done) {
+        screen = mockTrack('video');
+        videoTransceiver = mockTransceiver('video', camera);
+        transceivers.push(mockTransceiver('audio', audio), videoTransceiver);
+        handler.WebRTC.mediaDevices.getDisplayMedia = jasmine.createSpy('getDisplayMedia').and.returnValue(
+          Promise.resolve(mockStream([screen])));
+        this.started = jasmine.createSpy('screenShareStarted');
+        handler.on('screenShareStarted', this.started);
+
+        handler.shareScreen().then(done);
+      });
+
+      it('sends the screen on the video transceiver in place of the camera', function() {
+        expect(handler.peerConnection.addTransceiver).not.toHaveBeenCalled();
+        expect(videoTransceiver.sender.replaceTrack).toHaveBeenCalledWith(screen);
+        expect(videoTransceiver.direction).toBe('sendrecv');
+        expect(camera.stop).toHaveBeenCalled();
+        expect(this.started).toHaveBeenCalledWith(screen);
+      });
+
+      it('stops sending video and renegotiates when the user ends the sharing', function(done) {
+        var ended = jasmine.createSpy('screenShareEnded');
+        handler.on('screenShareEnded', ended);
+        spyOn(SessionDescriptionHandlerObserver, 'renegotiationNeeded').and.callFake(function() {
+          expect(videoTransceiver.direction).toBe('recvonly');
+          expect(videoTransceiver.sender.track).toBe(null);
+          expect(screen.stop).toHaveBeenCalled();
+          expect(ended).toHaveBeenCalledWith(screen);
+          done();
+        });
+
+        var onEnded = screen.addEventListener.calls.all().filter(function(call) {
+          return call.args[1] === handler.onScreenShareEnded;
+        })[0].args[1];
+        onEnded();
+      });
+    });
+  });
+});
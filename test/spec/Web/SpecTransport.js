@@ -87,6 +87,36 @@ describe('Transport', function() {
     });
   });
 
+  describe('.setKeepAliveInterval', function () {
+    beforeEach(function () {
+      jasmine.clock().install();
+      spyOn(this.ua.transport, 'send').and.returnValue(Promise.resolve());
+    });
+
+    afterEach(function () {
+      this.ua.transport.setKeepAliveInterval(0);
+      jasmine.clock().uninstall();
+    });
+
+    it('sends keep-alives at the new interval', function () {
+      var transport = this.ua.transport;
+      expect(function () {
+        transport.setKeepAliveInterval(25);
+      }).not.toThrow();
+
+      jasmine.clock().tick(25000);
+      expect(transport.send).toHaveBeenCalledWith('\r\n\r\n');
+    });
+
+    it('stops the keep-alives when the interval is 0', function () {
+      this.ua.transport.setKeepAliveInterval(25);
+      this.ua.transport.setKeepAliveInterval(0);
+
+      jasmine.clock().tick(50000);
+      expect(this.ua.transport.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe('.getNextWsServer', function() {
     var can1, can2, can3, can4;
 
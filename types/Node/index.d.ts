@@ -0,0 +1,5 @@
+export { StreamParser } from "./stream-parser";
+export { TCPTransport } from "./tcp-transport";
+export { TLSTransport } from "./tls-transport";
+export { Transport } from "./transport";
+export { UDPTransport } from "./udp-transport";
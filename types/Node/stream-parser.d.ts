@@ -0,0 +1,6 @@
+export declare class StreamParser {
+  constructor();
+
+  push(data: Buffer | string): Array<string>;
+  reset(): void;
+}
@@ -0,0 +1,11 @@
+import { Socket } from "net";
+
+import { Logger } from "../logger-factory";
+import { Transport } from "./transport";
+
+export declare class TCPTransport extends Transport {
+  static readonly protocol: string;
+  socket: Socket | undefined;
+
+  constructor(logger: Logger, options: Transport.Options);
+}
@@ -0,0 +1,9 @@
+import { Logger } from "../logger-factory";
+import { TCPTransport } from "./tcp-transport";
+import { Transport } from "./transport";
+
+export declare class TLSTransport extends TCPTransport {
+  static readonly protocol: string;
+
+  constructor(logger: Logger, options: Transport.Options);
+}
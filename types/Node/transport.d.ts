@@ -0,0 +1,31 @@
+import { Transport as TransportBase } from "../transport";
+
+import { TypeStrings } from "../enums";
+import { TransportStatus } from "../Web/transport";
+
+export declare abstract class Transport extends TransportBase {
+  static readonly C: TransportStatus;
+  type: TypeStrings;
+  server: any;
+  localAddress: string | undefined;
+  localPort: number | undefined;
+
+  isConnected(): boolean;
+  setKeepAliveInterval(interval: number): void;
+}
+
+export declare namespace Transport {
+  interface Options {
+    server: string | { host: string, port?: number };
+    localAddress?: string;
+    localPort?: number;
+    connectionTimeout?: number;
+    maxReconnectionAttempts?: number;
+    reconnectionTimeout?: number;
+    keepAliveInterval?: number;
+    /** Seconds a double-CRLF keep-alive waits for its response over TCP and TLS. */
+    keepAliveDebounce?: number;
+    tlsOptions?: any;
+    traceSip?: boolean;
+  }
+}
@@ -1,5 +1,6 @@
 import { EventEmitter } from "events";
 
+import { CallQuality } from "../call-quality";
 import { Logger } from "../logger-factory";
 import { InviteClientContext, InviteServerContext } from "../session";
 import {
@@ -30,6 +31,12 @@ export declare class WebSessionDescriptionHandler extends EventEmitter implement
   setDescription(sdp: string, options?: WebSessionDescriptionHandlerOptions, modifiers?: SessionDescriptionHandlerModifiers): Promise<void>;
   sendDtmf(tones: string, options: any): boolean;
   getDirection(): string;
+  getRemoteDirections(): Array<string>;
+  switchInputDevice(kind: "audio" | "video", constraints: string | MediaTrackConstraints): Promise<void>;
+  replaceTrack(track: MediaStreamTrack): Promise<void>;
+  addVideo(constraints?: boolean | MediaTrackConstraints): Promise<void>;
+  shareScreen(constraints?: MediaStreamConstraints): Promise<void>;
+  removeVideo(): Promise<void>;
 
   on(event: 'getDescription', listener: (description: RTCSessionDescriptionInit) => void): this;
   on(event: 'peerConnection-setRemoteDescriptionFailed', listener: (error: any) => void): this; // TODO: SessionDescriptionHandlerException
@@ -48,6 +55,10 @@ export declare class WebSessionDescriptionHandler extends EventEmitter implement
   on(event: 'userMediaRequest', listener: (constraints: MediaStreamConstraints) => void): this;
   on(event: 'userMedia', listener: (streams: MediaStream) => void): this;
   on(event: 'userMediaFailed', listener: (error: any) => void): this;
+  on(event: 'trackReplaced', listener: (track: MediaStreamTrack, oldTrack: MediaStreamTrack) => void): this;
+  on(event: 'inputDeviceLost', listener: (track: MediaStreamTrack) => void): this;
+  on(event: 'screenShareStarted' | 'screenShareEnded', listener: (track: MediaStreamTrack) => void): this;
+  on(event: 'stats', listener: (sample: CallQuality.Sample) => void): this;
 }
 
 export interface WebSessionDescriptionHandlerOptions extends SessionDescriptionHandlerOptions {
@@ -56,6 +67,8 @@ export interface WebSessionDescriptionHandlerOptions extends SessionDescriptionH
   disableAudioFallback?: boolean;
   RTCOfferOptions?: any;
   constraints?: any;
+  /** Seconds between two getStats() samples, 5 by default, 0 to disable the sampling. */
+  statsInterval?: number;
 }
 
 export interface PeerConnectionOptions {
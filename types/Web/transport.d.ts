@@ -11,4 +11,5 @@ export declare class Transport extends TransportBase {
   ws: any;
 
   isConnected(): boolean;
+  setKeepAliveInterval(interval: number): void;
 }
\ No newline at end of file
@@ -0,0 +1,47 @@
+import { InviteServerContext } from "./session";
+import { IncomingRequest } from "./sip-message";
+
+export declare namespace AutoAnswer {
+  /** Answer mode asked for an outgoing call (RFC 5373). */
+  export interface AnswerMode {
+    /** "auto" for intercom and paging calls, "manual" to ask the callee to let the call ring. */
+    mode: "auto" | "manual";
+    /** Ask the callee to reject the call if it does not honour the mode. */
+    require?: boolean;
+    /** Send Priv-Answer-Mode, for callers allowed to override the settings of the callee. */
+    privileged?: boolean;
+  }
+
+  /** Auto-answer decision of an incoming call. */
+  export interface Decision {
+    /** Header the caller asked for an answer mode with, undefined if it did not. */
+    source?: "priv-answer-mode" | "answer-mode" | "call-info" | "alert-info";
+    /** Answer mode asked by the caller. */
+    mode?: "auto" | "manual";
+    /** True if the caller asked to reject the call when the mode is not honoured. */
+    require: boolean;
+    /** True if the caller asked with Priv-Answer-Mode. */
+    privileged: boolean;
+    /** Seconds before answering, from the caller (Call-Info answer-after, Alert-Info delay) or from the policy. */
+    delay?: number;
+    /** True if the call is accepted after the delay. Set it to false in the invite event to let the call ring. */
+    answer: boolean;
+  }
+
+  /** Auto-answer policy of the UA. */
+  export interface Policy {
+    /** Seconds before answering when the caller does not say, 0 by default. */
+    delay?: number;
+    /** Only answer the calls asking with Priv-Answer-Mode. */
+    privilegedOnly?: boolean;
+    /** Called for each call asking to be answered automatically, return false to let it ring. */
+    filter?: (session: InviteServerContext, decision: Decision) => boolean;
+    /** Options of the accept() of the answered calls. */
+    acceptOptions?: InviteServerContext.Options;
+  }
+
+  export function parse(request: IncomingRequest): Decision;
+  export function decide(session: InviteServerContext, policy?: Policy): Decision;
+  export function schedule(session: InviteServerContext, policy?: Policy): void;
+  export function buildHeaders(answerMode: AnswerMode): Array<string>;
+}
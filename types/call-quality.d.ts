@@ -0,0 +1,82 @@
+import { PublishContext } from "./publish-context";
+import { UA } from "./ua";
+import { URI } from "./uri";
+
+export declare namespace CallQuality {
+  export const EVENT: string;
+  export const CONTENT_TYPE: string;
+
+  /** Audio metrics of the media at one point of a call. */
+  export interface Sample {
+    /** Milliseconds since the epoch. */
+    timestamp: number;
+    codec?: string;
+    payloadType?: number;
+    clockRate?: number;
+    ssrc?: number;
+    localAddress?: string;
+    remoteAddress?: string;
+    packetsReceived: number;
+    packetsLost: number;
+    bytesReceived: number;
+    bytesSent: number;
+    /** Fraction of the packets lost since the previous sample, from 0 to 1. */
+    packetLoss?: number;
+    /** Inter-arrival jitter, in milliseconds. */
+    jitter?: number;
+    /** Round trip time, in milliseconds. */
+    roundTripTime?: number;
+    /** Bits per second since the previous sample. */
+    inboundBitrate?: number;
+    outboundBitrate?: number;
+    /** Estimated mean opinion score, from 1 to 4.5. */
+    mos?: number;
+  }
+
+  export interface Summary {
+    start: number;
+    stop: number;
+    codec?: string;
+    payloadType?: number;
+    clockRate?: number;
+    ssrc?: number;
+    localAddress?: string;
+    remoteAddress?: string;
+    /** Fraction of the packets lost during the call. */
+    packetLoss: number;
+    jitter?: number;
+    maxJitter?: number;
+    roundTripTime?: number;
+    mos?: number;
+  }
+
+  /** Running totals of the samples of a call. */
+  export interface Totals {
+    first: Sample;
+    last: Sample;
+    /** Sums and counts of the samples with a jitter, round trip time and MOS. */
+    jitter: number;
+    jitterCount: number;
+    maxJitter?: number;
+    roundTripTime: number;
+    roundTripTimeCount: number;
+    mos: number;
+    mosCount: number;
+  }
+
+  export interface Report {
+    callId: string;
+    localId: string;
+    remoteId: string;
+    /** Identity of the caller. */
+    origId: string;
+    summary: Summary;
+  }
+
+  export function fromStats(report: any, previous?: Sample): Sample;
+  export function mos(sample: Sample): number;
+  export function accumulate(totals: Totals | undefined, sample: Sample): Totals;
+  export function summarize(samples: Array<Sample> | Totals): Summary;
+  export function build(report: Report): string;
+  export function publish(ua: UA, collector: string | URI, report: Report, options?: any): PublishContext;
+}
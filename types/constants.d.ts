@@ -27,6 +27,7 @@ export declare namespace C {
   export const PUBLISH: string;
   export const REFER: string;
   export const PRACK: string;
+  export const ALLOWED_METHODS: Array<string>;
 
   export const REASON_PHRASE: {[code: number]: string};
   export const OPTION_TAGS: {[option: string]: boolean};
@@ -0,0 +1,50 @@
+import { URI } from "./uri";
+
+export declare namespace DialPlan {
+  /** Rule of a dial plan, the first one matching the dialed number applies. */
+  export interface Rule {
+    /** Matched against the dialed number without spaces nor visual separators, e.g. /^0[1-9][0-9]{8}$/. */
+    pattern: RegExp | string;
+    /** Number of leading characters removed, e.g. 1 for an outside line prefix "9". */
+    strip?: number;
+    /** Prepended once the leading characters are removed. */
+    prefix?: string;
+    /** Normalize the number to E.164 with the country code and the prefixes of the dial plan. */
+    e164?: boolean;
+    /** Emergency number: its calls are sent with Priority: emergency (RFC 3261 20.26). */
+    emergency?: boolean;
+    /** "sip" for a SIP URI of the domain, "tel" for a tel URI (RFC 3966), the telURIMapping of the UA by default. */
+    uri?: "sip" | "tel";
+    /** Domain of the SIP URI, or phone-context of a local tel URI, the one of the UA by default. */
+    domain?: string;
+  }
+
+  export interface Options {
+    rules: Array<Rule>;
+    /** Country calling code of the national numbers, e.g. "33". */
+    countryCode?: string;
+    /** Prefix of the national numbers, "0" by default. */
+    nationalPrefix?: string;
+    /** Prefix of the international numbers, "00" by default, e.g. "011". */
+    internationalPrefix?: string;
+  }
+
+  /** Custom dial plan, undefined to fall back to the default normalization. */
+  export type Function = (dialed: string) => string | URI | undefined;
+
+  export interface Result {
+    uri: URI;
+    emergency: boolean;
+    /** The rule applied, undefined for a custom dial plan. */
+    rule?: Rule;
+  }
+
+  export function apply(
+    dialPlan: Options | Function,
+    dialed: string,
+    domain: string,
+    telMapping?: URI.TelMapping
+  ): Result | undefined;
+  export function isEmergency(dialPlan: Options | Function | undefined, dialed: string): boolean;
+  export function toE164(digits: string, dialPlan: Options): string;
+}
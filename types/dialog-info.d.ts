@@ -0,0 +1,45 @@
+import { Subscription } from "./subscription";
+import { UA } from "./ua";
+import { URI } from "./uri";
+
+export declare namespace DialogInfo {
+  export const NAMESPACE: string;
+  export const CONTENT_TYPE: string;
+
+  export type DialogState = "trying" | "proceeding" | "early" | "confirmed" | "terminated";
+
+  export interface Document {
+    version: number;
+    state: "full" | "partial";
+    /** The monitored entity. */
+    entity: string;
+    dialogs: Array<Dialog>;
+  }
+
+  export interface Dialog {
+    id: string;
+    callId?: string;
+    localTag?: string;
+    remoteTag?: string;
+    /** The entity is the initiator (caller) or the recipient (callee) of the dialog. */
+    direction?: "initiator" | "recipient";
+    state: DialogState;
+    /** Why the dialog changed state, e.g. "rejected", "replaced" or "remote-bye". */
+    event?: string;
+    /** Response code of the change. */
+    code?: number;
+    /** Seconds since the dialog was created. */
+    duration?: number;
+    local?: Participant;
+    remote?: Participant;
+  }
+
+  export interface Participant {
+    identity?: string;
+    displayName?: string;
+    target?: string;
+  }
+
+  export function parse(body: string): Document;
+  export function subscribe(ua: UA, target: string | URI, options?: any): Subscription;
+}
@@ -1,7 +1,8 @@
+import { ServerContext } from "./server-context";
 import { SessionDescriptionHandler } from "./session-description-handler";
 import { InviteClientContext, InviteServerContext } from "./session";
 import { DTMF } from "./Session/dtmf";
-import { Subscription } from "./subscription";
+import { Subscription, SubscriptionServerContext } from "./subscription";
 import { URI } from "./uri";
 import { IncomingRequest, IncomingResponse, OutgoingRequest } from "./sip-message";
 
@@ -20,14 +21,14 @@ export declare class Dialog {
   routeSet: Array<string>;
   pracked: Array<string>;
   sessionDescriptionHandler: SessionDescriptionHandler | undefined;
-  owner: InviteClientContext | InviteServerContext | Subscription;
+  owner: InviteClientContext | InviteServerContext | Subscription | SubscriptionServerContext;
   state: DialogStatus;
   uacPendingReply: boolean;
 
   error: any;
 
   constructor(
-    owner: InviteClientContext | InviteServerContext | Subscription,
+    owner: InviteClientContext | InviteServerContext | Subscription | SubscriptionServerContext,
     message: IncomingRequest | IncomingResponse,
     type: "UAC" | "UAS",
     state?: DialogStatus
@@ -38,9 +39,9 @@ export declare class Dialog {
   createRequest(method: string, extraHeaders: Array<string> | undefined, body: string): OutgoingRequest;
   checkInDialogRequest(request: IncomingRequest): boolean;
   sendRequest(
-    applicant: InviteClientContext | Subscription | DTMF,
+    applicant: InviteClientContext | Subscription | SubscriptionServerContext | DTMF,
     method: string,
     options?: any
   ): OutgoingRequest;
-  receiveRequest(request: IncomingRequest): void;
+  receiveRequest(request: IncomingRequest, context?: ServerContext): void;
 }
\ No newline at end of file
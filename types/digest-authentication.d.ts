@@ -5,6 +5,8 @@ import { URI } from "./uri";
 import { TypeStrings } from "./enums";
 
 export declare class DigestAuthentication {
+  static selectChallenge(challenges: Array<any>): any | undefined;
+
   type: TypeStrings;
   stale: boolean | undefined;
 
@@ -1,13 +1,21 @@
+export { AutoAnswer } from "./auto-answer";
+export { CallQuality } from "./call-quality";
 export { ClientContext } from "./client-context";
 export { C } from "./constants";
 export { Dialog } from "./dialogs";
+export { DialogInfo } from "./dialog-info";
+export { DialPlan } from "./dial-plan";
 export { DigestAuthentication } from "./digest-authentication";
 export { Exceptions } from "./exceptions";
 export { Grammar } from "./grammar";
 export { LoggerFactory } from "./logger-factory";
+export { MessageSummary } from "./message-summary";
 export { NameAddrHeader } from "./name-addr-header";
 export { Parser } from "./parser";
+export { Presence } from "./presence";
+export { Privacy } from "./privacy";
 export { PublishContext } from "./publish-context";
+export { RedirectionHistory } from "./redirection-history";
 export { RegisterContext } from "./register-context";
 export { RequestSender } from "./request-sender";
 
@@ -22,7 +30,7 @@ export {
 } from "./session-description-handler";
 import { IncomingRequest, IncomingResponse, OutgoingRequest } from "./sip-message";
 export { IncomingRequest, IncomingResponse, OutgoingRequest };
-export { Subscription } from "./subscription";
+export { Subscription, SubscriptionServerContext } from "./subscription";
 export { Timers } from "./timers";
 import  {
   AckClientTransaction,
@@ -43,6 +51,7 @@ import { UA } from "./ua";
 export { UA };
 export { URI } from "./uri";
 export { Utils } from "./utils";
+export { XML } from "./xml";
 
 export declare function sanityCheck(): (
   message: IncomingRequest | IncomingResponse,
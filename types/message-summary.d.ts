@@ -0,0 +1,26 @@
+import { IncomingRequest } from "./sip-message";
+import { Subscription } from "./subscription";
+import { UA } from "./ua";
+import { URI } from "./uri";
+
+export declare namespace MessageSummary {
+  export const CONTENT_TYPE: string;
+
+  export interface Summary {
+    messagesWaiting: boolean;
+    account?: string;
+    /** Counts by lower case message class, e.g. "voice-message", "fax-message" or "text-message". */
+    messages: {[messageClass: string]: Counts};
+  }
+
+  export interface Counts {
+    newMessages: number;
+    oldMessages: number;
+    newUrgentMessages?: number;
+    oldUrgentMessages?: number;
+  }
+
+  export function parse(body: string): Summary;
+  export function subscribe(ua: UA, target?: string | URI, options?: any): Subscription;
+  export function parseNotify(ua: UA, request: IncomingRequest): Summary | undefined;
+}
@@ -0,0 +1,76 @@
+import { PublishContext } from "./publish-context";
+import { Subscription } from "./subscription";
+import { UA } from "./ua";
+import { URI } from "./uri";
+
+export declare namespace Presence {
+  export const PIDF_NAMESPACE: string;
+  export const DATA_MODEL_NAMESPACE: string;
+  export const RPID_NAMESPACE: string;
+  export const WATCHERINFO_NAMESPACE: string;
+  export const PIDF_CONTENT_TYPE: string;
+  export const WATCHERINFO_CONTENT_TYPE: string;
+
+  /** PIDF document, the arrays are always set by parse(). */
+  export interface Document {
+    entity: string;
+    tuples?: Array<Tuple>;
+    persons?: Array<Person>;
+    notes?: Array<string>;
+  }
+
+  export interface Tuple {
+    id: string;
+    basic?: "open" | "closed";
+    contact?: string;
+    /** Between 0 and 1. */
+    priority?: number;
+    notes?: Array<string>;
+    timestamp?: string;
+  }
+
+  /** RFC 4479 person with its RFC 4480 rich presence. */
+  export interface Person {
+    id: string;
+    /** e.g. "away", "on-the-phone", "meeting", free text for rpid:other. */
+    activities?: Array<string>;
+    mood?: Array<string>;
+    placeType?: Array<string>;
+    sphere?: string;
+    userInput?: "active" | "idle";
+    notes?: Array<string>;
+    timestamp?: string;
+  }
+
+  export type WatcherStatus = "pending" | "active" | "waiting" | "terminated";
+
+  export interface WatcherInfo {
+    version: number;
+    state: "full" | "partial";
+    watcherLists: Array<WatcherList>;
+  }
+
+  export interface WatcherList {
+    resource: string;
+    package: string;
+    watchers: Array<Watcher>;
+  }
+
+  export interface Watcher {
+    id: string;
+    status: WatcherStatus;
+    /** subscribe, approved, deactivated, probation, rejected, timeout, giveup or noresource */
+    event: string;
+    uri: string;
+    displayName?: string;
+    durationSubscribed?: number;
+    expiration?: number;
+  }
+
+  export function build(document: Document): string;
+  export function parse(body: string): Document;
+  export function parseWatcherInfo(body: string): WatcherInfo;
+  export function publish(ua: UA, document: Document, options?: any): PublishContext;
+  export function subscribe(ua: UA, target: string | URI, options?: any): Subscription;
+  export function subscribeWatcherInfo(ua: UA, target?: string | URI, options?: any): Subscription;
+}
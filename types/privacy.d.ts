@@ -0,0 +1,38 @@
+import { NameAddrHeader } from "./name-addr-header";
+import { IncomingRequest, IncomingResponse } from "./sip-message";
+
+export declare namespace Privacy {
+  /** "header", "session", "user", "none", "critical" (RFC 3323 4.2) or "id" (RFC 3325 9.3). */
+  export type Value = "header" | "session" | "user" | "none" | "critical" | "id" | string;
+
+  /** Identity of a P-Asserted-Identity or P-Preferred-Identity value. */
+  export interface Identity {
+    displayName?: string;
+    /** sip, sips or tel URI. */
+    uri: string;
+    scheme: string;
+  }
+
+  /** Privacy of an incoming call. */
+  export interface Model {
+    /** Lower case values of the Privacy header, empty if there is none. */
+    values: Array<Value>;
+    /** True if the caller asked to withhold its identity. */
+    anonymous: boolean;
+    /** P-Asserted-Identity values, usually one sip or sips URI and one tel URI. */
+    assertedIdentities: Array<Identity>;
+  }
+
+  /** Outbound privacy, as UA or invite options. */
+  export interface Options {
+    /** Privacy header values, e.g. ["id"] to ask the network to withhold the asserted identity. */
+    privacy?: Array<Value>;
+    /** P-Preferred-Identity: one sip, sips or tel URI, or one sip or sips URI and one tel URI. */
+    preferredIdentity?: string | Array<string>;
+  }
+
+  export function parse(message: IncomingRequest | IncomingResponse): Model;
+  export function parseIdentities(headers: Array<string>): Array<Identity>;
+  export function assertedIdentity(message: IncomingRequest | IncomingResponse): NameAddrHeader | undefined;
+  export function buildHeaders(options: Options): Array<string>;
+}
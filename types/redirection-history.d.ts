@@ -0,0 +1,43 @@
+import { Session } from "./session";
+import { IncomingRequest } from "./sip-message";
+
+export declare namespace RedirectionHistory {
+  /** Target the call went through. */
+  export interface Entry {
+    /** URI of the target, without the URI headers. */
+    uri: string;
+    displayName?: string;
+    /** History-Info index, e.g. "1.1". */
+    index?: string;
+    /** How the target was reached (RFC 7044 4.1): "rc" retargeted, "mp" mapped, e.g. forwarded, "np" unchanged. */
+    mechanism?: "rc" | "mp" | "np";
+    /** History-Info index of the target this one was reached from. */
+    previousIndex?: string;
+    /** Why the call was redirected from this target, a SIP status code (RFC 4458), e.g. 486. */
+    cause?: number;
+    /** Why the call was redirected from this target (RFC 5806), e.g. "user-busy", "no-answer", "unconditional". */
+    reason?: string;
+    /** Responses of the target (History-Info Reason header). */
+    reasons: Array<Session.Reason>;
+    /** Number of redirections this entry stands for (Diversion counter). */
+    counter?: number;
+    /** All the header parameters, with lower case names. */
+    params: {[name: string]: string | null};
+  }
+
+  /** Redirection history of an incoming call. */
+  export interface Model {
+    source: "history-info" | "diversion";
+    /** In chronological order. */
+    entries: Array<Entry>;
+    /** Target the call was last redirected from. */
+    redirectedFrom?: Entry;
+    /** Why the call was last redirected, e.g. "user-busy". */
+    reason?: string;
+    cause?: number;
+  }
+
+  export function parse(request: IncomingRequest): Model | undefined;
+  export function parseHistoryInfo(headers: Array<string>): Array<Entry>;
+  export function parseDiversion(headers: Array<string>): Array<Entry>;
+}
@@ -1,10 +1,12 @@
 import { ClientContext } from "./client-context";
 import { IncomingResponse } from "./sip-message";
+import { Transport } from "./transport";
 import { UA } from "./ua";
 
 export declare class RegisterContext extends ClientContext {
   registered: boolean;
   cseq: number;
+  transport: Transport | undefined;
 
   constructor(ua: UA, options?: any);
 
@@ -16,8 +18,12 @@ export declare class RegisterContext extends ClientContext {
 
 export declare namespace RegisterContext {
   interface RegistrationConfiguration {
+    additionalFlows?: Array<any>;
     expires?: string;
     extraContactHeaderParams?: Array<string>;
+    flowRecoveryBaseTime?: number;
+    flowRecoveryMaxTime?: number;
+    flowRecoveryOkBaseTime?: number;
     instanceId?: string;
     params?: any;
     regId?: number;
@@ -1,5 +1,6 @@
 import { IncomingResponse, OutgoingRequest } from "./sip-message";
 import { AckClientTransaction, InviteClientTransaction, NonInviteClientTransaction } from "./transactions";
+import { Transport } from "./transport";
 import { UA } from "./ua";
 
 import { TypeStrings } from "./enums";
@@ -23,5 +24,6 @@ export declare namespace RequestSender {
     onRequestTimeout: () => void;
     onTransportError: () => void;
     receiveResponse: (response: IncomingResponse) => void;
+    transport?: Transport;
   }
 }
\ No newline at end of file
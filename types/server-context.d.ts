@@ -2,6 +2,7 @@ import { EventEmitter } from "events";
 
 import { Logger } from "./logger-factory";
 import { NameAddrHeader } from "./name-addr-header";
+import { Privacy } from "./privacy";
 import { IncomingMessage, IncomingRequest } from "./sip-message";
 import { InviteServerTransaction, NonInviteServerTransaction } from "./transactions";
 import { UA } from "./ua";
@@ -24,6 +25,8 @@ export declare class ServerContext extends EventEmitter {
   body: any;
   contentType: string | undefined;
   assertedIdentity: NameAddrHeader | undefined;
+  /** Privacy (RFC 3323) and asserted identities (RFC 3325) of the request. */
+  privacy: Privacy.Model;
 
   constructor(ua: UA, request: IncomingRequest);
 
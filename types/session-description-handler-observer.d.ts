@@ -1,3 +1,4 @@
+import { CallQuality } from "./call-quality";
 import { Session, InviteClientContext, InviteServerContext } from "./session";
 
 import { TypeStrings } from "./enums";
@@ -9,4 +10,8 @@ export declare class SessionDescriptionHandlerObserver {
 
   trackAdded(): void;
   directionChanged(): void;
+  remoteDirectionChanged(directions: Array<string>): void;
+  renegotiationNeeded(): void;
+  iceConnectionStateChanged(state: string): void;
+  statsSampled(sample: CallQuality.Sample): void;
 }
\ No newline at end of file
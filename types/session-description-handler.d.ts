@@ -45,6 +45,26 @@ export interface SessionDescriptionHandler {
    * @returns {boolean} true if DTMF send is successful, false otherwise
    */
   sendDtmf: (tones: string, options?: any) => boolean;
+
+  /**
+   * Start sending video from a camera. Optional, used by Session.addVideo() which renegotiates once it resolves.
+   * @param {Boolean|Object} [constraints] video track constraints
+   * @returns {Promise} Promise that resolves once the video is attached
+   */
+  addVideo?(constraints?: any): Promise<void>;
+
+  /**
+   * Start sending the screen. Optional, used by Session.shareScreen() which renegotiates once it resolves.
+   * @param {Object} [constraints] screen capture constraints
+   * @returns {Promise} Promise that resolves once the screen is attached
+   */
+  shareScreen?(constraints?: any): Promise<void>;
+
+  /**
+   * Stop sending video. Optional, used by Session.removeVideo() which renegotiates once it resolves.
+   * @returns {Promise} Promise that resolves once the video is detached
+   */
+  removeVideo?(): Promise<void>;
 }
 
 export interface SessionDescriptionHandlerModifier {
@@ -1,13 +1,18 @@
 import { EventEmitter } from "events";
 
+import { AutoAnswer } from "./auto-answer";
+import { CallQuality } from "./call-quality";
 import { ClientContext } from "./client-context";
 import { C } from "./constants";
 import { Dialog } from "./dialogs";
 import { DTMF } from "./Session/dtmf";
 import { Logger } from "./logger-factory";
 import { NameAddrHeader } from "./name-addr-header";
+import { Privacy } from "./privacy";
+import { RedirectionHistory } from "./redirection-history";
 import { ServerContext } from "./server-context";
 import {
+  BodyObj,
   SessionDescriptionHandler,
   SessionDescriptionHandlerOptions,
   SessionDescriptionHandlerModifiers
@@ -43,11 +48,18 @@ export declare abstract class Session extends EventEmitter {
   replacee: InviteClientContext | InviteServerContext | undefined;
   dialog: Dialog | undefined;
   localHold: boolean;
+  /** True when the other end holds the session, i.e. does not receive any of the active streams. */
+  remoteHold: boolean;
+  /** Hold state combining localHold and remoteHold. */
+  readonly holdState: Session.HoldState;
   sessionDescriptionHandler: SessionDescriptionHandler | undefined;
   startTime: Date | undefined;
   endTime: Date | undefined;
+  /** Negotiated session timer (RFC 4028), undefined if the session does not expire. */
+  sessionTimer: Session.SessionTimer | undefined;
 
   dtmf(tones: string| number, options?: Session.DtmfOptions): this
+  /** Send a BYE, with the Reason header (RFC 3326) of options.reason or options.statusCode. */
   bye(options?: any): this
   refer(target: string | InviteClientContext | InviteServerContext, options?: any): ReferClientContext;
   sendRequest(method: string, options: any): this;
@@ -55,8 +67,21 @@ export declare abstract class Session extends EventEmitter {
   createDialog(message: IncomingRequest | IncomingResponse, type: "UAS" | "UAC", early?: boolean): boolean;
   hold(options?: SessionDescriptionHandlerOptions, modifiers?: SessionDescriptionHandlerModifiers): void;
   unhold(options?: SessionDescriptionHandlerOptions, modifiers?: SessionDescriptionHandlerModifiers): void;
+  updateRemoteHold(directions: Array<string>): void;
+  updateIceConnectionState(state: string): void;
+  recoverMedia(): void;
+  updateStats(sample: CallQuality.Sample): void;
+  addVideo(options?: { constraints?: any, extraHeaders?: Array<string> }): Promise<void>;
+  shareScreen(options?: { constraints?: any, extraHeaders?: Array<string> }): Promise<void>;
+  removeVideo(options?: { extraHeaders?: Array<string> }): Promise<void>;
   reinvite(options?: any, modifiers?: SessionDescriptionHandlerModifiers): void;
-  receiveRequest(request: IncomingRequest): void;
+  update(options?: any, modifiers?: SessionDescriptionHandlerModifiers): void;
+  /** Handle the requests of a method the session does not handle itself, received in its dialog. */
+  registerMethodHandler(method: string, handler: UA.MethodHandler): this;
+  unregisterMethodHandler(method: string): this;
+  /** Methods of the Allow header: the ones of the UA, REFER and the ones the session has handlers for. */
+  getAllowedMethods(): Array<string>;
+  receiveRequest(request: IncomingRequest, context?: ServerContext): void;
   onTransportError(): void;
   onRequestTimeout(): void;
   onDialogError(response: IncomingResponse): void;
@@ -64,17 +89,31 @@ export declare abstract class Session extends EventEmitter {
 
   on(event: 'referRequested', listener: (context: ReferServerContext) => void): this;
   on(event: 'reinvite', listener: (session: Session) => void): this;
+  on(event: 'remoteHold' | 'remoteUnhold', listener: (session: Session) => void): this;
+  on(event: 'mediaRecovering' | 'mediaRecovered', listener: (session: Session) => void): this;
+  on(event: 'stats', listener: (sample: CallQuality.Sample, session: Session) => void): this;
+  on(event: 'cdr', listener: (cdr: Session.CDR, session: Session) => void): this;
   on(event: 'reinviteAccepted' | 'reinviteFailed', listener: (session: Session) => void): this;
+  on(event: 'updateReceived', listener: (session: Session, request: IncomingRequest) => void): this;
+  on(event: 'updateAccepted' | 'updateFailed', listener: (session: Session) => void): this;
   on(event: 'confirmed', listener: (request: any) => void): this; // TODO
   on(event: 'renegotiationError', listener: (error: any) => void): this; // TODO
   on(event: 'bye', listener: (request: any) => void): this; // TODO
   on(event: 'notify', listener: (request: any) => void): this; // TODO
   on(event: 'ack', listener: (request: any) => void): this //  TODO
-  on(event: 'failed' | 'rejected', listener: (response?: any, cause?: C.causes) => void): this;
+  on(
+    event: 'failed' | 'rejected',
+    listener: (response?: any, cause?: C.causes, reasons?: Array<Session.Reason>) => void
+  ): this;
   on(event: 'cancel', listener: () => void): this;
+  on(event: 'redirected', listener: (response: IncomingResponse, target: URI) => void): this;
+  on(
+    event: 'fork' | 'forkEarlyMedia' | 'forkTerminated',
+    listener: (fork: InviteClientContext.Fork, response: IncomingResponse) => void
+  ): this;
   on(event: 'replaced', listener: (session: Session) => void): this;
   on(event: 'accepted', listener: (response: any, cause: C.causes) => void): this;
-  on(event: 'terminated', listener: (message?: any, cause?: C.causes) => void): this;
+  on(event: 'terminated', listener: (message?: any, cause?: C.causes, reasons?: Array<Session.Reason>) => void): this;
   on(event: 'connecting', listener: (request: any) => void): this;
   on(event: 'dtmf', listener: (request: IncomingRequest | OutgoingRequest, dtmf: DTMF) => void): this;
   on(event: 'SessionDescriptionHandler-created', listener: (sessionDescriptionHandler: SessionDescriptionHandler) => void): this;
@@ -86,16 +125,88 @@ export declare abstract class Session extends EventEmitter {
 }
 
 export declare namespace Session {
+  export type HoldState = "none" | "local" | "remote" | "both";
+
   export interface DtmfOptions {
     extraHeaders?: string[],
     duration?: number;
     interToneGap?: number;
   }
+
+  export interface SessionTimer {
+    /** Session interval, in seconds. */
+    interval: number;
+    /** True if this end sends the session refreshes. */
+    localRefresher: boolean;
+  }
+
+  /** Reason header value (RFC 3326). */
+  export interface Reason {
+    /** "SIP", "Q.850" or another protocol. */
+    protocol: string;
+    /** Status code for SIP, cause value for Q.850. */
+    cause?: number;
+    text?: string;
+    params?: {[name: string]: string | undefined};
+  }
+
+  /** Call detail record, emitted with the "cdr" event once the session is terminated. */
+  export interface CDR {
+    id: string;
+    callId: string;
+    direction: "incoming" | "outgoing";
+    localIdentity: string;
+    remoteIdentity: string;
+    /** P-Asserted-Identity of the other end (RFC 3325), if any. */
+    assertedIdentity?: string;
+    /** INVITE sent or received. */
+    inviteTime: Date;
+    /** First provisional response other than 100 Trying. */
+    provisionalTime?: Date;
+    /** First 180 Ringing. */
+    ringingTime?: Date;
+    answerTime?: Date;
+    endTime: Date;
+    /** Milliseconds from the INVITE to the first provisional or final response (RFC 6076 4.1). */
+    postDialDelay?: number;
+    /** Milliseconds from the answer to the end, 0 if the call was not answered. */
+    talkTime: number;
+    /** Final response to the INVITE. */
+    statusCode?: number;
+    /** Reason header value of the request or the response ending the call. */
+    reason?: string;
+    cause?: string;
+    /** Which end hung up, undefined if the call ended on an error or a timeout. */
+    hangupBy?: "local" | "remote";
+    /** Referred-By of a transferred call. */
+    referredBy?: string;
+    /** Call-ID of the call replaced by this one (RFC 3891). */
+    replaces?: string;
+    /** Id of the session which replaced this one. */
+    replacedBy?: string;
+    /** Target this call was transferred to with a REFER. */
+    transferTarget?: string;
+  }
+
+  export interface SessionTimerOptions {
+    /** Session interval proposed or accepted, in seconds. 0 disables the session timer for this call. */
+    sessionExpires?: number;
+    /** Smallest session interval accepted (Min-SE), in seconds. */
+    minSessionExpires?: number;
+    /** "UPDATE" (used when the peer allows it) or "INVITE". */
+    sessionRefreshMethod?: string;
+  }
 }
 
 export declare class InviteServerContext extends Session implements ServerContext {
   transaction: InviteServerTransaction | NonInviteServerTransaction;
   request: IncomingRequest;
+  /** Privacy (RFC 3323) and asserted identities (RFC 3325) of the INVITE. */
+  privacy: Privacy.Model;
+  /** History-Info (RFC 7044) or Diversion (RFC 5806) of a forwarded call, undefined if it was not. */
+  redirectionHistory: RedirectionHistory.Model | undefined;
+  /** Whether the call is answered automatically, following the autoAnswer policy of the UA. */
+  autoAnswer: AutoAnswer.Decision;
 
   ua: UA;
   logger: Logger;
@@ -110,11 +221,11 @@ export declare class InviteServerContext extends Session implements ServerContex
   terminate(options?: any): this;
   progress(options?: InviteServerContext.Options): this;
   accept(options?: InviteServerContext.Options, modifiers?: SessionDescriptionHandlerModifiers): this;
-  receiveRequest(request: IncomingRequest): void;
+  receiveRequest(request: IncomingRequest, context?: ServerContext): void;
 }
 
 export declare namespace InviteServerContext {
-  export interface Options {  // TODO: This may be incorrect
+  export interface Options extends Session.SessionTimerOptions {  // TODO: This may be incorrect
       /** Array of extra headers added to the INVITE. */
       extraHeaders?: Array<string>;
       /** Options to pass to SessionDescriptionHandler's getDescription() and setDescription(). */
@@ -123,6 +234,8 @@ export declare namespace InviteServerContext {
       onInfo?: ((request: IncomingRequest) => void);
       statusCode?: number;
       reasonPhrase?: string;
+      /** Reason header (RFC 3326) of the rejection. */
+      reason?: Session.Reason | Array<Session.Reason>;
       body?: any;
       rel100?: boolean;
   }
@@ -130,6 +243,8 @@ export declare namespace InviteServerContext {
 
 export declare class InviteClientContext extends Session implements ClientContext {
   request: OutgoingRequest;
+  /** Forks of the INVITE by id, see the "fork" event. */
+  forks: {[id: string]: InviteClientContext.Fork};
 
   constructor(ua: UA, target: string | URI, options?: any, modifiers?: any);
   receiveNonInviteResponse(response: IncomingResponse): void;
@@ -139,15 +254,36 @@ export declare class InviteClientContext extends Session implements ClientContex
   receiveInviteResponse(response: IncomingResponse): void;
   cancel(options?: any): this;
   terminate(options?: any): this;
-  receiveRequest(request: IncomingRequest): void;
+  selectEarlyMedia(forkId: string): this;
+  receiveRequest(request: IncomingRequest, context?: ServerContext): void;
 }
 
 export declare namespace InviteClientContext {
-  export interface Options {
+  /**
+   * A fork of the INVITE, i.e. the (early) dialog established with one of the UASs the INVITE
+   * reached. Add "199" to the extraSupported UA option to be told when an early dialog ends (RFC 6228).
+   */
+  export interface Fork {
+    /** Dialog id: Call-ID, local tag and remote tag. */
+    id: string;
+    /** To header field of the responses of the fork. */
+    remoteIdentity: NameAddrHeader;
+    /** P-Asserted-Identity of the responses of the fork, if any. */
+    assertedIdentity: NameAddrHeader | undefined;
+    /** Session description of the last provisional response of the fork carrying one. */
+    earlyMedia: BodyObj | undefined;
+    state: "early" | "confirmed" | "terminated";
+    /** Last response of the fork. */
+    response: IncomingResponse;
+  }
+
+  export interface Options extends Session.SessionTimerOptions, Privacy.Options {
     /** Array of extra headers added to the INVITE. */
     extraHeaders?: Array<string>;
     /** If true, send INVITE without SDP. */
     inviteWithoutSdp?: boolean;
+    /** Ask the callee to answer automatically, e.g. for intercom calls, or to let the call ring (RFC 5373). */
+    answerMode?: AutoAnswer.AnswerMode;
     /** Deprecated */
     params?: {
       toUri?: string;
@@ -155,6 +291,20 @@ export declare namespace InviteClientContext {
     }
     /** Options to pass to SessionDescriptionHandler's getDescription() and setDescription(). */
     sessionDescriptionHandlerOptions?: SessionDescriptionHandlerOptions;
+    /** If true, send the INVITE to the Contact targets of 3xx responses. */
+    followRedirects?: boolean;
+    /** Maximum number of redirected INVITEs sent for the call, 5 by default. */
+    maxRedirects?: number;
+    /**
+     * Called for each redirection target. Return false to skip it, or a URI to try instead.
+     * The target is tried as is otherwise.
+     */
+    onRedirect?: (target: URI, response: IncomingResponse) => URI | string | boolean | void;
+    /**
+     * If false, the early media answers are not rendered until a fork is picked with selectEarlyMedia().
+     * True by default: the first reliable provisional response carrying an answer is used.
+     */
+    autoEarlyMedia?: boolean;
   }
 }
 
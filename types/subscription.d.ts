@@ -1,5 +1,9 @@
 import { C } from "./constants";
 import { ClientContext } from "./client-context";
+import { DialogInfo } from "./dialog-info";
+import { MessageSummary } from "./message-summary";
+import { Presence } from "./presence";
+import { ServerContext } from "./server-context";
 import { IncomingRequest, IncomingResponse } from "./sip-message";
 import { UA } from "./ua";
 import { URI } from "./uri";
@@ -27,4 +31,69 @@ export declare interface Notification {
   on(name: 'failed' | 'rejected', callback: (response?: any, cause?: C.causes) => void): this;
   on(name: 'terminated', callback: (message?: any, cause?: C.causes) => void): this;
   on(name: 'notify', callback: (notification: Notification) => void): this;
+  /** Subscriptions made with Presence.subscribe() */
+  on(name: 'presence', callback: (presence: Presence.Document, notification: Notification) => void): this;
+  /** Subscriptions made with Presence.subscribeWatcherInfo() */
+  on(name: 'watcherInfo', callback: (watcherInfo: Presence.WatcherInfo, notification: Notification) => void): this;
+  /** Subscriptions made with DialogInfo.subscribe() */
+  on(name: 'dialogInfo', callback: (dialogInfo: DialogInfo.Document, notification: Notification) => void): this;
+  on(name: 'dialogStateChanged', callback: (dialog: DialogInfo.Dialog, entity: string) => void): this;
+  /** Subscriptions made with MessageSummary.subscribe() */
+  on(name: 'messageSummary', callback: (summary: MessageSummary.Summary, notification: Notification) => void): this;
+}
+
+/**
+  * An incoming subscription, SIP.js acting as the notifier.
+  */
+export declare class SubscriptionServerContext extends ServerContext {
+  event: string;
+  id: string | undefined;
+  state: string;
+  requestedExpires: number;
+  expires: number;
+
+  constructor(ua: UA, request: IncomingRequest);
+
+  accept(options?: SubscriptionServerContext.AcceptOptions): this;
+  reject(options?: any): this;
+  notify(options?: SubscriptionServerContext.NotifyOptions): void;
+  terminate(options?: SubscriptionServerContext.TerminateOptions): void;
+  receiveRequest(request: IncomingRequest): void;
+  receiveResponse(response: IncomingResponse): void;
+  onDialogError(response: IncomingResponse): void;
+
+  on(name: 'accepted' | 'refresh' | 'unsubscribed', callback: (request: IncomingRequest) => void): this;
+  on(name: 'failed' | 'rejected', callback: (response?: any, cause?: C.causes) => void): this;
+  on(name: 'terminated', callback: () => void): this;
+}
+
+export declare namespace SubscriptionServerContext {
+  export interface AcceptOptions {
+    /** Granted duration in seconds, lower or equal to the requested one. */
+    expires?: number;
+    /** The subscription awaits authorization, Subscription-State is pending. */
+    pending?: boolean;
+    /** Body of the initial NOTIFY. */
+    body?: string;
+    contentType?: string;
+    extraHeaders?: Array<string>;
+  }
+
+  export interface NotifyOptions {
+    /** Resource state, the previous one is sent again if omitted. */
+    body?: string;
+    contentType?: string;
+    /** Change the subscription state. */
+    state?: "active" | "pending";
+    extraHeaders?: Array<string>;
+  }
+
+  export interface TerminateOptions {
+    reason?: "deactivated" | "probation" | "rejected" | "timeout" | "giveup" | "noresource" | "invariant";
+    /** Seconds before the subscriber may subscribe again. */
+    retryAfter?: number;
+    body?: string;
+    contentType?: string;
+    extraHeaders?: Array<string>;
+  }
 }
@@ -1,16 +1,21 @@
 import { EventEmitter } from "events";
 
+import { AutoAnswer } from "./auto-answer";
 import { ClientContext } from "./client-context";
 import { C } from "./constants";
+import { DialPlan } from "./dial-plan";
 import { Dialog } from "./dialogs";
 import { DigestAuthentication } from "./digest-authentication";
 import { Logger } from "./logger-factory";
+import { MessageSummary } from "./message-summary";
+import { Privacy } from "./privacy";
 import { PublishContext } from "./publish-context";
+import { ServerContext } from "./server-context";
 import { InviteClientContext, Session, InviteServerContext, ReferServerContext } from "./session";
 import { SessionDescriptionHandlerFactory, SessionDescriptionHandlerFactoryOptions} from "./session-description-handler-factory";
 import { SessionDescriptionHandlerOptions, SessionDescriptionHandlerModifiers } from "./session-description-handler";
 import { IncomingRequest } from "./sip-message";
-import { Subscription } from "./subscription";
+import { Notification, Subscription, SubscriptionServerContext } from "./subscription";
 import { InviteClientTransaction, InviteServerTransaction, NonInviteClientTransaction, NonInviteServerTransaction } from "./transactions";
 import { Transport } from "./transport";
 import { URI } from "./uri";
@@ -38,6 +43,7 @@ export declare class UA extends EventEmitter {
   logger: Logger;
   earlySubscriptions: {[id: string]: Subscription};
   subscriptions: {[id: string]: Subscription};
+  notifiers: {[id: string]: SubscriptionServerContext};
 
   transactionsCount: number;
   nictTransactionsCount: number;
@@ -57,12 +63,28 @@ export declare class UA extends EventEmitter {
 
   subscribe(target: string | URI, eventPackage: string, options?: any): Subscription;
 
-  publish(target: string, event: string, body: string, options?: any): PublishContext;
+  publish(target: string | URI, event: string, body: string, options?: any): PublishContext;
 
   message(target: string | URI, body: string, options?: any): ClientContext;
 
   request(method: string, target: string | URI, options?: any): ClientContext;
 
+  /** Handle the requests of a method the UA does not handle itself, e.g. a custom method. */
+  registerMethodHandler(method: string, handler: UA.MethodHandler): this;
+
+  unregisterMethodHandler(method: string): this;
+
+  getMethodHandler(method: string): UA.MethodHandler | undefined;
+
+  /** Call a method handler, replying 500 to the request if the handler throws before its final response. */
+  callMethodHandler(handler: UA.MethodHandler, context: ServerContext): void;
+
+  /**
+   * Methods of the Allow header: the ones the UA accepts, e.g. SUBSCRIBE only with a "subscribe" listener,
+   * and the ones it has handlers for.
+   */
+  getAllowedMethods(): Array<string>;
+
   stop(): this;
 
   start(): this;
@@ -91,10 +113,15 @@ export declare class UA extends EventEmitter {
   on(name: 'message', callback: (message: any) => void): this;
   on(name: 'invite', callback: (session: InviteServerContext) => void): this;
   on(name: 'notify', callback: (request: any) => void): this;
+  /** Unsolicited message waiting indications */
+  on(name: 'messageSummary', callback: (summary: MessageSummary.Summary, notification: Notification) => void): this;
+  on(name: 'subscribe', callback: (subscription: SubscriptionServerContext) => void): this;
   on(name: 'outOfDialogReferRequested', callback: (context: ReferServerContext) => void): this;
   on(name: 'registered', callback: (response?: any) => void): this;
   on(name: 'unregistered' | 'registrationFailed', callback: (response?: any, cause?: any) => void): this;
   on(name: 'inviteSent', callback: (session: InviteClientContext) => void): this;
+  /** Call detail record of each terminated session */
+  on(name: 'cdr', callback: (cdr: Session.CDR, session: Session) => void): this;
 }
 
 export declare namespace UA {
@@ -104,8 +131,14 @@ export declare namespace UA {
     allowOutOfDialogRefers?: boolean;
     authenticationFactory?: (ua: UA) => DigestAuthentication | any; // any for custom ones
     authorizationUser?: string;
+    /** Answer the calls asking for it (RFC 5373 Answer-Mode, Call-Info answer-after, Alert-Info), e.g. intercom calls. */
+    autoAnswer?: AutoAnswer.Policy;
     autostart?: boolean;
     autostop?: boolean;
+    contactName?: string;
+    contactTransport?: string;
+    /** Rewriting of the string targets of the requests, e.g. of the dialed numbers. */
+    dialPlan?: DialPlan.Options | DialPlan.Function;
     displayName?: string;
     dtmfType?: DtmfType;
     extraSupported?: Array<string>;
@@ -115,7 +148,21 @@ export declare namespace UA {
     hackViaTcp?: boolean;
     hackWssInTransport?: boolean;
     hostportParams?: any;
+    /** Add histinfo to Supported, to receive the History-Info of the calls (RFC 7044). */
+    historyInfo?: boolean;
     log?: any; // TODO
+    /** Re-INVITE with an ICE restart when the media connection fails or the transport reconnects, false by default. */
+    mediaRecovery?: boolean;
+    /** P-Preferred-Identity of the calls (RFC 3325), see Privacy.Options. */
+    preferredIdentity?: string | Array<string>;
+    /** Privacy of the calls (RFC 3323), e.g. ["id"]. */
+    privacy?: Array<Privacy.Value>;
+    /** Collector the quality reports of the calls are published to (RFC 6035). */
+    qualityReportCollector?: string;
+    /** Number of ICE restart attempts before the session ends. */
+    mediaRecoveryAttempts?: number;
+    /** Seconds to wait for the first ICE restart attempt to reconnect, doubled after each attempt. */
+    mediaRecoveryInterval?: number;
     noAnswerTimeout?: number;
     password?: string;
     register?: boolean;
@@ -124,7 +171,21 @@ export declare namespace UA {
     replaces?: C.supported;
     sessionDescriptionHandlerFactory?: SessionDescriptionHandlerFactory;
     sessionDescriptionHandlerFactoryOptions?: SessionDescriptionHandlerFactoryOptions;
+    /** Session timers (RFC 4028). */
+    sessionTimers?: C.supported;
+    /** Session interval proposed for or accepted on new sessions, in seconds. */
+    sessionExpires?: number;
+    /** Smallest session interval accepted (Min-SE), in seconds. */
+    minSessionExpires?: number;
+    /** "UPDATE" (used when the peer allows it) or "INVITE". */
+    sessionRefreshMethod?: string;
     sipjsId?: string;
+    /**
+     * How targets with tel URIs (RFC 3966) are sent: "sip" as sip:number@domain (the default),
+     * "user=phone" as sip:number@domain;user=phone (RFC 3261 19.1.6) or "tel" as they are.
+     * With "user=phone" and "tel", global numbers like "+1 212 555 1212" are tel URIs as well.
+     */
+    telURIMapping?: URI.TelMapping;
     transportConstructor?: new (logger: any, options: any) => Transport; // TODO
     transportOptions?: any; // TODO
     userAgentString?: string;
@@ -132,6 +193,9 @@ export declare namespace UA {
     viaHost?: string;
   }
 
+  /** Handler of the requests of a method, it must reply to them. */
+  type MethodHandler = (context: ServerContext) => void;
+
   interface RegisterOptions {
     expires?: number;
     extraContactHeaderParams?: Array<string>;
@@ -31,6 +31,7 @@ export declare class URI extends Parameters {
   deleteHeader(name: string): any;
   clearHeaders(): void;
   clone(): URI;
+  isEquivalent(uri: URI): boolean;
   toRaw(): string;
   toString(): string;
 }
@@ -42,4 +43,7 @@ export declare namespace URI {
     host: string;
     port: number | undefined;
   }
+
+  /** How a tel URI target is sent, see UA.Options.telURIMapping. */
+  export type TelMapping = "sip" | "user=phone" | "tel";
 }
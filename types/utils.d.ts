@@ -1,3 +1,4 @@
+import { Session } from "./session";
 import { SessionDescriptionHandlerModifier } from "./session-description-handler";
 import { URI } from "./uri";
 
@@ -11,16 +12,21 @@ export declare namespace Utils {
   export function reducePromises(arr: Array<SessionDescriptionHandlerModifier>, val: any): Promise<any>;
   export function str_utf8_length(str: string): number;
   export function generateFakeSDP(body: string): string | undefined;
+  export function getMediaDirections(sdp: string): Array<string>;
   export function isDecimal(num: string): boolean;
   export function createRandomToken(size: number, base?: number): string;
   export function newTag(): string;
   export function newUUID(): string;
-  export function normalizeTarget(target: string | URI, domain?: string): URI | undefined;
+  export function normalizeTarget(target: string | URI, domain?: string, telMapping?: URI.TelMapping): URI | undefined;
+  export function mapTelURI(uri: URI, domain: string | undefined, telMapping: URI.TelMapping): URI | undefined;
   export function escapeUser(user: string): string;
   export function headerize(str: string): string;
+  export function isExtensionMethod(method: string): boolean;
   export function sipErrorCause(statusCode: number): string;
   export function getReasonPhrase(code: number, specific?: string): string;
   export function getReasonHeaderValue(code: number, reason?: string): string;
   export function getCancelReason(code: number, reason: string): string | undefined;
+  export function buildReasonHeader(reasons: Session.Reason | Array<Session.Reason>): string;
+  export function parseReasons(headers: Array<string>): Array<Session.Reason>;
   export function buildStatusLine(code: number, reason?: string): string;
 }
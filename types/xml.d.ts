@@ -0,0 +1,20 @@
+export declare namespace XML {
+  export interface Element {
+    /** Qualified name, with its prefix. */
+    name: string;
+    localName: string;
+    /** Namespace URI, undefined if the element is in no namespace. */
+    namespace: string | undefined;
+    /** Namespaces in scope by prefix, "" is the default namespace. */
+    namespaces: {[prefix: string]: string};
+    attributes: {[name: string]: string};
+    children: Array<Element>;
+    /** Trimmed text content of the element itself, without the text of its children. */
+    text: string;
+  }
+
+  export function parse(text: string): Element;
+  export function child(element: Element, localName: string, namespace?: string): Element | undefined;
+  export function children(element: Element, localName: string, namespace?: string): Array<Element>;
+  export function escape(text: string): string;
+}